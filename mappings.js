@@ -85669,3 +85669,2360 @@ window.universalToBedrockMaps = {
     }
   ]
 };
+
+// Legacy (pre-1.13) numeric block IDs -> Java flattened block states. Array index = metadata value.
+window.legacyToJavaMaps = {
+  "0": [
+    "minecraft:air"
+  ],
+  "1": [
+    "minecraft:stone",
+    "minecraft:granite",
+    "minecraft:polished_granite",
+    "minecraft:diorite",
+    "minecraft:polished_diorite",
+    "minecraft:andesite",
+    "minecraft:polished_andesite"
+  ],
+  "2": [
+    "minecraft:grass_block[snowy=false]"
+  ],
+  "3": [
+    "minecraft:dirt",
+    "minecraft:coarse_dirt",
+    "minecraft:podzol[snowy=false]"
+  ],
+  "4": [
+    "minecraft:cobblestone"
+  ],
+  "5": [
+    "minecraft:oak_planks",
+    "minecraft:spruce_planks",
+    "minecraft:birch_planks",
+    "minecraft:jungle_planks",
+    "minecraft:acacia_planks",
+    "minecraft:dark_oak_planks"
+  ],
+  "6": [
+    "minecraft:oak_sapling[stage=0]",
+    "minecraft:spruce_sapling[stage=0]",
+    "minecraft:birch_sapling[stage=0]",
+    "minecraft:jungle_sapling[stage=0]",
+    "minecraft:acacia_sapling[stage=0]",
+    "minecraft:dark_oak_sapling[stage=0]",
+    "minecraft:oak_sapling[stage=0]",
+    "minecraft:spruce_sapling[stage=0]",
+    "minecraft:oak_sapling[stage=1]",
+    "minecraft:spruce_sapling[stage=1]",
+    "minecraft:birch_sapling[stage=1]",
+    "minecraft:jungle_sapling[stage=1]",
+    "minecraft:acacia_sapling[stage=1]",
+    "minecraft:dark_oak_sapling[stage=1]",
+    "minecraft:oak_sapling[stage=1]",
+    "minecraft:spruce_sapling[stage=1]"
+  ],
+  "7": [
+    "minecraft:bedrock"
+  ],
+  "8": [
+    "minecraft:water[level=0]",
+    "minecraft:water[level=1]",
+    "minecraft:water[level=2]",
+    "minecraft:water[level=3]",
+    "minecraft:water[level=4]",
+    "minecraft:water[level=5]",
+    "minecraft:water[level=6]",
+    "minecraft:water[level=7]",
+    "minecraft:water[level=8]",
+    "minecraft:water[level=9]",
+    "minecraft:water[level=10]",
+    "minecraft:water[level=11]",
+    "minecraft:water[level=12]",
+    "minecraft:water[level=13]",
+    "minecraft:water[level=14]",
+    "minecraft:water[level=15]"
+  ],
+  "9": [
+    "minecraft:water[level=0]",
+    "minecraft:water[level=1]",
+    "minecraft:water[level=2]",
+    "minecraft:water[level=3]",
+    "minecraft:water[level=4]",
+    "minecraft:water[level=5]",
+    "minecraft:water[level=6]",
+    "minecraft:water[level=7]",
+    "minecraft:water[level=8]",
+    "minecraft:water[level=9]",
+    "minecraft:water[level=10]",
+    "minecraft:water[level=11]",
+    "minecraft:water[level=12]",
+    "minecraft:water[level=13]",
+    "minecraft:water[level=14]",
+    "minecraft:water[level=15]"
+  ],
+  "10": [
+    "minecraft:lava[level=0]",
+    "minecraft:lava[level=1]",
+    "minecraft:lava[level=2]",
+    "minecraft:lava[level=3]",
+    "minecraft:lava[level=4]",
+    "minecraft:lava[level=5]",
+    "minecraft:lava[level=6]",
+    "minecraft:lava[level=7]",
+    "minecraft:lava[level=8]",
+    "minecraft:lava[level=9]",
+    "minecraft:lava[level=10]",
+    "minecraft:lava[level=11]",
+    "minecraft:lava[level=12]",
+    "minecraft:lava[level=13]",
+    "minecraft:lava[level=14]",
+    "minecraft:lava[level=15]"
+  ],
+  "11": [
+    "minecraft:lava[level=0]",
+    "minecraft:lava[level=1]",
+    "minecraft:lava[level=2]",
+    "minecraft:lava[level=3]",
+    "minecraft:lava[level=4]",
+    "minecraft:lava[level=5]",
+    "minecraft:lava[level=6]",
+    "minecraft:lava[level=7]",
+    "minecraft:lava[level=8]",
+    "minecraft:lava[level=9]",
+    "minecraft:lava[level=10]",
+    "minecraft:lava[level=11]",
+    "minecraft:lava[level=12]",
+    "minecraft:lava[level=13]",
+    "minecraft:lava[level=14]",
+    "minecraft:lava[level=15]"
+  ],
+  "12": [
+    "minecraft:sand",
+    "minecraft:red_sand"
+  ],
+  "13": [
+    "minecraft:gravel"
+  ],
+  "14": [
+    "minecraft:gold_ore"
+  ],
+  "15": [
+    "minecraft:iron_ore"
+  ],
+  "16": [
+    "minecraft:coal_ore"
+  ],
+  "17": [
+    "minecraft:oak_log[axis=y]",
+    "minecraft:spruce_log[axis=y]",
+    "minecraft:birch_log[axis=y]",
+    "minecraft:jungle_log[axis=y]",
+    "minecraft:oak_log[axis=x]",
+    "minecraft:spruce_log[axis=x]",
+    "minecraft:birch_log[axis=x]",
+    "minecraft:jungle_log[axis=x]",
+    "minecraft:oak_log[axis=z]",
+    "minecraft:spruce_log[axis=z]",
+    "minecraft:birch_log[axis=z]",
+    "minecraft:jungle_log[axis=z]",
+    "minecraft:oak_wood[axis=y]",
+    "minecraft:spruce_wood[axis=y]",
+    "minecraft:birch_wood[axis=y]",
+    "minecraft:jungle_wood[axis=y]"
+  ],
+  "18": [
+    "minecraft:oak_leaves[persistent=false]",
+    "minecraft:spruce_leaves[persistent=false]",
+    "minecraft:birch_leaves[persistent=false]",
+    "minecraft:jungle_leaves[persistent=false]",
+    "minecraft:oak_leaves[persistent=true]",
+    "minecraft:spruce_leaves[persistent=true]",
+    "minecraft:birch_leaves[persistent=true]",
+    "minecraft:jungle_leaves[persistent=true]",
+    "minecraft:oak_leaves[persistent=false]",
+    "minecraft:spruce_leaves[persistent=false]",
+    "minecraft:birch_leaves[persistent=false]",
+    "minecraft:jungle_leaves[persistent=false]",
+    "minecraft:oak_leaves[persistent=true]",
+    "minecraft:spruce_leaves[persistent=true]",
+    "minecraft:birch_leaves[persistent=true]",
+    "minecraft:jungle_leaves[persistent=true]"
+  ],
+  "19": [
+    "minecraft:sponge",
+    "minecraft:wet_sponge"
+  ],
+  "20": [
+    "minecraft:glass"
+  ],
+  "21": [
+    "minecraft:lapis_ore"
+  ],
+  "22": [
+    "minecraft:lapis_block"
+  ],
+  "23": [
+    "minecraft:dispenser[facing=down,triggered=false]",
+    "minecraft:dispenser[facing=up,triggered=false]",
+    "minecraft:dispenser[facing=north,triggered=false]",
+    "minecraft:dispenser[facing=south,triggered=false]",
+    "minecraft:dispenser[facing=west,triggered=false]",
+    "minecraft:dispenser[facing=east,triggered=false]",
+    "minecraft:dispenser[facing=down,triggered=false]",
+    "minecraft:dispenser[facing=up,triggered=false]",
+    "minecraft:dispenser[facing=down,triggered=true]",
+    "minecraft:dispenser[facing=up,triggered=true]",
+    "minecraft:dispenser[facing=north,triggered=true]",
+    "minecraft:dispenser[facing=south,triggered=true]",
+    "minecraft:dispenser[facing=west,triggered=true]",
+    "minecraft:dispenser[facing=east,triggered=true]",
+    "minecraft:dispenser[facing=down,triggered=true]",
+    "minecraft:dispenser[facing=up,triggered=true]"
+  ],
+  "24": [
+    "minecraft:sandstone",
+    "minecraft:chiseled_sandstone",
+    "minecraft:cut_sandstone"
+  ],
+  "25": [
+    "minecraft:note_block"
+  ],
+  "26": [
+    "minecraft:red_bed[facing=south,occupied=false,part=foot]",
+    "minecraft:red_bed[facing=west,occupied=false,part=foot]",
+    "minecraft:red_bed[facing=north,occupied=false,part=foot]",
+    "minecraft:red_bed[facing=east,occupied=false,part=foot]",
+    "minecraft:red_bed[facing=south,occupied=true,part=foot]",
+    "minecraft:red_bed[facing=west,occupied=true,part=foot]",
+    "minecraft:red_bed[facing=north,occupied=true,part=foot]",
+    "minecraft:red_bed[facing=east,occupied=true,part=foot]",
+    "minecraft:red_bed[facing=south,occupied=false,part=head]",
+    "minecraft:red_bed[facing=west,occupied=false,part=head]",
+    "minecraft:red_bed[facing=north,occupied=false,part=head]",
+    "minecraft:red_bed[facing=east,occupied=false,part=head]",
+    "minecraft:red_bed[facing=south,occupied=true,part=head]",
+    "minecraft:red_bed[facing=west,occupied=true,part=head]",
+    "minecraft:red_bed[facing=north,occupied=true,part=head]",
+    "minecraft:red_bed[facing=east,occupied=true,part=head]"
+  ],
+  "27": [
+    "minecraft:powered_rail[powered=false,shape=north_south]",
+    "minecraft:powered_rail[powered=false,shape=east_west]",
+    "minecraft:powered_rail[powered=false,shape=ascending_east]",
+    "minecraft:powered_rail[powered=false,shape=ascending_west]",
+    "minecraft:powered_rail[powered=false,shape=ascending_north]",
+    "minecraft:powered_rail[powered=false,shape=ascending_south]",
+    "minecraft:powered_rail[powered=false,shape=north_south]",
+    "minecraft:powered_rail[powered=false,shape=east_west]",
+    "minecraft:powered_rail[powered=true,shape=north_south]",
+    "minecraft:powered_rail[powered=true,shape=east_west]",
+    "minecraft:powered_rail[powered=true,shape=ascending_east]",
+    "minecraft:powered_rail[powered=true,shape=ascending_west]",
+    "minecraft:powered_rail[powered=true,shape=ascending_north]",
+    "minecraft:powered_rail[powered=true,shape=ascending_south]",
+    "minecraft:powered_rail[powered=true,shape=north_south]",
+    "minecraft:powered_rail[powered=true,shape=east_west]"
+  ],
+  "28": [
+    "minecraft:detector_rail[powered=false,shape=north_south]",
+    "minecraft:detector_rail[powered=false,shape=east_west]",
+    "minecraft:detector_rail[powered=false,shape=ascending_east]",
+    "minecraft:detector_rail[powered=false,shape=ascending_west]",
+    "minecraft:detector_rail[powered=false,shape=ascending_north]",
+    "minecraft:detector_rail[powered=false,shape=ascending_south]",
+    "minecraft:detector_rail[powered=false,shape=north_south]",
+    "minecraft:detector_rail[powered=false,shape=east_west]",
+    "minecraft:detector_rail[powered=true,shape=north_south]",
+    "minecraft:detector_rail[powered=true,shape=east_west]",
+    "minecraft:detector_rail[powered=true,shape=ascending_east]",
+    "minecraft:detector_rail[powered=true,shape=ascending_west]",
+    "minecraft:detector_rail[powered=true,shape=ascending_north]",
+    "minecraft:detector_rail[powered=true,shape=ascending_south]",
+    "minecraft:detector_rail[powered=true,shape=north_south]",
+    "minecraft:detector_rail[powered=true,shape=east_west]"
+  ],
+  "29": [
+    "minecraft:sticky_piston[extended=false,facing=down]",
+    "minecraft:sticky_piston[extended=false,facing=up]",
+    "minecraft:sticky_piston[extended=false,facing=north]",
+    "minecraft:sticky_piston[extended=false,facing=south]",
+    "minecraft:sticky_piston[extended=false,facing=west]",
+    "minecraft:sticky_piston[extended=false,facing=east]",
+    "minecraft:sticky_piston[extended=false,facing=down]",
+    "minecraft:sticky_piston[extended=false,facing=up]",
+    "minecraft:sticky_piston[extended=true,facing=down]",
+    "minecraft:sticky_piston[extended=true,facing=up]",
+    "minecraft:sticky_piston[extended=true,facing=north]",
+    "minecraft:sticky_piston[extended=true,facing=south]",
+    "minecraft:sticky_piston[extended=true,facing=west]",
+    "minecraft:sticky_piston[extended=true,facing=east]",
+    "minecraft:sticky_piston[extended=true,facing=down]",
+    "minecraft:sticky_piston[extended=true,facing=up]"
+  ],
+  "30": [
+    "minecraft:cobweb"
+  ],
+  "31": [
+    "minecraft:dead_bush",
+    "minecraft:short_grass",
+    "minecraft:fern"
+  ],
+  "32": [
+    "minecraft:dead_bush"
+  ],
+  "33": [
+    "minecraft:piston[extended=false,facing=down]",
+    "minecraft:piston[extended=false,facing=up]",
+    "minecraft:piston[extended=false,facing=north]",
+    "minecraft:piston[extended=false,facing=south]",
+    "minecraft:piston[extended=false,facing=west]",
+    "minecraft:piston[extended=false,facing=east]",
+    "minecraft:piston[extended=false,facing=down]",
+    "minecraft:piston[extended=false,facing=up]",
+    "minecraft:piston[extended=true,facing=down]",
+    "minecraft:piston[extended=true,facing=up]",
+    "minecraft:piston[extended=true,facing=north]",
+    "minecraft:piston[extended=true,facing=south]",
+    "minecraft:piston[extended=true,facing=west]",
+    "minecraft:piston[extended=true,facing=east]",
+    "minecraft:piston[extended=true,facing=down]",
+    "minecraft:piston[extended=true,facing=up]"
+  ],
+  "34": [
+    "minecraft:piston_head[facing=down,short=false,type=normal]",
+    "minecraft:piston_head[facing=up,short=false,type=normal]",
+    "minecraft:piston_head[facing=north,short=false,type=normal]",
+    "minecraft:piston_head[facing=south,short=false,type=normal]",
+    "minecraft:piston_head[facing=west,short=false,type=normal]",
+    "minecraft:piston_head[facing=east,short=false,type=normal]",
+    "minecraft:piston_head[facing=down,short=false,type=normal]",
+    "minecraft:piston_head[facing=up,short=false,type=normal]",
+    "minecraft:piston_head[facing=down,short=false,type=sticky]",
+    "minecraft:piston_head[facing=up,short=false,type=sticky]",
+    "minecraft:piston_head[facing=north,short=false,type=sticky]",
+    "minecraft:piston_head[facing=south,short=false,type=sticky]",
+    "minecraft:piston_head[facing=west,short=false,type=sticky]",
+    "minecraft:piston_head[facing=east,short=false,type=sticky]",
+    "minecraft:piston_head[facing=down,short=false,type=sticky]",
+    "minecraft:piston_head[facing=up,short=false,type=sticky]"
+  ],
+  "35": [
+    "minecraft:white_wool",
+    "minecraft:orange_wool",
+    "minecraft:magenta_wool",
+    "minecraft:light_blue_wool",
+    "minecraft:yellow_wool",
+    "minecraft:lime_wool",
+    "minecraft:pink_wool",
+    "minecraft:gray_wool",
+    "minecraft:light_gray_wool",
+    "minecraft:cyan_wool",
+    "minecraft:purple_wool",
+    "minecraft:blue_wool",
+    "minecraft:brown_wool",
+    "minecraft:green_wool",
+    "minecraft:red_wool",
+    "minecraft:black_wool"
+  ],
+  "36": [
+    "minecraft:moving_piston[facing=down,type=normal]",
+    "minecraft:moving_piston[facing=up,type=normal]",
+    "minecraft:moving_piston[facing=north,type=normal]",
+    "minecraft:moving_piston[facing=south,type=normal]",
+    "minecraft:moving_piston[facing=west,type=normal]",
+    "minecraft:moving_piston[facing=east,type=normal]",
+    "minecraft:moving_piston[facing=down,type=normal]",
+    "minecraft:moving_piston[facing=up,type=normal]",
+    "minecraft:moving_piston[facing=down,type=sticky]",
+    "minecraft:moving_piston[facing=up,type=sticky]",
+    "minecraft:moving_piston[facing=north,type=sticky]",
+    "minecraft:moving_piston[facing=south,type=sticky]",
+    "minecraft:moving_piston[facing=west,type=sticky]",
+    "minecraft:moving_piston[facing=east,type=sticky]",
+    "minecraft:moving_piston[facing=down,type=sticky]",
+    "minecraft:moving_piston[facing=up,type=sticky]"
+  ],
+  "37": [
+    "minecraft:dandelion"
+  ],
+  "38": [
+    "minecraft:poppy",
+    "minecraft:blue_orchid",
+    "minecraft:allium",
+    "minecraft:azure_bluet",
+    "minecraft:red_tulip",
+    "minecraft:orange_tulip",
+    "minecraft:white_tulip",
+    "minecraft:pink_tulip",
+    "minecraft:oxeye_daisy"
+  ],
+  "39": [
+    "minecraft:brown_mushroom"
+  ],
+  "40": [
+    "minecraft:red_mushroom"
+  ],
+  "41": [
+    "minecraft:gold_block"
+  ],
+  "42": [
+    "minecraft:iron_block"
+  ],
+  "43": [
+    "minecraft:smooth_stone_slab[type=double]",
+    "minecraft:sandstone_slab[type=double]",
+    "minecraft:petrified_oak_slab[type=double]",
+    "minecraft:cobblestone_slab[type=double]",
+    "minecraft:brick_slab[type=double]",
+    "minecraft:stone_brick_slab[type=double]",
+    "minecraft:nether_brick_slab[type=double]",
+    "minecraft:quartz_slab[type=double]",
+    "minecraft:smooth_stone",
+    "minecraft:smooth_sandstone",
+    "minecraft:petrified_oak_slab[type=double]",
+    "minecraft:cobblestone_slab[type=double]",
+    "minecraft:brick_slab[type=double]",
+    "minecraft:stone_brick_slab[type=double]",
+    "minecraft:nether_brick_slab[type=double]",
+    "minecraft:smooth_quartz"
+  ],
+  "44": [
+    "minecraft:smooth_stone_slab[type=bottom]",
+    "minecraft:sandstone_slab[type=bottom]",
+    "minecraft:petrified_oak_slab[type=bottom]",
+    "minecraft:cobblestone_slab[type=bottom]",
+    "minecraft:brick_slab[type=bottom]",
+    "minecraft:stone_brick_slab[type=bottom]",
+    "minecraft:nether_brick_slab[type=bottom]",
+    "minecraft:quartz_slab[type=bottom]",
+    "minecraft:smooth_stone_slab[type=top]",
+    "minecraft:sandstone_slab[type=top]",
+    "minecraft:petrified_oak_slab[type=top]",
+    "minecraft:cobblestone_slab[type=top]",
+    "minecraft:brick_slab[type=top]",
+    "minecraft:stone_brick_slab[type=top]",
+    "minecraft:nether_brick_slab[type=top]",
+    "minecraft:quartz_slab[type=top]"
+  ],
+  "45": [
+    "minecraft:bricks"
+  ],
+  "46": [
+    "minecraft:tnt"
+  ],
+  "47": [
+    "minecraft:bookshelf"
+  ],
+  "48": [
+    "minecraft:mossy_cobblestone"
+  ],
+  "49": [
+    "minecraft:obsidian"
+  ],
+  "50": [
+    "minecraft:torch",
+    "minecraft:wall_torch[facing=east]",
+    "minecraft:wall_torch[facing=west]",
+    "minecraft:wall_torch[facing=south]",
+    "minecraft:wall_torch[facing=north]",
+    "minecraft:torch"
+  ],
+  "51": [
+    "minecraft:fire[age=0]"
+  ],
+  "52": [
+    "minecraft:spawner"
+  ],
+  "53": [
+    "minecraft:oak_stairs[facing=east,half=bottom,shape=straight]",
+    "minecraft:oak_stairs[facing=west,half=bottom,shape=straight]",
+    "minecraft:oak_stairs[facing=south,half=bottom,shape=straight]",
+    "minecraft:oak_stairs[facing=north,half=bottom,shape=straight]",
+    "minecraft:oak_stairs[facing=east,half=top,shape=straight]",
+    "minecraft:oak_stairs[facing=west,half=top,shape=straight]",
+    "minecraft:oak_stairs[facing=south,half=top,shape=straight]",
+    "minecraft:oak_stairs[facing=north,half=top,shape=straight]"
+  ],
+  "54": [
+    "minecraft:chest[facing=north]",
+    "minecraft:chest[facing=north]",
+    "minecraft:chest[facing=north]",
+    "minecraft:chest[facing=south]",
+    "minecraft:chest[facing=west]",
+    "minecraft:chest[facing=east]"
+  ],
+  "55": [
+    "minecraft:redstone_wire[power=0]",
+    "minecraft:redstone_wire[power=1]",
+    "minecraft:redstone_wire[power=2]",
+    "minecraft:redstone_wire[power=3]",
+    "minecraft:redstone_wire[power=4]",
+    "minecraft:redstone_wire[power=5]",
+    "minecraft:redstone_wire[power=6]",
+    "minecraft:redstone_wire[power=7]",
+    "minecraft:redstone_wire[power=8]",
+    "minecraft:redstone_wire[power=9]",
+    "minecraft:redstone_wire[power=10]",
+    "minecraft:redstone_wire[power=11]",
+    "minecraft:redstone_wire[power=12]",
+    "minecraft:redstone_wire[power=13]",
+    "minecraft:redstone_wire[power=14]",
+    "minecraft:redstone_wire[power=15]"
+  ],
+  "56": [
+    "minecraft:diamond_ore"
+  ],
+  "57": [
+    "minecraft:diamond_block"
+  ],
+  "58": [
+    "minecraft:crafting_table"
+  ],
+  "59": [
+    "minecraft:wheat[age=0]",
+    "minecraft:wheat[age=1]",
+    "minecraft:wheat[age=2]",
+    "minecraft:wheat[age=3]",
+    "minecraft:wheat[age=4]",
+    "minecraft:wheat[age=5]",
+    "minecraft:wheat[age=6]",
+    "minecraft:wheat[age=7]"
+  ],
+  "60": [
+    "minecraft:farmland[moisture=0]",
+    "minecraft:farmland[moisture=1]",
+    "minecraft:farmland[moisture=2]",
+    "minecraft:farmland[moisture=3]",
+    "minecraft:farmland[moisture=4]",
+    "minecraft:farmland[moisture=5]",
+    "minecraft:farmland[moisture=6]",
+    "minecraft:farmland[moisture=7]"
+  ],
+  "61": [
+    "minecraft:furnace[facing=north,lit=false]",
+    "minecraft:furnace[facing=north,lit=false]",
+    "minecraft:furnace[facing=north,lit=false]",
+    "minecraft:furnace[facing=south,lit=false]",
+    "minecraft:furnace[facing=west,lit=false]",
+    "minecraft:furnace[facing=east,lit=false]"
+  ],
+  "62": [
+    "minecraft:furnace[facing=north,lit=true]",
+    "minecraft:furnace[facing=north,lit=true]",
+    "minecraft:furnace[facing=north,lit=true]",
+    "minecraft:furnace[facing=south,lit=true]",
+    "minecraft:furnace[facing=west,lit=true]",
+    "minecraft:furnace[facing=east,lit=true]"
+  ],
+  "63": [
+    "minecraft:oak_sign[rotation=0]",
+    "minecraft:oak_sign[rotation=1]",
+    "minecraft:oak_sign[rotation=2]",
+    "minecraft:oak_sign[rotation=3]",
+    "minecraft:oak_sign[rotation=4]",
+    "minecraft:oak_sign[rotation=5]",
+    "minecraft:oak_sign[rotation=6]",
+    "minecraft:oak_sign[rotation=7]",
+    "minecraft:oak_sign[rotation=8]",
+    "minecraft:oak_sign[rotation=9]",
+    "minecraft:oak_sign[rotation=10]",
+    "minecraft:oak_sign[rotation=11]",
+    "minecraft:oak_sign[rotation=12]",
+    "minecraft:oak_sign[rotation=13]",
+    "minecraft:oak_sign[rotation=14]",
+    "minecraft:oak_sign[rotation=15]"
+  ],
+  "64": [
+    "minecraft:oak_door[facing=east,half=lower,open=false]",
+    "minecraft:oak_door[facing=south,half=lower,open=false]",
+    "minecraft:oak_door[facing=west,half=lower,open=false]",
+    "minecraft:oak_door[facing=north,half=lower,open=false]",
+    "minecraft:oak_door[facing=east,half=lower,open=true]",
+    "minecraft:oak_door[facing=south,half=lower,open=true]",
+    "minecraft:oak_door[facing=west,half=lower,open=true]",
+    "minecraft:oak_door[facing=north,half=lower,open=true]",
+    "minecraft:oak_door[half=upper,hinge=left,powered=false]",
+    "minecraft:oak_door[half=upper,hinge=right,powered=false]",
+    "minecraft:oak_door[half=upper,hinge=left,powered=true]",
+    "minecraft:oak_door[half=upper,hinge=right,powered=true]",
+    "minecraft:oak_door[half=upper,hinge=left,powered=false]",
+    "minecraft:oak_door[half=upper,hinge=right,powered=false]",
+    "minecraft:oak_door[half=upper,hinge=left,powered=true]",
+    "minecraft:oak_door[half=upper,hinge=right,powered=true]"
+  ],
+  "65": [
+    "minecraft:ladder[facing=north]",
+    "minecraft:ladder[facing=north]",
+    "minecraft:ladder[facing=north]",
+    "minecraft:ladder[facing=south]",
+    "minecraft:ladder[facing=west]",
+    "minecraft:ladder[facing=east]"
+  ],
+  "66": [
+    "minecraft:rail[shape=north_south]",
+    "minecraft:rail[shape=east_west]",
+    "minecraft:rail[shape=ascending_east]",
+    "minecraft:rail[shape=ascending_west]",
+    "minecraft:rail[shape=ascending_north]",
+    "minecraft:rail[shape=ascending_south]",
+    "minecraft:rail[shape=south_east]",
+    "minecraft:rail[shape=south_west]",
+    "minecraft:rail[shape=north_west]",
+    "minecraft:rail[shape=north_east]"
+  ],
+  "67": [
+    "minecraft:cobblestone_stairs[facing=east,half=bottom,shape=straight]",
+    "minecraft:cobblestone_stairs[facing=west,half=bottom,shape=straight]",
+    "minecraft:cobblestone_stairs[facing=south,half=bottom,shape=straight]",
+    "minecraft:cobblestone_stairs[facing=north,half=bottom,shape=straight]",
+    "minecraft:cobblestone_stairs[facing=east,half=top,shape=straight]",
+    "minecraft:cobblestone_stairs[facing=west,half=top,shape=straight]",
+    "minecraft:cobblestone_stairs[facing=south,half=top,shape=straight]",
+    "minecraft:cobblestone_stairs[facing=north,half=top,shape=straight]"
+  ],
+  "68": [
+    "minecraft:oak_wall_sign[facing=north]",
+    "minecraft:oak_wall_sign[facing=north]",
+    "minecraft:oak_wall_sign[facing=north]",
+    "minecraft:oak_wall_sign[facing=south]",
+    "minecraft:oak_wall_sign[facing=west]",
+    "minecraft:oak_wall_sign[facing=east]"
+  ],
+  "69": [
+    "minecraft:lever[face=ceiling,facing=west,powered=false]",
+    "minecraft:lever[face=wall,facing=east,powered=false]",
+    "minecraft:lever[face=wall,facing=west,powered=false]",
+    "minecraft:lever[face=wall,facing=south,powered=false]",
+    "minecraft:lever[face=wall,facing=north,powered=false]",
+    "minecraft:lever[face=floor,facing=north,powered=false]",
+    "minecraft:lever[face=floor,facing=west,powered=false]",
+    "minecraft:lever[face=ceiling,facing=north,powered=false]",
+    "minecraft:lever[face=ceiling,facing=west,powered=true]",
+    "minecraft:lever[face=wall,facing=east,powered=true]",
+    "minecraft:lever[face=wall,facing=west,powered=true]",
+    "minecraft:lever[face=wall,facing=south,powered=true]",
+    "minecraft:lever[face=wall,facing=north,powered=true]",
+    "minecraft:lever[face=floor,facing=north,powered=true]",
+    "minecraft:lever[face=floor,facing=west,powered=true]",
+    "minecraft:lever[face=ceiling,facing=north,powered=true]"
+  ],
+  "70": [
+    "minecraft:stone_pressure_plate[powered=false]",
+    "minecraft:stone_pressure_plate[powered=true]"
+  ],
+  "71": [
+    "minecraft:iron_door[facing=east,half=lower,open=false]",
+    "minecraft:iron_door[facing=south,half=lower,open=false]",
+    "minecraft:iron_door[facing=west,half=lower,open=false]",
+    "minecraft:iron_door[facing=north,half=lower,open=false]",
+    "minecraft:iron_door[facing=east,half=lower,open=true]",
+    "minecraft:iron_door[facing=south,half=lower,open=true]",
+    "minecraft:iron_door[facing=west,half=lower,open=true]",
+    "minecraft:iron_door[facing=north,half=lower,open=true]",
+    "minecraft:iron_door[half=upper,hinge=left,powered=false]",
+    "minecraft:iron_door[half=upper,hinge=right,powered=false]",
+    "minecraft:iron_door[half=upper,hinge=left,powered=true]",
+    "minecraft:iron_door[half=upper,hinge=right,powered=true]",
+    "minecraft:iron_door[half=upper,hinge=left,powered=false]",
+    "minecraft:iron_door[half=upper,hinge=right,powered=false]",
+    "minecraft:iron_door[half=upper,hinge=left,powered=true]",
+    "minecraft:iron_door[half=upper,hinge=right,powered=true]"
+  ],
+  "72": [
+    "minecraft:oak_pressure_plate[powered=false]",
+    "minecraft:oak_pressure_plate[powered=true]"
+  ],
+  "73": [
+    "minecraft:redstone_ore[lit=false]"
+  ],
+  "74": [
+    "minecraft:redstone_ore[lit=true]"
+  ],
+  "75": [
+    "minecraft:redstone_torch[lit=false]",
+    "minecraft:redstone_wall_torch[facing=east,lit=false]",
+    "minecraft:redstone_wall_torch[facing=west,lit=false]",
+    "minecraft:redstone_wall_torch[facing=south,lit=false]",
+    "minecraft:redstone_wall_torch[facing=north,lit=false]",
+    "minecraft:redstone_torch[lit=false]"
+  ],
+  "76": [
+    "minecraft:redstone_torch[lit=true]",
+    "minecraft:redstone_wall_torch[facing=east,lit=true]",
+    "minecraft:redstone_wall_torch[facing=west,lit=true]",
+    "minecraft:redstone_wall_torch[facing=south,lit=true]",
+    "minecraft:redstone_wall_torch[facing=north,lit=true]",
+    "minecraft:redstone_torch[lit=true]"
+  ],
+  "77": [
+    "minecraft:stone_button[face=ceiling,facing=north,powered=false]",
+    "minecraft:stone_button[face=wall,facing=east,powered=false]",
+    "minecraft:stone_button[face=wall,facing=west,powered=false]",
+    "minecraft:stone_button[face=wall,facing=south,powered=false]",
+    "minecraft:stone_button[face=wall,facing=north,powered=false]",
+    "minecraft:stone_button[face=floor,facing=north,powered=false]",
+    "minecraft:stone_button[face=ceiling,facing=north,powered=false]",
+    "minecraft:stone_button[face=wall,facing=east,powered=false]",
+    "minecraft:stone_button[face=ceiling,facing=north,powered=true]",
+    "minecraft:stone_button[face=wall,facing=east,powered=true]",
+    "minecraft:stone_button[face=wall,facing=west,powered=true]",
+    "minecraft:stone_button[face=wall,facing=south,powered=true]",
+    "minecraft:stone_button[face=wall,facing=north,powered=true]",
+    "minecraft:stone_button[face=floor,facing=north,powered=true]",
+    "minecraft:stone_button[face=ceiling,facing=north,powered=true]",
+    "minecraft:stone_button[face=wall,facing=east,powered=true]"
+  ],
+  "78": [
+    "minecraft:snow[layers=1]",
+    "minecraft:snow[layers=2]",
+    "minecraft:snow[layers=3]",
+    "minecraft:snow[layers=4]",
+    "minecraft:snow[layers=5]",
+    "minecraft:snow[layers=6]",
+    "minecraft:snow[layers=7]",
+    "minecraft:snow[layers=8]"
+  ],
+  "79": [
+    "minecraft:ice"
+  ],
+  "80": [
+    "minecraft:snow_block"
+  ],
+  "81": [
+    "minecraft:cactus[age=0]",
+    "minecraft:cactus[age=1]",
+    "minecraft:cactus[age=2]",
+    "minecraft:cactus[age=3]",
+    "minecraft:cactus[age=4]",
+    "minecraft:cactus[age=5]",
+    "minecraft:cactus[age=6]",
+    "minecraft:cactus[age=7]",
+    "minecraft:cactus[age=8]",
+    "minecraft:cactus[age=9]",
+    "minecraft:cactus[age=10]",
+    "minecraft:cactus[age=11]",
+    "minecraft:cactus[age=12]",
+    "minecraft:cactus[age=13]",
+    "minecraft:cactus[age=14]",
+    "minecraft:cactus[age=15]"
+  ],
+  "82": [
+    "minecraft:clay"
+  ],
+  "83": [
+    "minecraft:sugar_cane[age=0]",
+    "minecraft:sugar_cane[age=1]",
+    "minecraft:sugar_cane[age=2]",
+    "minecraft:sugar_cane[age=3]",
+    "minecraft:sugar_cane[age=4]",
+    "minecraft:sugar_cane[age=5]",
+    "minecraft:sugar_cane[age=6]",
+    "minecraft:sugar_cane[age=7]",
+    "minecraft:sugar_cane[age=8]",
+    "minecraft:sugar_cane[age=9]",
+    "minecraft:sugar_cane[age=10]",
+    "minecraft:sugar_cane[age=11]",
+    "minecraft:sugar_cane[age=12]",
+    "minecraft:sugar_cane[age=13]",
+    "minecraft:sugar_cane[age=14]",
+    "minecraft:sugar_cane[age=15]"
+  ],
+  "84": [
+    "minecraft:jukebox[has_record=false]"
+  ],
+  "85": [
+    "minecraft:oak_fence"
+  ],
+  "86": [
+    "minecraft:carved_pumpkin[facing=south]",
+    "minecraft:carved_pumpkin[facing=west]",
+    "minecraft:carved_pumpkin[facing=north]",
+    "minecraft:carved_pumpkin[facing=east]"
+  ],
+  "87": [
+    "minecraft:netherrack"
+  ],
+  "88": [
+    "minecraft:soul_sand"
+  ],
+  "89": [
+    "minecraft:glowstone"
+  ],
+  "90": [
+    "minecraft:nether_portal[axis=x]",
+    "minecraft:nether_portal[axis=x]",
+    "minecraft:nether_portal[axis=z]"
+  ],
+  "91": [
+    "minecraft:jack_o_lantern[facing=south]",
+    "minecraft:jack_o_lantern[facing=west]",
+    "minecraft:jack_o_lantern[facing=north]",
+    "minecraft:jack_o_lantern[facing=east]"
+  ],
+  "92": [
+    "minecraft:cake[bites=0]",
+    "minecraft:cake[bites=1]",
+    "minecraft:cake[bites=2]",
+    "minecraft:cake[bites=3]",
+    "minecraft:cake[bites=4]",
+    "minecraft:cake[bites=5]",
+    "minecraft:cake[bites=6]"
+  ],
+  "93": [
+    "minecraft:repeater[delay=1,facing=south,locked=false,powered=false]",
+    "minecraft:repeater[delay=1,facing=west,locked=false,powered=false]",
+    "minecraft:repeater[delay=1,facing=north,locked=false,powered=false]",
+    "minecraft:repeater[delay=1,facing=east,locked=false,powered=false]",
+    "minecraft:repeater[delay=2,facing=south,locked=false,powered=false]",
+    "minecraft:repeater[delay=2,facing=west,locked=false,powered=false]",
+    "minecraft:repeater[delay=2,facing=north,locked=false,powered=false]",
+    "minecraft:repeater[delay=2,facing=east,locked=false,powered=false]",
+    "minecraft:repeater[delay=3,facing=south,locked=false,powered=false]",
+    "minecraft:repeater[delay=3,facing=west,locked=false,powered=false]",
+    "minecraft:repeater[delay=3,facing=north,locked=false,powered=false]",
+    "minecraft:repeater[delay=3,facing=east,locked=false,powered=false]",
+    "minecraft:repeater[delay=4,facing=south,locked=false,powered=false]",
+    "minecraft:repeater[delay=4,facing=west,locked=false,powered=false]",
+    "minecraft:repeater[delay=4,facing=north,locked=false,powered=false]",
+    "minecraft:repeater[delay=4,facing=east,locked=false,powered=false]"
+  ],
+  "94": [
+    "minecraft:repeater[delay=1,facing=south,locked=false,powered=true]",
+    "minecraft:repeater[delay=1,facing=west,locked=false,powered=true]",
+    "minecraft:repeater[delay=1,facing=north,locked=false,powered=true]",
+    "minecraft:repeater[delay=1,facing=east,locked=false,powered=true]",
+    "minecraft:repeater[delay=2,facing=south,locked=false,powered=true]",
+    "minecraft:repeater[delay=2,facing=west,locked=false,powered=true]",
+    "minecraft:repeater[delay=2,facing=north,locked=false,powered=true]",
+    "minecraft:repeater[delay=2,facing=east,locked=false,powered=true]",
+    "minecraft:repeater[delay=3,facing=south,locked=false,powered=true]",
+    "minecraft:repeater[delay=3,facing=west,locked=false,powered=true]",
+    "minecraft:repeater[delay=3,facing=north,locked=false,powered=true]",
+    "minecraft:repeater[delay=3,facing=east,locked=false,powered=true]",
+    "minecraft:repeater[delay=4,facing=south,locked=false,powered=true]",
+    "minecraft:repeater[delay=4,facing=west,locked=false,powered=true]",
+    "minecraft:repeater[delay=4,facing=north,locked=false,powered=true]",
+    "minecraft:repeater[delay=4,facing=east,locked=false,powered=true]"
+  ],
+  "95": [
+    "minecraft:white_stained_glass",
+    "minecraft:orange_stained_glass",
+    "minecraft:magenta_stained_glass",
+    "minecraft:light_blue_stained_glass",
+    "minecraft:yellow_stained_glass",
+    "minecraft:lime_stained_glass",
+    "minecraft:pink_stained_glass",
+    "minecraft:gray_stained_glass",
+    "minecraft:light_gray_stained_glass",
+    "minecraft:cyan_stained_glass",
+    "minecraft:purple_stained_glass",
+    "minecraft:blue_stained_glass",
+    "minecraft:brown_stained_glass",
+    "minecraft:green_stained_glass",
+    "minecraft:red_stained_glass",
+    "minecraft:black_stained_glass"
+  ],
+  "96": [
+    "minecraft:oak_trapdoor[facing=north,half=bottom,open=false]",
+    "minecraft:oak_trapdoor[facing=south,half=bottom,open=false]",
+    "minecraft:oak_trapdoor[facing=west,half=bottom,open=false]",
+    "minecraft:oak_trapdoor[facing=east,half=bottom,open=false]",
+    "minecraft:oak_trapdoor[facing=north,half=bottom,open=true]",
+    "minecraft:oak_trapdoor[facing=south,half=bottom,open=true]",
+    "minecraft:oak_trapdoor[facing=west,half=bottom,open=true]",
+    "minecraft:oak_trapdoor[facing=east,half=bottom,open=true]",
+    "minecraft:oak_trapdoor[facing=north,half=top,open=false]",
+    "minecraft:oak_trapdoor[facing=south,half=top,open=false]",
+    "minecraft:oak_trapdoor[facing=west,half=top,open=false]",
+    "minecraft:oak_trapdoor[facing=east,half=top,open=false]",
+    "minecraft:oak_trapdoor[facing=north,half=top,open=true]",
+    "minecraft:oak_trapdoor[facing=south,half=top,open=true]",
+    "minecraft:oak_trapdoor[facing=west,half=top,open=true]",
+    "minecraft:oak_trapdoor[facing=east,half=top,open=true]"
+  ],
+  "97": [
+    "minecraft:infested_stone",
+    "minecraft:infested_cobblestone",
+    "minecraft:infested_stone_bricks",
+    "minecraft:infested_mossy_stone_bricks",
+    "minecraft:infested_cracked_stone_bricks",
+    "minecraft:infested_chiseled_stone_bricks"
+  ],
+  "98": [
+    "minecraft:stone_bricks",
+    "minecraft:mossy_stone_bricks",
+    "minecraft:cracked_stone_bricks",
+    "minecraft:chiseled_stone_bricks"
+  ],
+  "99": [
+    "minecraft:brown_mushroom_block[down=false,east=false,north=false,south=false,up=false,west=false]",
+    "minecraft:brown_mushroom_block[down=false,east=false,north=true,south=false,up=true,west=true]",
+    "minecraft:brown_mushroom_block[down=false,east=false,north=true,south=false,up=true,west=false]",
+    "minecraft:brown_mushroom_block[down=false,east=true,north=true,south=false,up=true,west=false]",
+    "minecraft:brown_mushroom_block[down=false,east=false,north=false,south=false,up=true,west=true]",
+    "minecraft:brown_mushroom_block[down=false,east=false,north=false,south=false,up=true,west=false]",
+    "minecraft:brown_mushroom_block[down=false,east=true,north=false,south=false,up=true,west=false]",
+    "minecraft:brown_mushroom_block[down=false,east=false,north=false,south=true,up=true,west=true]",
+    "minecraft:brown_mushroom_block[down=false,east=false,north=false,south=true,up=true,west=false]",
+    "minecraft:brown_mushroom_block[down=false,east=true,north=false,south=true,up=true,west=false]",
+    "minecraft:mushroom_stem[down=false,east=true,north=true,south=true,up=false,west=true]",
+    "minecraft:brown_mushroom_block[down=true,east=true,north=true,south=true,up=true,west=true]",
+    "minecraft:brown_mushroom_block[down=true,east=true,north=true,south=true,up=true,west=true]",
+    "minecraft:brown_mushroom_block[down=true,east=true,north=true,south=true,up=true,west=true]",
+    "minecraft:brown_mushroom_block[down=true,east=true,north=true,south=true,up=true,west=true]",
+    "minecraft:mushroom_stem[down=true,east=true,north=true,south=true,up=true,west=true]"
+  ],
+  "100": [
+    "minecraft:red_mushroom_block[down=false,east=false,north=false,south=false,up=false,west=false]",
+    "minecraft:red_mushroom_block[down=false,east=false,north=true,south=false,up=true,west=true]",
+    "minecraft:red_mushroom_block[down=false,east=false,north=true,south=false,up=true,west=false]",
+    "minecraft:red_mushroom_block[down=false,east=true,north=true,south=false,up=true,west=false]",
+    "minecraft:red_mushroom_block[down=false,east=false,north=false,south=false,up=true,west=true]",
+    "minecraft:red_mushroom_block[down=false,east=false,north=false,south=false,up=true,west=false]",
+    "minecraft:red_mushroom_block[down=false,east=true,north=false,south=false,up=true,west=false]",
+    "minecraft:red_mushroom_block[down=false,east=false,north=false,south=true,up=true,west=true]",
+    "minecraft:red_mushroom_block[down=false,east=false,north=false,south=true,up=true,west=false]",
+    "minecraft:red_mushroom_block[down=false,east=true,north=false,south=true,up=true,west=false]",
+    "minecraft:mushroom_stem[down=false,east=true,north=true,south=true,up=false,west=true]",
+    "minecraft:red_mushroom_block[down=true,east=true,north=true,south=true,up=true,west=true]",
+    "minecraft:red_mushroom_block[down=true,east=true,north=true,south=true,up=true,west=true]",
+    "minecraft:red_mushroom_block[down=true,east=true,north=true,south=true,up=true,west=true]",
+    "minecraft:red_mushroom_block[down=true,east=true,north=true,south=true,up=true,west=true]",
+    "minecraft:mushroom_stem[down=true,east=true,north=true,south=true,up=true,west=true]"
+  ],
+  "101": [
+    "minecraft:iron_bars"
+  ],
+  "102": [
+    "minecraft:glass_pane"
+  ],
+  "103": [
+    "minecraft:melon"
+  ],
+  "104": [
+    "minecraft:pumpkin_stem[age=0]",
+    "minecraft:pumpkin_stem[age=1]",
+    "minecraft:pumpkin_stem[age=2]",
+    "minecraft:pumpkin_stem[age=3]",
+    "minecraft:pumpkin_stem[age=4]",
+    "minecraft:pumpkin_stem[age=5]",
+    "minecraft:pumpkin_stem[age=6]",
+    "minecraft:pumpkin_stem[age=7]"
+  ],
+  "105": [
+    "minecraft:melon_stem[age=0]",
+    "minecraft:melon_stem[age=1]",
+    "minecraft:melon_stem[age=2]",
+    "minecraft:melon_stem[age=3]",
+    "minecraft:melon_stem[age=4]",
+    "minecraft:melon_stem[age=5]",
+    "minecraft:melon_stem[age=6]",
+    "minecraft:melon_stem[age=7]"
+  ],
+  "106": [
+    "minecraft:vine[east=false,north=false,south=false,up=false,west=false]",
+    "minecraft:vine[east=false,north=false,south=true,up=false,west=false]",
+    "minecraft:vine[east=false,north=false,south=false,up=false,west=true]",
+    "minecraft:vine[east=false,north=false,south=true,up=false,west=true]",
+    "minecraft:vine[east=false,north=true,south=false,up=false,west=false]",
+    "minecraft:vine[east=false,north=true,south=true,up=false,west=false]",
+    "minecraft:vine[east=false,north=true,south=false,up=false,west=true]",
+    "minecraft:vine[east=false,north=true,south=true,up=false,west=true]",
+    "minecraft:vine[east=true,north=false,south=false,up=false,west=false]",
+    "minecraft:vine[east=true,north=false,south=true,up=false,west=false]",
+    "minecraft:vine[east=true,north=false,south=false,up=false,west=true]",
+    "minecraft:vine[east=true,north=false,south=true,up=false,west=true]",
+    "minecraft:vine[east=true,north=true,south=false,up=false,west=false]",
+    "minecraft:vine[east=true,north=true,south=true,up=false,west=false]",
+    "minecraft:vine[east=true,north=true,south=false,up=false,west=true]",
+    "minecraft:vine[east=true,north=true,south=true,up=false,west=true]"
+  ],
+  "107": [
+    "minecraft:oak_fence_gate[facing=south,in_wall=false,open=false,powered=false]",
+    "minecraft:oak_fence_gate[facing=west,in_wall=false,open=false,powered=false]",
+    "minecraft:oak_fence_gate[facing=north,in_wall=false,open=false,powered=false]",
+    "minecraft:oak_fence_gate[facing=east,in_wall=false,open=false,powered=false]",
+    "minecraft:oak_fence_gate[facing=south,in_wall=false,open=true,powered=false]",
+    "minecraft:oak_fence_gate[facing=west,in_wall=false,open=true,powered=false]",
+    "minecraft:oak_fence_gate[facing=north,in_wall=false,open=true,powered=false]",
+    "minecraft:oak_fence_gate[facing=east,in_wall=false,open=true,powered=false]",
+    "minecraft:oak_fence_gate[facing=south,in_wall=false,open=false,powered=true]",
+    "minecraft:oak_fence_gate[facing=west,in_wall=false,open=false,powered=true]",
+    "minecraft:oak_fence_gate[facing=north,in_wall=false,open=false,powered=true]",
+    "minecraft:oak_fence_gate[facing=east,in_wall=false,open=false,powered=true]",
+    "minecraft:oak_fence_gate[facing=south,in_wall=false,open=true,powered=true]",
+    "minecraft:oak_fence_gate[facing=west,in_wall=false,open=true,powered=true]",
+    "minecraft:oak_fence_gate[facing=north,in_wall=false,open=true,powered=true]",
+    "minecraft:oak_fence_gate[facing=east,in_wall=false,open=true,powered=true]"
+  ],
+  "108": [
+    "minecraft:brick_stairs[facing=east,half=bottom,shape=straight]",
+    "minecraft:brick_stairs[facing=west,half=bottom,shape=straight]",
+    "minecraft:brick_stairs[facing=south,half=bottom,shape=straight]",
+    "minecraft:brick_stairs[facing=north,half=bottom,shape=straight]",
+    "minecraft:brick_stairs[facing=east,half=top,shape=straight]",
+    "minecraft:brick_stairs[facing=west,half=top,shape=straight]",
+    "minecraft:brick_stairs[facing=south,half=top,shape=straight]",
+    "minecraft:brick_stairs[facing=north,half=top,shape=straight]"
+  ],
+  "109": [
+    "minecraft:stone_brick_stairs[facing=east,half=bottom,shape=straight]",
+    "minecraft:stone_brick_stairs[facing=west,half=bottom,shape=straight]",
+    "minecraft:stone_brick_stairs[facing=south,half=bottom,shape=straight]",
+    "minecraft:stone_brick_stairs[facing=north,half=bottom,shape=straight]",
+    "minecraft:stone_brick_stairs[facing=east,half=top,shape=straight]",
+    "minecraft:stone_brick_stairs[facing=west,half=top,shape=straight]",
+    "minecraft:stone_brick_stairs[facing=south,half=top,shape=straight]",
+    "minecraft:stone_brick_stairs[facing=north,half=top,shape=straight]"
+  ],
+  "110": [
+    "minecraft:mycelium[snowy=false]"
+  ],
+  "111": [
+    "minecraft:lily_pad"
+  ],
+  "112": [
+    "minecraft:nether_bricks"
+  ],
+  "113": [
+    "minecraft:nether_brick_fence"
+  ],
+  "114": [
+    "minecraft:nether_brick_stairs[facing=east,half=bottom,shape=straight]",
+    "minecraft:nether_brick_stairs[facing=west,half=bottom,shape=straight]",
+    "minecraft:nether_brick_stairs[facing=south,half=bottom,shape=straight]",
+    "minecraft:nether_brick_stairs[facing=north,half=bottom,shape=straight]",
+    "minecraft:nether_brick_stairs[facing=east,half=top,shape=straight]",
+    "minecraft:nether_brick_stairs[facing=west,half=top,shape=straight]",
+    "minecraft:nether_brick_stairs[facing=south,half=top,shape=straight]",
+    "minecraft:nether_brick_stairs[facing=north,half=top,shape=straight]"
+  ],
+  "115": [
+    "minecraft:nether_wart[age=0]",
+    "minecraft:nether_wart[age=1]",
+    "minecraft:nether_wart[age=2]",
+    "minecraft:nether_wart[age=3]"
+  ],
+  "116": [
+    "minecraft:enchanting_table"
+  ],
+  "117": [
+    "minecraft:brewing_stand"
+  ],
+  "118": [
+    "minecraft:cauldron",
+    "minecraft:water_cauldron[level=1]",
+    "minecraft:water_cauldron[level=2]",
+    "minecraft:water_cauldron[level=3]"
+  ],
+  "119": [
+    "minecraft:end_portal"
+  ],
+  "120": [
+    "minecraft:end_portal_frame[eye=false,facing=south]",
+    "minecraft:end_portal_frame[eye=false,facing=west]",
+    "minecraft:end_portal_frame[eye=false,facing=north]",
+    "minecraft:end_portal_frame[eye=false,facing=east]",
+    "minecraft:end_portal_frame[eye=true,facing=south]",
+    "minecraft:end_portal_frame[eye=true,facing=west]",
+    "minecraft:end_portal_frame[eye=true,facing=north]",
+    "minecraft:end_portal_frame[eye=true,facing=east]"
+  ],
+  "121": [
+    "minecraft:end_stone"
+  ],
+  "122": [
+    "minecraft:dragon_egg"
+  ],
+  "123": [
+    "minecraft:redstone_lamp[lit=false]"
+  ],
+  "124": [
+    "minecraft:redstone_lamp[lit=true]"
+  ],
+  "125": [
+    "minecraft:oak_slab[type=double]",
+    "minecraft:spruce_slab[type=double]",
+    "minecraft:birch_slab[type=double]",
+    "minecraft:jungle_slab[type=double]",
+    "minecraft:acacia_slab[type=double]",
+    "minecraft:dark_oak_slab[type=double]"
+  ],
+  "126": [
+    "minecraft:oak_slab[type=bottom]",
+    "minecraft:spruce_slab[type=bottom]",
+    "minecraft:birch_slab[type=bottom]",
+    "minecraft:jungle_slab[type=bottom]",
+    "minecraft:acacia_slab[type=bottom]",
+    "minecraft:dark_oak_slab[type=bottom]",
+    "minecraft:oak_slab[type=bottom]",
+    "minecraft:spruce_slab[type=bottom]",
+    "minecraft:oak_slab[type=top]",
+    "minecraft:spruce_slab[type=top]",
+    "minecraft:birch_slab[type=top]",
+    "minecraft:jungle_slab[type=top]",
+    "minecraft:acacia_slab[type=top]",
+    "minecraft:dark_oak_slab[type=top]",
+    "minecraft:oak_slab[type=top]",
+    "minecraft:spruce_slab[type=top]"
+  ],
+  "127": [
+    "minecraft:cocoa[age=0,facing=south]",
+    "minecraft:cocoa[age=0,facing=west]",
+    "minecraft:cocoa[age=0,facing=north]",
+    "minecraft:cocoa[age=0,facing=east]",
+    "minecraft:cocoa[age=1,facing=south]",
+    "minecraft:cocoa[age=1,facing=west]",
+    "minecraft:cocoa[age=1,facing=north]",
+    "minecraft:cocoa[age=1,facing=east]",
+    "minecraft:cocoa[age=2,facing=south]",
+    "minecraft:cocoa[age=2,facing=west]",
+    "minecraft:cocoa[age=2,facing=north]",
+    "minecraft:cocoa[age=2,facing=east]"
+  ],
+  "128": [
+    "minecraft:sandstone_stairs[facing=east,half=bottom,shape=straight]",
+    "minecraft:sandstone_stairs[facing=west,half=bottom,shape=straight]",
+    "minecraft:sandstone_stairs[facing=south,half=bottom,shape=straight]",
+    "minecraft:sandstone_stairs[facing=north,half=bottom,shape=straight]",
+    "minecraft:sandstone_stairs[facing=east,half=top,shape=straight]",
+    "minecraft:sandstone_stairs[facing=west,half=top,shape=straight]",
+    "minecraft:sandstone_stairs[facing=south,half=top,shape=straight]",
+    "minecraft:sandstone_stairs[facing=north,half=top,shape=straight]"
+  ],
+  "129": [
+    "minecraft:emerald_ore"
+  ],
+  "130": [
+    "minecraft:ender_chest[facing=north]",
+    "minecraft:ender_chest[facing=north]",
+    "minecraft:ender_chest[facing=north]",
+    "minecraft:ender_chest[facing=south]",
+    "minecraft:ender_chest[facing=west]",
+    "minecraft:ender_chest[facing=east]"
+  ],
+  "131": [
+    "minecraft:tripwire_hook[attached=false,facing=south,powered=false]",
+    "minecraft:tripwire_hook[attached=false,facing=west,powered=false]",
+    "minecraft:tripwire_hook[attached=false,facing=north,powered=false]",
+    "minecraft:tripwire_hook[attached=false,facing=east,powered=false]",
+    "minecraft:tripwire_hook[attached=true,facing=south,powered=false]",
+    "minecraft:tripwire_hook[attached=true,facing=west,powered=false]",
+    "minecraft:tripwire_hook[attached=true,facing=north,powered=false]",
+    "minecraft:tripwire_hook[attached=true,facing=east,powered=false]",
+    "minecraft:tripwire_hook[attached=false,facing=south,powered=true]",
+    "minecraft:tripwire_hook[attached=false,facing=west,powered=true]",
+    "minecraft:tripwire_hook[attached=false,facing=north,powered=true]",
+    "minecraft:tripwire_hook[attached=false,facing=east,powered=true]",
+    "minecraft:tripwire_hook[attached=true,facing=south,powered=true]",
+    "minecraft:tripwire_hook[attached=true,facing=west,powered=true]",
+    "minecraft:tripwire_hook[attached=true,facing=north,powered=true]",
+    "minecraft:tripwire_hook[attached=true,facing=east,powered=true]"
+  ],
+  "132": [
+    "minecraft:tripwire[attached=false,disarmed=false,powered=false]",
+    "minecraft:tripwire[attached=false,disarmed=false,powered=true]",
+    "minecraft:tripwire[attached=false,disarmed=false,powered=false]",
+    "minecraft:tripwire[attached=false,disarmed=false,powered=true]",
+    "minecraft:tripwire[attached=true,disarmed=false,powered=false]",
+    "minecraft:tripwire[attached=true,disarmed=false,powered=true]",
+    "minecraft:tripwire[attached=true,disarmed=false,powered=false]",
+    "minecraft:tripwire[attached=true,disarmed=false,powered=true]",
+    "minecraft:tripwire[attached=false,disarmed=true,powered=false]",
+    "minecraft:tripwire[attached=false,disarmed=true,powered=true]",
+    "minecraft:tripwire[attached=false,disarmed=true,powered=false]",
+    "minecraft:tripwire[attached=false,disarmed=true,powered=true]",
+    "minecraft:tripwire[attached=true,disarmed=true,powered=false]",
+    "minecraft:tripwire[attached=true,disarmed=true,powered=true]",
+    "minecraft:tripwire[attached=true,disarmed=true,powered=false]",
+    "minecraft:tripwire[attached=true,disarmed=true,powered=true]"
+  ],
+  "133": [
+    "minecraft:emerald_block"
+  ],
+  "134": [
+    "minecraft:spruce_stairs[facing=east,half=bottom,shape=straight]",
+    "minecraft:spruce_stairs[facing=west,half=bottom,shape=straight]",
+    "minecraft:spruce_stairs[facing=south,half=bottom,shape=straight]",
+    "minecraft:spruce_stairs[facing=north,half=bottom,shape=straight]",
+    "minecraft:spruce_stairs[facing=east,half=top,shape=straight]",
+    "minecraft:spruce_stairs[facing=west,half=top,shape=straight]",
+    "minecraft:spruce_stairs[facing=south,half=top,shape=straight]",
+    "minecraft:spruce_stairs[facing=north,half=top,shape=straight]"
+  ],
+  "135": [
+    "minecraft:birch_stairs[facing=east,half=bottom,shape=straight]",
+    "minecraft:birch_stairs[facing=west,half=bottom,shape=straight]",
+    "minecraft:birch_stairs[facing=south,half=bottom,shape=straight]",
+    "minecraft:birch_stairs[facing=north,half=bottom,shape=straight]",
+    "minecraft:birch_stairs[facing=east,half=top,shape=straight]",
+    "minecraft:birch_stairs[facing=west,half=top,shape=straight]",
+    "minecraft:birch_stairs[facing=south,half=top,shape=straight]",
+    "minecraft:birch_stairs[facing=north,half=top,shape=straight]"
+  ],
+  "136": [
+    "minecraft:jungle_stairs[facing=east,half=bottom,shape=straight]",
+    "minecraft:jungle_stairs[facing=west,half=bottom,shape=straight]",
+    "minecraft:jungle_stairs[facing=south,half=bottom,shape=straight]",
+    "minecraft:jungle_stairs[facing=north,half=bottom,shape=straight]",
+    "minecraft:jungle_stairs[facing=east,half=top,shape=straight]",
+    "minecraft:jungle_stairs[facing=west,half=top,shape=straight]",
+    "minecraft:jungle_stairs[facing=south,half=top,shape=straight]",
+    "minecraft:jungle_stairs[facing=north,half=top,shape=straight]"
+  ],
+  "137": [
+    "minecraft:command_block[conditional=false,facing=down]",
+    "minecraft:command_block[conditional=false,facing=up]",
+    "minecraft:command_block[conditional=false,facing=north]",
+    "minecraft:command_block[conditional=false,facing=south]",
+    "minecraft:command_block[conditional=false,facing=west]",
+    "minecraft:command_block[conditional=false,facing=east]",
+    "minecraft:command_block[conditional=false,facing=down]",
+    "minecraft:command_block[conditional=false,facing=up]",
+    "minecraft:command_block[conditional=true,facing=down]",
+    "minecraft:command_block[conditional=true,facing=up]",
+    "minecraft:command_block[conditional=true,facing=north]",
+    "minecraft:command_block[conditional=true,facing=south]",
+    "minecraft:command_block[conditional=true,facing=west]",
+    "minecraft:command_block[conditional=true,facing=east]",
+    "minecraft:command_block[conditional=true,facing=down]",
+    "minecraft:command_block[conditional=true,facing=up]"
+  ],
+  "138": [
+    "minecraft:beacon"
+  ],
+  "139": [
+    "minecraft:cobblestone_wall",
+    "minecraft:mossy_cobblestone_wall"
+  ],
+  "140": [
+    "minecraft:flower_pot"
+  ],
+  "141": [
+    "minecraft:carrots[age=0]",
+    "minecraft:carrots[age=1]",
+    "minecraft:carrots[age=2]",
+    "minecraft:carrots[age=3]",
+    "minecraft:carrots[age=4]",
+    "minecraft:carrots[age=5]",
+    "minecraft:carrots[age=6]",
+    "minecraft:carrots[age=7]"
+  ],
+  "142": [
+    "minecraft:potatoes[age=0]",
+    "minecraft:potatoes[age=1]",
+    "minecraft:potatoes[age=2]",
+    "minecraft:potatoes[age=3]",
+    "minecraft:potatoes[age=4]",
+    "minecraft:potatoes[age=5]",
+    "minecraft:potatoes[age=6]",
+    "minecraft:potatoes[age=7]"
+  ],
+  "143": [
+    "minecraft:oak_button[face=ceiling,facing=north,powered=false]",
+    "minecraft:oak_button[face=wall,facing=east,powered=false]",
+    "minecraft:oak_button[face=wall,facing=west,powered=false]",
+    "minecraft:oak_button[face=wall,facing=south,powered=false]",
+    "minecraft:oak_button[face=wall,facing=north,powered=false]",
+    "minecraft:oak_button[face=floor,facing=north,powered=false]",
+    "minecraft:oak_button[face=ceiling,facing=north,powered=false]",
+    "minecraft:oak_button[face=wall,facing=east,powered=false]",
+    "minecraft:oak_button[face=ceiling,facing=north,powered=true]",
+    "minecraft:oak_button[face=wall,facing=east,powered=true]",
+    "minecraft:oak_button[face=wall,facing=west,powered=true]",
+    "minecraft:oak_button[face=wall,facing=south,powered=true]",
+    "minecraft:oak_button[face=wall,facing=north,powered=true]",
+    "minecraft:oak_button[face=floor,facing=north,powered=true]",
+    "minecraft:oak_button[face=ceiling,facing=north,powered=true]",
+    "minecraft:oak_button[face=wall,facing=east,powered=true]"
+  ],
+  "144": [
+    "minecraft:skeleton_skull[rotation=0]",
+    "minecraft:skeleton_skull[rotation=0]",
+    "minecraft:skeleton_wall_skull[facing=north]",
+    "minecraft:skeleton_wall_skull[facing=south]",
+    "minecraft:skeleton_wall_skull[facing=west]",
+    "minecraft:skeleton_wall_skull[facing=east]"
+  ],
+  "145": [
+    "minecraft:anvil[facing=south]",
+    "minecraft:anvil[facing=west]",
+    "minecraft:anvil[facing=north]",
+    "minecraft:anvil[facing=east]",
+    "minecraft:chipped_anvil[facing=south]",
+    "minecraft:chipped_anvil[facing=west]",
+    "minecraft:chipped_anvil[facing=north]",
+    "minecraft:chipped_anvil[facing=east]",
+    "minecraft:damaged_anvil[facing=south]",
+    "minecraft:damaged_anvil[facing=west]",
+    "minecraft:damaged_anvil[facing=north]",
+    "minecraft:damaged_anvil[facing=east]"
+  ],
+  "146": [
+    "minecraft:trapped_chest[facing=north]",
+    "minecraft:trapped_chest[facing=north]",
+    "minecraft:trapped_chest[facing=north]",
+    "minecraft:trapped_chest[facing=south]",
+    "minecraft:trapped_chest[facing=west]",
+    "minecraft:trapped_chest[facing=east]"
+  ],
+  "147": [
+    "minecraft:light_weighted_pressure_plate[power=0]",
+    "minecraft:light_weighted_pressure_plate[power=1]",
+    "minecraft:light_weighted_pressure_plate[power=2]",
+    "minecraft:light_weighted_pressure_plate[power=3]",
+    "minecraft:light_weighted_pressure_plate[power=4]",
+    "minecraft:light_weighted_pressure_plate[power=5]",
+    "minecraft:light_weighted_pressure_plate[power=6]",
+    "minecraft:light_weighted_pressure_plate[power=7]",
+    "minecraft:light_weighted_pressure_plate[power=8]",
+    "minecraft:light_weighted_pressure_plate[power=9]",
+    "minecraft:light_weighted_pressure_plate[power=10]",
+    "minecraft:light_weighted_pressure_plate[power=11]",
+    "minecraft:light_weighted_pressure_plate[power=12]",
+    "minecraft:light_weighted_pressure_plate[power=13]",
+    "minecraft:light_weighted_pressure_plate[power=14]",
+    "minecraft:light_weighted_pressure_plate[power=15]"
+  ],
+  "148": [
+    "minecraft:heavy_weighted_pressure_plate[power=0]",
+    "minecraft:heavy_weighted_pressure_plate[power=1]",
+    "minecraft:heavy_weighted_pressure_plate[power=2]",
+    "minecraft:heavy_weighted_pressure_plate[power=3]",
+    "minecraft:heavy_weighted_pressure_plate[power=4]",
+    "minecraft:heavy_weighted_pressure_plate[power=5]",
+    "minecraft:heavy_weighted_pressure_plate[power=6]",
+    "minecraft:heavy_weighted_pressure_plate[power=7]",
+    "minecraft:heavy_weighted_pressure_plate[power=8]",
+    "minecraft:heavy_weighted_pressure_plate[power=9]",
+    "minecraft:heavy_weighted_pressure_plate[power=10]",
+    "minecraft:heavy_weighted_pressure_plate[power=11]",
+    "minecraft:heavy_weighted_pressure_plate[power=12]",
+    "minecraft:heavy_weighted_pressure_plate[power=13]",
+    "minecraft:heavy_weighted_pressure_plate[power=14]",
+    "minecraft:heavy_weighted_pressure_plate[power=15]"
+  ],
+  "149": [
+    "minecraft:comparator[facing=south,mode=compare,powered=false]",
+    "minecraft:comparator[facing=west,mode=compare,powered=false]",
+    "minecraft:comparator[facing=north,mode=compare,powered=false]",
+    "minecraft:comparator[facing=east,mode=compare,powered=false]",
+    "minecraft:comparator[facing=south,mode=subtract,powered=false]",
+    "minecraft:comparator[facing=west,mode=subtract,powered=false]",
+    "minecraft:comparator[facing=north,mode=subtract,powered=false]",
+    "minecraft:comparator[facing=east,mode=subtract,powered=false]",
+    "minecraft:comparator[facing=south,mode=compare,powered=true]",
+    "minecraft:comparator[facing=west,mode=compare,powered=true]",
+    "minecraft:comparator[facing=north,mode=compare,powered=true]",
+    "minecraft:comparator[facing=east,mode=compare,powered=true]",
+    "minecraft:comparator[facing=south,mode=subtract,powered=true]",
+    "minecraft:comparator[facing=west,mode=subtract,powered=true]",
+    "minecraft:comparator[facing=north,mode=subtract,powered=true]",
+    "minecraft:comparator[facing=east,mode=subtract,powered=true]"
+  ],
+  "150": [
+    "minecraft:comparator[facing=south,mode=compare,powered=false]",
+    "minecraft:comparator[facing=west,mode=compare,powered=false]",
+    "minecraft:comparator[facing=north,mode=compare,powered=false]",
+    "minecraft:comparator[facing=east,mode=compare,powered=false]",
+    "minecraft:comparator[facing=south,mode=subtract,powered=false]",
+    "minecraft:comparator[facing=west,mode=subtract,powered=false]",
+    "minecraft:comparator[facing=north,mode=subtract,powered=false]",
+    "minecraft:comparator[facing=east,mode=subtract,powered=false]",
+    "minecraft:comparator[facing=south,mode=compare,powered=true]",
+    "minecraft:comparator[facing=west,mode=compare,powered=true]",
+    "minecraft:comparator[facing=north,mode=compare,powered=true]",
+    "minecraft:comparator[facing=east,mode=compare,powered=true]",
+    "minecraft:comparator[facing=south,mode=subtract,powered=true]",
+    "minecraft:comparator[facing=west,mode=subtract,powered=true]",
+    "minecraft:comparator[facing=north,mode=subtract,powered=true]",
+    "minecraft:comparator[facing=east,mode=subtract,powered=true]"
+  ],
+  "151": [
+    "minecraft:daylight_detector[inverted=false,power=0]",
+    "minecraft:daylight_detector[inverted=false,power=1]",
+    "minecraft:daylight_detector[inverted=false,power=2]",
+    "minecraft:daylight_detector[inverted=false,power=3]",
+    "minecraft:daylight_detector[inverted=false,power=4]",
+    "minecraft:daylight_detector[inverted=false,power=5]",
+    "minecraft:daylight_detector[inverted=false,power=6]",
+    "minecraft:daylight_detector[inverted=false,power=7]",
+    "minecraft:daylight_detector[inverted=false,power=8]",
+    "minecraft:daylight_detector[inverted=false,power=9]",
+    "minecraft:daylight_detector[inverted=false,power=10]",
+    "minecraft:daylight_detector[inverted=false,power=11]",
+    "minecraft:daylight_detector[inverted=false,power=12]",
+    "minecraft:daylight_detector[inverted=false,power=13]",
+    "minecraft:daylight_detector[inverted=false,power=14]",
+    "minecraft:daylight_detector[inverted=false,power=15]"
+  ],
+  "152": [
+    "minecraft:redstone_block"
+  ],
+  "153": [
+    "minecraft:nether_quartz_ore"
+  ],
+  "154": [
+    "minecraft:hopper[enabled=true,facing=down]",
+    "minecraft:hopper[enabled=true,facing=down]",
+    "minecraft:hopper[enabled=true,facing=north]",
+    "minecraft:hopper[enabled=true,facing=south]",
+    "minecraft:hopper[enabled=true,facing=west]",
+    "minecraft:hopper[enabled=true,facing=east]",
+    "minecraft:hopper[enabled=true,facing=down]",
+    "minecraft:hopper[enabled=true,facing=up]",
+    "minecraft:hopper[enabled=false,facing=down]",
+    "minecraft:hopper[enabled=false,facing=down]",
+    "minecraft:hopper[enabled=false,facing=north]",
+    "minecraft:hopper[enabled=false,facing=south]",
+    "minecraft:hopper[enabled=false,facing=west]",
+    "minecraft:hopper[enabled=false,facing=east]",
+    "minecraft:hopper[enabled=false,facing=down]",
+    "minecraft:hopper[enabled=false,facing=up]"
+  ],
+  "155": [
+    "minecraft:quartz_block",
+    "minecraft:chiseled_quartz_block",
+    "minecraft:quartz_pillar[axis=y]",
+    "minecraft:quartz_pillar[axis=x]",
+    "minecraft:quartz_pillar[axis=z]"
+  ],
+  "156": [
+    "minecraft:quartz_stairs[facing=east,half=bottom,shape=straight]",
+    "minecraft:quartz_stairs[facing=west,half=bottom,shape=straight]",
+    "minecraft:quartz_stairs[facing=south,half=bottom,shape=straight]",
+    "minecraft:quartz_stairs[facing=north,half=bottom,shape=straight]",
+    "minecraft:quartz_stairs[facing=east,half=top,shape=straight]",
+    "minecraft:quartz_stairs[facing=west,half=top,shape=straight]",
+    "minecraft:quartz_stairs[facing=south,half=top,shape=straight]",
+    "minecraft:quartz_stairs[facing=north,half=top,shape=straight]"
+  ],
+  "157": [
+    "minecraft:activator_rail[powered=false,shape=north_south]",
+    "minecraft:activator_rail[powered=false,shape=east_west]",
+    "minecraft:activator_rail[powered=false,shape=ascending_east]",
+    "minecraft:activator_rail[powered=false,shape=ascending_west]",
+    "minecraft:activator_rail[powered=false,shape=ascending_north]",
+    "minecraft:activator_rail[powered=false,shape=ascending_south]",
+    "minecraft:activator_rail[powered=false,shape=north_south]",
+    "minecraft:activator_rail[powered=false,shape=east_west]",
+    "minecraft:activator_rail[powered=true,shape=north_south]",
+    "minecraft:activator_rail[powered=true,shape=east_west]",
+    "minecraft:activator_rail[powered=true,shape=ascending_east]",
+    "minecraft:activator_rail[powered=true,shape=ascending_west]",
+    "minecraft:activator_rail[powered=true,shape=ascending_north]",
+    "minecraft:activator_rail[powered=true,shape=ascending_south]",
+    "minecraft:activator_rail[powered=true,shape=north_south]",
+    "minecraft:activator_rail[powered=true,shape=east_west]"
+  ],
+  "158": [
+    "minecraft:dropper[facing=down,triggered=false]",
+    "minecraft:dropper[facing=up,triggered=false]",
+    "minecraft:dropper[facing=north,triggered=false]",
+    "minecraft:dropper[facing=south,triggered=false]",
+    "minecraft:dropper[facing=west,triggered=false]",
+    "minecraft:dropper[facing=east,triggered=false]",
+    "minecraft:dropper[facing=down,triggered=false]",
+    "minecraft:dropper[facing=up,triggered=false]",
+    "minecraft:dropper[facing=down,triggered=true]",
+    "minecraft:dropper[facing=up,triggered=true]",
+    "minecraft:dropper[facing=north,triggered=true]",
+    "minecraft:dropper[facing=south,triggered=true]",
+    "minecraft:dropper[facing=west,triggered=true]",
+    "minecraft:dropper[facing=east,triggered=true]",
+    "minecraft:dropper[facing=down,triggered=true]",
+    "minecraft:dropper[facing=up,triggered=true]"
+  ],
+  "159": [
+    "minecraft:white_terracotta",
+    "minecraft:orange_terracotta",
+    "minecraft:magenta_terracotta",
+    "minecraft:light_blue_terracotta",
+    "minecraft:yellow_terracotta",
+    "minecraft:lime_terracotta",
+    "minecraft:pink_terracotta",
+    "minecraft:gray_terracotta",
+    "minecraft:light_gray_terracotta",
+    "minecraft:cyan_terracotta",
+    "minecraft:purple_terracotta",
+    "minecraft:blue_terracotta",
+    "minecraft:brown_terracotta",
+    "minecraft:green_terracotta",
+    "minecraft:red_terracotta",
+    "minecraft:black_terracotta"
+  ],
+  "160": [
+    "minecraft:white_stained_glass_pane",
+    "minecraft:orange_stained_glass_pane",
+    "minecraft:magenta_stained_glass_pane",
+    "minecraft:light_blue_stained_glass_pane",
+    "minecraft:yellow_stained_glass_pane",
+    "minecraft:lime_stained_glass_pane",
+    "minecraft:pink_stained_glass_pane",
+    "minecraft:gray_stained_glass_pane",
+    "minecraft:light_gray_stained_glass_pane",
+    "minecraft:cyan_stained_glass_pane",
+    "minecraft:purple_stained_glass_pane",
+    "minecraft:blue_stained_glass_pane",
+    "minecraft:brown_stained_glass_pane",
+    "minecraft:green_stained_glass_pane",
+    "minecraft:red_stained_glass_pane",
+    "minecraft:black_stained_glass_pane"
+  ],
+  "161": [
+    "minecraft:acacia_leaves[persistent=false]",
+    "minecraft:dark_oak_leaves[persistent=false]",
+    "minecraft:acacia_leaves[persistent=false]",
+    "minecraft:acacia_leaves[persistent=false]",
+    "minecraft:acacia_leaves[persistent=true]",
+    "minecraft:dark_oak_leaves[persistent=true]",
+    "minecraft:acacia_leaves[persistent=true]",
+    "minecraft:acacia_leaves[persistent=true]"
+  ],
+  "162": [
+    "minecraft:acacia_log[axis=y]",
+    "minecraft:dark_oak_log[axis=y]",
+    "minecraft:acacia_log[axis=y]",
+    "minecraft:dark_oak_log[axis=y]",
+    "minecraft:acacia_log[axis=x]",
+    "minecraft:dark_oak_log[axis=x]",
+    "minecraft:acacia_log[axis=x]",
+    "minecraft:dark_oak_log[axis=x]",
+    "minecraft:acacia_log[axis=z]",
+    "minecraft:dark_oak_log[axis=z]",
+    "minecraft:acacia_log[axis=z]",
+    "minecraft:dark_oak_log[axis=z]",
+    "minecraft:acacia_wood[axis=y]",
+    "minecraft:dark_oak_wood[axis=y]",
+    "minecraft:acacia_wood[axis=y]",
+    "minecraft:dark_oak_wood[axis=y]"
+  ],
+  "163": [
+    "minecraft:acacia_stairs[facing=east,half=bottom,shape=straight]",
+    "minecraft:acacia_stairs[facing=west,half=bottom,shape=straight]",
+    "minecraft:acacia_stairs[facing=south,half=bottom,shape=straight]",
+    "minecraft:acacia_stairs[facing=north,half=bottom,shape=straight]",
+    "minecraft:acacia_stairs[facing=east,half=top,shape=straight]",
+    "minecraft:acacia_stairs[facing=west,half=top,shape=straight]",
+    "minecraft:acacia_stairs[facing=south,half=top,shape=straight]",
+    "minecraft:acacia_stairs[facing=north,half=top,shape=straight]"
+  ],
+  "164": [
+    "minecraft:dark_oak_stairs[facing=east,half=bottom,shape=straight]",
+    "minecraft:dark_oak_stairs[facing=west,half=bottom,shape=straight]",
+    "minecraft:dark_oak_stairs[facing=south,half=bottom,shape=straight]",
+    "minecraft:dark_oak_stairs[facing=north,half=bottom,shape=straight]",
+    "minecraft:dark_oak_stairs[facing=east,half=top,shape=straight]",
+    "minecraft:dark_oak_stairs[facing=west,half=top,shape=straight]",
+    "minecraft:dark_oak_stairs[facing=south,half=top,shape=straight]",
+    "minecraft:dark_oak_stairs[facing=north,half=top,shape=straight]"
+  ],
+  "165": [
+    "minecraft:slime_block"
+  ],
+  "166": [
+    "minecraft:barrier"
+  ],
+  "167": [
+    "minecraft:iron_trapdoor[facing=north,half=bottom,open=false]",
+    "minecraft:iron_trapdoor[facing=south,half=bottom,open=false]",
+    "minecraft:iron_trapdoor[facing=west,half=bottom,open=false]",
+    "minecraft:iron_trapdoor[facing=east,half=bottom,open=false]",
+    "minecraft:iron_trapdoor[facing=north,half=bottom,open=true]",
+    "minecraft:iron_trapdoor[facing=south,half=bottom,open=true]",
+    "minecraft:iron_trapdoor[facing=west,half=bottom,open=true]",
+    "minecraft:iron_trapdoor[facing=east,half=bottom,open=true]",
+    "minecraft:iron_trapdoor[facing=north,half=top,open=false]",
+    "minecraft:iron_trapdoor[facing=south,half=top,open=false]",
+    "minecraft:iron_trapdoor[facing=west,half=top,open=false]",
+    "minecraft:iron_trapdoor[facing=east,half=top,open=false]",
+    "minecraft:iron_trapdoor[facing=north,half=top,open=true]",
+    "minecraft:iron_trapdoor[facing=south,half=top,open=true]",
+    "minecraft:iron_trapdoor[facing=west,half=top,open=true]",
+    "minecraft:iron_trapdoor[facing=east,half=top,open=true]"
+  ],
+  "168": [
+    "minecraft:prismarine",
+    "minecraft:prismarine_bricks",
+    "minecraft:dark_prismarine"
+  ],
+  "169": [
+    "minecraft:sea_lantern"
+  ],
+  "170": [
+    "minecraft:hay_block[axis=y]",
+    "minecraft:hay_block[axis=y]",
+    "minecraft:hay_block[axis=y]",
+    "minecraft:hay_block[axis=y]",
+    "minecraft:hay_block[axis=x]",
+    "minecraft:hay_block[axis=x]",
+    "minecraft:hay_block[axis=x]",
+    "minecraft:hay_block[axis=x]",
+    "minecraft:hay_block[axis=z]",
+    "minecraft:hay_block[axis=z]",
+    "minecraft:hay_block[axis=z]",
+    "minecraft:hay_block[axis=z]"
+  ],
+  "171": [
+    "minecraft:white_carpet",
+    "minecraft:orange_carpet",
+    "minecraft:magenta_carpet",
+    "minecraft:light_blue_carpet",
+    "minecraft:yellow_carpet",
+    "minecraft:lime_carpet",
+    "minecraft:pink_carpet",
+    "minecraft:gray_carpet",
+    "minecraft:light_gray_carpet",
+    "minecraft:cyan_carpet",
+    "minecraft:purple_carpet",
+    "minecraft:blue_carpet",
+    "minecraft:brown_carpet",
+    "minecraft:green_carpet",
+    "minecraft:red_carpet",
+    "minecraft:black_carpet"
+  ],
+  "172": [
+    "minecraft:terracotta"
+  ],
+  "173": [
+    "minecraft:coal_block"
+  ],
+  "174": [
+    "minecraft:packed_ice"
+  ],
+  "175": [
+    "minecraft:sunflower[half=lower]",
+    "minecraft:lilac[half=lower]",
+    "minecraft:tall_grass[half=lower]",
+    "minecraft:large_fern[half=lower]",
+    "minecraft:rose_bush[half=lower]",
+    "minecraft:peony[half=lower]",
+    "minecraft:sunflower[half=lower]",
+    "minecraft:lilac[half=lower]",
+    "minecraft:sunflower[half=upper]",
+    "minecraft:sunflower[half=upper]",
+    "minecraft:sunflower[half=upper]",
+    "minecraft:sunflower[half=upper]",
+    "minecraft:sunflower[half=upper]",
+    "minecraft:sunflower[half=upper]",
+    "minecraft:sunflower[half=upper]",
+    "minecraft:sunflower[half=upper]"
+  ],
+  "176": [
+    "minecraft:white_banner[rotation=0]",
+    "minecraft:white_banner[rotation=1]",
+    "minecraft:white_banner[rotation=2]",
+    "minecraft:white_banner[rotation=3]",
+    "minecraft:white_banner[rotation=4]",
+    "minecraft:white_banner[rotation=5]",
+    "minecraft:white_banner[rotation=6]",
+    "minecraft:white_banner[rotation=7]",
+    "minecraft:white_banner[rotation=8]",
+    "minecraft:white_banner[rotation=9]",
+    "minecraft:white_banner[rotation=10]",
+    "minecraft:white_banner[rotation=11]",
+    "minecraft:white_banner[rotation=12]",
+    "minecraft:white_banner[rotation=13]",
+    "minecraft:white_banner[rotation=14]",
+    "minecraft:white_banner[rotation=15]"
+  ],
+  "177": [
+    "minecraft:white_wall_banner[facing=north]",
+    "minecraft:white_wall_banner[facing=north]",
+    "minecraft:white_wall_banner[facing=north]",
+    "minecraft:white_wall_banner[facing=south]",
+    "minecraft:white_wall_banner[facing=west]",
+    "minecraft:white_wall_banner[facing=east]"
+  ],
+  "178": [
+    "minecraft:daylight_detector[inverted=true,power=0]",
+    "minecraft:daylight_detector[inverted=true,power=1]",
+    "minecraft:daylight_detector[inverted=true,power=2]",
+    "minecraft:daylight_detector[inverted=true,power=3]",
+    "minecraft:daylight_detector[inverted=true,power=4]",
+    "minecraft:daylight_detector[inverted=true,power=5]",
+    "minecraft:daylight_detector[inverted=true,power=6]",
+    "minecraft:daylight_detector[inverted=true,power=7]",
+    "minecraft:daylight_detector[inverted=true,power=8]",
+    "minecraft:daylight_detector[inverted=true,power=9]",
+    "minecraft:daylight_detector[inverted=true,power=10]",
+    "minecraft:daylight_detector[inverted=true,power=11]",
+    "minecraft:daylight_detector[inverted=true,power=12]",
+    "minecraft:daylight_detector[inverted=true,power=13]",
+    "minecraft:daylight_detector[inverted=true,power=14]",
+    "minecraft:daylight_detector[inverted=true,power=15]"
+  ],
+  "179": [
+    "minecraft:red_sandstone",
+    "minecraft:chiseled_red_sandstone",
+    "minecraft:cut_red_sandstone"
+  ],
+  "180": [
+    "minecraft:red_sandstone_stairs[facing=east,half=bottom,shape=straight]",
+    "minecraft:red_sandstone_stairs[facing=west,half=bottom,shape=straight]",
+    "minecraft:red_sandstone_stairs[facing=south,half=bottom,shape=straight]",
+    "minecraft:red_sandstone_stairs[facing=north,half=bottom,shape=straight]",
+    "minecraft:red_sandstone_stairs[facing=east,half=top,shape=straight]",
+    "minecraft:red_sandstone_stairs[facing=west,half=top,shape=straight]",
+    "minecraft:red_sandstone_stairs[facing=south,half=top,shape=straight]",
+    "minecraft:red_sandstone_stairs[facing=north,half=top,shape=straight]"
+  ],
+  "181": [
+    "minecraft:red_sandstone_slab[type=double]",
+    "minecraft:red_sandstone_slab[type=double]",
+    "minecraft:red_sandstone_slab[type=double]",
+    "minecraft:red_sandstone_slab[type=double]",
+    "minecraft:red_sandstone_slab[type=double]",
+    "minecraft:red_sandstone_slab[type=double]",
+    "minecraft:red_sandstone_slab[type=double]",
+    "minecraft:red_sandstone_slab[type=double]",
+    "minecraft:smooth_red_sandstone"
+  ],
+  "182": [
+    "minecraft:red_sandstone_slab[type=bottom]",
+    "minecraft:red_sandstone_slab[type=bottom]",
+    "minecraft:red_sandstone_slab[type=bottom]",
+    "minecraft:red_sandstone_slab[type=bottom]",
+    "minecraft:red_sandstone_slab[type=bottom]",
+    "minecraft:red_sandstone_slab[type=bottom]",
+    "minecraft:red_sandstone_slab[type=bottom]",
+    "minecraft:red_sandstone_slab[type=bottom]",
+    "minecraft:red_sandstone_slab[type=top]",
+    "minecraft:red_sandstone_slab[type=top]",
+    "minecraft:red_sandstone_slab[type=top]",
+    "minecraft:red_sandstone_slab[type=top]",
+    "minecraft:red_sandstone_slab[type=top]",
+    "minecraft:red_sandstone_slab[type=top]",
+    "minecraft:red_sandstone_slab[type=top]",
+    "minecraft:red_sandstone_slab[type=top]"
+  ],
+  "183": [
+    "minecraft:spruce_fence_gate[facing=south,in_wall=false,open=false,powered=false]",
+    "minecraft:spruce_fence_gate[facing=west,in_wall=false,open=false,powered=false]",
+    "minecraft:spruce_fence_gate[facing=north,in_wall=false,open=false,powered=false]",
+    "minecraft:spruce_fence_gate[facing=east,in_wall=false,open=false,powered=false]",
+    "minecraft:spruce_fence_gate[facing=south,in_wall=false,open=true,powered=false]",
+    "minecraft:spruce_fence_gate[facing=west,in_wall=false,open=true,powered=false]",
+    "minecraft:spruce_fence_gate[facing=north,in_wall=false,open=true,powered=false]",
+    "minecraft:spruce_fence_gate[facing=east,in_wall=false,open=true,powered=false]",
+    "minecraft:spruce_fence_gate[facing=south,in_wall=false,open=false,powered=true]",
+    "minecraft:spruce_fence_gate[facing=west,in_wall=false,open=false,powered=true]",
+    "minecraft:spruce_fence_gate[facing=north,in_wall=false,open=false,powered=true]",
+    "minecraft:spruce_fence_gate[facing=east,in_wall=false,open=false,powered=true]",
+    "minecraft:spruce_fence_gate[facing=south,in_wall=false,open=true,powered=true]",
+    "minecraft:spruce_fence_gate[facing=west,in_wall=false,open=true,powered=true]",
+    "minecraft:spruce_fence_gate[facing=north,in_wall=false,open=true,powered=true]",
+    "minecraft:spruce_fence_gate[facing=east,in_wall=false,open=true,powered=true]"
+  ],
+  "184": [
+    "minecraft:birch_fence_gate[facing=south,in_wall=false,open=false,powered=false]",
+    "minecraft:birch_fence_gate[facing=west,in_wall=false,open=false,powered=false]",
+    "minecraft:birch_fence_gate[facing=north,in_wall=false,open=false,powered=false]",
+    "minecraft:birch_fence_gate[facing=east,in_wall=false,open=false,powered=false]",
+    "minecraft:birch_fence_gate[facing=south,in_wall=false,open=true,powered=false]",
+    "minecraft:birch_fence_gate[facing=west,in_wall=false,open=true,powered=false]",
+    "minecraft:birch_fence_gate[facing=north,in_wall=false,open=true,powered=false]",
+    "minecraft:birch_fence_gate[facing=east,in_wall=false,open=true,powered=false]",
+    "minecraft:birch_fence_gate[facing=south,in_wall=false,open=false,powered=true]",
+    "minecraft:birch_fence_gate[facing=west,in_wall=false,open=false,powered=true]",
+    "minecraft:birch_fence_gate[facing=north,in_wall=false,open=false,powered=true]",
+    "minecraft:birch_fence_gate[facing=east,in_wall=false,open=false,powered=true]",
+    "minecraft:birch_fence_gate[facing=south,in_wall=false,open=true,powered=true]",
+    "minecraft:birch_fence_gate[facing=west,in_wall=false,open=true,powered=true]",
+    "minecraft:birch_fence_gate[facing=north,in_wall=false,open=true,powered=true]",
+    "minecraft:birch_fence_gate[facing=east,in_wall=false,open=true,powered=true]"
+  ],
+  "185": [
+    "minecraft:jungle_fence_gate[facing=south,in_wall=false,open=false,powered=false]",
+    "minecraft:jungle_fence_gate[facing=west,in_wall=false,open=false,powered=false]",
+    "minecraft:jungle_fence_gate[facing=north,in_wall=false,open=false,powered=false]",
+    "minecraft:jungle_fence_gate[facing=east,in_wall=false,open=false,powered=false]",
+    "minecraft:jungle_fence_gate[facing=south,in_wall=false,open=true,powered=false]",
+    "minecraft:jungle_fence_gate[facing=west,in_wall=false,open=true,powered=false]",
+    "minecraft:jungle_fence_gate[facing=north,in_wall=false,open=true,powered=false]",
+    "minecraft:jungle_fence_gate[facing=east,in_wall=false,open=true,powered=false]",
+    "minecraft:jungle_fence_gate[facing=south,in_wall=false,open=false,powered=true]",
+    "minecraft:jungle_fence_gate[facing=west,in_wall=false,open=false,powered=true]",
+    "minecraft:jungle_fence_gate[facing=north,in_wall=false,open=false,powered=true]",
+    "minecraft:jungle_fence_gate[facing=east,in_wall=false,open=false,powered=true]",
+    "minecraft:jungle_fence_gate[facing=south,in_wall=false,open=true,powered=true]",
+    "minecraft:jungle_fence_gate[facing=west,in_wall=false,open=true,powered=true]",
+    "minecraft:jungle_fence_gate[facing=north,in_wall=false,open=true,powered=true]",
+    "minecraft:jungle_fence_gate[facing=east,in_wall=false,open=true,powered=true]"
+  ],
+  "186": [
+    "minecraft:dark_oak_fence_gate[facing=south,in_wall=false,open=false,powered=false]",
+    "minecraft:dark_oak_fence_gate[facing=west,in_wall=false,open=false,powered=false]",
+    "minecraft:dark_oak_fence_gate[facing=north,in_wall=false,open=false,powered=false]",
+    "minecraft:dark_oak_fence_gate[facing=east,in_wall=false,open=false,powered=false]",
+    "minecraft:dark_oak_fence_gate[facing=south,in_wall=false,open=true,powered=false]",
+    "minecraft:dark_oak_fence_gate[facing=west,in_wall=false,open=true,powered=false]",
+    "minecraft:dark_oak_fence_gate[facing=north,in_wall=false,open=true,powered=false]",
+    "minecraft:dark_oak_fence_gate[facing=east,in_wall=false,open=true,powered=false]",
+    "minecraft:dark_oak_fence_gate[facing=south,in_wall=false,open=false,powered=true]",
+    "minecraft:dark_oak_fence_gate[facing=west,in_wall=false,open=false,powered=true]",
+    "minecraft:dark_oak_fence_gate[facing=north,in_wall=false,open=false,powered=true]",
+    "minecraft:dark_oak_fence_gate[facing=east,in_wall=false,open=false,powered=true]",
+    "minecraft:dark_oak_fence_gate[facing=south,in_wall=false,open=true,powered=true]",
+    "minecraft:dark_oak_fence_gate[facing=west,in_wall=false,open=true,powered=true]",
+    "minecraft:dark_oak_fence_gate[facing=north,in_wall=false,open=true,powered=true]",
+    "minecraft:dark_oak_fence_gate[facing=east,in_wall=false,open=true,powered=true]"
+  ],
+  "187": [
+    "minecraft:acacia_fence_gate[facing=south,in_wall=false,open=false,powered=false]",
+    "minecraft:acacia_fence_gate[facing=west,in_wall=false,open=false,powered=false]",
+    "minecraft:acacia_fence_gate[facing=north,in_wall=false,open=false,powered=false]",
+    "minecraft:acacia_fence_gate[facing=east,in_wall=false,open=false,powered=false]",
+    "minecraft:acacia_fence_gate[facing=south,in_wall=false,open=true,powered=false]",
+    "minecraft:acacia_fence_gate[facing=west,in_wall=false,open=true,powered=false]",
+    "minecraft:acacia_fence_gate[facing=north,in_wall=false,open=true,powered=false]",
+    "minecraft:acacia_fence_gate[facing=east,in_wall=false,open=true,powered=false]",
+    "minecraft:acacia_fence_gate[facing=south,in_wall=false,open=false,powered=true]",
+    "minecraft:acacia_fence_gate[facing=west,in_wall=false,open=false,powered=true]",
+    "minecraft:acacia_fence_gate[facing=north,in_wall=false,open=false,powered=true]",
+    "minecraft:acacia_fence_gate[facing=east,in_wall=false,open=false,powered=true]",
+    "minecraft:acacia_fence_gate[facing=south,in_wall=false,open=true,powered=true]",
+    "minecraft:acacia_fence_gate[facing=west,in_wall=false,open=true,powered=true]",
+    "minecraft:acacia_fence_gate[facing=north,in_wall=false,open=true,powered=true]",
+    "minecraft:acacia_fence_gate[facing=east,in_wall=false,open=true,powered=true]"
+  ],
+  "188": [
+    "minecraft:spruce_fence"
+  ],
+  "189": [
+    "minecraft:birch_fence"
+  ],
+  "190": [
+    "minecraft:jungle_fence"
+  ],
+  "191": [
+    "minecraft:dark_oak_fence"
+  ],
+  "192": [
+    "minecraft:acacia_fence"
+  ],
+  "193": [
+    "minecraft:spruce_door[facing=east,half=lower,open=false]",
+    "minecraft:spruce_door[facing=south,half=lower,open=false]",
+    "minecraft:spruce_door[facing=west,half=lower,open=false]",
+    "minecraft:spruce_door[facing=north,half=lower,open=false]",
+    "minecraft:spruce_door[facing=east,half=lower,open=true]",
+    "minecraft:spruce_door[facing=south,half=lower,open=true]",
+    "minecraft:spruce_door[facing=west,half=lower,open=true]",
+    "minecraft:spruce_door[facing=north,half=lower,open=true]",
+    "minecraft:spruce_door[half=upper,hinge=left,powered=false]",
+    "minecraft:spruce_door[half=upper,hinge=right,powered=false]",
+    "minecraft:spruce_door[half=upper,hinge=left,powered=true]",
+    "minecraft:spruce_door[half=upper,hinge=right,powered=true]",
+    "minecraft:spruce_door[half=upper,hinge=left,powered=false]",
+    "minecraft:spruce_door[half=upper,hinge=right,powered=false]",
+    "minecraft:spruce_door[half=upper,hinge=left,powered=true]",
+    "minecraft:spruce_door[half=upper,hinge=right,powered=true]"
+  ],
+  "194": [
+    "minecraft:birch_door[facing=east,half=lower,open=false]",
+    "minecraft:birch_door[facing=south,half=lower,open=false]",
+    "minecraft:birch_door[facing=west,half=lower,open=false]",
+    "minecraft:birch_door[facing=north,half=lower,open=false]",
+    "minecraft:birch_door[facing=east,half=lower,open=true]",
+    "minecraft:birch_door[facing=south,half=lower,open=true]",
+    "minecraft:birch_door[facing=west,half=lower,open=true]",
+    "minecraft:birch_door[facing=north,half=lower,open=true]",
+    "minecraft:birch_door[half=upper,hinge=left,powered=false]",
+    "minecraft:birch_door[half=upper,hinge=right,powered=false]",
+    "minecraft:birch_door[half=upper,hinge=left,powered=true]",
+    "minecraft:birch_door[half=upper,hinge=right,powered=true]",
+    "minecraft:birch_door[half=upper,hinge=left,powered=false]",
+    "minecraft:birch_door[half=upper,hinge=right,powered=false]",
+    "minecraft:birch_door[half=upper,hinge=left,powered=true]",
+    "minecraft:birch_door[half=upper,hinge=right,powered=true]"
+  ],
+  "195": [
+    "minecraft:jungle_door[facing=east,half=lower,open=false]",
+    "minecraft:jungle_door[facing=south,half=lower,open=false]",
+    "minecraft:jungle_door[facing=west,half=lower,open=false]",
+    "minecraft:jungle_door[facing=north,half=lower,open=false]",
+    "minecraft:jungle_door[facing=east,half=lower,open=true]",
+    "minecraft:jungle_door[facing=south,half=lower,open=true]",
+    "minecraft:jungle_door[facing=west,half=lower,open=true]",
+    "minecraft:jungle_door[facing=north,half=lower,open=true]",
+    "minecraft:jungle_door[half=upper,hinge=left,powered=false]",
+    "minecraft:jungle_door[half=upper,hinge=right,powered=false]",
+    "minecraft:jungle_door[half=upper,hinge=left,powered=true]",
+    "minecraft:jungle_door[half=upper,hinge=right,powered=true]",
+    "minecraft:jungle_door[half=upper,hinge=left,powered=false]",
+    "minecraft:jungle_door[half=upper,hinge=right,powered=false]",
+    "minecraft:jungle_door[half=upper,hinge=left,powered=true]",
+    "minecraft:jungle_door[half=upper,hinge=right,powered=true]"
+  ],
+  "196": [
+    "minecraft:acacia_door[facing=east,half=lower,open=false]",
+    "minecraft:acacia_door[facing=south,half=lower,open=false]",
+    "minecraft:acacia_door[facing=west,half=lower,open=false]",
+    "minecraft:acacia_door[facing=north,half=lower,open=false]",
+    "minecraft:acacia_door[facing=east,half=lower,open=true]",
+    "minecraft:acacia_door[facing=south,half=lower,open=true]",
+    "minecraft:acacia_door[facing=west,half=lower,open=true]",
+    "minecraft:acacia_door[facing=north,half=lower,open=true]",
+    "minecraft:acacia_door[half=upper,hinge=left,powered=false]",
+    "minecraft:acacia_door[half=upper,hinge=right,powered=false]",
+    "minecraft:acacia_door[half=upper,hinge=left,powered=true]",
+    "minecraft:acacia_door[half=upper,hinge=right,powered=true]",
+    "minecraft:acacia_door[half=upper,hinge=left,powered=false]",
+    "minecraft:acacia_door[half=upper,hinge=right,powered=false]",
+    "minecraft:acacia_door[half=upper,hinge=left,powered=true]",
+    "minecraft:acacia_door[half=upper,hinge=right,powered=true]"
+  ],
+  "197": [
+    "minecraft:dark_oak_door[facing=east,half=lower,open=false]",
+    "minecraft:dark_oak_door[facing=south,half=lower,open=false]",
+    "minecraft:dark_oak_door[facing=west,half=lower,open=false]",
+    "minecraft:dark_oak_door[facing=north,half=lower,open=false]",
+    "minecraft:dark_oak_door[facing=east,half=lower,open=true]",
+    "minecraft:dark_oak_door[facing=south,half=lower,open=true]",
+    "minecraft:dark_oak_door[facing=west,half=lower,open=true]",
+    "minecraft:dark_oak_door[facing=north,half=lower,open=true]",
+    "minecraft:dark_oak_door[half=upper,hinge=left,powered=false]",
+    "minecraft:dark_oak_door[half=upper,hinge=right,powered=false]",
+    "minecraft:dark_oak_door[half=upper,hinge=left,powered=true]",
+    "minecraft:dark_oak_door[half=upper,hinge=right,powered=true]",
+    "minecraft:dark_oak_door[half=upper,hinge=left,powered=false]",
+    "minecraft:dark_oak_door[half=upper,hinge=right,powered=false]",
+    "minecraft:dark_oak_door[half=upper,hinge=left,powered=true]",
+    "minecraft:dark_oak_door[half=upper,hinge=right,powered=true]"
+  ],
+  "198": [
+    "minecraft:end_rod[facing=down]",
+    "minecraft:end_rod[facing=up]",
+    "minecraft:end_rod[facing=north]",
+    "minecraft:end_rod[facing=south]",
+    "minecraft:end_rod[facing=west]",
+    "minecraft:end_rod[facing=east]"
+  ],
+  "199": [
+    "minecraft:chorus_plant"
+  ],
+  "200": [
+    "minecraft:chorus_flower[age=0]",
+    "minecraft:chorus_flower[age=1]",
+    "minecraft:chorus_flower[age=2]",
+    "minecraft:chorus_flower[age=3]",
+    "minecraft:chorus_flower[age=4]",
+    "minecraft:chorus_flower[age=5]"
+  ],
+  "201": [
+    "minecraft:purpur_block"
+  ],
+  "202": [
+    "minecraft:purpur_pillar[axis=y]",
+    "minecraft:purpur_pillar[axis=y]",
+    "minecraft:purpur_pillar[axis=y]",
+    "minecraft:purpur_pillar[axis=y]",
+    "minecraft:purpur_pillar[axis=x]",
+    "minecraft:purpur_pillar[axis=x]",
+    "minecraft:purpur_pillar[axis=x]",
+    "minecraft:purpur_pillar[axis=x]",
+    "minecraft:purpur_pillar[axis=z]",
+    "minecraft:purpur_pillar[axis=z]",
+    "minecraft:purpur_pillar[axis=z]",
+    "minecraft:purpur_pillar[axis=z]"
+  ],
+  "203": [
+    "minecraft:purpur_stairs[facing=east,half=bottom,shape=straight]",
+    "minecraft:purpur_stairs[facing=west,half=bottom,shape=straight]",
+    "minecraft:purpur_stairs[facing=south,half=bottom,shape=straight]",
+    "minecraft:purpur_stairs[facing=north,half=bottom,shape=straight]",
+    "minecraft:purpur_stairs[facing=east,half=top,shape=straight]",
+    "minecraft:purpur_stairs[facing=west,half=top,shape=straight]",
+    "minecraft:purpur_stairs[facing=south,half=top,shape=straight]",
+    "minecraft:purpur_stairs[facing=north,half=top,shape=straight]"
+  ],
+  "204": [
+    "minecraft:purpur_slab[type=double]"
+  ],
+  "205": [
+    "minecraft:purpur_slab[type=bottom]",
+    "minecraft:purpur_slab[type=bottom]",
+    "minecraft:purpur_slab[type=bottom]",
+    "minecraft:purpur_slab[type=bottom]",
+    "minecraft:purpur_slab[type=bottom]",
+    "minecraft:purpur_slab[type=bottom]",
+    "minecraft:purpur_slab[type=bottom]",
+    "minecraft:purpur_slab[type=bottom]",
+    "minecraft:purpur_slab[type=top]",
+    "minecraft:purpur_slab[type=top]",
+    "minecraft:purpur_slab[type=top]",
+    "minecraft:purpur_slab[type=top]",
+    "minecraft:purpur_slab[type=top]",
+    "minecraft:purpur_slab[type=top]",
+    "minecraft:purpur_slab[type=top]",
+    "minecraft:purpur_slab[type=top]"
+  ],
+  "206": [
+    "minecraft:end_stone_bricks"
+  ],
+  "207": [
+    "minecraft:beetroots[age=0]",
+    "minecraft:beetroots[age=1]",
+    "minecraft:beetroots[age=2]",
+    "minecraft:beetroots[age=3]"
+  ],
+  "208": [
+    "minecraft:dirt_path"
+  ],
+  "209": [
+    "minecraft:end_gateway"
+  ],
+  "210": [
+    "minecraft:repeating_command_block[conditional=false,facing=down]",
+    "minecraft:repeating_command_block[conditional=false,facing=up]",
+    "minecraft:repeating_command_block[conditional=false,facing=north]",
+    "minecraft:repeating_command_block[conditional=false,facing=south]",
+    "minecraft:repeating_command_block[conditional=false,facing=west]",
+    "minecraft:repeating_command_block[conditional=false,facing=east]",
+    "minecraft:repeating_command_block[conditional=false,facing=down]",
+    "minecraft:repeating_command_block[conditional=false,facing=up]",
+    "minecraft:repeating_command_block[conditional=true,facing=down]",
+    "minecraft:repeating_command_block[conditional=true,facing=up]",
+    "minecraft:repeating_command_block[conditional=true,facing=north]",
+    "minecraft:repeating_command_block[conditional=true,facing=south]",
+    "minecraft:repeating_command_block[conditional=true,facing=west]",
+    "minecraft:repeating_command_block[conditional=true,facing=east]",
+    "minecraft:repeating_command_block[conditional=true,facing=down]",
+    "minecraft:repeating_command_block[conditional=true,facing=up]"
+  ],
+  "211": [
+    "minecraft:chain_command_block[conditional=false,facing=down]",
+    "minecraft:chain_command_block[conditional=false,facing=up]",
+    "minecraft:chain_command_block[conditional=false,facing=north]",
+    "minecraft:chain_command_block[conditional=false,facing=south]",
+    "minecraft:chain_command_block[conditional=false,facing=west]",
+    "minecraft:chain_command_block[conditional=false,facing=east]",
+    "minecraft:chain_command_block[conditional=false,facing=down]",
+    "minecraft:chain_command_block[conditional=false,facing=up]",
+    "minecraft:chain_command_block[conditional=true,facing=down]",
+    "minecraft:chain_command_block[conditional=true,facing=up]",
+    "minecraft:chain_command_block[conditional=true,facing=north]",
+    "minecraft:chain_command_block[conditional=true,facing=south]",
+    "minecraft:chain_command_block[conditional=true,facing=west]",
+    "minecraft:chain_command_block[conditional=true,facing=east]",
+    "minecraft:chain_command_block[conditional=true,facing=down]",
+    "minecraft:chain_command_block[conditional=true,facing=up]"
+  ],
+  "212": [
+    "minecraft:frosted_ice[age=0]",
+    "minecraft:frosted_ice[age=1]",
+    "minecraft:frosted_ice[age=2]",
+    "minecraft:frosted_ice[age=3]"
+  ],
+  "213": [
+    "minecraft:magma_block"
+  ],
+  "214": [
+    "minecraft:nether_wart_block"
+  ],
+  "215": [
+    "minecraft:red_nether_bricks"
+  ],
+  "216": [
+    "minecraft:bone_block[axis=y]",
+    "minecraft:bone_block[axis=y]",
+    "minecraft:bone_block[axis=y]",
+    "minecraft:bone_block[axis=y]",
+    "minecraft:bone_block[axis=x]",
+    "minecraft:bone_block[axis=x]",
+    "minecraft:bone_block[axis=x]",
+    "minecraft:bone_block[axis=x]",
+    "minecraft:bone_block[axis=z]",
+    "minecraft:bone_block[axis=z]",
+    "minecraft:bone_block[axis=z]",
+    "minecraft:bone_block[axis=z]"
+  ],
+  "217": [
+    "minecraft:structure_void"
+  ],
+  "218": [
+    "minecraft:observer[facing=down,powered=false]",
+    "minecraft:observer[facing=up,powered=false]",
+    "minecraft:observer[facing=north,powered=false]",
+    "minecraft:observer[facing=south,powered=false]",
+    "minecraft:observer[facing=west,powered=false]",
+    "minecraft:observer[facing=east,powered=false]",
+    "minecraft:observer[facing=down,powered=false]",
+    "minecraft:observer[facing=up,powered=false]",
+    "minecraft:observer[facing=down,powered=true]",
+    "minecraft:observer[facing=up,powered=true]",
+    "minecraft:observer[facing=north,powered=true]",
+    "minecraft:observer[facing=south,powered=true]",
+    "minecraft:observer[facing=west,powered=true]",
+    "minecraft:observer[facing=east,powered=true]",
+    "minecraft:observer[facing=down,powered=true]",
+    "minecraft:observer[facing=up,powered=true]"
+  ],
+  "219": [
+    "minecraft:white_shulker_box[facing=down]",
+    "minecraft:white_shulker_box[facing=up]",
+    "minecraft:white_shulker_box[facing=north]",
+    "minecraft:white_shulker_box[facing=south]",
+    "minecraft:white_shulker_box[facing=west]",
+    "minecraft:white_shulker_box[facing=east]"
+  ],
+  "220": [
+    "minecraft:orange_shulker_box[facing=down]",
+    "minecraft:orange_shulker_box[facing=up]",
+    "minecraft:orange_shulker_box[facing=north]",
+    "minecraft:orange_shulker_box[facing=south]",
+    "minecraft:orange_shulker_box[facing=west]",
+    "minecraft:orange_shulker_box[facing=east]"
+  ],
+  "221": [
+    "minecraft:magenta_shulker_box[facing=down]",
+    "minecraft:magenta_shulker_box[facing=up]",
+    "minecraft:magenta_shulker_box[facing=north]",
+    "minecraft:magenta_shulker_box[facing=south]",
+    "minecraft:magenta_shulker_box[facing=west]",
+    "minecraft:magenta_shulker_box[facing=east]"
+  ],
+  "222": [
+    "minecraft:light_blue_shulker_box[facing=down]",
+    "minecraft:light_blue_shulker_box[facing=up]",
+    "minecraft:light_blue_shulker_box[facing=north]",
+    "minecraft:light_blue_shulker_box[facing=south]",
+    "minecraft:light_blue_shulker_box[facing=west]",
+    "minecraft:light_blue_shulker_box[facing=east]"
+  ],
+  "223": [
+    "minecraft:yellow_shulker_box[facing=down]",
+    "minecraft:yellow_shulker_box[facing=up]",
+    "minecraft:yellow_shulker_box[facing=north]",
+    "minecraft:yellow_shulker_box[facing=south]",
+    "minecraft:yellow_shulker_box[facing=west]",
+    "minecraft:yellow_shulker_box[facing=east]"
+  ],
+  "224": [
+    "minecraft:lime_shulker_box[facing=down]",
+    "minecraft:lime_shulker_box[facing=up]",
+    "minecraft:lime_shulker_box[facing=north]",
+    "minecraft:lime_shulker_box[facing=south]",
+    "minecraft:lime_shulker_box[facing=west]",
+    "minecraft:lime_shulker_box[facing=east]"
+  ],
+  "225": [
+    "minecraft:pink_shulker_box[facing=down]",
+    "minecraft:pink_shulker_box[facing=up]",
+    "minecraft:pink_shulker_box[facing=north]",
+    "minecraft:pink_shulker_box[facing=south]",
+    "minecraft:pink_shulker_box[facing=west]",
+    "minecraft:pink_shulker_box[facing=east]"
+  ],
+  "226": [
+    "minecraft:gray_shulker_box[facing=down]",
+    "minecraft:gray_shulker_box[facing=up]",
+    "minecraft:gray_shulker_box[facing=north]",
+    "minecraft:gray_shulker_box[facing=south]",
+    "minecraft:gray_shulker_box[facing=west]",
+    "minecraft:gray_shulker_box[facing=east]"
+  ],
+  "227": [
+    "minecraft:light_gray_shulker_box[facing=down]",
+    "minecraft:light_gray_shulker_box[facing=up]",
+    "minecraft:light_gray_shulker_box[facing=north]",
+    "minecraft:light_gray_shulker_box[facing=south]",
+    "minecraft:light_gray_shulker_box[facing=west]",
+    "minecraft:light_gray_shulker_box[facing=east]"
+  ],
+  "228": [
+    "minecraft:cyan_shulker_box[facing=down]",
+    "minecraft:cyan_shulker_box[facing=up]",
+    "minecraft:cyan_shulker_box[facing=north]",
+    "minecraft:cyan_shulker_box[facing=south]",
+    "minecraft:cyan_shulker_box[facing=west]",
+    "minecraft:cyan_shulker_box[facing=east]"
+  ],
+  "229": [
+    "minecraft:purple_shulker_box[facing=down]",
+    "minecraft:purple_shulker_box[facing=up]",
+    "minecraft:purple_shulker_box[facing=north]",
+    "minecraft:purple_shulker_box[facing=south]",
+    "minecraft:purple_shulker_box[facing=west]",
+    "minecraft:purple_shulker_box[facing=east]"
+  ],
+  "230": [
+    "minecraft:blue_shulker_box[facing=down]",
+    "minecraft:blue_shulker_box[facing=up]",
+    "minecraft:blue_shulker_box[facing=north]",
+    "minecraft:blue_shulker_box[facing=south]",
+    "minecraft:blue_shulker_box[facing=west]",
+    "minecraft:blue_shulker_box[facing=east]"
+  ],
+  "231": [
+    "minecraft:brown_shulker_box[facing=down]",
+    "minecraft:brown_shulker_box[facing=up]",
+    "minecraft:brown_shulker_box[facing=north]",
+    "minecraft:brown_shulker_box[facing=south]",
+    "minecraft:brown_shulker_box[facing=west]",
+    "minecraft:brown_shulker_box[facing=east]"
+  ],
+  "232": [
+    "minecraft:green_shulker_box[facing=down]",
+    "minecraft:green_shulker_box[facing=up]",
+    "minecraft:green_shulker_box[facing=north]",
+    "minecraft:green_shulker_box[facing=south]",
+    "minecraft:green_shulker_box[facing=west]",
+    "minecraft:green_shulker_box[facing=east]"
+  ],
+  "233": [
+    "minecraft:red_shulker_box[facing=down]",
+    "minecraft:red_shulker_box[facing=up]",
+    "minecraft:red_shulker_box[facing=north]",
+    "minecraft:red_shulker_box[facing=south]",
+    "minecraft:red_shulker_box[facing=west]",
+    "minecraft:red_shulker_box[facing=east]"
+  ],
+  "234": [
+    "minecraft:black_shulker_box[facing=down]",
+    "minecraft:black_shulker_box[facing=up]",
+    "minecraft:black_shulker_box[facing=north]",
+    "minecraft:black_shulker_box[facing=south]",
+    "minecraft:black_shulker_box[facing=west]",
+    "minecraft:black_shulker_box[facing=east]"
+  ],
+  "235": [
+    "minecraft:white_glazed_terracotta[facing=south]",
+    "minecraft:white_glazed_terracotta[facing=west]",
+    "minecraft:white_glazed_terracotta[facing=north]",
+    "minecraft:white_glazed_terracotta[facing=east]"
+  ],
+  "236": [
+    "minecraft:orange_glazed_terracotta[facing=south]",
+    "minecraft:orange_glazed_terracotta[facing=west]",
+    "minecraft:orange_glazed_terracotta[facing=north]",
+    "minecraft:orange_glazed_terracotta[facing=east]"
+  ],
+  "237": [
+    "minecraft:magenta_glazed_terracotta[facing=south]",
+    "minecraft:magenta_glazed_terracotta[facing=west]",
+    "minecraft:magenta_glazed_terracotta[facing=north]",
+    "minecraft:magenta_glazed_terracotta[facing=east]"
+  ],
+  "238": [
+    "minecraft:light_blue_glazed_terracotta[facing=south]",
+    "minecraft:light_blue_glazed_terracotta[facing=west]",
+    "minecraft:light_blue_glazed_terracotta[facing=north]",
+    "minecraft:light_blue_glazed_terracotta[facing=east]"
+  ],
+  "239": [
+    "minecraft:yellow_glazed_terracotta[facing=south]",
+    "minecraft:yellow_glazed_terracotta[facing=west]",
+    "minecraft:yellow_glazed_terracotta[facing=north]",
+    "minecraft:yellow_glazed_terracotta[facing=east]"
+  ],
+  "240": [
+    "minecraft:lime_glazed_terracotta[facing=south]",
+    "minecraft:lime_glazed_terracotta[facing=west]",
+    "minecraft:lime_glazed_terracotta[facing=north]",
+    "minecraft:lime_glazed_terracotta[facing=east]"
+  ],
+  "241": [
+    "minecraft:pink_glazed_terracotta[facing=south]",
+    "minecraft:pink_glazed_terracotta[facing=west]",
+    "minecraft:pink_glazed_terracotta[facing=north]",
+    "minecraft:pink_glazed_terracotta[facing=east]"
+  ],
+  "242": [
+    "minecraft:gray_glazed_terracotta[facing=south]",
+    "minecraft:gray_glazed_terracotta[facing=west]",
+    "minecraft:gray_glazed_terracotta[facing=north]",
+    "minecraft:gray_glazed_terracotta[facing=east]"
+  ],
+  "243": [
+    "minecraft:light_gray_glazed_terracotta[facing=south]",
+    "minecraft:light_gray_glazed_terracotta[facing=west]",
+    "minecraft:light_gray_glazed_terracotta[facing=north]",
+    "minecraft:light_gray_glazed_terracotta[facing=east]"
+  ],
+  "244": [
+    "minecraft:cyan_glazed_terracotta[facing=south]",
+    "minecraft:cyan_glazed_terracotta[facing=west]",
+    "minecraft:cyan_glazed_terracotta[facing=north]",
+    "minecraft:cyan_glazed_terracotta[facing=east]"
+  ],
+  "245": [
+    "minecraft:purple_glazed_terracotta[facing=south]",
+    "minecraft:purple_glazed_terracotta[facing=west]",
+    "minecraft:purple_glazed_terracotta[facing=north]",
+    "minecraft:purple_glazed_terracotta[facing=east]"
+  ],
+  "246": [
+    "minecraft:blue_glazed_terracotta[facing=south]",
+    "minecraft:blue_glazed_terracotta[facing=west]",
+    "minecraft:blue_glazed_terracotta[facing=north]",
+    "minecraft:blue_glazed_terracotta[facing=east]"
+  ],
+  "247": [
+    "minecraft:brown_glazed_terracotta[facing=south]",
+    "minecraft:brown_glazed_terracotta[facing=west]",
+    "minecraft:brown_glazed_terracotta[facing=north]",
+    "minecraft:brown_glazed_terracotta[facing=east]"
+  ],
+  "248": [
+    "minecraft:green_glazed_terracotta[facing=south]",
+    "minecraft:green_glazed_terracotta[facing=west]",
+    "minecraft:green_glazed_terracotta[facing=north]",
+    "minecraft:green_glazed_terracotta[facing=east]"
+  ],
+  "249": [
+    "minecraft:red_glazed_terracotta[facing=south]",
+    "minecraft:red_glazed_terracotta[facing=west]",
+    "minecraft:red_glazed_terracotta[facing=north]",
+    "minecraft:red_glazed_terracotta[facing=east]"
+  ],
+  "250": [
+    "minecraft:black_glazed_terracotta[facing=south]",
+    "minecraft:black_glazed_terracotta[facing=west]",
+    "minecraft:black_glazed_terracotta[facing=north]",
+    "minecraft:black_glazed_terracotta[facing=east]"
+  ],
+  "251": [
+    "minecraft:white_concrete",
+    "minecraft:orange_concrete",
+    "minecraft:magenta_concrete",
+    "minecraft:light_blue_concrete",
+    "minecraft:yellow_concrete",
+    "minecraft:lime_concrete",
+    "minecraft:pink_concrete",
+    "minecraft:gray_concrete",
+    "minecraft:light_gray_concrete",
+    "minecraft:cyan_concrete",
+    "minecraft:purple_concrete",
+    "minecraft:blue_concrete",
+    "minecraft:brown_concrete",
+    "minecraft:green_concrete",
+    "minecraft:red_concrete",
+    "minecraft:black_concrete"
+  ],
+  "252": [
+    "minecraft:white_concrete_powder",
+    "minecraft:orange_concrete_powder",
+    "minecraft:magenta_concrete_powder",
+    "minecraft:light_blue_concrete_powder",
+    "minecraft:yellow_concrete_powder",
+    "minecraft:lime_concrete_powder",
+    "minecraft:pink_concrete_powder",
+    "minecraft:gray_concrete_powder",
+    "minecraft:light_gray_concrete_powder",
+    "minecraft:cyan_concrete_powder",
+    "minecraft:purple_concrete_powder",
+    "minecraft:blue_concrete_powder",
+    "minecraft:brown_concrete_powder",
+    "minecraft:green_concrete_powder",
+    "minecraft:red_concrete_powder",
+    "minecraft:black_concrete_powder"
+  ],
+  "255": [
+    "minecraft:structure_block[mode=save]",
+    "minecraft:structure_block[mode=load]",
+    "minecraft:structure_block[mode=corner]",
+    "minecraft:structure_block[mode=data]"
+  ]
+};
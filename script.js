@@ -1,8 +1,19 @@
 // ========================================================================== //
-//                              NBT Helper Section                            //
+//                              NBT Codec                                     //
 // ========================================================================== //
-
-// NBT Tag Type Constants (Used by Commands to Structure & Schem to Commands)
+// Every tool reads and writes NBT through readNbt/writeNbt. Java files are big-endian and usually
+// gzipped; Bedrock .mcstructure files are little-endian and uncompressed. Both are detected on read.
+//
+// Typed tags keep the exact tag types, so a file read and written again is byte-for-byte identical:
+//   { type: TAG_BYTE|TAG_SHORT|TAG_INT|TAG_FLOAT|TAG_DOUBLE, value: number }
+//   { type: TAG_LONG, value: BigInt }            { type: TAG_STRING, value: string }
+//   { type: TAG_BYTE_ARRAY, value: number[] }    (signed bytes)
+//   { type: TAG_INT_ARRAY, value: number[] }     { type: TAG_LONG_ARRAY, value: BigInt[] }
+//   { type: TAG_LIST, listType: TAG_*, value: [typed tags] }
+//   { type: TAG_COMPOUND, value: Map { name => typed tag } }   (entries in file order)
+// nbtToPlain/plainToNbt convert to and from plain JS values for code that doesn't care about types.
+
+// NBT Tag Type Constants
 const TAG_END = 0;
 const TAG_BYTE = 1;
 const TAG_SHORT = 2;
@@ -17,315 +28,576 @@ const TAG_COMPOUND = 10;
 const TAG_INT_ARRAY = 11;
 const TAG_LONG_ARRAY = 12;
 
-// --- NBT Writing Helpers (from commands_to_struture.js) ---
-// Note: These rely on a global 'nbtWriterCurrentOffset' managed during buffer creation.
-let nbtWriterCurrentOffset = 0; // Specific offset for the writer
+const NBT_TAG_TYPE_NAMES = ['End', 'Byte', 'Short', 'Int', 'Long', 'Float', 'Double', 'Byte Array', 'String', 'List', 'Compound', 'Int Array', 'Long Array'];
 
-function writeByte(buffer, offset, value) {
-    buffer.setInt8(offset, value);
-    return offset + 1;
-}
+const NBT_ARRAY_ELEMENT_TYPES = { [TAG_BYTE_ARRAY]: TAG_BYTE, [TAG_INT_ARRAY]: TAG_INT, [TAG_LONG_ARRAY]: TAG_LONG };
 
-function writeUnsignedShort(buffer, offset, value) {
-    buffer.setUint16(offset, value, true); // true for little-endian
-    return offset + 2;
-}
+const NBT_INTEGER_RANGES = {
+    [TAG_BYTE]: [-128n, 127n],
+    [TAG_SHORT]: [-32768n, 32767n],
+    [TAG_INT]: [-2147483648n, 2147483647n],
+    [TAG_LONG]: [-(2n ** 63n), 2n ** 63n - 1n]
+};
 
-function writeInt(buffer, offset, value) {
-    buffer.setInt32(offset, value, true); // true for little-endian
-    return offset + 4;
-}
+const NBT_COMPRESSIONS = ['none', 'gzip', 'zlib'];
 
-function writeStringPayload(buffer, offset, text) {
-    if (text === null || text === undefined) text = "";
-    const encoder = new TextEncoder();
-    const utf8Bytes = encoder.encode(text);
-    offset = writeUnsignedShort(buffer, offset, utf8Bytes.length);
-    for (let i = 0; i < utf8Bytes.length; i++) {
-        buffer.setUint8(offset + i, utf8Bytes[i]);
-    }
-    return offset + utf8Bytes.length;
+function detectNbtCompression(bytes) {
+    if (bytes.length >= 2 && bytes[0] === 0x1f && bytes[1] === 0x8b) return 'gzip';
+    // zlib: deflate method in the low nibble and a header checksum divisible by 31.
+    if (bytes.length >= 2 && (bytes[0] & 0x0f) === 8 && ((bytes[0] << 8) | bytes[1]) % 31 === 0) return 'zlib';
+    return 'none';
 }
 
-function getNbtType(value) {
-    if (typeof value === "boolean") return TAG_BYTE;
-    if (typeof value === "number") {
-        if (Number.isInteger(value)) return TAG_INT;
-        return TAG_FLOAT; // Using Float for non-integers
-    }
-    if (typeof value === "string") return TAG_STRING;
-    if (Array.isArray(value)) return TAG_LIST;
-    if (typeof value === "object" && value !== null) return TAG_COMPOUND;
-    throw new TypeError(`Unsupported JavaScript type for NBT conversion: ${typeof value}`);
+/**
+ * @param {ArrayBuffer|Uint8Array} data
+ * @returns {{bytes: Uint8Array, compression: string}}
+ */
+function decompressNbt(data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    const compression = detectNbtCompression(bytes);
+    if (compression === 'none') return { bytes, compression };
+    if (typeof pako === 'undefined') throw new Error("Pako.js is not loaded.");
+    return { bytes: pako.inflate(bytes), compression };
 }
 
-function writeTagNonRecursive(buffer, name, value) {
-    try {
-        // Write tag type
-        nbtWriterCurrentOffset = writeByte(buffer, nbtWriterCurrentOffset, getNbtType(value));
-
-        // Write name if provided
-        if (name !== null && name !== undefined) {
-            nbtWriterCurrentOffset = writeStringPayload(buffer, nbtWriterCurrentOffset, name);
-        }
-
-        // Write payload based on type
-        if (typeof value === "boolean") {
-            nbtWriterCurrentOffset = writeByte(buffer, nbtWriterCurrentOffset, value ? 1 : 0);
-        } else if (Number.isInteger(value)) {
-            nbtWriterCurrentOffset = writeInt(buffer, nbtWriterCurrentOffset, value);
-        } else if (typeof value === "number") {
-            // This is a bit of a hack for floats, as JS doesn't distinguish float/double well.
-            // We write it as a 32-bit float by getting its raw int representation.
-            const floatArray = new Float32Array(1);
-            floatArray[0] = value;
-            const intValue = new Int32Array(floatArray.buffer)[0];
-            nbtWriterCurrentOffset = writeInt(buffer, nbtWriterCurrentOffset, intValue);
-        } else if (typeof value === "string") {
-            nbtWriterCurrentOffset = writeStringPayload(buffer, nbtWriterCurrentOffset, value);
-        } else if (Array.isArray(value)) {
-            writeListNonRecursive(buffer, value);
-        } else if (typeof value === "object" && value !== null) {
-            const keys = Object.keys(value);
-            for (const key of keys) {
-                writeTagNonRecursive(buffer, key, value[key]);
-            }
-            nbtWriterCurrentOffset = writeByte(buffer, nbtWriterCurrentOffset, TAG_END);
-        }
-    } catch (e) {
-        console.error(`Error writing tag ${name}:`, e);
-        throw e;
-    }
+function compressNbt(bytes, compression) {
+    if (compression === 'none') return bytes;
+    if (typeof pako === 'undefined') throw new Error("Pako.js is not loaded.");
+    if (compression === 'gzip') return pako.gzip(bytes);
+    if (compression === 'zlib') return pako.deflate(bytes);
+    throw new Error(`Unknown NBT compression "${compression}" (expected ${NBT_COMPRESSIONS.join(', ')}).`);
 }
 
-function writeListNonRecursive(buffer, dataList) {
-    try {
-        if (!dataList.length) {
-            nbtWriterCurrentOffset = writeByte(buffer, nbtWriterCurrentOffset, TAG_END); // TAG_END as list type for empty list
-            nbtWriterCurrentOffset = writeInt(buffer, nbtWriterCurrentOffset, 0); // Length 0
-            return;
-        }
+// Decodes one uncompressed NBT document into its root name and typed root tag.
+function decodeNbtBytes(bytes, littleEndian) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const textDecoder = new TextDecoder('utf-8');
+    let offset = 0;
 
-        const firstItem = dataList[0];
-        let elementType = getNbtType(firstItem);
-
-        nbtWriterCurrentOffset = writeByte(buffer, nbtWriterCurrentOffset, elementType);
-        nbtWriterCurrentOffset = writeInt(buffer, nbtWriterCurrentOffset, dataList.length);
-
-        for (let i = 0; i < dataList.length; i++) {
-            const item = dataList[i];
-
-            if (typeof item === "boolean") {
-                nbtWriterCurrentOffset = writeByte(buffer, nbtWriterCurrentOffset, item ? 1 : 0);
-            } else if (Number.isInteger(item)) {
-                nbtWriterCurrentOffset = writeInt(buffer, nbtWriterCurrentOffset, item);
-            } else if (typeof item === "number") {
-                const floatArray = new Float32Array(1);
-                floatArray[0] = item;
-                const intValue = new Int32Array(floatArray.buffer)[0];
-                nbtWriterCurrentOffset = writeInt(buffer, nbtWriterCurrentOffset, intValue);
-            } else if (typeof item === "string") {
-                nbtWriterCurrentOffset = writeStringPayload(buffer, nbtWriterCurrentOffset, item);
-            } else if (Array.isArray(item)) {
-                writeListNonRecursive(buffer, item);
-            } else if (typeof item === "object" && item !== null) {
-                const objKeys = Object.keys(item);
-                for (const key of objKeys) {
-                    writeTagNonRecursive(buffer, key, item[key]);
+    const ensure = (count, what) => {
+        if (count < 0 || offset + count > view.byteLength) {
+            throw new Error(`NBT Parsing Error: Unexpected end of data while reading ${what} at offset ${offset}.`);
+        }
+    };
+    const readLength = (what) => {
+        ensure(4, `${what} length`);
+        const length = view.getInt32(offset, littleEndian);
+        offset += 4;
+        if (length < 0) throw new Error(`NBT Parsing Error: Invalid ${what} length ${length} at offset ${offset - 4}.`);
+        return length;
+    };
+    const readString = () => {
+        ensure(2, 'string length');
+        const length = view.getUint16(offset, littleEndian);
+        offset += 2;
+        ensure(length, 'string');
+        const value = textDecoder.decode(bytes.subarray(offset, offset + length));
+        offset += length;
+        return value;
+    };
+    const readPayload = (type) => {
+        switch (type) {
+            case TAG_BYTE: ensure(1, 'TAG_BYTE'); return { type, value: view.getInt8(offset++) };
+            case TAG_SHORT: ensure(2, 'TAG_SHORT'); offset += 2; return { type, value: view.getInt16(offset - 2, littleEndian) };
+            case TAG_INT: ensure(4, 'TAG_INT'); offset += 4; return { type, value: view.getInt32(offset - 4, littleEndian) };
+            case TAG_LONG: ensure(8, 'TAG_LONG'); offset += 8; return { type, value: view.getBigInt64(offset - 8, littleEndian) };
+            case TAG_FLOAT: ensure(4, 'TAG_FLOAT'); offset += 4; return { type, value: view.getFloat32(offset - 4, littleEndian) };
+            case TAG_DOUBLE: ensure(8, 'TAG_DOUBLE'); offset += 8; return { type, value: view.getFloat64(offset - 8, littleEndian) };
+            case TAG_STRING: return { type, value: readString() };
+            case TAG_BYTE_ARRAY: {
+                const length = readLength('TAG_BYTE_ARRAY');
+                ensure(length, 'TAG_BYTE_ARRAY');
+                const value = Array.from(new Int8Array(bytes.buffer, bytes.byteOffset + offset, length));
+                offset += length;
+                return { type, value };
+            }
+            case TAG_INT_ARRAY: {
+                const length = readLength('TAG_INT_ARRAY');
+                ensure(length * 4, 'TAG_INT_ARRAY');
+                const value = new Array(length);
+                for (let i = 0; i < length; i++, offset += 4) value[i] = view.getInt32(offset, littleEndian);
+                return { type, value };
+            }
+            case TAG_LONG_ARRAY: {
+                const length = readLength('TAG_LONG_ARRAY');
+                ensure(length * 8, 'TAG_LONG_ARRAY');
+                const value = new Array(length);
+                for (let i = 0; i < length; i++, offset += 8) value[i] = view.getBigInt64(offset, littleEndian);
+                return { type, value };
+            }
+            case TAG_LIST: {
+                ensure(1, 'TAG_LIST type');
+                const listType = view.getUint8(offset++);
+                const length = readLength('TAG_LIST');
+                if (length > 0 && listType === TAG_END) throw new Error(`NBT Parsing Error: TAG_LIST of TAG_END with ${length} entries at offset ${offset}.`);
+                const value = new Array(length);
+                for (let i = 0; i < length; i++) value[i] = readPayload(listType);
+                return { type, listType, value };
+            }
+            case TAG_COMPOUND: {
+                const value = new Map();
+                while (true) {
+                    ensure(1, 'tag type');
+                    const childType = view.getUint8(offset++);
+                    if (childType === TAG_END) break;
+                    const name = readString();
+                    value.set(name, readPayload(childType));
                 }
-                nbtWriterCurrentOffset = writeByte(buffer, nbtWriterCurrentOffset, TAG_END); // End of compound in list
-            } else {
-                console.warn(`Unsupported item type in list at index ${i}:`, item);
+                return { type, value };
             }
+            default:
+                throw new Error(`NBT Parsing Error: Unknown tag type ${type} at offset ${offset - 1}.`);
         }
-    } catch (e) {
-        console.error("Error writing list:", e);
-        throw e;
+    };
+
+    ensure(1, 'root tag type');
+    const rootType = view.getUint8(offset++);
+    if (rootType !== TAG_COMPOUND && rootType !== TAG_LIST) {
+        throw new Error(`NBT Parsing Error: Expected a TAG_COMPOUND (10) root, got type ${rootType}.`);
     }
+    const name = readString();
+    const root = readPayload(rootType);
+    // Leftover bytes mean the wrong byte order or a header in front of the root tag.
+    if (offset !== view.byteLength) {
+        throw new Error(`NBT Parsing Error: Root tag ended at offset ${offset} but the data is ${view.byteLength} bytes long.`);
+    }
+    return { name, root };
+}
+
+// Guesses the byte order from the first child's name length: names are short, so the byte
+// order that reads a smaller length is almost always right. Empty roots default to Bedrock's.
+function guessNbtLittleEndian(bytes) {
+    if (bytes.length < 3) return true;
+    const rootNameLength = bytes[1] | (bytes[2] << 8);
+    const rootNameLengthBig = (bytes[1] << 8) | bytes[2];
+    if (rootNameLength !== rootNameLengthBig) return rootNameLength < rootNameLengthBig;
+    const child = 3 + rootNameLength;
+    if (bytes.length < child + 3 || bytes[child] === TAG_END) return true;
+    return (bytes[child + 1] | (bytes[child + 2] << 8)) <= ((bytes[child + 1] << 8) | bytes[child + 2]);
 }
 
-function estimateNbtBufferSize(data) {
-    // A rough estimation. Multiply JSON string length by a factor.
-    // NBT is often more compact than JSON for numbers, but names/strings add overhead.
-    // A factor of 4 is a generous safe bet. Minimum of 10MB for very large structures.
-    const jsonSize = JSON.stringify(data).length;
-    return Math.max(jsonSize * 4, 10 * 1024 * 1024); // At least 10MB or 4x JSON size
+// Bedrock level.dat files start with two little-endian ints, a storage version and the length
+// of the NBT that follows. Returns the version when that header is present, else null.
+function readBedrockNbtHeaderVersion(bytes) {
+    if (bytes.length < 9 || bytes[8] !== TAG_COMPOUND) return null;
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    return view.getInt32(4, true) === bytes.length - 8 ? view.getInt32(0, true) : null;
 }
 
-function createNbtBuffer(data) {
+/**
+ * Reads an NBT file, undoing gzip/zlib compression, skipping a Bedrock level.dat header and
+ * detecting the byte order unless options.littleEndian is given.
+ * @param {ArrayBuffer|Uint8Array} data
+ * @param {{littleEndian?: boolean}} [options]
+ * @returns {{name: string, root: object, littleEndian: boolean, compression: string, bedrockHeaderVersion: number|null}}
+ */
+function readNbt(data, options = {}) {
+    const decompressed = decompressNbt(data);
+    const { compression } = decompressed;
+    const bedrockHeaderVersion = readBedrockNbtHeaderVersion(decompressed.bytes);
+    const bytes = bedrockHeaderVersion === null ? decompressed.bytes : decompressed.bytes.subarray(8);
+    if (bedrockHeaderVersion !== null || typeof options.littleEndian === 'boolean') {
+        const littleEndian = bedrockHeaderVersion !== null || options.littleEndian;
+        return { ...decodeNbtBytes(bytes, littleEndian), littleEndian, compression, bedrockHeaderVersion };
+    }
+    const guess = guessNbtLittleEndian(bytes);
     try {
-        const estimatedSize = estimateNbtBufferSize(data);
-        const arrayBuffer = new ArrayBuffer(estimatedSize);
-        const buffer = new DataView(arrayBuffer);
-        nbtWriterCurrentOffset = 0; // Reset writer offset
+        return { ...decodeNbtBytes(bytes, guess), littleEndian: guess, compression, bedrockHeaderVersion };
+    } catch (e) {
+        try {
+            return { ...decodeNbtBytes(bytes, !guess), littleEndian: !guess, compression, bedrockHeaderVersion };
+        } catch (ignored) {
+            throw e;
+        }
+    }
+}
 
-        // Root compound tag
-        nbtWriterCurrentOffset = writeByte(buffer, nbtWriterCurrentOffset, TAG_COMPOUND);
-        nbtWriterCurrentOffset = writeStringPayload(buffer, nbtWriterCurrentOffset, ""); // Empty name for root
+/**
+ * Writes a typed root tag. Empty lists keep their listType so read files round-trip exactly;
+ * lists built without one are written as TAG_END lists. A numeric bedrockHeaderVersion writes
+ * the level.dat header (version and length) in front of little-endian output.
+ * @param {object} root - Typed TAG_COMPOUND (or TAG_LIST) tag.
+ * @param {{name?: string, littleEndian?: boolean, compression?: string, bedrockHeaderVersion?: number|null}} [options]
+ * @returns {ArrayBuffer}
+ */
+function writeNbt(root, options = {}) {
+    const littleEndian = !!options.littleEndian;
+    let bytes = new Uint8Array(1024);
+    let view = new DataView(bytes.buffer);
+    let offset = 0;
+    const encoder = new TextEncoder();
 
-        const rootKeys = Object.keys(data);
-        for (const key of rootKeys) {
-            writeTagNonRecursive(buffer, key, data[key]);
+    const ensure = (count) => {
+        if (offset + count <= bytes.length) return;
+        let size = bytes.length * 2;
+        while (size < offset + count) size *= 2;
+        const grown = new Uint8Array(size);
+        grown.set(bytes);
+        bytes = grown;
+        view = new DataView(bytes.buffer);
+    };
+    const writeString = (text) => {
+        const encoded = encoder.encode(text);
+        if (encoded.length > 0xFFFF) throw new Error(`NBT string is too long (${encoded.length} bytes, max 65535).`);
+        ensure(2 + encoded.length);
+        view.setUint16(offset, encoded.length, littleEndian);
+        bytes.set(encoded, offset + 2);
+        offset += 2 + encoded.length;
+    };
+    const writeArray = (values, itemSize, setter) => {
+        ensure(4 + values.length * itemSize);
+        view.setInt32(offset, values.length, littleEndian);
+        offset += 4;
+        for (const v of values) {
+            setter(v);
+            offset += itemSize;
         }
+    };
+    const writePayload = (tag) => {
+        switch (tag.type) {
+            case TAG_BYTE: ensure(1); view.setInt8(offset, Number(tag.value)); offset += 1; break;
+            case TAG_SHORT: ensure(2); view.setInt16(offset, tag.value, littleEndian); offset += 2; break;
+            case TAG_INT: ensure(4); view.setInt32(offset, tag.value, littleEndian); offset += 4; break;
+            case TAG_LONG: ensure(8); view.setBigInt64(offset, BigInt(tag.value), littleEndian); offset += 8; break;
+            case TAG_FLOAT: ensure(4); view.setFloat32(offset, tag.value, littleEndian); offset += 4; break;
+            case TAG_DOUBLE: ensure(8); view.setFloat64(offset, tag.value, littleEndian); offset += 8; break;
+            case TAG_STRING: writeString(tag.value); break;
+            case TAG_BYTE_ARRAY:
+                ensure(4 + tag.value.length);
+                view.setInt32(offset, tag.value.length, littleEndian);
+                bytes.set(tag.value instanceof Uint8Array ? tag.value : Uint8Array.from(tag.value, v => v & 0xFF), offset + 4);
+                offset += 4 + tag.value.length;
+                break;
+            case TAG_INT_ARRAY: writeArray(tag.value, 4, v => view.setInt32(offset, v, littleEndian)); break;
+            case TAG_LONG_ARRAY: writeArray(tag.value, 8, v => view.setBigInt64(offset, BigInt(v), littleEndian)); break;
+            case TAG_LIST:
+                ensure(5);
+                view.setUint8(offset, tag.listType ?? TAG_END);
+                view.setInt32(offset + 1, tag.value.length, littleEndian);
+                offset += 5;
+                tag.value.forEach(item => writePayload(item));
+                break;
+            case TAG_COMPOUND:
+                for (const [name, child] of tag.value) {
+                    ensure(1);
+                    view.setUint8(offset++, child.type);
+                    writeString(name);
+                    writePayload(child);
+                }
+                ensure(1);
+                view.setUint8(offset++, TAG_END);
+                break;
+            default:
+                throw new Error(`Cannot write NBT tag of unknown type ${tag.type}.`);
+        }
+    };
 
-        nbtWriterCurrentOffset = writeByte(buffer, nbtWriterCurrentOffset, TAG_END); // Final TAG_End for root
-
-        return arrayBuffer.slice(0, nbtWriterCurrentOffset); // Return used portion
-    } catch (e) {
-        console.error("Error during NBT buffer creation:", e);
-        throw e;
+    ensure(1);
+    view.setUint8(offset++, root.type);
+    writeString(options.name || '');
+    writePayload(root);
+    let written = bytes.slice(0, offset);
+    if (typeof options.bedrockHeaderVersion === 'number') {
+        if (!littleEndian) throw new Error("A Bedrock level.dat header needs little-endian NBT.");
+        const withHeader = new Uint8Array(written.length + 8);
+        const headerView = new DataView(withHeader.buffer);
+        headerView.setInt32(0, options.bedrockHeaderVersion, true);
+        headerView.setInt32(4, written.length, true);
+        withHeader.set(written, 8);
+        written = withHeader;
     }
+    return compressNbt(written, options.compression || 'none').slice().buffer;
 }
-// --- End NBT Writing Helpers ---
 
-// --- NBT Reading Helpers (from schem_to_commands_script.js) ---
-class BinaryReader {
-    constructor(buffer) {
-        this.view = new DataView(buffer);
-        this.position = 0;
-    }
+/**
+ * Builds a typed compound from an object of typed tags, keeping the object's key order.
+ * Integer-like keys come first in an object, so build the Map directly when order matters.
+ */
+function createNbtCompound(fields = {}) {
+    return { type: TAG_COMPOUND, value: new Map(Object.entries(fields)) };
+}
 
-    ensureReadableBytes(count) {
-        if (this.position + count > this.view.byteLength) {
-            throw new Error(`Not enough bytes remaining. Needed ${count}, have ${this.view.byteLength - this.position} at position ${this.position}`);
-        }
-    }
+// The named child of a typed compound; undefined for missing keys and for tags that aren't compounds.
+function getNbtChild(tag, key) {
+    return tag?.type === TAG_COMPOUND ? tag.value.get(key) : undefined;
+}
 
-    readByte() {
-        this.ensureReadableBytes(1);
-        const value = this.view.getInt8(this.position);
-        this.position += 1;
-        return value;
+/**
+ * Converts a typed tag to plain JS: numbers, BigInt longs, strings, Uint8Array byte arrays,
+ * Int32Array/BigInt64Array int and long arrays, objects for compounds and { listType, value }
+ * for lists.
+ */
+function nbtToPlain(tag) {
+    switch (tag.type) {
+        case TAG_BYTE_ARRAY: return Uint8Array.from(tag.value, v => v & 0xFF);
+        case TAG_INT_ARRAY: return Int32Array.from(tag.value);
+        case TAG_LONG_ARRAY: return BigInt64Array.from(tag.value);
+        case TAG_LIST: return { listType: tag.listType, value: tag.value.map(nbtToPlain) };
+        case TAG_COMPOUND: {
+            const value = {};
+            for (const [name, child] of tag.value) value[name] = nbtToPlain(child);
+            return value;
+        }
+        default: return tag.value;
     }
+}
 
-    readShort() {
-        this.ensureReadableBytes(2);
-        const value = this.view.getInt16(this.position, false); // big-endian
-        this.position += 2;
-        return value;
+/**
+ * Infers typed tags for plain JS data: booleans are bytes, integers ints, other numbers floats,
+ * BigInts longs, Uint8Array/Int8Array byte arrays, Int32Array a list of ints (block_indices)
+ * and arrays lists typed by their first element.
+ */
+function plainToNbt(value) {
+    if (typeof value === 'boolean') return { type: TAG_BYTE, value: value ? 1 : 0 };
+    if (typeof value === 'number') return Number.isInteger(value) ? { type: TAG_INT, value } : { type: TAG_FLOAT, value };
+    if (typeof value === 'bigint') return { type: TAG_LONG, value };
+    if (typeof value === 'string') return { type: TAG_STRING, value };
+    if (value instanceof Uint8Array || value instanceof Int8Array) return { type: TAG_BYTE_ARRAY, value };
+    if (value instanceof Int32Array) return { type: TAG_LIST, listType: TAG_INT, value: Array.from(value, v => ({ type: TAG_INT, value: v })) };
+    if (Array.isArray(value)) {
+        const items = value.map(plainToNbt);
+        const listType = items.length ? items[0].type : TAG_END;
+        return { type: TAG_LIST, listType, value: items.map(item => ({ ...item, type: listType })) };
     }
-
-    readInt() {
-        this.ensureReadableBytes(4);
-        const value = this.view.getInt32(this.position, false);
-        this.position += 4;
-        return value;
+    if (typeof value === 'object' && value !== null) {
+        return { type: TAG_COMPOUND, value: new Map(Object.entries(value).map(([name, child]) => [name, plainToNbt(child)])) };
     }
+    throw new TypeError(`Unsupported JavaScript type for NBT conversion: ${typeof value}`);
+}
 
-    readLong() {
-        this.ensureReadableBytes(8);
-        const high = this.view.getInt32(this.position, false);
-        const low = this.view.getInt32(this.position + 4, false);
-        this.position += 8;
-        // Combine high and low 32-bit integers into a 64-bit BigInt
-        return (BigInt(high) << 32n) | (BigInt(low) & 0xFFFFFFFFn);
-    }
+// ========================================================================== //
+//                        SNBT (Stringified NBT)                              //
+// ========================================================================== //
+// parseSnbt turns command-style NBT text into typed tags and stringifySnbt writes them back:
+//   1b 2s 3 4L 5.0f 6.0d      byte, short, int, long, float, double (true/false are bytes)
+//   "text" 'text' text        strings; quoted ones escape their quote and backslash with \
+//   {key:..., "odd key":...}  compounds     [a, b]  lists     [B;1b] [I;1] [L;1L]  arrays
+// Quoted strings may be nested to any depth, e.g. NPC Actions JSON holding a tellraw command.
+
+const SNBT_UNQUOTED_PATTERN = /^[A-Za-z0-9._+\-]+$/;
+const SNBT_ARRAY_PREFIXES = { B: TAG_BYTE_ARRAY, I: TAG_INT_ARRAY, L: TAG_LONG_ARRAY };
+// Element tags each array accepts; smaller integers are widened.
+const SNBT_ARRAY_ACCEPTED_TYPES = {
+    [TAG_BYTE_ARRAY]: [TAG_BYTE],
+    [TAG_INT_ARRAY]: [TAG_BYTE, TAG_SHORT, TAG_INT],
+    [TAG_LONG_ARRAY]: [TAG_BYTE, TAG_SHORT, TAG_INT, TAG_LONG]
+};
+const SNBT_ESCAPES = { '\\': '\\', '"': '"', "'": "'", n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', s: ' ' };
+const SNBT_INTEGER_SUFFIXES = { b: TAG_BYTE, s: TAG_SHORT, l: TAG_LONG };
+const SNBT_INTEGER_PATTERN = /^([-+]?(?:0|[1-9][0-9]*))([bsl]?)$/i;
+const SNBT_DECIMAL_PATTERN = /^([-+]?(?:[0-9]+\.?|[0-9]*\.[0-9]+)(?:e[-+]?[0-9]+)?)([fd]?)$/i;
 
-    readFloat() {
-        this.ensureReadableBytes(4);
-        const value = this.view.getFloat32(this.position, false);
-        this.position += 4;
-        return value;
-    }
+function escapeSnbtString(text, quote = '"') {
+    return text.replace(/\\/g, '\\\\').split(quote).join(`\\${quote}`);
+}
 
-    readDouble() {
-        this.ensureReadableBytes(8);
-        const value = this.view.getFloat64(this.position, false);
-        this.position += 8;
-        return value;
-    }
+/**
+ * Quotes a string for SNBT. Without an explicit quote, Minecraft's rule is used: the quote that
+ * does not appear first in the text, so JSON is wrapped in '...' and keeps its " unescaped.
+ */
+function quoteSnbtString(text, quote) {
+    if (!quote) quote = text.match(/["']/)?.[0] === '"' ? "'" : '"';
+    return `${quote}${escapeSnbtString(text, quote)}${quote}`;
+}
 
-    readBytes(length) {
-        this.ensureReadableBytes(length);
-        const bytes = new Uint8Array(this.view.buffer, this.view.byteOffset + this.position, length);
-        this.position += length;
-        return bytes;
+// Typed value for an unquoted token: a number when it looks like one and fits, else a string.
+function parseSnbtScalar(token) {
+    const lower = token.toLowerCase();
+    if (lower === 'true' || lower === 'false') return { type: TAG_BYTE, value: lower === 'true' ? 1 : 0 };
+    const integer = token.match(SNBT_INTEGER_PATTERN);
+    if (integer) {
+        const type = integer[2] ? SNBT_INTEGER_SUFFIXES[integer[2].toLowerCase()] : TAG_INT;
+        const value = BigInt(integer[1]);
+        const [min, max] = NBT_INTEGER_RANGES[type];
+        if (value >= min && value <= max) return { type, value: type === TAG_LONG ? value : Number(value) };
+        if (integer[2]) throw new Error(`SNBT Parsing Error: ${token} is out of range for ${NBT_TAG_TYPE_NAMES[type]}.`);
     }
-
-    readString() {
-        const length = this.readShort();
-        if (length < 0) throw new Error(`Invalid string length: ${length}`);
-        if (length === 0) return "";
-        return new TextDecoder("utf-8").decode(this.readBytes(length));
+    const decimal = token.match(SNBT_DECIMAL_PATTERN);
+    if (decimal && /[0-9]/.test(decimal[1]) && (decimal[2] || /[.e]/i.test(decimal[1]))) {
+        const isFloat = decimal[2].toLowerCase() === 'f';
+        const value = Number(decimal[1]);
+        return { type: isFloat ? TAG_FLOAT : TAG_DOUBLE, value: isFloat ? Math.fround(value) : value };
     }
+    return { type: TAG_STRING, value: token };
 }
 
-function readNbtTagPayload(reader, type) {
-    switch (type) {
-        case TAG_END: return null;
-        case TAG_BYTE: return reader.readByte();
-        case TAG_SHORT: return reader.readShort();
-        case TAG_INT: return reader.readInt();
-        case TAG_LONG: return reader.readLong();
-        case TAG_FLOAT: return reader.readFloat();
-        case TAG_DOUBLE: return reader.readDouble();
-        case TAG_BYTE_ARRAY: {
-            const length = reader.readInt();
-            if (length < 0) throw new Error(`Invalid TAG_BYTE_ARRAY length: ${length}`);
-            return reader.readBytes(length);
-        }
-        case TAG_STRING: return reader.readString();
-        case TAG_LIST: {
-            const listType = reader.readByte();
-            const length = reader.readInt();
-            if (length < 0) throw new Error(`Invalid TAG_LIST length: ${length}`);
-            const list = [];
-            for (let i = 0; i < length; i++) {
-                list.push(readNbtTagPayload(reader, listType));
-            }
-            return { listType: listType, value: list };
+/**
+ * Parses one SNBT value (usually a compound) into a typed tag, the same model readNbt returns.
+ * Empty lists get TAG_END as their listType. Throws an Error naming the offset of the problem.
+ * @param {string} text
+ * @returns {object} Typed tag.
+ */
+function parseSnbt(text) {
+    let offset = 0;
+    const fail = (message) => { throw new Error(`SNBT Parsing Error: ${message} at offset ${offset}.`); };
+    const skipWhitespace = () => { while (offset < text.length && /\s/.test(text[offset])) offset++; };
+    const expect = (char) => {
+        skipWhitespace();
+        if (text[offset] !== char) fail(`Expected "${char}" but found ${offset < text.length ? `"${text[offset]}"` : 'the end of the text'}`);
+        offset++;
+    };
+    const readQuoted = () => {
+        const quote = text[offset++];
+        let value = '';
+        while (offset < text.length) {
+            const char = text[offset++];
+            if (char === quote) return value;
+            if (char !== '\\') { value += char; continue; }
+            const escaped = text[offset++];
+            if (escaped in SNBT_ESCAPES) value += SNBT_ESCAPES[escaped];
+            else if (escaped === 'u' || escaped === 'x') {
+                const digits = text.substr(offset, escaped === 'u' ? 4 : 2);
+                if (!/^[0-9a-f]+$/i.test(digits) || digits.length !== (escaped === 'u' ? 4 : 2)) fail(`Invalid \\${escaped} escape`);
+                value += String.fromCharCode(parseInt(digits, 16));
+                offset += digits.length;
+            } else fail(`Invalid escape "\\${escaped ?? ''}"`);
         }
-        case TAG_COMPOUND: {
-            const compound = {};
-            while (true) {
-                const tag = readNamedNbtTag(reader);
-                if (tag === null || tag.type === TAG_END) break;
-                compound[tag.name] = tag.payload;
-            }
-            return compound;
+        return fail(`Unterminated ${quote === '"' ? 'double' : 'single'}-quoted string`);
+    };
+    const readUnquoted = () => {
+        const start = offset;
+        while (offset < text.length && /[A-Za-z0-9._+\-]/.test(text[offset])) offset++;
+        if (start === offset) fail(offset < text.length ? `Unexpected "${text[offset]}"` : 'Unexpected end of text');
+        return text.slice(start, offset);
+    };
+    const readKey = () => {
+        skipWhitespace();
+        return text[offset] === '"' || text[offset] === "'" ? readQuoted() : readUnquoted();
+    };
+    // Reads comma separated items until the closing bracket; the opening one is already consumed.
+    const readItems = (close, readItem) => {
+        skipWhitespace();
+        if (text[offset] === close) { offset++; return; }
+        while (true) {
+            readItem();
+            skipWhitespace();
+            if (text[offset] === ',') { offset++; skipWhitespace(); if (text[offset] === close) { offset++; return; } continue; }
+            expect(close);
+            return;
         }
-        case TAG_INT_ARRAY: {
-            const length = reader.readInt();
-            if (length < 0) throw new Error(`Invalid TAG_INT_ARRAY length: ${length}`);
-            const array = [];
-            for (let i = 0; i < length; i++) {
-                array.push(reader.readInt());
-            }
-            return array;
+    };
+    const readValue = () => {
+        skipWhitespace();
+        const char = text[offset];
+        if (char === '{') {
+            offset++;
+            const value = new Map();
+            readItems('}', () => {
+                const key = readKey();
+                expect(':');
+                value.set(key, readValue());
+            });
+            return { type: TAG_COMPOUND, value };
         }
-        case TAG_LONG_ARRAY: {
-            const length = reader.readInt();
-            if (length < 0) throw new Error(`Invalid TAG_LONG_ARRAY length: ${length}`);
-            const array = [];
-            for (let i = 0; i < length; i++) {
-                array.push(reader.readLong());
+        if (char === '[') {
+            offset++;
+            const arrayType = SNBT_ARRAY_PREFIXES[text[offset]];
+            if (arrayType && text[offset + 1] === ';') {
+                offset += 2;
+                const value = [];
+                readItems(']', () => {
+                    const item = readValue();
+                    if (!SNBT_ARRAY_ACCEPTED_TYPES[arrayType].includes(item.type)) {
+                        fail(`${NBT_TAG_TYPE_NAMES[arrayType]} cannot hold a ${NBT_TAG_TYPE_NAMES[item.type]}`);
+                    }
+                    value.push(arrayType === TAG_LONG_ARRAY ? BigInt(item.value) : item.value);
+                });
+                return { type: arrayType, value };
             }
-            return array;
+            const value = [];
+            let listType = TAG_END;
+            readItems(']', () => {
+                const item = readValue();
+                if (listType !== TAG_END && item.type !== listType) fail(`List of ${NBT_TAG_TYPE_NAMES[listType]} cannot hold a ${NBT_TAG_TYPE_NAMES[item.type]}`);
+                listType = item.type;
+                value.push(item);
+            });
+            return { type: TAG_LIST, listType, value };
         }
-        default:
-            throw new Error(`Unsupported NBT tag type: ${type} at position ${reader.position - 1}`);
-    }
+        if (char === '"' || char === "'") return { type: TAG_STRING, value: readQuoted() };
+        return parseSnbtScalar(readUnquoted());
+    };
+
+    const root = readValue();
+    skipWhitespace();
+    if (offset < text.length) fail(`Unexpected "${text[offset]}" after the value`);
+    return root;
 }
 
-function readNamedNbtTag(reader) {
-    const type = reader.readByte();
-    if (type === TAG_END) {
-        return { type: TAG_END, name: "", payload: null };
-    }
-    const name = reader.readString();
-    const payload = readNbtTagPayload(reader, type);
-    return { type, name, payload };
+function formatSnbtDecimal(value) {
+    if (!Number.isFinite(value)) return String(value);
+    if (Object.is(value, -0)) return '-0.0'; // String(-0) drops the sign.
+    const text = String(value);
+    // 1e-7 has no digits after a point, which SNBT would read as a string.
+    return /[.e]/.test(text) && !/^-?\d+e/.test(text) ? text : text.replace(/^(-?\d+)/, '$1.0');
+}
+
+/**
+ * Writes a typed tag as compact SNBT. Keys are quoted only when they need to be; strings use
+ * quoteSnbtString, or always `quote` when options.quote is given.
+ * @param {object} tag
+ * @param {{quote?: string}} [options]
+ */
+function stringifySnbt(tag, options = {}) {
+    const write = (tag) => {
+        switch (tag.type) {
+            case TAG_BYTE: return `${tag.value}b`;
+            case TAG_SHORT: return `${tag.value}s`;
+            case TAG_INT: return String(tag.value);
+            case TAG_LONG: return `${tag.value}L`;
+            case TAG_FLOAT: return `${formatSnbtDecimal(tag.value)}f`;
+            case TAG_DOUBLE: return `${formatSnbtDecimal(tag.value)}d`;
+            case TAG_STRING: return quoteSnbtString(tag.value, options.quote);
+            case TAG_BYTE_ARRAY: return `[B;${Array.from(tag.value, v => `${v}b`).join(',')}]`;
+            case TAG_INT_ARRAY: return `[I;${Array.from(tag.value).join(',')}]`;
+            case TAG_LONG_ARRAY: return `[L;${Array.from(tag.value, v => `${v}L`).join(',')}]`;
+            case TAG_LIST: return `[${tag.value.map(write).join(',')}]`;
+            case TAG_COMPOUND:
+                return `{${[...tag.value].map(([key, child]) => `${SNBT_UNQUOTED_PATTERN.test(key) ? key : quoteSnbtString(key, options.quote)}:${write(child)}`).join(',')}}`;
+            default:
+                throw new Error(`Cannot write SNBT for tag of unknown type ${tag.type}.`);
+        }
+    };
+    return write(tag);
 }
 
-function loadSchematicNBT(buffer) {
-    const reader = new BinaryReader(buffer);
-    const rootTag = readNamedNbtTag(reader);
-    if (!rootTag || rootTag.type !== TAG_COMPOUND) {
-        throw new Error(`Root tag must be TAG_COMPOUND, found type ${rootTag ? rootTag.type : 'null'}`);
+/**
+ * Fills {{key}} placeholders in SNBT text. A placeholder inside a quoted string is escaped for
+ * that string's quote; one outside strings is inserted as is (e.g. a list of rendered NPCs).
+ * A string that is exactly one placeholder listed in `literals` is replaced by that complete
+ * SNBT literal instead, which lets the caller choose the quotes.
+ */
+function fillSnbtTemplate(text, values, literals = {}) {
+    let result = '';
+    let quote = null;
+    let stringStart = -1;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        const placeholder = char === '{' ? text.slice(i).match(/^\{\{(\w+)\}\}/) : null;
+        if (placeholder && placeholder[1] in values) {
+            const key = placeholder[1];
+            const end = i + placeholder[0].length;
+            if (quote && stringStart === i - 1 && text[end] === quote && key in literals) {
+                result = result.slice(0, -1) + literals[key];
+                quote = null;
+                i = end;
+                continue;
+            }
+            result += quote ? escapeSnbtString(String(values[key]), quote) : String(values[key]);
+            i = end - 1;
+            continue;
+        }
+        result += char;
+        if (quote) {
+            if (char === '\\') result += text[++i] ?? '';
+            else if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+            stringStart = i;
+        }
     }
-    return rootTag.payload;
+    return result;
 }
-// --- End NBT Reading Helpers ---
 
 // ========================================================================== //
 //                     Raw to NBT Converter Logic                             //
@@ -339,301 +611,1327 @@ function getUtf8ByteLength(str) {
     return encoder.encode(str).length;
 }
 
-function escapeQuotes(command) {
-    return command.replace(/"/g, '\\\\\\"');
-}
-
-function getUsefulCommands(content) {
+function getUsefulCommands(content, spatialSort = false) {
     const commands = content.split('\n').map(cmd => cmd.trim()).filter(cmd => cmd.length > 0);
-    return commands.map(escapeQuotes);
+    return spatialSort ? sortCommandsSpatially(commands) : commands;
 }
 
-function separateCommands(commands) {
-    const normalCommands = [];
-    const equalsCommands = [];
+// Commands containing "=" need the "equals" NPC dialect. Consecutive commands of the same kind
+// form one run, so the runs replay the commands in their original order.
+function splitCommandsByKind(commands) {
+    const runs = [];
     commands.forEach(cmd => {
-        if (cmd.includes('=')) {
-            equalsCommands.push(cmd);
+        const isEquals = cmd.includes('=');
+        const last = runs[runs.length - 1];
+        if (last && last.isEquals === isEquals) {
+            last.commands.push(cmd);
         } else {
-            normalCommands.push(cmd);
+            runs.push({ isEquals, commands: [cmd] });
         }
     });
-    return { normalCommands, equalsCommands };
+    return runs;
 }
 
-function getBlockOpener(nbtName) {
-    return `{Block:{name:"minecraft:moving_block",states:{},version:17959425},Count:1b,Damage:0s,Name:"minecraft:moving_block",WasPickedUp:0b,tag:{display:{Lore:["Â§lÂ§bBuild By: Â§dBlacklightî„€","Â§3NBT Tool By: Â§aBrutus314 ","Â§aand Clawsky123î„ ","Â§9Conversion Tool By: ","Â§eExgioan!!î„‚","Â§fSpecial Thanks To:","Â§6Chronicles765!!    î„ƒ","Â§4Warning: Â§cDont Hold Too","Â§cMany Or You Will Lag!!Â§âˆ†"],Name:"Â§lÂ§dBlacklight NBT: Â§gÂ§l${nbtName}"},ench:[{id:28s,lvl:1s}],movingBlock:{name:"minecraft:sea_lantern",states:{},version:17879555},movingEntity:{Occupants:[`;
-}
+// --- Output templates ---
+// A template describes the text Raw to NBT wraps around the commands:
+//   container       - item holding the NPCs; placeholders {{lore}}, {{displayName}}, {{npcs}}, {{name}}
+//   displayName     - item name; {{name}}
+//   lore            - item lore lines; {{name}}
+//   npc.normal/.equals - one NPC; {{actions}}, {{section}}, {{tag}}, {{name}}
+//   commands.normal/.equals - cmd_ver written for each command and how the Actions JSON is quoted:
+//                     'compact' picks the SNBT quote that leaves the JSON unescaped ('...'),
+//                     'escaped' keeps the template's quotes and escapes the JSON for them
+// Placeholders in container and npc are filled with fillSnbtTemplate, so values are escaped for
+// the quoted string they land in and any command text comes back unchanged from NBT to Raw.
+//   fileName        - download name; {{name}}
+// Commands containing "=" go to "equals" NPCs, everything else to "normal" ones, in one chain.
+const RAW_TO_NBT_TEMPLATE_STORAGE_KEY = 'blacklight.rawToNbt.templates';
+const RAW_TO_NBT_SELECTED_TEMPLATE_STORAGE_KEY = 'blacklight.rawToNbt.selectedTemplate';
+const RAW_TO_NBT_COMMAND_STYLES = ['compact', 'escaped'];
+
+const RAW_TO_NBT_PRESET_TEMPLATES = [
+    {
+        id: 'horion-blacklight',
+        name: 'Horion beehive (Blacklight)',
+        description: 'Moving-block beehive carrying the NPCs, with the original Blacklight lore and credits.',
+        container: `{Block:{name:"minecraft:moving_block",states:{},version:17959425},Count:1b,Damage:0s,Name:"minecraft:moving_block",WasPickedUp:0b,tag:{display:{Lore:[{{lore}}],Name:"{{displayName}}"},ench:[{id:28s,lvl:1s}],movingBlock:{name:"minecraft:sea_lantern",states:{},version:17879555},movingEntity:{Occupants:[{{npcs}}],id:"Beehive"}}}`,
+        displayName: `Â§lÂ§dBlacklight NBT: Â§gÂ§l{{name}}`,
+        lore: [
+            `Â§lÂ§bBuild By: Â§dBlacklightî„€`,
+            `Â§3NBT Tool By: Â§aBrutus314 `,
+            `Â§aand Clawsky123î„ `,
+            `Â§9Conversion Tool By: `,
+            `Â§eExgioan!!î„‚`,
+            `Â§fSpecial Thanks To:`,
+            `Â§6Chronicles765!!    î„ƒ`,
+            `Â§4Warning: Â§cDont Hold Too`,
+            `Â§cMany Or You Will Lag!!Â§âˆ†`
+        ],
+        npc: {
+            normal: `{ActorIdentifier:"minecraft:npc<>",SaveData:{Actions:"{{actions}}",CustomName:"Â§lÂ§dBlacklight NBT: {{name}}",CustomNameVisible:1b,InterativeText:"Â§cBuild By: Â§dBlacklight!!î„€\nThanks to Kitty_shizz\nBuild Part: {{section}}\nÂ§cConversion Tool By: Â§dExgioan!!\nÂ§cSpecial Thanks To: Â§dChronicles765!!! î„ƒ\nÂ§6Thanks For Trying My {{name}} Build!!!",Persistent:1b,Pos:[],RawtextName:"Â§lÂ§dBlacklight NBT: {{name}}",Tags:["{{tag}}"],Variant:3,definitions:["+minecraft:npc"],identifier:"minecraft:npc"},TicksLeftToStay:0}`,
+            equals: `{ActorIdentifier:"minecraft:npc<>",SaveData:{"Actions":"{{actions}}",CustomName:"Â§lÂ§dBlacklight NBT: {{name}}",CustomNameVisible:1b,InteractiveText:"Â§cBuild By: Â§dBlacklight!!î„€\nThanks to Kitty_shizz\nBuild Part: {{section}}\nÂ§cConversion Tool By: Â§dExgioan!!\nÂ§cSpecial Thanks To: Â§dChronicles765!!!\n§6Thanks For Trying My {{name}} Build!!!",Persistent:1b,Pos:[],RawtextName:"Â§lÂ§dBlacklight NBT: {{name}}",Tags:["{{tag}}"],Variant:3,definitions:["+minecraft:npc"],identifier:"minecraft:npc"},TicksLeftToStay:0}`
+        },
+        commands: {
+            normal: { cmdVersion: 12, style: 'compact' },
+            equals: { cmdVersion: 42, style: 'escaped' }
+        },
+        fileName: 'Horion {{name}} Build.txt'
+    },
+    {
+        id: 'horion-plain',
+        name: 'Horion beehive (unbranded)',
+        description: 'Same beehive wrapper and command dialects, with neutral names and no credits.',
+        container: `{Block:{name:"minecraft:moving_block",states:{},version:17959425},Count:1b,Damage:0s,Name:"minecraft:moving_block",WasPickedUp:0b,tag:{display:{Lore:[{{lore}}],Name:"{{displayName}}"},movingBlock:{name:"minecraft:sea_lantern",states:{},version:17879555},movingEntity:{Occupants:[{{npcs}}],id:"Beehive"}}}`,
+        displayName: '{{name}}',
+        lore: ['Place to spawn the build NPCs'],
+        npc: {
+            normal: `{ActorIdentifier:"minecraft:npc<>",SaveData:{Actions:"{{actions}}",CustomName:"{{name}}",CustomNameVisible:1b,InteractiveText:"Build Part: {{section}}",Persistent:1b,Pos:[],RawtextName:"{{name}}",Tags:["{{tag}}"],Variant:3,definitions:["+minecraft:npc"],identifier:"minecraft:npc"},TicksLeftToStay:0}`,
+            equals: `{ActorIdentifier:"minecraft:npc<>",SaveData:{"Actions":"{{actions}}",CustomName:"{{name}}",CustomNameVisible:1b,InteractiveText:"Build Part: {{section}}",Persistent:1b,Pos:[],RawtextName:"{{name}}",Tags:["{{tag}}"],Variant:3,definitions:["+minecraft:npc"],identifier:"minecraft:npc"},TicksLeftToStay:0}`
+        },
+        commands: {
+            normal: { cmdVersion: 12, style: 'compact' },
+            equals: { cmdVersion: 42, style: 'escaped' }
+        },
+        fileName: '{{name}} NBT.txt'
+    },
+    {
+        id: 'npc-list',
+        name: 'NPC list only',
+        description: 'Just the NPC actors, comma separated, for clients that spawn entities from a list.',
+        container: '[{{npcs}}]',
+        displayName: '{{name}}',
+        lore: [],
+        npc: {
+            normal: `{ActorIdentifier:"minecraft:npc<>",SaveData:{"Actions":"{{actions}}",CustomName:"{{name}}",CustomNameVisible:1b,InteractiveText:"Build Part: {{section}}",Persistent:1b,Pos:[],RawtextName:"{{name}}",Tags:["{{tag}}"],Variant:3,definitions:["+minecraft:npc"],identifier:"minecraft:npc"},TicksLeftToStay:0}`,
+            equals: `{ActorIdentifier:"minecraft:npc<>",SaveData:{"Actions":"{{actions}}",CustomName:"{{name}}",CustomNameVisible:1b,InteractiveText:"Build Part: {{section}}",Persistent:1b,Pos:[],RawtextName:"{{name}}",Tags:["{{tag}}"],Variant:3,definitions:["+minecraft:npc"],identifier:"minecraft:npc"},TicksLeftToStay:0}`
+        },
+        commands: {
+            normal: { cmdVersion: 42, style: 'escaped' },
+            equals: { cmdVersion: 42, style: 'escaped' }
+        },
+        fileName: '{{name}} NPCs.txt'
+    }
+];
+const DEFAULT_RAW_TO_NBT_TEMPLATE_ID = RAW_TO_NBT_PRESET_TEMPLATES[0].id;
 
-function getBlockCloser() {
-    return '],id:"Beehive"}}}';
+function fillRawToNbtTemplate(text, values) {
+    return text.replace(/\{\{(\w+)\}\}/g, (placeholder, key) => (key in values ? String(values[key]) : placeholder));
 }
 
-function getNpcOpener(section, nbtName) {
-    return `{ActorIdentifier:"minecraft:npc<>",SaveData:{Actions:"[{"button_name" : "Build Part: ${section}","data" : [`;
+/**
+ * Checks a template object (e.g. from the editor or an imported file) and returns it with only the
+ * known fields. Throws an Error naming the first problem.
+ */
+function validateRawToNbtTemplate(template) {
+    if (!template || typeof template !== 'object' || Array.isArray(template)) throw new Error('Template must be a JSON object.');
+    const requireString = (value, field, placeholder) => {
+        if (typeof value !== 'string' || !value) throw new Error(`Template "${template.name || '?'}": "${field}" must be a non-empty string.`);
+        if (placeholder && !value.includes(`{{${placeholder}}}`)) throw new Error(`Template "${template.name || '?'}": "${field}" must contain {{${placeholder}}}.`);
+        return value;
+    };
+    requireString(template.name, 'name');
+    if (template.lore !== undefined && (!Array.isArray(template.lore) || template.lore.some(line => typeof line !== 'string'))) {
+        throw new Error(`Template "${template.name}": "lore" must be an array of strings.`);
+    }
+    const result = {
+        id: typeof template.id === 'string' ? template.id : '', // Empty ids get a fresh one when stored.
+        name: template.name,
+        description: typeof template.description === 'string' ? template.description : '',
+        container: requireString(template.container, 'container', 'npcs'),
+        displayName: typeof template.displayName === 'string' ? template.displayName : '{{name}}',
+        lore: template.lore ? [...template.lore] : [],
+        npc: {},
+        commands: {},
+        fileName: typeof template.fileName === 'string' && template.fileName ? template.fileName : '{{name}}.txt'
+    };
+    for (const kind of ['normal', 'equals']) {
+        result.npc[kind] = requireString(template.npc?.[kind], `npc.${kind}`, 'actions');
+        const commands = template.commands?.[kind] || {};
+        if (!Number.isInteger(commands.cmdVersion)) throw new Error(`Template "${template.name}": "commands.${kind}.cmdVersion" must be an integer.`);
+        if (!RAW_TO_NBT_COMMAND_STYLES.includes(commands.style)) throw new Error(`Template "${template.name}": "commands.${kind}.style" must be one of ${RAW_TO_NBT_COMMAND_STYLES.join(', ')}.`);
+        result.commands[kind] = { cmdVersion: commands.cmdVersion, style: commands.style };
+    }
+    return result;
 }
 
-function getNpcCloser(section, nbtName) {
-    return `],"mode" : 0,"text" : "","type" : 1}]",CustomName:"Â§lÂ§dBlacklight NBT: ${nbtName}",CustomNameVisible:1b,InterativeText:"Â§cBuild By: Â§dBlacklight!!î„€\nThanks to Kitty_shizz\nBuild Part: ${section}\nÂ§cConversion Tool By: Â§dExgioan!!\nÂ§cSpecial Thanks To: Â§dChronicles765!!! î„ƒ\nÂ§6Thanks For Trying My ${nbtName} Build!!!",Persistent:1b,Pos:[],RawtextName:"Â§lÂ§dBlacklight NBT: ${nbtName}",Tags:["${nbtName}${section}"],Variant:3,definitions:["+minecraft:npc"],identifier:"minecraft:npc"},TicksLeftToStay:0}`;
+function loadRawToNbtCustomTemplates() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(RAW_TO_NBT_TEMPLATE_STORAGE_KEY) || '[]');
+        return Array.isArray(stored) ? stored.flatMap(template => {
+            try { return [{ ...validateRawToNbtTemplate(template), custom: true }]; }
+            catch (e) { console.warn('RawToNBT: Ignoring invalid stored template:', e.message); return []; }
+        }) : [];
+    } catch (e) {
+        console.warn('RawToNBT: Could not read stored templates:', e);
+        return [];
+    }
 }
 
-function getEqualsNpcOpener(section, nbtName) {
-    return `{ActorIdentifier:"minecraft:npc<>",SaveData:{"Actions":"[{\\"button_name\\" : \\"Build Part: ${section}\\",       \\"data\\" : [`;
+function saveRawToNbtCustomTemplates(templates) {
+    localStorage.setItem(RAW_TO_NBT_TEMPLATE_STORAGE_KEY, JSON.stringify(templates.map(({ custom, ...template }) => template)));
 }
 
-function getEqualsNpcCloser(section, nbtName) {
-    return `],       \\"mode\\" : 0,       \\"text\\" : \\"\\",       \\"type\\" : 1}]",CustomName:"Â§lÂ§dBlacklight NBT: ${nbtName}",CustomNameVisible:1b,InteractiveText:"§cBuild By:"Â§cBuild By: Â§dBlacklight!!î„€\nThanks to Kitty_shizz\nBuild Part: ${section}\nÂ§cConversion Tool By: Â§dExgioan!!\nÂ§cSpecial Thanks To: Â§dChronicles765!!!\n§6Thanks For Trying My ${nbtName} Build!!!",Persistent:1b,Pos:[],RawtextName:"Â§lÂ§dBlacklight NBT: ${nbtName}",Tags:["${nbtName}${section}"],Variant:3,definitions:["+minecraft:npc"],identifier:"minecraft:npc"},TicksLeftToStay:0}`;
+function getRawToNbtTemplates() {
+    return [...RAW_TO_NBT_PRESET_TEMPLATES, ...loadRawToNbtCustomTemplates()];
 }
 
-function commandJoinerNormal(commands) {
-    return commands.map(cmd => `{"cmd_line":"${cmd}","cmd_ver":12}`).join(',');
+function findRawToNbtTemplate(id) {
+    const templates = getRawToNbtTemplates();
+    return templates.find(template => template.id === id) || templates[0];
 }
 
-function commandJoinerEquals(commands) {
-    return commands.map(cmd => `          {             \\"cmd_line\\":\\"${cmd}\\",             \\"cmd_ver\\" : 42          }`).join(',');
+// Returns a "custom-..." id that no preset or stored template uses.
+function createRawToNbtTemplateId(templates) {
+    const takenIds = new Set(templates.map(template => template.id));
+    let id;
+    do {
+        id = `custom-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    } while (takenIds.has(id));
+    return id;
 }
 
-function processNpcCommandsByBytes(commands, maxBytes, nbtName, startSection, joiner, isEquals) {
-    const npcDataList = [];
-    let currentCommands = [];
-    let currentSection = startSection;
-    const openerFunc = isEquals ? getEqualsNpcOpener : getNpcOpener;
-    const closerFunc = isEquals ? getEqualsNpcCloser : getNpcCloser;
-
-    for (const cmd of commands) {
-        const candidateCommands = [...currentCommands, cmd];
-        const candidateJoined = joiner(candidateCommands);
-        const openerText = openerFunc(currentSection, nbtName);
-        const closerText = closerFunc(currentSection, nbtName);
-        const candidateBlock = openerText + candidateJoined + closerText;
-        const candidateByteLength = getUtf8ByteLength(candidateBlock);
-
-        if (candidateByteLength <= maxBytes) {
-            currentCommands.push(cmd);
-        } else {
-            if (currentCommands.length > 0) {
-                const npcCommandList = [...currentCommands];
-                if (!isEquals) {
-                    npcCommandList.push('/tickingarea add circle ~60 ~20 ~60 4 NPCCOMMANDS');
-                } else {
-                    npcCommandList.push('/tickingarea add circle ~60 ~20 ~60 4 EQUALSCOMMANDS');
-                }
-                npcCommandList.push('/kill @s');
-                if (!isEquals) {
-                    npcCommandList.push('/tickingarea remove NPCCOMMANDS');
-                } else {
-                    npcCommandList.push('/tickingarea remove EQUALSCOMMANDS');
-                }
-                const joinedCommands = joiner(npcCommandList);
-                const npcBlock = openerFunc(currentSection, nbtName) + joinedCommands + closerFunc(currentSection, nbtName);
-                npcDataList.push({ block: npcBlock, section: currentSection });
-             }
-            currentSection += 1;
-            currentCommands = [cmd];
-        }
+/**
+ * Adds or replaces a custom template. Presets cannot be overwritten, so a template without an id
+ * or using a preset's id is stored under a new id.
+ * @returns {object} The stored template.
+ */
+function upsertRawToNbtCustomTemplate(template) {
+    const validated = validateRawToNbtTemplate(template);
+    const customTemplates = loadRawToNbtCustomTemplates();
+    if (!validated.id || RAW_TO_NBT_PRESET_TEMPLATES.some(preset => preset.id === validated.id)) {
+        validated.id = createRawToNbtTemplateId([...RAW_TO_NBT_PRESET_TEMPLATES, ...customTemplates]);
     }
+    const existingIndex = customTemplates.findIndex(existing => existing.id === validated.id);
+    if (existingIndex === -1) customTemplates.push(validated);
+    else customTemplates[existingIndex] = validated;
+    saveRawToNbtCustomTemplates(customTemplates);
+    return { ...validated, custom: true };
+}
 
-    if (currentCommands.length > 0) {
-        const npcCommandList = [...currentCommands];
-        if (!isEquals) {
-            npcCommandList.push('/tickingarea add circle ~60 ~20 ~60 4 NPCCOMMANDS');
-        } else {
-            npcCommandList.push('/tickingarea add circle ~60 ~20 ~60 4 EQUALSCOMMANDS');
-        }
-        npcCommandList.push('/kill @s');
-        if (!isEquals) {
-            npcCommandList.push('/tickingarea remove NPCCOMMANDS');
-        } else {
-            npcCommandList.push('/tickingarea remove EQUALSCOMMANDS');
-        }
-        const joinedCommands = joiner(npcCommandList);
-        const npcBlock = openerFunc(currentSection, nbtName) + joinedCommands + closerFunc(currentSection, nbtName);
-        npcDataList.push({ block: npcBlock, section: currentSection });
-    }
+function deleteRawToNbtCustomTemplate(id) {
+    saveRawToNbtCustomTemplates(loadRawToNbtCustomTemplates().filter(template => template.id !== id));
+}
+
+/**
+ * Imports templates from exported JSON: a single template, an array, or {templates: [...]}.
+ * @returns {object[]} The stored templates.
+ */
+function importRawToNbtTemplates(jsonText) {
+    const parsed = JSON.parse(jsonText);
+    const list = Array.isArray(parsed) ? parsed : Array.isArray(parsed?.templates) ? parsed.templates : [parsed];
+    const validated = list.map(validateRawToNbtTemplate); // Validate everything before storing anything.
+    return validated.map(upsertRawToNbtCustomTemplate);
+}
 
-     // Link NPCs together
-     for (let i = 0; i < npcDataList.length - 1; i++) {
-        const currentBlockData = npcDataList[i];
-        const nextSection = npcDataList[i + 1].section;
-        const dialogueOpenCmd = `/dialogue open @e[tag=${nbtName}${nextSection},type=NPC] @initiator`;
-        const escapedDialogueCmd = escapeQuotes(dialogueOpenCmd);
+function exportRawToNbtTemplates(templates) {
+    return JSON.stringify({ templates: templates.map(({ custom, ...template }) => template) }, null, 2);
+}
 
-        const dialogueOpenCmdFormatted = isEquals
-            ? `          {             \\"cmd_line\\":\\"${escapedDialogueCmd}\\",             \\"cmd_ver\\" : 42          }`
-            : `{"cmd_line":"${escapedDialogueCmd}","cmd_ver":12}`;
+function getNpcTag(nbtName, section) {
+    return `${nbtName}${section}`;
+}
 
-         const killCmdJsonNormal = `{"cmd_line":"${escapeQuotes('/kill @s')}","cmd_ver":12}`;
-         const killCmdJsonEquals = `          {             \\"cmd_line\\":\\"${escapeQuotes('/kill @s')}\\",             \\"cmd_ver\\" : 42          }`;
-         const killCmdJson = isEquals ? killCmdJsonEquals : killCmdJsonNormal;
+// --- Ticking areas ---
+// Each NPC section gets tickingarea boxes covering the blocks its fill/setblock/clone commands
+// touch. Bedrock caps one ticking area at 100 chunks and a world at 10 areas, so footprints are
+// split into tiles and sections are cut short before their tiles exceed their share.
+const TICKINGAREA_MAX_CHUNKS_PER_AXIS = 10; // 10 x 10 chunks = the 100 chunk limit
+const TICKINGAREA_MAX_ACTIVE = 10;
+// A section's areas and the next section's (preloaded) areas exist at the same time.
+const TICKINGAREA_MAX_PER_SECTION = TICKINGAREA_MAX_ACTIVE / 2;
+const CHUNK_SIZE = 16;
 
-         const killIndex = currentBlockData.block.lastIndexOf(killCmdJson);
-         if (killIndex !== -1) {
-             const commaIndex = currentBlockData.block.lastIndexOf(',', killIndex);
-             if (commaIndex !== -1) {
-                  npcDataList[i].block = currentBlockData.block.substring(0, commaIndex + 1) + dialogueOpenCmdFormatted + currentBlockData.block.substring(commaIndex);
-             } else {
-                  console.warn(`RawToNBT: Could not find comma before kill command in section ${currentBlockData.section}.`);
-                   const closerStr = closerFunc(currentBlockData.section, nbtName);
-                   const insertionPoint = currentBlockData.block.lastIndexOf(closerStr);
-                   if (insertionPoint !== -1) {
-                        const commandsEnd = currentBlockData.block.lastIndexOf(']', insertionPoint);
-                         if (commandsEnd !== -1) {
-                            npcDataList[i].block = currentBlockData.block.substring(0, commandsEnd) + (currentCommands.length > 0 ? ',' : '') + dialogueOpenCmdFormatted + currentBlockData.block.substring(commandsEnd);
-                         }
-                   }
-             }
-         } else {
-             console.warn(`RawToNBT: Could not find kill command for inserting dialogue command in section ${currentBlockData.section}.`);
-              const closerStr = closerFunc(currentBlockData.section, nbtName);
-              const insertionPoint = currentBlockData.block.lastIndexOf(closerStr);
-              if (insertionPoint !== -1) {
-                 const commandsEnd = currentBlockData.block.lastIndexOf(']', insertionPoint);
-                  if (commandsEnd !== -1) {
-                     npcDataList[i].block = currentBlockData.block.substring(0, commandsEnd) + (currentCommands.length > 0 ? ',' : '') + dialogueOpenCmdFormatted + currentBlockData.block.substring(commandsEnd);
-                  }
-              }
-         }
+/**
+ * Returns the block boxes a command writes to (clone also loads its source), each tagged with
+ * per-axis coordinate kinds. Commands that don't parse or don't place blocks have no footprint,
+ * and neither do local (^) positions: they depend on the executor's rotation, which isn't known.
+ * @returns {{min: number[], max: number[], kinds: string[]}[]}
+ */
+function getCommandFootprints(commandText) {
+    let command;
+    try {
+        command = parseCmdStructCommand(commandText);
+    } catch (e) {
+        return [];
     }
-    return { npcData: npcDataList.map(item => item.block).join(','), count: npcDataList.length };
+    if (command.unsupported || !command.axisKinds || command.axisKinds.includes('local')) return [];
+    const kinds = command.axisKinds;
+    if (command.name === 'setblock') return [{ min: command.pos, max: command.pos, kinds }];
+    if (command.name === 'fill') return [{ ...getCmdStructBox(command.from, command.to), kinds }];
+    if (command.name === 'clone') {
+        const source = getCmdStructBox(command.begin, command.end);
+        const destinationMax = command.destination.map((v, i) => v + source.max[i] - source.min[i]);
+        return [{ ...source, kinds }, { min: command.destination, max: destinationMax, kinds }];
+    }
+    return [];
 }
 
-// ========================================================================== //
-//                 Commands to Structure Converter Logic                      //
-// ========================================================================== //
-
-// Global state for Commands to Structure tool
-let cmdStructFileContent = '';
-let commandsToStructureData = {
-    format_version: 1, size: [0, 0, 0], structure: { block_indices: [[], []], entities: [], palette: { default: { block_palette: [], block_position_data: {} } } }, structure_world_origin: [0, 0, 0]
-};
-// This map will store {x: {y: {z: {solid: Array, liquid: Array}}}}
-let cmdStructBlocksMap = {};
+/**
+ * Grows per-kind bounding boxes by the given footprints. Boxes are keyed by their axis kinds,
+ * since relative and absolute coordinates can't share one ticking area.
+ * @returns {Map<string, {min: number[], max: number[], kinds: string[]}>} A new map.
+ */
+function mergeFootprintBounds(bounds, footprints) {
+    const merged = new Map(bounds);
+    for (const footprint of footprints) {
+        const key = footprint.kinds.join();
+        const existing = merged.get(key);
+        merged.set(key, existing
+            ? { min: existing.min.map((v, i) => Math.min(v, footprint.min[i])), max: existing.max.map((v, i) => Math.max(v, footprint.max[i])), kinds: existing.kinds }
+            : { min: [...footprint.min], max: [...footprint.max], kinds: footprint.kinds });
+    }
+    return merged;
+}
 
-function parseCmdStructCoordinate(coordStr) {
-    coordStr = coordStr.trim();
-    if (coordStr.startsWith('~')) {
-        const offset = coordStr.substring(1);
-        return offset ? parseInt(offset) : 0;
+// Splits one axis range into ticking area tiles. Absolute ranges follow the chunk grid; relative
+// ones don't know where chunk borders fall, so their tiles are one chunk narrower.
+function splitTickingAreaAxis(min, max, kind) {
+    const ranges = [];
+    if (kind === 'absolute') {
+        const tileSize = TICKINGAREA_MAX_CHUNKS_PER_AXIS * CHUNK_SIZE;
+        for (let start = Math.floor(min / tileSize) * tileSize; start <= max; start += tileSize) {
+            ranges.push([Math.max(min, start), Math.min(max, start + tileSize - 1)]);
+        }
     } else {
-        return parseInt(coordStr);
+        const tileSize = (TICKINGAREA_MAX_CHUNKS_PER_AXIS - 1) * CHUNK_SIZE;
+        for (let start = min; start <= max; start += tileSize) ranges.push([start, Math.min(max, start + tileSize - 1)]);
     }
+    return ranges;
 }
 
-function parseCmdStructBlockWithStates(blockStr) {
-    blockStr = blockStr.trim();
-    const match = blockStr.match(/^([\w:]+)(?:\[(.*)\])?/);
-    if (!match) {
-        console.warn(`CmdStruct: Could not parse block string: ${blockStr}`);
-        return [blockStr, {}];
-    }
-    const blockName = match[1];
-    const statesStr = match[2] || '';
-    const states = {};
-    if (statesStr) {
-        const statePairs = statesStr.match(/([\w:"\-]+)\s*=\s*([\w"\-.+]+)/g) || [];
-        for (const pair of statePairs) {
-            const [key, value] = pair.split('=').map(s => s.trim());
-            const cleanKey = key.replace(/"/g, '');
-            const valueLower = value.toLowerCase();
-            if (valueLower === 'true') {
-                states[cleanKey] = true;
-            } else if (valueLower === 'false') {
-                states[cleanKey] = false;
-            } else {
-                const numValue = parseInt(value);
-                states[cleanKey] = isNaN(numValue) ? value.replace(/"/g, '') : numValue;
+function getTickingAreaBoxes(bounds) {
+    const boxes = [];
+    for (const box of bounds.values()) {
+        for (const [x1, x2] of splitTickingAreaAxis(box.min[0], box.max[0], box.kinds[0])) {
+            for (const [z1, z2] of splitTickingAreaAxis(box.min[2], box.max[2], box.kinds[2])) {
+                boxes.push({ min: [x1, box.min[1], z1], max: [x2, box.max[1], z2], kinds: box.kinds });
             }
         }
     }
-    return [blockName, states];
+    return boxes;
 }
 
-function processCmdStructCommands(commandsText) {
-    cmdStructBlocksMap = {}; // Reset blocksMap
-    let commandCount = 0;
-    let errorCount = 0;
-    const baseX = 0, baseY = 0, baseZ = 0;
-    const commands = commandsText.split('\n');
+function formatTickingAreaPosition(position, kinds) {
+    return position.map((value, i) => (kinds[i] === 'absolute' ? String(value) : (value === 0 ? '~' : `~${value}`))).join(' ');
+}
 
-    for (let lineNum = 0; lineNum < commands.length; lineNum++) {
-        const cmd = commands[lineNum].trim();
-        if (!cmd || cmd.startsWith('#')) continue;
+/**
+ * Builds the tickingarea add/remove commands for one section.
+ * @param {{commands: string[]}} section
+ * @param {string} areaName - Name prefix; the section number and tile index are appended.
+ * @param {function(string): object[]} footprintOf
+ */
+function getSectionTickingAreaCommands(section, areaName, footprintOf) {
+    const bounds = section.commands.reduce((acc, cmd) => mergeFootprintBounds(acc, footprintOf(cmd)), new Map());
+    const boxes = getTickingAreaBoxes(bounds);
+    const names = boxes.map((box, i) => `${areaName}_${section.section}_${i}`);
+    return {
+        add: boxes.map((box, i) => `/tickingarea add ${formatTickingAreaPosition(box.min, box.kinds)} ${formatTickingAreaPosition(box.max, box.kinds)} ${names[i]}`),
+        remove: names.map(name => `/tickingarea remove ${name}`)
+    };
+}
 
-        const parts = cmd.split(/\s+/);
-        if (parts.length === 0) continue;
+/**
+ * Stable spatial sort: commands are grouped by the chunk their footprint starts in (chunk rows
+ * along Z, then columns along X), so each NPC section covers a compact area. Commands without
+ * coordinates stay with the command before them. Overlapping commands in different chunks can
+ * change order.
+ */
+function sortCommandsSpatially(commands, footprintOf = getCommandFootprints) {
+    let lastKey = [-Infinity, -Infinity];
+    const keyed = commands.map((command, index) => {
+        const footprints = footprintOf(command);
+        if (footprints.length > 0) {
+            const { min } = footprints[footprints.length - 1];
+            lastKey = [Math.floor(min[2] / CHUNK_SIZE), Math.floor(min[0] / CHUNK_SIZE)];
+        }
+        return { command, index, key: lastKey };
+    });
+    keyed.sort((a, b) => a.key[0] - b.key[0] || a.key[1] - b.key[1] || a.index - b.index);
+    return keyed.map(entry => entry.command);
+}
 
-        const commandName = parts[0].toLowerCase();
-        commandCount++;
+function createFootprintCache() {
+    const cache = new Map();
+    return (command) => {
+        if (!cache.has(command)) cache.set(command, getCommandFootprints(command));
+        return cache.get(command);
+    };
+}
 
-        try {
-            const isFill = commandName === 'fill' && parts.length >= 8;
-            const isSetblock = commandName === 'setblock' && parts.length >= 5;
-
-            if (isFill || isSetblock) {
-                let x1, y1, z1, x2, y2, z2, blockStrPartsIndex;
-                if (isSetblock) {
-                    x1 = baseX + parseCmdStructCoordinate(parts[1]);
-                    y1 = baseY + parseCmdStructCoordinate(parts[2]);
-                    z1 = baseZ + parseCmdStructCoordinate(parts[3]);
-                    x2 = x1; y2 = y1; z2 = z1;
-                    blockStrPartsIndex = 4;
-                } else { // isFill
-                    x1 = baseX + parseCmdStructCoordinate(parts[1]);
-                    y1 = baseY + parseCmdStructCoordinate(parts[2]);
-                    z1 = baseZ + parseCmdStructCoordinate(parts[3]);
-                    x2 = baseX + parseCmdStructCoordinate(parts[4]);
-                    y2 = baseY + parseCmdStructCoordinate(parts[5]);
-                    z2 = baseZ + parseCmdStructCoordinate(parts[6]);
-                    blockStrPartsIndex = 7;
-                }
+function renderRawToNbtNpc(template, kind, section, commands, nbtName) {
+    const { cmdVersion, style } = template.commands[kind];
+    const actions = encodeRawToNbtActionsJson(section, commands, cmdVersion);
+    return fillSnbtTemplate(template.npc[kind], {
+        actions,
+        section,
+        tag: getNpcTag(nbtName, section),
+        name: nbtName
+    }, style === 'compact' ? { actions: quoteSnbtString(actions) } : {});
+}
 
-                const blockStr = parts.slice(blockStrPartsIndex).join(' ');
-                const [parsedBlockName, states] = parseCmdStructBlockWithStates(blockStr);
-                const normalizedBlockName = parsedBlockName.includes(':') ? parsedBlockName : `minecraft:${parsedBlockName}`;
-
-                const startX = Math.min(x1, x2);
-                const endX = Math.max(x1, x2);
-                const startY = Math.min(y1, y2);
-                const endY = Math.max(y1, y2);
-                const startZ = Math.min(z1, z2);
-                const endZ = Math.max(z1, z2);
-
-                for (let x = startX; x <= endX; x++) {
-                    if (!cmdStructBlocksMap[x]) cmdStructBlocksMap[x] = {};
-                    for (let y = startY; y <= endY; y++) {
-                        if (!cmdStructBlocksMap[x][y]) cmdStructBlocksMap[x][y] = {};
-                        for (let z = startZ; z <= endZ; z++) {
-                            if (!cmdStructBlocksMap[x][y][z]) cmdStructBlocksMap[x][y][z] = {};
-
-                            const blockDataToStore = [parsedBlockName, isFill ? {...states} : states];
-
-                            if (normalizedBlockName === 'minecraft:water') {
-                                cmdStructBlocksMap[x][y][z].liquid = blockDataToStore;
-                            } else {
-                                cmdStructBlocksMap[x][y][z].solid = blockDataToStore;
-                            }
-                        }
-                    }
-                }
-            } else {
-                console.warn(`CmdStruct: Skipping unrecognized command line ${lineNum + 1}: ${cmd}`);
-                errorCount++;
-            }
-        } catch (e) {
-            console.error(`CmdStruct: Error processing line ${lineNum + 1}: '${cmd}' - ${e.message}`);
-            errorCount++;
+function renderRawToNbtContainer(template, npcsText, nbtName) {
+    return fillSnbtTemplate(template.container, {
+        lore: template.lore.map(line => quoteSnbtString(fillRawToNbtTemplate(line, { name: nbtName }))).join(','),
+        displayName: fillRawToNbtTemplate(template.displayName, { name: nbtName }),
+        name: nbtName,
+        npcs: npcsText
+    });
+}
+
+function getRawToNbtFileName(template, nbtName) {
+    return fillRawToNbtTemplate(template.fileName, { name: nbtName });
+}
+
+/**
+ * Packs commands into numbered NPC sections, starting a new section whenever the rendered NPC
+ * (measured with renderSection(section, commands)) would exceed maxBytes, or when footprintOf is
+ * given and the section would need more than TICKINGAREA_MAX_PER_SECTION ticking areas.
+ * @returns {{sections: {section: number, commands: string[]}[], nextSection: number}}
+ */
+function splitCommandsIntoNpcSections(commands, maxBytes, startSection, renderSection, footprintOf = null) {
+    const sections = [];
+    let currentCommands = [];
+    let currentSection = startSection;
+    let currentBounds = new Map();
+
+    for (const cmd of commands) {
+        const candidateBlock = renderSection(currentSection, [...currentCommands, cmd]);
+        const candidateBounds = footprintOf ? mergeFootprintBounds(currentBounds, footprintOf(cmd)) : currentBounds;
+        const fitsAreas = !footprintOf || getTickingAreaBoxes(candidateBounds).length <= TICKINGAREA_MAX_PER_SECTION;
+        if (currentCommands.length === 0 || (getUtf8ByteLength(candidateBlock) <= maxBytes && fitsAreas)) {
+            currentCommands.push(cmd);
+            currentBounds = candidateBounds;
+        } else {
+            sections.push({ section: currentSection, commands: currentCommands });
+            currentSection += 1;
+            currentCommands = [cmd];
+            currentBounds = footprintOf ? mergeFootprintBounds(new Map(), footprintOf(cmd)) : currentBounds;
         }
     }
+    if (currentCommands.length > 0) sections.push({ section: currentSection, commands: currentCommands });
+    // An oversized command still gets a section of its own; the limits only decide where to cut.
+    return { sections, nextSection: currentSection + 1 };
+}
+
+// Each NPC preloads the next section's ticking areas, opens the next NPC's dialogue (chaining the
+// build), removes itself and then its own areas. The first NPC adds its own areas up front.
+function appendNpcChainCommands(sections, nbtName, areaName, footprintOf) {
+    const areas = sections.map(entry => getSectionTickingAreaCommands(entry, areaName, footprintOf));
+    return sections.map((entry, i) => {
+        const npcCommandList = [...(i === 0 ? areas[0].add : []), ...entry.commands];
+        if (i < sections.length - 1) {
+            npcCommandList.push(...areas[i + 1].add);
+            npcCommandList.push(`/dialogue open @e[tag=${getNpcTag(nbtName, sections[i + 1].section)},type=NPC] @initiator`);
+        }
+        npcCommandList.push('/kill @s', ...areas[i].remove);
+        return { section: entry.section, commands: npcCommandList };
+    });
+}
 
-    console.log(`CmdStruct: Processed ${commandCount} commands with ${errorCount} errors/warnings.`);
-    if (Object.keys(cmdStructBlocksMap).length === 0) {
-        console.warn("CmdStruct: Warning: No blocks parsed.");
+// Every run gets its own sections in the run's NPC dialect; all sections form one chain, so
+// the build runs (and NBT to Raw reads back) the commands in input order.
+function processNpcCommandsByBytes(runs, maxBytes, nbtName, template = RAW_TO_NBT_PRESET_TEMPLATES[0]) {
+    const footprintOf = createFootprintCache();
+    const sections = [];
+    let nextSection = 1;
+    for (const run of runs) {
+        const kind = run.isEquals ? 'equals' : 'normal';
+        const result = splitCommandsIntoNpcSections(run.commands, maxBytes, nextSection,
+            (section, sectionCommands) => renderRawToNbtNpc(template, kind, section, sectionCommands, nbtName), footprintOf);
+        result.sections.forEach(entry => sections.push({ ...entry, kind }));
+        nextSection = result.nextSection;
     }
-    return { commandCount, errorCount, blocksFound: Object.keys(cmdStructBlocksMap).length > 0 };
+    const npcDataList = appendNpcChainCommands(sections, nbtName, 'NPCCOMMANDS', footprintOf)
+        .map((entry, i) => renderRawToNbtNpc(template, sections[i].kind, entry.section, entry.commands, nbtName));
+    return { npcData: npcDataList.join(','), count: npcDataList.length };
 }
 
-function convertToStructureData() {
-    try {
+/**
+ * Builds the full Raw to NBT text for a commands file using an output template.
+ * @param {string} content - Raw commands, one per line.
+ * @param {{maxBytes: number, nbtName: string, template?: object, spatialSort?: boolean}} options
+ * @returns {{text: string, npcCount: number, fileName: string}}
+ */
+function generateRawToNbtOutput(content, options) {
+    const template = options.template || RAW_TO_NBT_PRESET_TEMPLATES[0];
+    const commands = getUsefulCommands(content, options.spatialSort);
+    const { npcData, count } = processNpcCommandsByBytes(splitCommandsByKind(commands), options.maxBytes, options.nbtName, template);
+    return {
+        text: renderRawToNbtContainer(template, npcData, options.nbtName),
+        npcCount: count,
+        fileName: getRawToNbtFileName(template, options.nbtName)
+    };
+}
+
+// --- .mcstructure output ---
+// The structure holds no blocks, only the NPC chain. Every NPC stands on the same spot because
+// their commands resolve ~ coordinates from the NPC, exactly like the Horion payload.
+const RAW_TO_NBT_STRUCTURE_CMD_VER = 42;
+const RAW_TO_NBT_NPC_VARIANT = 3;
+
+function encodeRawToNbtActionsJson(section, commands, cmdVersion = RAW_TO_NBT_STRUCTURE_CMD_VER) {
+    return JSON.stringify([{
+        button_name: `Build Part: ${section}`,
+        data: commands.map(cmd => ({ cmd_line: cmd, cmd_ver: cmdVersion })),
+        mode: 0,
+        text: '',
+        type: NPC_ACTION_TYPE_COMMAND
+    }]);
+}
+
+function createRawToNbtNpcEntity(section, commands, nbtName, uniqueId) {
+    const str = (value) => ({ type: TAG_STRING, value });
+    const floats = (values) => ({ type: TAG_LIST, listType: TAG_FLOAT, value: values.map(value => ({ type: TAG_FLOAT, value })) });
+    return createNbtCompound({
+        identifier: str('minecraft:npc'),
+        definitions: { type: TAG_LIST, listType: TAG_STRING, value: [str('+minecraft:npc')] },
+        UniqueID: { type: TAG_LONG, value: uniqueId },
+        Pos: floats([0.5, 0, 0.5]),
+        Rotation: floats([0, 0]),
+        Motion: floats([0, 0, 0]),
+        Actions: str(encodeRawToNbtActionsJson(section, commands)),
+        InteractiveText: str(`Build Part: ${section}`),
+        CustomName: str(nbtName),
+        CustomNameVisible: { type: TAG_BYTE, value: 1 },
+        RawtextName: str(nbtName),
+        Tags: { type: TAG_LIST, listType: TAG_STRING, value: [str(getNpcTag(nbtName, section))] },
+        Persistent: { type: TAG_BYTE, value: 1 },
+        Variant: { type: TAG_INT, value: RAW_TO_NBT_NPC_VARIANT }
+    });
+}
+
+/**
+ * Builds a .mcstructure whose structure.entities holds the chained NPCs, so the build can be
+ * placed with a structure block instead of an injection client. Commands keep their original
+ * order in one NPC chain instead of being split into normal and "=" batches.
+ * @param {string} content - Raw commands, one per line.
+ * @param {{maxBytes: number, nbtName: string, spatialSort?: boolean}} options - maxBytes limits each NPC's Actions JSON.
+ * @returns {{buffer: ArrayBuffer, npcCount: number, sections: {section: number, commands: string[]}[], fileName: string}}
+ */
+function generateRawToNbtMcStructure(content, options) {
+    let commands = content.split('\n').map(cmd => cmd.trim()).filter(cmd => cmd.length > 0);
+    if (options.spatialSort) commands = sortCommandsSpatially(commands);
+    const footprintOf = createFootprintCache();
+    const { sections } = splitCommandsIntoNpcSections(commands, options.maxBytes, 1,
+        (section, sectionCommands) => encodeRawToNbtActionsJson(section, sectionCommands), footprintOf);
+    const chained = appendNpcChainCommands(sections, options.nbtName, 'NPCCOMMANDS', footprintOf);
+    // Negative ids stay clear of the ids the game hands out; the game reassigns them on load anyway.
+    const baseId = -BigInt(Date.now()) * 1000n;
+    const entities = chained.map((entry, i) => createRawToNbtNpcEntity(entry.section, entry.commands, options.nbtName, baseId - BigInt(i)));
+
+    const size = [1, 2, 1];
+    const voidLayer = () => typedIntList(new Array(size[0] * size[1] * size[2]).fill(-1));
+    const root = createNbtCompound({
+        format_version: { type: TAG_INT, value: 1 },
+        size: typedIntList(size),
+        structure: createNbtCompound({
+            block_indices: { type: TAG_LIST, listType: TAG_LIST, value: [voidLayer(), voidLayer()] },
+            entities: { type: TAG_LIST, listType: TAG_COMPOUND, value: entities },
+            palette: createNbtCompound({
+                default: createNbtCompound({
+                    block_palette: { type: TAG_LIST, listType: TAG_COMPOUND, value: [] },
+                    block_position_data: createNbtCompound()
+                })
+            })
+        }),
+        structure_world_origin: typedIntList([0, 0, 0])
+    });
+    return {
+        buffer: writeNbt(root, { littleEndian: true }),
+        npcCount: entities.length,
+        sections: chained,
+        fileName: `${options.nbtName.replace(/[^\w\-]+/g, '_')}.mcstructure`
+    };
+}
+
+// --- Command safety lint ---
+// Raw to NBT runs every command as the NPC's initiator with no further review, so the input is
+// checked before generating. Rules can be switched off or given another severity; the settings
+// are stored in localStorage.
+const RAW_TO_NBT_LINT_STORAGE_KEY = 'blacklight.rawToNbt.lintRules';
+const RAW_TO_NBT_LINT_SEVERITIES = ['error', 'warning', 'info'];
+const RAW_TO_NBT_LINT_SEVERITY_LABELS = { error: 'Errors', warning: 'Warnings', info: 'Info' };
+// Severities that make Generate ask for confirmation first.
+const RAW_TO_NBT_LINT_BLOCKING_SEVERITIES = ['error', 'warning'];
+const LINT_PLAYER_DAMAGING_COMMANDS = ['kill', 'clear', 'damage', 'effect', 'gamemode', 'tp', 'teleport', 'spreadplayers', 'xp', 'replaceitem', 'inputpermission', 'ride', 'camera', 'kick'];
+const LINT_PERMISSION_COMMANDS = ['op', 'deop', 'permission', 'allowlist', 'whitelist', 'ban', 'ban-ip', 'pardon', 'pardon-ip', 'stop', 'reload', 'save', 'transferserver', 'setmaxplayers', 'changesetting', 'wsserver', 'connect'];
+const LINT_GLOBAL_STATE_COMMANDS = ['gamerule', 'difficulty', 'defaultgamemode', 'setworldspawn', 'weather', 'toggledownfall', 'time', 'daylock', 'alwaysday', 'mobevent', 'worldbuilder', 'wb', 'gametest', 'scriptevent', 'structure', 'scoreboard', 'tickingarea'];
+const LINT_KNOWN_COMMANDS = new Set([
+    ...LINT_PLAYER_DAMAGING_COMMANDS, ...LINT_PERMISSION_COMMANDS, ...LINT_GLOBAL_STATE_COMMANDS,
+    'setblock', 'fill', 'clone', 'summon', 'give', 'enchant', 'execute', 'function', 'say', 'tell', 'msg', 'w', 'me',
+    'tellraw', 'title', 'titleraw', 'playsound', 'stopsound', 'particle', 'playanimation', 'dialogue', 'tag', 'event',
+    'fog', 'music', 'camerashake', 'spawnpoint', 'locate', 'loot', 'list', 'help', 'testfor', 'testforblock',
+    'testforblocks', 'hud', 'schedule', 'ability', 'aimassist', 'place', 'recipe', 'volumearea', 'controlscheme'
+]);
+// Selector arguments that narrow @a/@e down to specific targets.
+const LINT_NARROWING_SELECTOR_ARGS = ['name', 'tag', 'type', 'family', 'r', 'dx', 'dy', 'dz', 'c', 'scores', 'hasitem', 'haspermission'];
+
+function getLintSelectorArgs(selectorText) {
+    const match = /^@\w+\[(.*)\]$/.exec(selectorText);
+    if (!match) return [];
+    return match[1].split(',').map(arg => {
+        const [key, ...value] = arg.split('=');
+        return { key: key.trim().toLowerCase(), value: value.join('=').trim().toLowerCase() };
+    });
+}
+
+// True for @a/@e (and @e[type=player]) without anything narrowing the target list. Negated
+// filters such as `type=!player` or `name=!Bob` still leave almost everything selected.
+function isBroadLintSelector(selectorText) {
+    if (!/^@[ae](\[|$)/i.test(selectorText)) return false;
+    return !getLintSelectorArgs(selectorText).some(({ key, value }) =>
+        LINT_NARROWING_SELECTOR_ARGS.includes(key) && !value.startsWith('!') && !(key === 'type' && value.replace(/^minecraft:/, '') === 'player'));
+}
+
+// Index of the token after the position starting at `index`, which may be written compactly (`~~~`).
+function skipLintPosition(tokens, index) {
+    let coordinates = 0;
+    while (coordinates < 3 && index < tokens.length) {
+        const text = tokens[index++].text;
+        coordinates += /^(?:[~^][^~^]*){2,3}$/.test(text) ? text.match(/[~^][^~^]*/g).length : 1;
+    }
+    return index;
+}
+
+/**
+ * Splits `execute ... run <command>` (and the legacy `execute <selector> <position> [detect ...] <command>`)
+ * so the inner command is linted as well. Each entry carries the selector a bare `@s` stands for
+ * after `execute as`, so `execute as @a run kill @s` is seen as hitting every player.
+ * @returns {{tokens: object[], executor: string|null}[]}
+ */
+function getLintCommandChain(tokens, executor = null) {
+    const chain = [{ tokens, executor }];
+    if (tokens[0]?.text.toLowerCase() !== 'execute') return chain;
+    const resolve = (selector) => (selector.toLowerCase() === '@s' && executor ? executor : selector);
+    if (tokens[1]?.text.startsWith('@')) {
+        let index = skipLintPosition(tokens, 2);
+        if (tokens[index]?.text.toLowerCase() === 'detect') index = skipLintPosition(tokens, index + 1) + 2; // Block name and data value.
+        if (index < tokens.length) chain.push(...getLintCommandChain(tokens.slice(index), resolve(tokens[1].text)));
+        return chain;
+    }
+    const runIndex = tokens.findIndex(token => token.text.toLowerCase() === 'run');
+    if (runIndex > 0 && runIndex < tokens.length - 1) {
+        let innerExecutor = executor;
+        for (let i = 1; i < runIndex - 1; i++) {
+            if (tokens[i].text.toLowerCase() === 'as' && tokens[i + 1].text.startsWith('@')) innerExecutor = resolve(tokens[i + 1].text);
+        }
+        chain.push(...getLintCommandChain(tokens.slice(runIndex + 1), innerExecutor));
+    }
+    return chain;
+}
+
+/**
+ * Lint rules, checked in order. `check(tokens, command, state, executor)` runs for the command and
+ * for the command after each `execute ... run`, and returns a message or null. `executor` is the
+ * selector a bare `@s` stands for, or null. `finish(state)` runs once
+ * after every command for rules that look at the whole file.
+ */
+const RAW_TO_NBT_LINT_RULES = [
+    {
+        id: 'malformed',
+        label: 'Malformed commands (unbalanced quotes or brackets, unreadable setblock/fill/clone)',
+        severity: 'error',
+        check(tokens, command) {
+            const name = tokens[0].text.toLowerCase();
+            let depth = 0;
+            for (const ch of command.replace(/"(?:\\.|[^"\\])*"/g, '')) {
+                if (ch === '{') depth++;
+                else if (ch === '}' && --depth < 0) break;
+            }
+            if (depth !== 0) return 'Unbalanced "{" / "}".';
+            // The Commands to Structure parser throws a descriptive error for unreadable arguments.
+            if (['setblock', 'fill', 'clone'].includes(name)) parseCmdStructCommand(command);
+            return null;
+        }
+    },
+    {
+        id: 'unknown-command',
+        label: 'Unknown command names',
+        severity: 'warning',
+        check(tokens) {
+            const name = tokens[0].text.toLowerCase();
+            return LINT_KNOWN_COMMANDS.has(name) ? null : `"${tokens[0].text}" is not a known Bedrock command.`;
+        }
+    },
+    {
+        id: 'broad-selector',
+        label: 'Harmful commands aimed at every player or entity (@a, @e without filters)',
+        severity: 'error',
+        check(tokens, command, state, executor) {
+            const name = tokens[0].text.toLowerCase();
+            if (!LINT_PLAYER_DAMAGING_COMMANDS.includes(name)) return null;
+            const resolve = (text) => (text.toLowerCase() === '@s' && executor ? executor : text);
+            const selector = tokens.slice(1).find(token => isBroadLintSelector(resolve(token.text)));
+            if (!selector) return null;
+            const resolved = resolve(selector.text);
+            const targets = /^@a|type=(minecraft:)?player\b/i.test(resolved) ? 'player' : 'entity';
+            const via = resolved === selector.text ? '' : ` (run as ${resolved})`;
+            return `/${name} targets ${selector.text}${via}, which hits every ${targets} in the world.`;
+        }
+    },
+    {
+        id: 'permissions',
+        label: 'Operator, permission and server administration commands',
+        severity: 'error',
+        check(tokens) {
+            const name = tokens[0].text.toLowerCase();
+            return LINT_PERMISSION_COMMANDS.includes(name) ? `/${name} changes permissions or server state.` : null;
+        }
+    },
+    {
+        id: 'global-state',
+        label: 'World-wide state changes (gamerules, time, weather, difficulty, ...)',
+        severity: 'warning',
+        check(tokens) {
+            const name = tokens[0].text.toLowerCase();
+            if (!LINT_GLOBAL_STATE_COMMANDS.includes(name)) return null;
+            const sub = (tokens[1]?.text || '').toLowerCase();
+            // Only the destructive forms of these are flagged; the generator adds its own ticking areas.
+            if (name === 'tickingarea' && sub !== 'remove_all') return null;
+            if (name === 'structure' && sub !== 'delete') return null;
+            if (name === 'scoreboard' && !(sub === 'objectives' && /^remove$/i.test(tokens[2]?.text || ''))) return null;
+            return `/${name}${sub ? ` ${sub}` : ''} changes the whole world, not just the build.`;
+        }
+    },
+    {
+        id: 'summon-flood',
+        label: 'Large numbers of /summon commands',
+        severity: 'warning',
+        limit: 64,
+        check(tokens, command, state) {
+            if (tokens[0].text.toLowerCase() === 'summon') {
+                state.summons = (state.summons || 0) + 1;
+                state.firstSummon = state.firstSummon || state.current;
+            }
+            return null;
+        },
+        finish(state, rule) {
+            if ((state.summons || 0) <= rule.limit) return null;
+            return { ...state.firstSummon, message: `${state.summons} /summon commands (limit ${rule.limit}); this many entities can lag or crash the world.` };
+        }
+    }
+];
+
+/**
+ * Returns the lint rules with the stored (or given) user settings applied:
+ * `{ruleId: {enabled, severity, limit}}`.
+ */
+function getRawToNbtLintRules(config = loadRawToNbtLintConfig()) {
+    return RAW_TO_NBT_LINT_RULES.map(rule => {
+        const settings = config[rule.id] || {};
+        return {
+            ...rule,
+            enabled: settings.enabled !== false,
+            severity: RAW_TO_NBT_LINT_SEVERITIES.includes(settings.severity) ? settings.severity : rule.severity,
+            ...(rule.limit !== undefined ? { limit: Number.isInteger(settings.limit) && settings.limit >= 0 ? settings.limit : rule.limit } : {})
+        };
+    });
+}
+
+function loadRawToNbtLintConfig() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(RAW_TO_NBT_LINT_STORAGE_KEY) || '{}');
+        return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+    } catch (e) {
+        console.warn('RawToNBT: Could not read stored lint rules:', e);
+        return {};
+    }
+}
+
+function saveRawToNbtLintConfig(config) {
+    localStorage.setItem(RAW_TO_NBT_LINT_STORAGE_KEY, JSON.stringify(config));
+}
+
+/**
+ * Lints raw commands (one per line) before they are embedded into NPCs.
+ * @param {string} content
+ * @param {object[]} [rules] - From getRawToNbtLintRules().
+ * @returns {{findings: {line: number, severity: string, rule: string, message: string, text: string}[], blocking: boolean}}
+ */
+function lintRawToNbtCommands(content, rules = getRawToNbtLintRules()) {
+    const activeRules = rules.filter(rule => rule.enabled);
+    const findings = [];
+    const states = new Map(activeRules.map(rule => [rule.id, {}]));
+    content.split('\n').forEach((rawLine, index) => {
+        const text = rawLine.trim();
+        if (!text) return;
+        const current = { line: index + 1, text };
+        let tokens;
+        try {
+            tokens = tokenizeCmdStructLine(text.replace(/^\//, ''));
+        } catch (e) {
+            const malformed = activeRules.find(rule => rule.id === 'malformed');
+            if (malformed) findings.push({ ...current, severity: malformed.severity, rule: malformed.id, message: e.message });
+            return;
+        }
+        if (tokens.length === 0) return;
+        for (const { tokens: commandTokens, executor } of getLintCommandChain(tokens)) {
+            const command = commandTokens.map(token => token.text).join(' ');
+            for (const rule of activeRules) {
+                const state = states.get(rule.id);
+                state.current = current;
+                let message;
+                try {
+                    message = rule.check(commandTokens, command, state, executor);
+                } catch (e) {
+                    message = e.message;
+                }
+                if (message) findings.push({ ...current, severity: rule.severity, rule: rule.id, message });
+            }
+        }
+    });
+    for (const rule of activeRules) {
+        const finding = rule.finish ? rule.finish(states.get(rule.id), rule) : null;
+        if (finding) findings.push({ line: finding.line, text: finding.text, severity: rule.severity, rule: rule.id, message: finding.message });
+    }
+    findings.sort((a, b) => RAW_TO_NBT_LINT_SEVERITIES.indexOf(a.severity) - RAW_TO_NBT_LINT_SEVERITIES.indexOf(b.severity) || a.line - b.line);
+    return { findings, blocking: findings.some(f => RAW_TO_NBT_LINT_BLOCKING_SEVERITIES.includes(f.severity)) };
+}
+
+/**
+ * Formats lint findings grouped by severity, one entry per line.
+ */
+function formatRawToNbtLintFindings(findings, limit = 200) {
+    const lines = [];
+    for (const severity of RAW_TO_NBT_LINT_SEVERITIES) {
+        const group = findings.filter(f => f.severity === severity);
+        if (group.length === 0) continue;
+        if (lines.length > 0) lines.push('');
+        lines.push(`${RAW_TO_NBT_LINT_SEVERITY_LABELS[severity]} (${group.length})`);
+        group.slice(0, limit).forEach(f => lines.push(`Line ${f.line} [${f.rule}]: ${f.message}\n    ${f.text}`));
+        if (group.length > limit) lines.push(`...and ${group.length - limit} more.`);
+    }
+    return lines.join('\n');
+}
+
+// ========================================================================== //
+//                 Commands to Structure Converter Logic                      //
+// ========================================================================== //
+
+// Global state for Commands to Structure tool
+// Map of function name -> commands text; a single .txt/.mcfunction file is one entry.
+let cmdStructFunctions = null;
+let commandsToStructureData = {
+    format_version: 1, size: [0, 0, 0], structure: { block_indices: [[], []], entities: [], palette: { default: { block_palette: [], block_position_data: {} } } }, structure_world_origin: [0, 0, 0]
+};
+// This map will store {x: {y: {z: {solid: Array, liquid: Array}}}}
+let cmdStructBlocksMap = {};
+
+// --- Command grammar ---
+// Supported Bedrock forms (a leading "/" is optional on every line):
+//   setblock <pos> <block> [states] [replace|destroy|keep]
+//   fill <from> <to> <block> [states] [replace [filterBlock] [filterStates]|destroy|hollow|keep|outline]
+//   clone <begin> <end> <destination> [replace|masked] [normal|force|move]
+//   clone <begin> <end> <destination> filtered <normal|force|move> <block> [states]
+const CMD_STRUCT_SETBLOCK_MODES = ['replace', 'destroy', 'keep'];
+const CMD_STRUCT_FILL_MODES = ['replace', 'destroy', 'hollow', 'keep', 'outline'];
+const CMD_STRUCT_CLONE_MASK_MODES = ['replace', 'masked', 'filtered'];
+const CMD_STRUCT_CLONE_MODES = ['normal', 'force', 'move'];
+const CMD_STRUCT_CLONE_LIMIT = 524288;
+
+/**
+ * Splits a command line into tokens. Whitespace separates tokens, except inside
+ * double-quoted strings and [...] block state groups, so states such as
+ * `["stone_type" = "granite", "color" = "light blue"]` stay in one piece.
+ * A state group written directly after a word (`stone[...]`) is kept on that word.
+ * @param {string} line
+ * @returns {{text: string, column: number}[]}
+ */
+function tokenizeCmdStructLine(line) {
+    const tokens = [];
+    let current = null;
+    let i = 0;
+    const readQuoted = () => {
+        const start = i++;
+        while (i < line.length && line[i] !== '"') i += line[i] === '\\' ? 2 : 1;
+        if (i >= line.length) throw new Error(`Unterminated string starting at column ${start + 1}`);
+        i++;
+        return line.substring(start, i);
+    };
+    while (i < line.length) {
+        const ch = line[i];
+        if (/\s/.test(ch)) {
+            if (current) { tokens.push(current); current = null; }
+            i++;
+        } else if (ch === '[') {
+            const start = i;
+            let depth = 0;
+            while (i < line.length) {
+                if (line[i] === '"') { readQuoted(); continue; }
+                if (line[i] === '[') depth++;
+                else if (line[i] === ']' && --depth === 0) break;
+                i++;
+            }
+            if (i >= line.length) throw new Error(`Unclosed "[" at column ${start + 1}`);
+            i++;
+            const group = line.substring(start, i);
+            if (current) current.text += group;
+            else current = { text: group, column: start + 1 };
+        } else if (ch === '"') {
+            const start = i;
+            const quoted = readQuoted();
+            if (current) current.text += quoted;
+            else current = { text: quoted, column: start + 1 };
+        } else {
+            if (!current) current = { text: '', column: i + 1 };
+            current.text += ch;
+            i++;
+        }
+    }
+    if (current) tokens.push(current);
+    return tokens;
+}
+
+/**
+ * Parses the inside of a block state group (without the brackets). Accepts
+ * Bedrock `"key"=value` / legacy `"key":value` pairs and Java-style `key=value`.
+ * @param {string} statesStr
+ * @returns {Object<string, string|number|boolean>}
+ */
+function parseCmdStructBlockStates(statesStr) {
+    const states = {};
+    const entries = [];
+    let buffer = '';
+    let inQuotes = false;
+    for (let i = 0; i < statesStr.length; i++) {
+        const ch = statesStr[i];
+        if (ch === '\\' && inQuotes) { buffer += ch + (statesStr[++i] || ''); continue; }
+        if (ch === '"') inQuotes = !inQuotes;
+        if (ch === ',' && !inQuotes) { entries.push(buffer); buffer = ''; continue; }
+        buffer += ch;
+    }
+    entries.push(buffer);
+
+    const unquote = (s) => s.slice(1, -1).replace(/\\(.)/g, '$1');
+    for (const rawEntry of entries) {
+        const entry = rawEntry.trim();
+        if (!entry) {
+            if (entries.length > 1) throw new Error(`Empty entry in block states [${statesStr}]`);
+            continue;
+        }
+        const match = entry.match(/^("(?:\\.|[^"\\])*"|[\w:.\-]+)\s*[=:]\s*("(?:\\.|[^"\\])*"|[^\s"]+)$/);
+        if (!match) throw new Error(`Malformed block state "${entry}"`);
+        const key = match[1].startsWith('"') ? unquote(match[1]) : match[1];
+        const rawValue = match[2];
+        let value;
+        if (rawValue.startsWith('"')) value = unquote(rawValue);
+        else if (/^(true|false)$/i.test(rawValue)) value = rawValue.toLowerCase() === 'true';
+        else if (/^[-+]?\d+(\.\d+)?$/.test(rawValue)) value = Number(rawValue);
+        else value = rawValue;
+        states[key] = value;
+    }
+    return states;
+}
+
+/**
+ * Parses a single coordinate: absolute (`12`), relative (`~`, `~-3`) or local (`^`, `^2`).
+ * @param {string} coordStr
+ * @returns {{kind: 'absolute'|'relative'|'local', value: number}}
+ */
+function parseCmdStructCoordinate(coordStr) {
+    const match = coordStr.match(/^([~^]?)([-+]?(?:\d+\.?\d*|\.\d+))?$/);
+    if (!match || (!match[1] && match[2] === undefined)) throw new Error(`Invalid coordinate "${coordStr}"`);
+    const kind = match[1] === '~' ? 'relative' : match[1] === '^' ? 'local' : 'absolute';
+    return { kind, value: match[2] !== undefined ? Number(match[2]) : 0 };
+}
+
+/**
+ * Token cursor shared by the command parsers below.
+ */
+function createCmdStructCursor(tokens) {
+    let index = 0;
+    const cursor = {
+        positionKinds: [],
+        peek: () => (index < tokens.length ? tokens[index].text : null),
+        next: (expected) => {
+            if (index >= tokens.length) throw new Error(`Missing ${expected}`);
+            return tokens[index++].text;
+        },
+        done: () => index >= tokens.length,
+        expectEnd: () => {
+            if (index < tokens.length) throw new Error(`Unexpected argument "${tokens[index].text}" at column ${tokens[index].column}`);
+        },
+        // Bedrock allows compact positions such as `~1~~-2` or `^^^`, so a token may hold several coordinates.
+        readPosition: (label) => {
+            const coords = [];
+            while (coords.length < 3) {
+                const text = cursor.next(`${label} (expected ${3 - coords.length} more coordinate${coords.length === 2 ? '' : 's'})`);
+                const parts = /^(?:[~^][^~^]*){2,3}$/.test(text) ? text.match(/[~^][^~^]*/g) : [text];
+                if (coords.length + parts.length > 3) throw new Error(`Too many coordinates in "${text}" for ${label}`);
+                parts.forEach(part => coords.push(parseCmdStructCoordinate(part)));
+            }
+            cursor.positionKinds.push(coords.map(c => c.kind));
+            return resolveCmdStructPosition(coords, label);
+        },
+        readBlock: (label) => {
+            const text = cursor.next(label);
+            const match = text.match(/^([A-Za-z0-9_.\-]+(?::[A-Za-z0-9_.\-\/]+)?)(\[[\s\S]*\])?$/);
+            if (!match) throw new Error(`Invalid block name "${text}"`);
+            let statesGroup = match[2];
+            if (!statesGroup && cursor.peek() !== null && cursor.peek().startsWith('[')) statesGroup = cursor.next('block states');
+            const states = statesGroup ? parseCmdStructBlockStates(statesGroup.slice(1, -1)) : {};
+            // Pre-1.19.70 syntax carried a numeric data value instead of states; it has no meaning without a legacy table.
+            let legacyData = null;
+            if (!statesGroup && /^-?\d+$/.test(cursor.peek() || '')) legacyData = Number(cursor.next('data value'));
+            const name = match[1].includes(':') ? match[1].toLowerCase() : `minecraft:${match[1].toLowerCase()}`;
+            return { block: [name, states], legacyData };
+        },
+    };
+    return cursor;
+}
+
+/**
+ * Resolves parsed coordinates against the command origin (0,0,0). Local
+ * coordinates assume the default executor rotation (facing south, pitch 0),
+ * so ^left ^up ^forward map to +X, +Y, +Z.
+ */
+function resolveCmdStructPosition(coords, label) {
+    const localCount = coords.filter(c => c.kind === 'local').length;
+    if (localCount !== 0 && localCount !== 3) throw new Error(`Cannot mix local (^) and world coordinates in ${label}`);
+    return coords.map(c => Math.floor(c.value));
+}
+
+function isCmdStructCommentLine(text) {
+    return !text || text.startsWith('#') || text.startsWith('//');
+}
+
+/**
+ * Parses one command line into a plain command object. Throws on syntax errors.
+ */
+function parseCmdStructCommand(line) {
+    const text = line.trim().replace(/^\/+/, '');
+    const cursor = createCmdStructCursor(tokenizeCmdStructLine(text));
+    const name = (cursor.next('command') || '').toLowerCase();
+    const command = { name };
+
+    if (name === 'setblock') {
+        command.pos = cursor.readPosition('position');
+        Object.assign(command, cursor.readBlock('block'));
+        command.mode = (cursor.done() ? 'replace' : cursor.next('mode')).toLowerCase();
+        if (!CMD_STRUCT_SETBLOCK_MODES.includes(command.mode)) throw new Error(`Unknown setblock mode "${command.mode}" (expected ${CMD_STRUCT_SETBLOCK_MODES.join(', ')})`);
+    } else if (name === 'fill') {
+        command.from = cursor.readPosition('"from" position');
+        command.to = cursor.readPosition('"to" position');
+        Object.assign(command, cursor.readBlock('block'));
+        command.mode = (cursor.done() ? 'replace' : cursor.next('mode')).toLowerCase();
+        if (!CMD_STRUCT_FILL_MODES.includes(command.mode)) throw new Error(`Unknown fill mode "${command.mode}" (expected ${CMD_STRUCT_FILL_MODES.join(', ')})`);
+        if (command.mode === 'replace' && !cursor.done()) command.filter = cursor.readBlock('replace filter block').block;
+    } else if (name === 'clone') {
+        command.begin = cursor.readPosition('begin position');
+        command.end = cursor.readPosition('end position');
+        command.destination = cursor.readPosition('destination');
+        command.maskMode = (cursor.done() ? 'replace' : cursor.next('mask mode')).toLowerCase();
+        if (!CMD_STRUCT_CLONE_MASK_MODES.includes(command.maskMode)) throw new Error(`Unknown clone mask mode "${command.maskMode}" (expected ${CMD_STRUCT_CLONE_MASK_MODES.join(', ')})`);
+        if (command.maskMode === 'filtered') {
+            command.cloneMode = cursor.next('clone mode (filtered requires normal, force or move)').toLowerCase();
+        } else {
+            command.cloneMode = (cursor.done() ? 'normal' : cursor.next('clone mode')).toLowerCase();
+        }
+        if (!CMD_STRUCT_CLONE_MODES.includes(command.cloneMode)) throw new Error(`Unknown clone mode "${command.cloneMode}" (expected ${CMD_STRUCT_CLONE_MODES.join(', ')})`);
+        if (command.maskMode === 'filtered') command.filter = cursor.readBlock('filter block').block;
+    } else {
+        command.unsupported = true;
+        return command;
+    }
+    cursor.expectEnd();
+    // Per-axis 'absolute'/'relative'/'local' when every position in the command agrees, otherwise null.
+    const [firstKinds, ...otherKinds] = cursor.positionKinds;
+    command.axisKinds = otherKinds.every(kinds => kinds.join() === firstKinds.join()) ? firstKinds : null;
+    return command;
+}
+
+// --- Block map helpers ---
+function getCmdStructCell(x, y, z) {
+    return cmdStructBlocksMap[x]?.[y]?.[z];
+}
+
+function setCmdStructCell(x, y, z, cell) {
+    if (!cell) {
+        // Prune emptied rows so convertToStructureData's bounds only see occupied cells.
+        if (!cmdStructBlocksMap[x]?.[y]) return;
+        delete cmdStructBlocksMap[x][y][z];
+        if (Object.keys(cmdStructBlocksMap[x][y]).length === 0) delete cmdStructBlocksMap[x][y];
+        if (Object.keys(cmdStructBlocksMap[x]).length === 0) delete cmdStructBlocksMap[x];
+        return;
+    }
+    if (!cmdStructBlocksMap[x]) cmdStructBlocksMap[x] = {};
+    if (!cmdStructBlocksMap[x][y]) cmdStructBlocksMap[x][y] = {};
+    cmdStructBlocksMap[x][y][z] = cell;
+}
+
+function isCmdStructCellEmpty(cell) {
+    return !cell || ((!cell.solid || cell.solid[0] === 'minecraft:air') && !cell.liquid);
+}
+
+// Water goes to the liquid layer so it can waterlog the solid block; air clears the cell but is
+// still written out so the structure overwrites whatever is in the world when loaded.
+function placeCmdStructBlock(x, y, z, block) {
+    const cell = { ...(getCmdStructCell(x, y, z) || {}) };
+    if (block[0] === 'minecraft:water') {
+        cell.liquid = block;
+    } else {
+        cell.solid = block;
+        if (block[0] === 'minecraft:air') delete cell.liquid;
+    }
+    setCmdStructCell(x, y, z, cell);
+}
+
+function cmdStructCellMatches(cell, filter) {
+    const [filterName, filterStates] = filter;
+    if (filterName === 'minecraft:air') return isCmdStructCellEmpty(cell);
+    const candidates = [cell?.solid, cell?.liquid].filter(Boolean);
+    return candidates.some(([name, states]) => name === filterName
+        && Object.entries(filterStates).every(([key, value]) => states[key] === value));
+}
+
+function getCmdStructBox(a, b) {
+    return {
+        min: [Math.min(a[0], b[0]), Math.min(a[1], b[1]), Math.min(a[2], b[2])],
+        max: [Math.max(a[0], b[0]), Math.max(a[1], b[1]), Math.max(a[2], b[2])],
+    };
+}
+
+function getCmdStructBoxVolume(box) {
+    return (box.max[0] - box.min[0] + 1) * (box.max[1] - box.min[1] + 1) * (box.max[2] - box.min[2] + 1);
+}
+
+/**
+ * Applies a parsed command to cmdStructBlocksMap.
+ * @returns {{changed: number, warnings: string[]}}
+ */
+function applyCmdStructCommand(command) {
+    const warnings = [];
+    let changed = 0;
+    if (command.legacyData !== null && command.legacyData !== undefined && command.legacyData !== 0) {
+        warnings.push(`Legacy data value ${command.legacyData} ignored; use block states instead`);
+    }
+
+    if (command.name === 'setblock') {
+        const [x, y, z] = command.pos;
+        if (command.mode === 'keep' && !isCmdStructCellEmpty(getCmdStructCell(x, y, z))) return { changed, warnings };
+        placeCmdStructBlock(x, y, z, command.block);
+        return { changed: 1, warnings };
+    }
+
+    if (command.name === 'fill') {
+        const { min, max } = getCmdStructBox(command.from, command.to);
+        const volume = getCmdStructBoxVolume({ min, max });
+        // The game rejects these outright, and applying them cell by cell could hang the page.
+        if (volume > BEDROCK_MAX_FILL_VOLUME) throw new Error(`Fill volume ${volume} exceeds the in-game limit of ${BEDROCK_MAX_FILL_VOLUME} blocks; the command was skipped`);
+        const air = ['minecraft:air', {}];
+        for (let x = min[0]; x <= max[0]; x++) {
+            for (let y = min[1]; y <= max[1]; y++) {
+                for (let z = min[2]; z <= max[2]; z++) {
+                    const onShell = x === min[0] || x === max[0] || y === min[1] || y === max[1] || z === min[2] || z === max[2];
+                    let block = command.block;
+                    switch (command.mode) {
+                        case 'keep':
+                            if (!isCmdStructCellEmpty(getCmdStructCell(x, y, z))) continue;
+                            break;
+                        case 'outline':
+                            if (!onShell) continue;
+                            break;
+                        case 'hollow':
+                            if (!onShell) block = air;
+                            break;
+                        case 'replace':
+                            if (command.filter && !cmdStructCellMatches(getCmdStructCell(x, y, z), command.filter)) continue;
+                            break;
+                        // 'destroy' only affects drops in-game; the resulting blocks match 'replace'.
+                    }
+                    placeCmdStructBlock(x, y, z, block);
+                    changed++;
+                }
+            }
+        }
+        return { changed, warnings };
+    }
+
+    if (command.name === 'clone') {
+        const source = getCmdStructBox(command.begin, command.end);
+        const size = [0, 1, 2].map(i => source.max[i] - source.min[i]);
+        const target = { min: command.destination, max: command.destination.map((v, i) => v + size[i]) };
+        const volume = getCmdStructBoxVolume(source);
+        if (volume > CMD_STRUCT_CLONE_LIMIT) throw new Error(`Clone volume ${volume} exceeds the in-game limit of ${CMD_STRUCT_CLONE_LIMIT} blocks; the command was skipped`);
+        const overlaps = [0, 1, 2].every(i => source.min[i] <= target.max[i] && target.min[i] <= source.max[i]);
+        if (overlaps && command.cloneMode !== 'force') throw new Error('Source and destination regions overlap (only "force" allows overlapping clones)');
+
+        // Snapshot the source first so overlapping force clones read the original blocks.
+        const copied = [];
+        for (let x = source.min[0]; x <= source.max[0]; x++) {
+            for (let y = source.min[1]; y <= source.max[1]; y++) {
+                for (let z = source.min[2]; z <= source.max[2]; z++) {
+                    const cell = getCmdStructCell(x, y, z);
+                    if (command.maskMode === 'masked' && isCmdStructCellEmpty(cell)) continue;
+                    if (command.maskMode === 'filtered' && !cmdStructCellMatches(cell, command.filter)) continue;
+                    copied.push([x, y, z, cell ? { ...cell } : null]);
+                }
+            }
+        }
+        for (const [x, y, z, cell] of copied) {
+            setCmdStructCell(x - source.min[0] + target.min[0], y - source.min[1] + target.min[1], z - source.min[2] + target.min[2], cell);
+            changed++;
+        }
+        if (command.cloneMode === 'move') {
+            const inTarget = (x, y, z) => x >= target.min[0] && x <= target.max[0] && y >= target.min[1] && y <= target.max[1] && z >= target.min[2] && z <= target.max[2];
+            for (const [x, y, z] of copied) {
+                if (!inTarget(x, y, z)) setCmdStructCell(x, y, z, { solid: ['minecraft:air', {}] });
+            }
+        }
+        return { changed, warnings };
+    }
+    return { changed, warnings };
+}
+
+/**
+ * Parses and applies every line of a commands file. Problems are collected per
+ * line instead of aborting, so one bad command doesn't discard the rest.
+ * @param {string} commandsText
+ * @returns {{commandCount: number, errorCount: number, warningCount: number, changedBlocks: number,
+ *            diagnostics: {file?: string, line: number, severity: 'error'|'warning', message: string, text: string}[], blocksFound: boolean}}
+ */
+function processCmdStructCommands(commandsText) {
+    return processCmdStructLines(commandsText.split(/\r?\n/).map((text, i) => ({ file: null, line: i + 1, text })));
+}
+
+/**
+ * Core of processCmdStructCommands, taking lines tagged with their source file and line number.
+ * @param {{file: string|null, line: number, text: string}[]} lines
+ */
+function processCmdStructLines(lines) {
+    cmdStructBlocksMap = {}; // Reset blocksMap
+    let commandCount = 0;
+    let changedBlocks = 0;
+    const diagnostics = [];
+
+    for (const entry of lines) {
+        const text = entry.text.trim();
+        if (isCmdStructCommentLine(text)) continue;
+        const report = (severity, message) => diagnostics.push({ file: entry.file, line: entry.line, severity, message, text });
+        commandCount++;
+        try {
+            const command = parseCmdStructCommand(text);
+            if (command.unsupported) {
+                report('warning', command.name === 'function'
+                    ? 'Function call skipped (enable "Follow function calls" to inline it)'
+                    : `Unsupported command "${command.name}" skipped`);
+                continue;
+            }
+            const result = applyCmdStructCommand(command);
+            changedBlocks += result.changed;
+            result.warnings.forEach(message => report('warning', message));
+        } catch (e) {
+            report('error', e.message);
+        }
+    }
+
+    const errorCount = diagnostics.filter(d => d.severity === 'error').length;
+    const warningCount = diagnostics.length - errorCount;
+    console.log(`CmdStruct: Processed ${commandCount} commands with ${errorCount} errors and ${warningCount} warnings.`);
+    return { commandCount, errorCount, warningCount, changedBlocks, diagnostics, blocksFound: Object.keys(cmdStructBlocksMap).length > 0 };
+}
+
+/**
+ * Formats processCmdStructCommands diagnostics for display, one entry per line.
+ */
+function formatCmdStructDiagnostics(diagnostics, limit = 200) {
+    const lines = diagnostics.slice(0, limit).map(d => `${d.file ? `${d.file}, line` : 'Line'} ${d.line} [${d.severity}]: ${d.message}\n    ${d.text}`);
+    if (diagnostics.length > limit) lines.push(`...and ${diagnostics.length - limit} more.`);
+    return lines.join('\n');
+}
+
+// --- Function files and behavior packs ---
+
+/**
+ * Reads every .mcfunction file from a behavior pack archive (.mcpack / .zip). Functions are keyed by
+ * their path under `functions/` without the extension, i.e. the name `/function <name>` uses. Archives
+ * holding several packs (or a pack inside a top-level folder) are handled by looking for the
+ * `functions/` directory anywhere in the path.
+ * @param {ArrayBuffer} arrayBuffer
+ * @returns {Promise<Map<string, string>>}
+ */
+async function readCmdStructFunctionPack(arrayBuffer) {
+    if (typeof JSZip === 'undefined') throw new Error("JSZip library is not loaded.");
+    const zip = await JSZip.loadAsync(arrayBuffer);
+    const functions = new Map();
+    const entries = Object.values(zip.files).filter(entry => !entry.dir && entry.name.toLowerCase().endsWith('.mcfunction'));
+    for (const entry of entries) {
+        const path = entry.name.replace(/\\/g, '/');
+        const match = path.match(/(?:^|\/)functions\/(.+)\.mcfunction$/i);
+        const name = match ? match[1] : path.replace(/\.mcfunction$/i, '');
+        if (functions.has(name)) console.warn(`CmdStruct: Duplicate function "${name}" in archive; keeping the first (${path} ignored).`);
+        else functions.set(name, await entry.async('string'));
+    }
+    return functions;
+}
+
+function getCmdStructFunctionCall(text) {
+    const match = text.trim().match(/^\/*function\s+(\S+)\s*$/i);
+    return match ? match[1].replace(/^\/+/, '').replace(/\.mcfunction$/i, '') : null;
+}
+
+/**
+ * Flattens a set of functions into the command lines to run. Without followCalls every function
+ * runs once, in name order. With followCalls only the entry functions (those no other function
+ * calls) run, and each `function <name>` line is replaced by the called function's lines, so a
+ * build split across part files is reconstructed exactly as the game would run it.
+ * @param {Map<string, string>} functions
+ * @param {{followCalls?: boolean}} [options]
+ * @returns {{lines: {file: string, line: number, text: string}[], diagnostics: object[], entryFunctions: string[]}}
+ */
+function collectCmdStructFunctionLines(functions, options = {}) {
+    const lines = [];
+    const diagnostics = [];
+    const names = [...functions.keys()].sort((a, b) => a.localeCompare(b));
+    const splitLines = (name) => functions.get(name).split(/\r?\n/);
+
+    if (!options.followCalls) {
+        for (const name of names) {
+            splitLines(name).forEach((text, i) => lines.push({ file: name, line: i + 1, text }));
+        }
+        return { lines, diagnostics, entryFunctions: names };
+    }
+
+    const called = new Set();
+    for (const name of names) {
+        splitLines(name).forEach(text => {
+            const target = getCmdStructFunctionCall(text);
+            if (target && target !== name) called.add(target);
+        });
+    }
+    let entryFunctions = names.filter(name => !called.has(name));
+    if (entryFunctions.length === 0) entryFunctions = names; // Every function is part of a cycle; run them all.
+
+    const visit = (name, stack) => {
+        splitLines(name).forEach((text, i) => {
+            const target = getCmdStructFunctionCall(text);
+            if (!target) { lines.push({ file: name, line: i + 1, text }); return; }
+            const report = (severity, message) => diagnostics.push({ file: name, line: i + 1, severity, message, text: text.trim() });
+            if (!functions.has(target)) report('error', `Function "${target}" not found`);
+            else if (stack.includes(target)) report('warning', `Recursive call to "${target}" skipped`);
+            else visit(target, [...stack, target]);
+        });
+    };
+    entryFunctions.forEach(name => visit(name, [name]));
+    return { lines, diagnostics, entryFunctions };
+}
+
+/**
+ * Runs a set of functions (see collectCmdStructFunctionLines) into cmdStructBlocksMap.
+ * @param {Map<string, string>} functions
+ * @param {{followCalls?: boolean}} [options]
+ */
+function processCmdStructFunctions(functions, options = {}) {
+    const collected = collectCmdStructFunctionLines(functions, options);
+    const result = processCmdStructLines(collected.lines);
+    const diagnostics = [...collected.diagnostics, ...result.diagnostics];
+    const errorCount = diagnostics.filter(d => d.severity === 'error').length;
+    return { ...result, diagnostics, errorCount, warningCount: diagnostics.length - errorCount, functionCount: functions.size, entryFunctions: collected.entryFunctions };
+}
+
+function convertToStructureData() {
+    try {
         console.log("CmdStruct: Starting conversion to structure data...");
         commandsToStructureData = {
             format_version: 1, size: [0, 0, 0], structure: { block_indices: [[], []], entities: [], palette: { default: { block_palette: [], block_position_data: {} } } }, structure_world_origin: [0, 0, 0]
@@ -770,9 +2068,108 @@ function convertToStructureData() {
 // ========================================================================== //
 
 // Global state for NBT to Raw tool
-let nbtToRawFileContent = '';
+let nbtToRawFileObject = null;
+
+const NBT_TO_RAW_BUILD_COMMANDS = ['fill', 'setblock'];
+const NPC_ACTION_TYPE_COMMAND = 1;
+
+function isBuildCommand(command) {
+    const name = command.trim().replace(/^\/+/, '').split(/\s+/)[0].toLowerCase();
+    return NBT_TO_RAW_BUILD_COMMANDS.includes(name);
+}
+
+// --- Raw to NBT round trip ---
+// "Raw to NBT" names every NPC's button "Build Part: N" and surrounds its commands with chaining
+// helpers: the first part starts with its own tickingarea adds, and every part ends with the next
+// part's tickingarea adds, dialogue open for the next part, kill @s and its own tickingarea removes.
+// These let extraction put the sections back in order and drop what the generator added.
+const RAW_TO_NBT_SECTION_PATTERN = /^Build Part: (\d+)$/;
+const RAW_TO_NBT_TICKINGAREA_ADD_PATTERN = /^\/?tickingarea add\b.*\b(NPCCOMMANDS|EQUALSCOMMANDS)\w*$/i;
+const RAW_TO_NBT_HELPER_PATTERNS = [
+    RAW_TO_NBT_TICKINGAREA_ADD_PATTERN,
+    /^\/?dialogue open @e\[tag=[^\]]*\] @initiator$/i,
+    /^\/?kill @s$/i,
+    /^\/?tickingarea remove\b.*\b(NPCCOMMANDS|EQUALSCOMMANDS)\w*$/i,
+];
+
+function isRawToNbtHelperCommand(command) {
+    const trimmed = command.trim();
+    return RAW_TO_NBT_HELPER_PATTERNS.some(pattern => pattern.test(trimmed));
+}
+
+// Only the generator's leading and trailing helper blocks are removed, so the same commands written
+// by the user survive. The trailing block starts at its first tickingarea add or dialogue open, or at
+// the final kill @s when the last part has neither.
+function stripRawToNbtSectionHelpers(commands) {
+    let first = 0;
+    while (first < commands.length && RAW_TO_NBT_TICKINGAREA_ADD_PATTERN.test(commands[first].trim())) first++;
+    let runStart = commands.length;
+    while (runStart > first && isRawToNbtHelperCommand(commands[runStart - 1])) runStart--;
+    let cut = commands.length;
+    for (let i = runStart; i < commands.length; i++) {
+        const trimmed = commands[i].trim();
+        if (RAW_TO_NBT_TICKINGAREA_ADD_PATTERN.test(trimmed) || RAW_TO_NBT_HELPER_PATTERNS[1].test(trimmed)) { cut = i; break; }
+        if (RAW_TO_NBT_HELPER_PATTERNS[2].test(trimmed)) cut = i;
+    }
+    return commands.slice(first, cut);
+}
+
+/**
+ * Undoes the command escaping of text written by older Raw to NBT versions, which was not valid
+ * SNBT. Both dialects turned `"` into `\\\"`; cmd_ver 42 additionally escaped the JSON around
+ * them one level deeper, which the caller strips by matching the delimiters. Standard `\"`/`\\`
+ * escapes from other exporters are undone afterwards.
+ */
+function unescapeNpcCommandLine(rawCommand) {
+    return rawCommand.replace(/\\\\\\"/g, '"').replace(/\\(["\\])/g, '$1');
+}
+
+/**
+ * Splits a Horion text dump into its "Build Part: N" NPC sections. Each section runs from its
+ * button_name to the next one; its cmd_line entries are read in either dialect:
+ *   cmd_ver 12: {"cmd_line":"...","cmd_ver":12}
+ *   cmd_ver 42: {\"cmd_line\":\"...\", \"cmd_ver\" : 42}
+ * @returns {{section: number, commands: string[]}[]} Empty when the text has no Build Part sections.
+ */
+function extractHorionBuildSections(fileContent) {
+    const sectionRegex = /(\\*)"button_name\1"\s*:\s*\1"Build Part: (\d+)\1"/g;
+    const starts = [];
+    let match;
+    while ((match = sectionRegex.exec(fileContent)) !== null) starts.push({ index: match.index, section: parseInt(match[2], 10) });
+
+    return starts.map((start, i) => {
+        const body = fileContent.substring(start.index, i + 1 < starts.length ? starts[i + 1].index : fileContent.length);
+        const cmdLineRegex = /(\\*)"cmd_line\1"\s*:\s*\1"([\s\S]*?)\1"\s*,\s*\1"cmd_ver\1"\s*:\s*\d+/g;
+        const commands = [];
+        let cmdMatch;
+        while ((cmdMatch = cmdLineRegex.exec(body)) !== null) commands.push(unescapeNpcCommandLine(cmdMatch[2]));
+        return { section: start.section, commands };
+    });
+}
+
+/**
+ * Orders Build Part sections by number (first copy wins for duplicates) and removes the
+ * generator's helper commands, giving back the commands that went into Raw to NBT.
+ */
+function assembleRawToNbtSections(sections) {
+    const bySection = new Map();
+    sections.forEach(entry => { if (!bySection.has(entry.section)) bySection.set(entry.section, entry.commands); });
+    const ordered = [...bySection.keys()].sort((a, b) => a - b);
+    const commands = [];
+    let helperCount = 0;
+    for (const section of ordered) {
+        const sectionCommands = bySection.get(section);
+        const kept = stripRawToNbtSectionHelpers(sectionCommands);
+        helperCount += sectionCommands.length - kept.length;
+        commands.push(...kept);
+    }
+    return { commands, sectionCount: ordered.length, helperCount };
+}
+
+function extractCommandsFromHorionText(fileContent) {
+    const buildSections = extractHorionBuildSections(fileContent);
+    if (buildSections.length > 0) return assembleRawToNbtSections(buildSections).commands;
 
-function extractFillSetblockCommandsFromHorionText(fileContent) {
     const allExtractedCommands = [];
     // Regex to find and capture the string content of "Actions:<value>"
     const actionsRegex = /Actions\s*:\s*"((?:\\.|[\s\S])*)"(?=,|\s*\}|\s*\])/g;
@@ -785,21 +2182,328 @@ function extractFillSetblockCommandsFromHorionText(fileContent) {
         let unescapedActionsString = actionsStringContentFromFile.replace(/\\"/g, '"');
         unescapedActionsString = unescapedActionsString.replace(/\\\\/g, '\\');
 
-        // Regex to find "cmd_line":"<command_value>" within the unescapedActionsString.
-        const cmdLineRegexRobust = /"cmd_line"\s*:\s*"((?:\\.|[^"\\])*)"/g;
+        allExtractedCommands.push(...extractCmdLinesFromActionsString(unescapedActionsString));
+    }
+    return allExtractedCommands;
+}
 
-        let cmdMatch;
-        while ((cmdMatch = cmdLineRegexRobust.exec(unescapedActionsString)) !== null) {
-            let rawCapturedCmdValue = cmdMatch[1];
-            let processedCommand = rawCapturedCmdValue.replace(/\\"/g, '"');
-            processedCommand = processedCommand.replace(/\\\\/g, '\\');
+function extractFillSetblockCommandsFromHorionText(fileContent) {
+    return extractCommandsFromHorionText(fileContent).filter(isBuildCommand);
+}
+
+// Regex to find "cmd_line":"<command_value>" within an (already unescaped) Actions string.
+function extractCmdLinesFromActionsString(actionsString) {
+    const commands = [];
+    const cmdLineRegexRobust = /"cmd_line"\s*:\s*"((?:\\.|[^"\\])*)"/g;
+    let cmdMatch;
+    while ((cmdMatch = cmdLineRegexRobust.exec(actionsString)) !== null) {
+        let processedCommand = cmdMatch[1].replace(/\\"/g, '"');
+        processedCommand = processedCommand.replace(/\\\\/g, '\\');
+        commands.push(processedCommand);
+    }
+    return commands;
+}
+
+/**
+ * Returns the commands of an NPC's `Actions` string (a JSON array of buttons). Only command
+ * actions are read; their `data[].cmd_line` entries are used, falling back to the newline
+ * separated `text`. Malformed JSON falls back to the cmd_line regex. `section` is the
+ * Raw to NBT "Build Part: N" number when a button carries one, otherwise null.
+ * @returns {{commands: string[], section: number|null}}
+ */
+function extractNpcActionCommands(actionsString) {
+    let actions;
+    try {
+        actions = JSON.parse(actionsString);
+    } catch (e) {
+        const sections = extractHorionBuildSections(actionsString);
+        if (sections.length > 0) return sections[0];
+        return { commands: extractCmdLinesFromActionsString(actionsString), section: null };
+    }
+    if (!Array.isArray(actions)) return { commands: [], section: null };
+    const commands = [];
+    let section = null;
+    for (const action of actions) {
+        if (!action || (action.type !== undefined && action.type !== NPC_ACTION_TYPE_COMMAND)) continue;
+        const sectionMatch = typeof action.button_name === 'string' ? action.button_name.match(RAW_TO_NBT_SECTION_PATTERN) : null;
+        if (sectionMatch && section === null) section = parseInt(sectionMatch[1], 10);
+        if (Array.isArray(action.data) && action.data.length > 0) {
+            action.data.forEach(entry => { if (typeof entry?.cmd_line === 'string') commands.push(entry.cmd_line); });
+        } else if (typeof action.text === 'string') {
+            commands.push(...action.text.split(/\r?\n/));
+        }
+    }
+    return { commands: commands.map(command => command.trim()).filter(Boolean), section };
+}
 
-            if (processedCommand.startsWith('fill ') || processedCommand.startsWith('setblock ')) {
-                allExtractedCommands.push(processedCommand);
+/**
+ * Pulls every command out of a parsed .mcstructure: command blocks in
+ * block_position_data (in block index order), then command block minecarts and NPC
+ * actions from structure.entities (in list order). NPCs made by Raw to NBT are ordered by
+ * their Build Part section instead and lose the generator's helper commands.
+ * @param {object} root - Typed root tag from readNbt.
+ * @returns {{commands: string[], commandBlockCount: number, npcCount: number, minecartCount: number}}
+ */
+function extractCommandsFromMcStructureNbt(root) {
+    const structureTag = getNbtChild(root, 'structure');
+    if (!structureTag) throw new Error('File is not a .mcstructure (no "structure" compound).');
+    const commands = [];
+    let commandBlockCount = 0, npcCount = 0, minecartCount = 0;
+
+    const positionData = getNbtChild(getNbtChild(getNbtChild(structureTag, 'palette'), 'default'), 'block_position_data')?.value || new Map();
+    const indices = [...positionData.keys()].map(Number).sort((a, b) => a - b);
+    for (const index of indices) {
+        const blockEntity = getNbtChild(positionData.get(String(index)), 'block_entity_data');
+        const command = getNbtChild(blockEntity, 'Command')?.value;
+        if (typeof command !== 'string' || !command.trim()) continue;
+        commandBlockCount++;
+        commands.push(command.trim());
+    }
+
+    const buildSections = [];
+    for (const entityTag of getNbtChild(structureTag, 'entities')?.value || []) {
+        const identifier = getNbtChild(entityTag, 'identifier')?.value || '';
+        const actions = getNbtChild(entityTag, 'Actions')?.value;
+        const command = getNbtChild(entityTag, 'Command')?.value;
+        if (typeof actions === 'string') {
+            const npc = extractNpcActionCommands(actions);
+            if (npc.commands.length > 0) npcCount++;
+            if (npc.section !== null) buildSections.push(npc);
+            else commands.push(...npc.commands);
+        } else if (identifier === 'minecraft:command_block_minecart' && typeof command === 'string' && command.trim()) {
+            minecartCount++;
+            commands.push(command.trim());
+        }
+    }
+    const assembled = assembleRawToNbtSections(buildSections);
+    commands.push(...assembled.commands);
+    return { commands, commandBlockCount, npcCount, minecartCount, sectionCount: assembled.sectionCount, helperCount: assembled.helperCount };
+}
+
+/**
+ * Pulls the NPC commands out of parsed SNBT text such as Raw to NBT's Horion item: every
+ * compound with a string Actions tag is an NPC, visited in document order.
+ * @param {object} root - Typed tag from parseSnbt.
+ * @returns {{commands: string[], npcCount: number, sectionCount: number, helperCount: number}}
+ */
+function extractCommandsFromSnbtTag(root) {
+    const commands = [];
+    const buildSections = [];
+    let npcCount = 0;
+    const visit = (tag) => {
+        if (tag.type === TAG_LIST) tag.value.forEach(visit);
+        if (tag.type !== TAG_COMPOUND) return;
+        const actions = tag.value.get('Actions');
+        if (actions?.type === TAG_STRING) {
+            const npc = extractNpcActionCommands(actions.value);
+            if (npc.commands.length > 0) npcCount++;
+            if (npc.section !== null) buildSections.push(npc);
+            else commands.push(...npc.commands);
+        }
+        tag.value.forEach(visit);
+    };
+    visit(root);
+    const assembled = assembleRawToNbtSections(buildSections);
+    commands.push(...assembled.commands);
+    return { commands, npcCount, sectionCount: assembled.sectionCount, helperCount: assembled.helperCount };
+}
+
+/**
+ * Extracts commands from an NBT to Raw input file. Binary (optionally gzipped) little-endian
+ * NBT is read as a .mcstructure; anything else is treated as a text dump with NPC Actions,
+ * parsed as SNBT when it is valid and scanned with the older Horion regexes otherwise.
+ * @param {ArrayBuffer} arrayBuffer
+ * @param {{buildCommandsOnly?: boolean}} [options] - Keep only fill/setblock commands.
+ * @returns {{commands: string[], totalCount: number, format: 'mcstructure'|'text', summary: string}}
+ */
+function extractNbtToRawCommands(arrayBuffer, options = {}) {
+    const { bytes } = decompressNbt(arrayBuffer);
+
+    let result;
+    if (bytes[0] === TAG_COMPOUND) {
+        let root = null;
+        try {
+            root = readNbt(bytes).root;
+        } catch (e) {
+            console.warn('NBTtoRaw: Input starts like NBT but failed to parse; treating it as text.', e);
+        }
+        if (root) {
+            const extracted = extractCommandsFromMcStructureNbt(root);
+            const sources = [`${extracted.commandBlockCount} command block(s)`, `${extracted.npcCount} NPC(s)`];
+            if (extracted.sectionCount > 0) sources.push(`${extracted.sectionCount} Build Part section(s), ${extracted.helperCount} helper command(s) removed`);
+            if (extracted.minecartCount > 0) sources.push(`${extracted.minecartCount} command block minecart(s)`);
+            result = { commands: extracted.commands, format: 'mcstructure', summary: sources.join(', ') };
+        }
+    }
+    if (!result) {
+        const text = new TextDecoder('utf-8').decode(bytes);
+        let snbtRoot = null;
+        try {
+            const parsed = parseSnbt(text.trim());
+            if (parsed.type === TAG_COMPOUND || parsed.type === TAG_LIST) snbtRoot = parsed;
+        } catch (e) {
+            console.warn('NBTtoRaw: Text is not valid SNBT; falling back to the Horion text scanner.', e.message);
+        }
+        const buildSections = snbtRoot ? [] : extractHorionBuildSections(text);
+        if (snbtRoot) {
+            const extracted = extractCommandsFromSnbtTag(snbtRoot);
+            const sources = [`${extracted.npcCount} NPC(s)`];
+            if (extracted.sectionCount > 0) sources.push(`${extracted.sectionCount} Build Part section(s), ${extracted.helperCount} helper command(s) removed`);
+            result = { commands: extracted.commands, format: 'text', summary: `SNBT text: ${sources.join(', ')}` };
+        } else if (buildSections.length > 0) {
+            const assembled = assembleRawToNbtSections(buildSections);
+            result = { commands: assembled.commands, format: 'text', summary: `${assembled.sectionCount} Build Part section(s) (${assembled.helperCount} helper command(s) removed)` };
+        } else {
+            result = { commands: extractCommandsFromHorionText(text), format: 'text', summary: '"Actions" text' };
+        }
+    }
+    const totalCount = result.commands.length;
+    if (options.buildCommandsOnly) result.commands = result.commands.filter(isBuildCommand);
+    return { ...result, totalCount };
+}
+
+// ========================================================================== //
+//              JAVA TEXT COMPONENTS -> BEDROCK FORMATTED TEXT                //
+// ========================================================================== //
+// Java keeps sign lines, custom names and book pages as JSON text components (NBT compounds
+// since 1.21.5); Bedrock shows plain strings with § codes. extra children inherit their parent's
+// style as in Java, and every change of style is written as §r followed by the whole new style.
+
+const TEXT_COMPONENT_COLOR_CODES = {
+    black: '0', dark_blue: '1', dark_green: '2', dark_aqua: '3', dark_red: '4', dark_purple: '5', gold: '6', gray: '7',
+    dark_gray: '8', blue: '9', green: 'a', aqua: 'b', red: 'c', light_purple: 'd', yellow: 'e', white: 'f'
+};
+const TEXT_COMPONENT_COLOR_RGB = {
+    black: 0x000000, dark_blue: 0x0000AA, dark_green: 0x00AA00, dark_aqua: 0x00AAAA, dark_red: 0xAA0000, dark_purple: 0xAA00AA,
+    gold: 0xFFAA00, gray: 0xAAAAAA, dark_gray: 0x555555, blue: 0x5555FF, green: 0x55FF55, aqua: 0x55FFFF, red: 0xFF5555,
+    light_purple: 0xFF55FF, yellow: 0xFFFF55, white: 0xFFFFFF
+};
+const TEXT_COMPONENT_FORMAT_CODES = { obfuscated: 'k', bold: 'l', italic: 'o' };
+// Bedrock uses §m and §n for material colors, so these styles cannot be shown there.
+const TEXT_COMPONENT_UNSUPPORTED_FORMATS = ['underlined', 'strikethrough'];
+// Java sign dye colors -> Bedrock SignTextColor (ARGB). Black is the undyed default.
+const SIGN_TEXT_COLORS = {
+    white: 0xFFF0F0F0, orange: 0xFFF9801D, magenta: 0xFFC74EBD, light_blue: 0xFF3AB3DA, yellow: 0xFFFED83D,
+    lime: 0xFF80C71F, pink: 0xFFF38BAA, gray: 0xFF474F52, light_gray: 0xFF9D9D97, cyan: 0xFF169C9C,
+    purple: 0xFF8932B8, blue: 0xFF3C44AA, brown: 0xFF835432, green: 0xFF5E7C16, red: 0xFFB02E26, black: 0xFF000000
+};
+
+function parseTextComponentJson(text) {
+    if (!/^\s*[[{"]/.test(text)) return text;
+    try { return JSON.parse(text); } catch (e) { return text; }
+}
+
+/**
+ * Reads a text component from a typed tag: JSON in a string tag (before 1.21.5; strings that
+ * are not JSON count as plain text) or a compound/list component. Returns the JSON-style value.
+ */
+function readTextComponentTag(tag) {
+    if (!tag) return '';
+    if (tag.type === TAG_STRING) return parseTextComponentJson(tag.value);
+    const toJson = (child) => {
+        switch (child.type) {
+            case TAG_COMPOUND: return Object.fromEntries([...child.value].map(([key, value]) => [key, toJson(value)]));
+            case TAG_LIST: return child.value.map(toJson);
+            case TAG_BYTE: return child.value !== 0; // bold:1b
+            case TAG_LONG: return Number(child.value);
+            default: return child.value;
+        }
+    };
+    return toJson(tag);
+}
+
+function getNearestTextColorName(hexColor) {
+    const channels = (rgb) => [(rgb >> 16) & 0xFF, (rgb >> 8) & 0xFF, rgb & 0xFF];
+    const [r, g, b] = channels(parseInt(hexColor.slice(1), 16));
+    let nearest = 'white', nearestDistance = Infinity;
+    for (const [name, rgb] of Object.entries(TEXT_COMPONENT_COLOR_RGB)) {
+        const [r2, g2, b2] = channels(rgb);
+        const distance = (r - r2) ** 2 + (g - g2) ** 2 + (b - b2) ** 2;
+        if (distance < nearestDistance) { nearest = name; nearestDistance = distance; }
+    }
+    return nearest;
+}
+
+// The visible text of one component; content Bedrock cannot resolve is approximated.
+function getTextComponentContent(component, note) {
+    if (component.text !== undefined) return String(component.text);
+    if (component.translate !== undefined) {
+        if (component.fallback !== undefined) {
+            note(`Translation key "${component.translate}" replaced by its fallback text.`);
+            return String(component.fallback);
+        }
+        note(`Translation key "${component.translate}" kept as text; Bedrock cannot translate Java keys.`);
+        const args = (component.with || []).map(arg => textComponentToBedrockText(arg).replace(/§./g, ''));
+        let nextArg = 0;
+        return String(component.translate).replace(/%(?:(\d+)\$)?s/g, (_, index) => args[index ? index - 1 : nextArg++] ?? '');
+    }
+    if (component.selector !== undefined) {
+        note(`Selector ${component.selector} written as plain text.`);
+        return String(component.selector);
+    }
+    if (component.score !== undefined) {
+        note(`Score of ${component.score.name} for ${component.score.objective} cannot be resolved; it was dropped.`);
+        return component.score.value !== undefined ? String(component.score.value) : '';
+    }
+    if (component.keybind !== undefined) {
+        note(`Keybind ${component.keybind} written as plain text.`);
+        return String(component.keybind);
+    }
+    if (component.nbt !== undefined) note(`NBT text component (${component.nbt}) cannot be resolved; it was dropped.`);
+    return '';
+}
+
+/**
+ * Flattens a Java text component (string, array or object) into a Bedrock string with § codes.
+ * Anything that is approximated or dropped is described once in notes.
+ */
+function textComponentToBedrockText(component, notes = []) {
+    const note = (message) => { if (!notes.includes(message)) notes.push(message); };
+    const segments = [];
+    const visit = (node, inherited) => {
+        if (node === null || node === undefined) return inherited;
+        if (Array.isArray(node)) {
+            // The first element is the parent of the others, which inherit its style.
+            if (node.length === 0) return inherited;
+            const style = visit(node[0], inherited);
+            node.slice(1).forEach(child => visit(child, style));
+            return style;
+        }
+        if (typeof node !== 'object') {
+            segments.push({ text: String(node), style: inherited });
+            return inherited;
+        }
+        const style = { ...inherited };
+        if (typeof node.color === 'string') {
+            if (node.color.startsWith('#')) {
+                style.color = getNearestTextColorName(node.color);
+                note(`Color ${node.color} approximated as ${style.color}.`);
+            } else if (node.color in TEXT_COMPONENT_COLOR_CODES) {
+                style.color = node.color;
             }
         }
+        for (const format of [...Object.keys(TEXT_COMPONENT_FORMAT_CODES), ...TEXT_COMPONENT_UNSUPPORTED_FORMATS]) {
+            if (node[format] !== undefined) style[format] = !!node[format];
+        }
+        segments.push({ text: getTextComponentContent(node, note), style });
+        if (Array.isArray(node.extra)) node.extra.forEach(child => visit(child, style));
+        return style;
+    };
+    visit(component, {});
+
+    let result = '', activeCodes = '';
+    for (const { text, style } of segments) {
+        if (!text) continue;
+        TEXT_COMPONENT_UNSUPPORTED_FORMATS.filter(format => style[format]).forEach(format => note(`${format} text has no Bedrock code; shown without it.`));
+        const codes = (style.color ? `§${TEXT_COMPONENT_COLOR_CODES[style.color]}` : '') +
+            Object.entries(TEXT_COMPONENT_FORMAT_CODES).filter(([format]) => style[format]).map(([, code]) => `§${code}`).join('');
+        if (codes !== activeCodes) {
+            result += (activeCodes ? '§r' : '') + codes;
+            activeCodes = codes;
+        }
+        result += text;
     }
-    return allExtractedCommands;
+    return result;
 }
 
 // ========================================================================== //
@@ -889,91 +2593,853 @@ function javaToUniversal(parsedJavaBlock) {
                     break;
             }
         }
-    } catch (error) {
-        console.error(`Error applying Java->Universal rules for ${baseBlockName}:`, error);
-        // Fallback to a direct copy on error
-        universalBlock.properties = { ...parsedJavaBlock.states };
+    } catch (error) {
+        console.error(`Error applying Java->Universal rules for ${baseBlockName}:`, error);
+        // Fallback to a direct copy on error
+        universalBlock.properties = { ...parsedJavaBlock.states };
+    }
+
+    // Special handling for sea pickles
+    if (baseBlockName === 'sea_pickle') {
+        universalBlock.properties.pickle_is_dead = parsedJavaBlock.states.waterlogged === 'false';
+        delete universalBlock.properties.waterlogged;
+    }
+    return universalBlock;
+}
+
+function universalToBedrock(universalBlock) {
+    const baseUniversalName = getBaseBlockName(universalBlock.name);
+    const rules = window.universalToBedrockMaps[baseUniversalName] || [];
+    const bedrockRepresentation = { name: `minecraft:${baseUniversalName}`, states: {} };
+
+    if (!rules.length) {
+        // No rules, just copy properties and parse values
+        for (const key in universalBlock.properties) {
+            bedrockRepresentation.states[key] = parseJsonStringValue(universalBlock.properties[key]);
+        }
+    } else {
+        try {
+            const applyNestedRules = (nestedRules, currentBedrockRep, universalProps) => {
+                if (!Array.isArray(nestedRules)) return;
+                for (const rule of nestedRules) {
+                    switch (rule.function) {
+                        case 'new_block':
+                            currentBedrockRep.name = rule.options;
+                            break;
+                        case 'new_properties':
+                            for (const [key, value] of Object.entries(rule.options)) {
+                                currentBedrockRep.states[key] = parseJsonStringValue(value);
+                            }
+                            break;
+                        case 'map_properties':
+                            for (const propKey in rule.options) {
+                                const universalValue = universalProps[propKey];
+                                if (universalValue !== undefined) {
+                                    const cleanValue = parseJsonStringValue(universalValue);
+                                    let mappingForValue = rule.options[propKey]?.[String(cleanValue)] ?? rule.options[propKey]?.[`"${cleanValue}"`];
+                                    if (mappingForValue && Array.isArray(mappingForValue)) {
+                                        applyNestedRules(mappingForValue, currentBedrockRep, universalProps);
+                                    }
+                                }
+                            }
+                            break;
+                        case 'carry_properties':
+                            for (const propKey in rule.options) {
+                                const universalValue = universalProps[propKey];
+                                if (universalValue !== undefined) {
+                                    const allowedValues = rule.options[propKey];
+                                    if (Array.isArray(allowedValues)) {
+                                        const parsedValue = parseJsonStringValue(universalValue);
+                                        if (allowedValues.some(allowed => String(parseJsonStringValue(allowed)).toLowerCase() === String(parsedValue).toLowerCase())) {
+                                            currentBedrockRep.states[propKey] = parsedValue;
+                                        }
+                                    }
+                                }
+                            }
+                            break;
+                    }
+                }
+            };
+            // Find new block name first
+            const newBlockRule = rules.find(rule => rule.function === 'new_block');
+            if (newBlockRule) bedrockRepresentation.name = newBlockRule.options;
+            // Apply all other rules
+            applyNestedRules(rules.filter(rule => rule.function !== 'new_block'), bedrockRepresentation, universalBlock.properties);
+        } catch (error) {
+            console.error(`Error applying Universal->Bedrock rules for ${baseUniversalName}:`, error);
+        }
+    }
+
+    // Special handling for sea pickles
+    if (universalBlock.properties.hasOwnProperty('pickle_is_dead')) {
+        bedrockRepresentation.states.dead_bit = universalBlock.properties.pickle_is_dead === true;
+        delete bedrockRepresentation.states.pickle_is_dead;
+    }
+    return bedrockRepresentation;
+}
+
+// --- Block entity NBT rules (walk_input_nbt, carry_nbt, new_nbt, map_nbt) ---
+// A mapping context holds the typed input compound, the typed output compound the rules build
+// and the names of `code` functions met on the way (hooks the mappings expect their own
+// translator to implement). Rule paths are lists of [key, type] pairs; list entries use indices.
+
+const NBT_MAPPING_TYPES = {
+    byte: TAG_BYTE, short: TAG_SHORT, int: TAG_INT, long: TAG_LONG, float: TAG_FLOAT, double: TAG_DOUBLE,
+    byte_array: TAG_BYTE_ARRAY, string: TAG_STRING, list: TAG_LIST, compound: TAG_COMPOUND,
+    int_array: TAG_INT_ARRAY, long_array: TAG_LONG_ARRAY
+};
+const NBT_MAPPING_TYPE_NAMES = Object.fromEntries(Object.entries(NBT_MAPPING_TYPES).map(([name, type]) => [type, name]));
+// What walk_input_nbt does when self_default / nested_default are not given.
+const NBT_MAPPING_DEFAULT_FUNCTIONS = [{ function: 'carry_nbt', options: {} }];
+
+function createNbtMappingContext(input) {
+    return { input, output: createNbtCompound(), skippedCode: [] };
+}
+
+// Casts a number for carry_nbt's `type` option; non-numeric tags are carried unchanged.
+function castNbtMappingTag(tag, type) {
+    const isNumeric = (t) => t >= TAG_BYTE && t <= TAG_DOUBLE;
+    if (tag.type === type || !isNumeric(tag.type) || !isNumeric(type)) return tag;
+    if (type === TAG_FLOAT || type === TAG_DOUBLE) return { type, value: Number(tag.value) };
+    const [min, max] = NBT_INTEGER_RANGES[type];
+    let value = BigInt(Math.trunc(Number(tag.value)));
+    value = value < min ? min : value > max ? max : value;
+    return { type, value: type === TAG_LONG ? value : Number(value) };
+}
+
+// Stores tag under key at a [key, type] path of the output, creating missing compounds and lists.
+function writeNbtMappingOutput(output, path, key, tag) {
+    const put = (container, childKey, child) => {
+        if (container.type === TAG_LIST) {
+            container.listType = child.type;
+            container.value[Math.min(Number(childKey), container.value.length)] = child;
+        } else {
+            container.value.set(childKey, child);
+        }
+    };
+    let container = output;
+    for (const [segment, typeName] of path) {
+        let child = container.type === TAG_LIST ? container.value[segment] : container.value.get(segment);
+        if (child?.type !== TAG_COMPOUND && child?.type !== TAG_LIST) {
+            child = typeName === 'list' ? { type: TAG_LIST, listType: TAG_END, value: [] } : createNbtCompound();
+            put(container, segment, child);
+        }
+        container = child;
+    }
+    put(container, key, tag);
+}
+
+function walkNbtMappingInput(options, context, node) {
+    if (node.tag.type !== NBT_MAPPING_TYPES[options.type]) {
+        runNbtMappingFunctions(options.self_default ?? NBT_MAPPING_DEFAULT_FUNCTIONS, context, node);
+        return;
+    }
+    runNbtMappingFunctions(options.functions, context, node);
+    let children = [];
+    if (node.tag.type === TAG_COMPOUND) children = [...node.tag.value].map(([key, tag]) => [key, tag, options.keys?.[key]]);
+    else if (node.tag.type === TAG_LIST) children = node.tag.value.map((tag, index) => [index, tag, options.index?.[index]]);
+    for (const [key, tag, childOptions] of children) {
+        const child = { tag, key, path: [...node.path, [key, NBT_MAPPING_TYPE_NAMES[tag.type]]] };
+        if (childOptions) walkNbtMappingInput(childOptions, context, child);
+        else runNbtMappingFunctions(options.nested_default ?? NBT_MAPPING_DEFAULT_FUNCTIONS, context, child);
+    }
+}
+
+// node is { tag, key, path } for the input tag the functions apply to; non-NBT functions are ignored.
+function runNbtMappingFunctions(functions, context, node) {
+    if (!Array.isArray(functions)) return;
+    for (const fn of functions) {
+        switch (fn.function) {
+            case 'walk_input_nbt':
+                walkNbtMappingInput(fn.options, context, node);
+                break;
+            case 'carry_nbt': {
+                if (node.key === null) break; // The root has no parent to be carried into
+                const options = fn.options || {};
+                const tag = options.type ? castNbtMappingTag(node.tag, NBT_MAPPING_TYPES[options.type]) : node.tag;
+                writeNbtMappingOutput(context.output, options.path ?? node.path.slice(0, -1), options.key ?? node.key, tag);
+                break;
+            }
+            case 'new_nbt':
+                for (const { path = [], key, value } of [].concat(fn.options)) {
+                    writeNbtMappingOutput(context.output, path, key, parseSnbt(value));
+                }
+                break;
+            case 'map_nbt': {
+                const current = stringifySnbt(node.tag);
+                const match = Object.entries(fn.options.cases || {}).find(([value]) => stringifySnbt(parseSnbt(value)) === current);
+                runNbtMappingFunctions(match ? match[1] : fn.options.default, context, node);
+                break;
+            }
+            case 'code':
+                context.skippedCode.push(fn.options.function);
+                break;
+        }
+    }
+}
+
+/**
+ * Applies the NBT functions among a block's mapping rules to the context's input compound.
+ * Call it with the top-level rules and again with any map_properties branch that was taken.
+ */
+function applyNbtMappingRules(rules, context) {
+    runNbtMappingFunctions(rules, context, { tag: context.input, key: null, path: [] });
+}
+
+// ========================================================================== //
+//                      Java Structure Format Readers                         //
+// ========================================================================== //
+// Each reader normalizes its input into the Sponge v2 shape
+// ({ Width, Height, Length, Palette, BlockData }) so every converter can keep
+// using the same palette translation and VarInt block iteration.
+
+function encodeVarIntArray(values) {
+    const bytes = [];
+    for (const v of values) {
+        let value = v >>> 0;
+        while (value >= 0x80) {
+            bytes.push((value & 0x7F) | 0x80);
+            value >>>= 7;
+        }
+        bytes.push(value);
+    }
+    return new Uint8Array(bytes);
+}
+
+// --- Block entities ---
+// Readers below return block entities as a Map from index in the normalized volume
+// ((y * length + z) * width + x) to { id, nbt }, where nbt is the typed data compound
+// without its position and id tags. They read the typed root so tag types survive.
+
+const BLOCK_ENTITY_LOCATION_KEYS = ['Pos', 'Id', 'id', 'x', 'y', 'z'];
+
+function readBlockEntityPosition(tag) {
+    if (!tag) return null;
+    return tag.type === TAG_LIST ? tag.value.map(entry => entry.value) : Array.from(tag.value);
+}
+
+function addNormalizedBlockEntity(blockEntities, position, id, fields, size) {
+    const [width, height, length] = size;
+    const [x, y, z] = position || [];
+    if (![x, y, z].every(Number.isInteger) || x < 0 || y < 0 || z < 0 || x >= width || y >= height || z >= length) return false;
+    const value = new Map([...fields].filter(([key]) => !BLOCK_ENTITY_LOCATION_KEYS.includes(key)));
+    blockEntities.set((y * length + z) * width + x, { id: typeof id === 'string' ? id : null, nbt: { type: TAG_COMPOUND, value } });
+    return true;
+}
+
+// Sponge v1/v2 (BlockEntities or TileEntities with Pos and inline data), Sponge v3
+// (Blocks.BlockEntities with a Data compound) and legacy schematics (TileEntities with x/y/z).
+function readSchematicBlockEntities(schematicTag, size) {
+    const listTag = getNbtChild(getNbtChild(schematicTag, 'Blocks'), 'BlockEntities') || getNbtChild(schematicTag, 'BlockEntities') || getNbtChild(schematicTag, 'TileEntities');
+    const blockEntities = new Map();
+    for (const entry of listTag?.type === TAG_LIST ? listTag.value : []) {
+        if (entry.type !== TAG_COMPOUND) continue;
+        const fields = entry.value;
+        const position = fields.has('Pos') ? readBlockEntityPosition(fields.get('Pos')) : ['x', 'y', 'z'].map(axis => fields.get(axis)?.value);
+        const data = fields.get('Data')?.type === TAG_COMPOUND ? fields.get('Data').value : fields;
+        addNormalizedBlockEntity(blockEntities, position, (fields.get('Id') || fields.get('id') || data.get('id'))?.value, data, size);
+    }
+    return blockEntities;
+}
+
+// --- Legacy MCEdit/WorldEdit .schematic (numeric IDs, pre-1.13) ---
+function isLegacySchematic(schematicNbt) {
+    return !!schematicNbt && schematicNbt.Blocks instanceof Uint8Array && schematicNbt.Data instanceof Uint8Array;
+}
+
+function legacyBlockToJavaString(blockId, meta) {
+    const variants = window.legacyToJavaMaps?.[blockId];
+    if (!variants) return null;
+    return variants[meta] || variants[0];
+}
+
+function convertLegacySchematic(schematicNbt) {
+    const width = schematicNbt.Width, height = schematicNbt.Height, length = schematicNbt.Length;
+    const blocks = schematicNbt.Blocks;
+    const data = schematicNbt.Data;
+    const addBlocks = schematicNbt.AddBlocks instanceof Uint8Array ? schematicNbt.AddBlocks : null;
+    const volume = width * height * length;
+    if (blocks.length < volume) throw new Error(`Legacy schematic has ${blocks.length} blocks, expected ${volume}.`);
+
+    const palette = {};
+    const paletteIds = new Map(); // "id:meta" -> palette index
+    const unknownIds = new Set();
+    const indices = new Array(volume);
+
+    for (let i = 0; i < volume; i++) {
+        let blockId = blocks[i];
+        if (addBlocks && (i >> 1) < addBlocks.length) {
+            blockId |= (i & 1) === 0 ? (addBlocks[i >> 1] & 0x0F) << 8 : (addBlocks[i >> 1] & 0xF0) << 4;
+        }
+        const meta = data[i] & 0x0F;
+        const legacyKey = `${blockId}:${meta}`;
+        let paletteIndex = paletteIds.get(legacyKey);
+        if (paletteIndex === undefined) {
+            let javaBlockString = legacyBlockToJavaString(blockId, meta);
+            if (!javaBlockString) {
+                unknownIds.add(blockId);
+                javaBlockString = 'minecraft:air';
+            }
+            paletteIndex = palette[javaBlockString];
+            if (paletteIndex === undefined) {
+                paletteIndex = Object.keys(palette).length;
+                palette[javaBlockString] = paletteIndex;
+            }
+            paletteIds.set(legacyKey, paletteIndex);
+        }
+        indices[i] = paletteIndex;
+    }
+    if (unknownIds.size > 0) {
+        console.warn(`Legacy schematic: Unknown block IDs replaced with air: ${[...unknownIds].join(', ')}`);
+    }
+    return { Width: width, Height: height, Length: length, Palette: palette, BlockData: encodeVarIntArray(indices), unknownLegacyIds: [...unknownIds] };
+}
+
+// --- Litematica .litematic (named regions, bit-packed BlockStates) ---
+function isLitematic(nbt) {
+    return !!nbt && typeof nbt.Regions === 'object' && nbt.Regions !== null && !(nbt.Regions instanceof Uint8Array) && !!nbt.Metadata;
+}
+
+function listLitematicRegions(nbt) {
+    return isLitematic(nbt) ? Object.keys(nbt.Regions) : [];
+}
+
+function formatJavaPaletteEntry(name, properties) {
+    const keys = properties ? Object.keys(properties) : [];
+    if (keys.length === 0) return name;
+    return `${name}[${keys.map(k => `${k}=${properties[k]}`).join(',')}]`;
+}
+
+// Splits a long array (BigInt values) into 32-bit words, low word first, so the
+// packed bit stream can be read with plain number arithmetic.
+function longArrayToWords(longs) {
+    const words = new Uint32Array(longs.length * 2 + 1);
+    for (let i = 0; i < longs.length; i++) {
+        const v = BigInt.asUintN(64, BigInt(longs[i]));
+        words[i * 2] = Number(v & 0xFFFFFFFFn);
+        words[i * 2 + 1] = Number(v >> 32n);
+    }
+    return words;
+}
+
+function unpackLitematicBlockStates(longs, bitsPerEntry, count) {
+    const words = longArrayToWords(longs);
+    const mask = bitsPerEntry === 32 ? 0xFFFFFFFF : (1 << bitsPerEntry) - 1;
+    const result = new Int32Array(count);
+    for (let i = 0; i < count; i++) {
+        const bitOffset = i * bitsPerEntry;
+        const wordIndex = bitOffset >>> 5;
+        const bitIndex = bitOffset & 31;
+        let value = words[wordIndex] >>> bitIndex;
+        if (bitIndex + bitsPerEntry > 32) value |= words[wordIndex + 1] << (32 - bitIndex);
+        result[i] = (value & mask) >>> 0;
+    }
+    return result;
+}
+
+function readLitematicRegion(name, region) {
+    const pos = region.Position, size = region.Size;
+    if (!pos || !size) throw new Error(`Litematic region '${name}' is missing Position or Size.`);
+    const sizeX = Math.abs(size.x), sizeY = Math.abs(size.y), sizeZ = Math.abs(size.z);
+    // Negative sizes mean the region extends from Position towards the negative axis.
+    const min = [
+        pos.x + (size.x < 0 ? size.x + 1 : 0),
+        pos.y + (size.y < 0 ? size.y + 1 : 0),
+        pos.z + (size.z < 0 ? size.z + 1 : 0),
+    ];
+    const paletteList = region.BlockStatePalette?.value || [];
+    if (paletteList.length === 0) throw new Error(`Litematic region '${name}' has an empty BlockStatePalette.`);
+    const palette = paletteList.map(entry => formatJavaPaletteEntry(entry.Name || 'minecraft:air', entry.Properties));
+    const bitsPerEntry = Math.max(2, 32 - Math.clz32(palette.length - 1));
+    const states = unpackLitematicBlockStates(region.BlockStates || [], bitsPerEntry, sizeX * sizeY * sizeZ);
+    return { name, min, size: [sizeX, sizeY, sizeZ], palette, states };
+}
+
+// Converts one named region, or all regions merged into their enclosing box
+// when regionName is empty, into the Sponge v2 shape.
+function convertLitematic(nbt, regionName = null) {
+    const regionNames = listLitematicRegions(nbt);
+    if (regionNames.length === 0) throw new Error("Litematic file contains no regions.");
+    if (regionName && !regionNames.includes(regionName)) throw new Error(`Litematic region '${regionName}' not found.`);
+    const regions = (regionName ? [regionName] : regionNames).map(name => readLitematicRegion(name, nbt.Regions[name]));
+
+    const boxMin = [Infinity, Infinity, Infinity], boxMax = [-Infinity, -Infinity, -Infinity];
+    for (const region of regions) {
+        for (let axis = 0; axis < 3; axis++) {
+            boxMin[axis] = Math.min(boxMin[axis], region.min[axis]);
+            boxMax[axis] = Math.max(boxMax[axis], region.min[axis] + region.size[axis] - 1);
+        }
+    }
+    const width = boxMax[0] - boxMin[0] + 1, height = boxMax[1] - boxMin[1] + 1, length = boxMax[2] - boxMin[2] + 1;
+
+    const palette = { 'minecraft:air': 0 };
+    const indices = new Int32Array(width * height * length); // Pre-filled with air (0)
+    const regionOffsets = {};
+    for (const region of regions) {
+        const localToGlobal = region.palette.map(blockString => {
+            if (palette[blockString] === undefined) palette[blockString] = Object.keys(palette).length;
+            return palette[blockString];
+        });
+        const [sizeX, sizeY, sizeZ] = region.size;
+        const [ox, oy, oz] = [region.min[0] - boxMin[0], region.min[1] - boxMin[1], region.min[2] - boxMin[2]];
+        regionOffsets[region.name] = [ox, oy, oz];
+        for (let y = 0; y < sizeY; y++) for (let z = 0; z < sizeZ; z++) for (let x = 0; x < sizeX; x++) {
+            const globalId = localToGlobal[region.states[(y * sizeZ + z) * sizeX + x]] ?? 0;
+            if (globalId === 0) continue; // Air never overwrites blocks from an overlapping region
+            indices[((oy + y) * length + (oz + z)) * width + (ox + x)] = globalId;
+        }
+    }
+    return { Width: width, Height: height, Length: length, Palette: palette, BlockData: encodeVarIntArray(indices), regionNames: regions.map(r => r.name), regionOffsets };
+}
+
+// Region TileEntities store x/y/z relative to the region's minimum corner.
+function readLitematicBlockEntities(litematicTag, regionOffsets, size) {
+    const blockEntities = new Map();
+    for (const [name, offset] of Object.entries(regionOffsets)) {
+        const listTag = getNbtChild(getNbtChild(getNbtChild(litematicTag, 'Regions'), name), 'TileEntities');
+        for (const entry of listTag?.type === TAG_LIST ? listTag.value : []) {
+            if (entry.type !== TAG_COMPOUND) continue;
+            const fields = entry.value;
+            const position = ['x', 'y', 'z'].map((axis, i) => fields.get(axis)?.value + offset[i]);
+            addNormalizedBlockEntity(blockEntities, position, fields.get('id')?.value, fields, size);
+        }
+    }
+    return blockEntities;
+}
+
+// --- Vanilla Java structure block .nbt (palette + sparse blocks list) ---
+function isJavaStructureNbt(nbt) {
+    return !!nbt && nbt.size?.value?.length === 3 && Array.isArray(nbt.blocks?.value) && !!(nbt.palette || nbt.palettes);
+}
+
+function convertJavaStructureNbt(nbt) {
+    const [width, height, length] = nbt.size.value;
+    if (width <= 0 || height <= 0 || length <= 0) throw new Error(`Invalid structure size: ${width}x${height}x${length}`);
+    // Blocks with random variants (e.g. shipwrecks) store several palettes; the first one is used.
+    const paletteList = nbt.palette ? nbt.palette.value : (nbt.palettes.value[0]?.value || []);
+    if (paletteList.length === 0) throw new Error("Structure .nbt file has an empty palette.");
+
+    const palette = { 'minecraft:air': 0 };
+    const localToGlobal = paletteList.map(entry => {
+        const blockString = formatJavaPaletteEntry(entry.Name || 'minecraft:air', entry.Properties);
+        if (palette[blockString] === undefined) palette[blockString] = Object.keys(palette).length;
+        return palette[blockString];
+    });
+
+    // Positions missing from the blocks list are structure voids; they are left as air.
+    const indices = new Int32Array(width * height * length);
+    let skipped = 0;
+    for (const block of nbt.blocks.value) {
+        const [x, y, z] = block.pos?.value || [];
+        const globalId = localToGlobal[block.state];
+        if (globalId === undefined || x < 0 || y < 0 || z < 0 || x >= width || y >= height || z >= length) {
+            skipped++;
+            continue;
+        }
+        indices[(y * length + z) * width + x] = globalId;
+    }
+    if (skipped > 0) console.warn(`Structure .nbt: Skipped ${skipped} block entries with invalid positions or states.`);
+    // Entities (mobs, item frames, armor stands) have no block form and are not converted.
+    const droppedEntityCount = nbt.entities?.value?.length || 0;
+    if (droppedEntityCount > 0) console.warn(`Structure .nbt: Dropped ${droppedEntityCount} entities.`);
+    return { Width: width, Height: height, Length: length, Palette: palette, BlockData: encodeVarIntArray(indices), droppedEntityCount };
+}
+
+// Block entity data sits in the optional nbt compound of each blocks entry.
+function readJavaStructureBlockEntities(structureTag, size) {
+    const blockEntities = new Map();
+    for (const entry of getNbtChild(structureTag, 'blocks').value) {
+        const nbt = getNbtChild(entry, 'nbt');
+        if (nbt?.type !== TAG_COMPOUND) continue;
+        addNormalizedBlockEntity(blockEntities, readBlockEntityPosition(getNbtChild(entry, 'pos')), nbt.value.get('id')?.value, nbt.value, size);
+    }
+    return blockEntities;
+}
+
+
+// ========================================================================== //
+//                  SHARED BEDROCK -> JAVA TRANSLATION ENGINE                 //
+// ========================================================================== //
+// mappings.js only ships the Java -> Universal -> Bedrock rules. The reverse rule sets
+// (window.bedrockToUniversalMaps and window.universalToJavaMaps) are derived from them on
+// first use by running every Java block state the forward rules know about through
+// javaToUniversal/universalToBedrock, so both directions always agree with mappings.js.
+
+let reverseTranslationMaps = null;
+
+// mappings.js drops Java's "waterlogged" state (Bedrock keeps water in a second layer),
+// so the blocks that can carry it are listed here, as of Java 1.21.4 (the version mappings.js covers).
+const JAVA_WATERLOGGABLE_BLOCK_PATTERN = /(_stairs|_slab|_fence|_wall|_pane|_trapdoor|_sign|_coral|_coral_fan|_coral_wall_fan|_candle|_rail|_grate|_leaves|amethyst_bud|chest|copper_lantern|_chain)$|^(rail|candle|chain|iron_bars|ladder|lantern|soul_lantern|campfire|soul_campfire|conduit|scaffolding|lightning_rod|pointed_dripstone|amethyst_cluster|light|mangrove_roots|mangrove_propagule|small_dripleaf|big_dripleaf|big_dripleaf_stem|hanging_roots|glow_lichen|resin_clump|sculk_sensor|calibrated_sculk_sensor|sculk_shrieker|sculk_vein|sea_pickle|heavy_core|decorated_pot|barrier)$/;
+
+// Values that mean "not connected" are tried first, so Bedrock blocks that drop Java-only
+// states (fence/wall/redstone connections) come back unconnected instead of fully connected.
+function javaStateValueRank(value) {
+    return (value === 'false' || value === 'none') ? 0 : 1;
+}
+
+function getJavaStateDomains(rules) {
+    const domains = {};
+    for (const rule of rules) {
+        if (rule.function === 'carry_properties') {
+            for (const [key, values] of Object.entries(rule.options)) {
+                if (Array.isArray(values)) domains[key] = values.map(v => String(parseJsonStringValue(v)));
+            }
+        } else if (rule.function === 'map_properties') {
+            for (const [key, mapping] of Object.entries(rule.options)) {
+                domains[key] = Object.keys(mapping).map(v => String(parseJsonStringValue(v)));
+            }
+        }
+    }
+    for (const key in domains) {
+        domains[key].sort((a, b) => javaStateValueRank(a) - javaStateValueRank(b));
     }
+    return domains;
+}
 
-    // Special handling for sea pickles
-    if (baseBlockName === 'sea_pickle') {
-        universalBlock.properties.pickle_is_dead = parsedJavaBlock.states.waterlogged === 'false';
-        delete universalBlock.properties.waterlogged;
+function* enumerateStateCombinations(domains) {
+    const keys = Object.keys(domains);
+    const indices = new Array(keys.length).fill(0);
+    while (true) {
+        const states = {};
+        keys.forEach((key, i) => { states[key] = domains[key][indices[i]]; });
+        yield states;
+        let i = keys.length - 1;
+        while (i >= 0 && ++indices[i] >= domains[keys[i]].length) indices[i--] = 0;
+        if (i < 0) return;
     }
-    return universalBlock;
 }
 
-function universalToBedrock(universalBlock) {
-    const baseUniversalName = getBaseBlockName(universalBlock.name);
-    const rules = window.universalToBedrockMaps[baseUniversalName] || [];
-    const bedrockRepresentation = { name: `minecraft:${baseUniversalName}`, states: {} };
+// Bedrock states come either as plain values or as typed NBT tags ({ type, value });
+// booleans are stored as TAG_BYTE in .mcstructure palettes.
+function normalizeStateValues(states) {
+    const normalized = {};
+    for (const [key, raw] of Object.entries(states || {})) {
+        let value = raw;
+        if (raw && typeof raw === 'object' && 'type' in raw) {
+            value = raw.type === TAG_BYTE ? raw.value !== 0 : raw.value;
+        }
+        normalized[key] = String(parseJsonStringValue(value));
+    }
+    return normalized;
+}
 
-    if (!rules.length) {
-        // No rules, just copy properties and parse values
-        for (const key in universalBlock.properties) {
-            bedrockRepresentation.states[key] = parseJsonStringValue(universalBlock.properties[key]);
+function makeBlockStateKey(name, states) {
+    return formatJavaPaletteEntry(name, Object.fromEntries(Object.keys(states).sort().map(k => [k, states[k]])));
+}
+
+function buildReverseTranslationMaps() {
+    const bedrockToUniversalMaps = {};
+    const universalToJavaMaps = {};
+    const seen = new Map();
+    // The first Java state producing a given block wins, unless a later Java block has the
+    // same name as the produced Bedrock block (several Java blocks can share one Bedrock id).
+    const addEntry = (maps, name, entry, preferred = false) => {
+        const key = makeBlockStateKey(name, entry.states);
+        const existing = seen.get(key);
+        if (existing) {
+            if (preferred && !existing.preferred) {
+                maps[name][maps[name].indexOf(existing.entry)] = entry;
+                seen.set(key, { entry, preferred });
+            }
+            return;
         }
-    } else {
-        try {
-            const applyNestedRules = (nestedRules, currentBedrockRep, universalProps) => {
-                if (!Array.isArray(nestedRules)) return;
-                for (const rule of nestedRules) {
-                    switch (rule.function) {
-                        case 'new_block':
-                            currentBedrockRep.name = rule.options;
-                            break;
-                        case 'new_properties':
-                            for (const [key, value] of Object.entries(rule.options)) {
-                                currentBedrockRep.states[key] = parseJsonStringValue(value);
-                            }
-                            break;
-                        case 'map_properties':
-                            for (const propKey in rule.options) {
-                                const universalValue = universalProps[propKey];
-                                if (universalValue !== undefined) {
-                                    const cleanValue = parseJsonStringValue(universalValue);
-                                    let mappingForValue = rule.options[propKey]?.[String(cleanValue)] ?? rule.options[propKey]?.[`"${cleanValue}"`];
-                                    if (mappingForValue && Array.isArray(mappingForValue)) {
-                                        applyNestedRules(mappingForValue, currentBedrockRep, universalProps);
-                                    }
-                                }
-                            }
-                            break;
-                        case 'carry_properties':
-                            for (const propKey in rule.options) {
-                                const universalValue = universalProps[propKey];
-                                if (universalValue !== undefined) {
-                                    const allowedValues = rule.options[propKey];
-                                    if (Array.isArray(allowedValues)) {
-                                        const parsedValue = parseJsonStringValue(universalValue);
-                                        if (allowedValues.some(allowed => String(parseJsonStringValue(allowed)).toLowerCase() === String(parsedValue).toLowerCase())) {
-                                            currentBedrockRep.states[propKey] = parsedValue;
-                                        }
-                                    }
-                                }
-                            }
-                            break;
-                    }
-                }
-            };
-            // Find new block name first
-            const newBlockRule = rules.find(rule => rule.function === 'new_block');
-            if (newBlockRule) bedrockRepresentation.name = newBlockRule.options;
-            // Apply all other rules
-            applyNestedRules(rules.filter(rule => rule.function !== 'new_block'), bedrockRepresentation, universalBlock.properties);
-        } catch (error) {
-            console.error(`Error applying Universal->Bedrock rules for ${baseUniversalName}:`, error);
+        seen.set(key, { entry, preferred });
+        (maps[name] = maps[name] || []).push(entry);
+    };
+
+    for (const [javaName, rules] of Object.entries(window.javaToUniversalMaps)) {
+        const domains = getJavaStateDomains(rules);
+        const canWaterlog = JAVA_WATERLOGGABLE_BLOCK_PATTERN.test(javaName);
+
+        for (const javaStates of enumerateStateCombinations(domains)) {
+            const universal = javaToUniversal({ blockId: `minecraft:${javaName}`, states: javaStates });
+            const bedrock = universalToBedrock(universal);
+            const universalBlock = { name: universal.name, properties: normalizeStateValues(universal.properties) };
+            addEntry(universalToJavaMaps, universal.name, {
+                states: universalBlock.properties,
+                java: { name: `minecraft:${javaName}`, states: javaStates, canWaterlog }
+            });
+            addEntry(bedrockToUniversalMaps, bedrock.name, { states: normalizeStateValues(bedrock.states), universal: universalBlock },
+                getBaseBlockName(bedrock.name) === javaName);
         }
     }
+    return { bedrockToUniversalMaps, universalToJavaMaps };
+}
 
-    // Special handling for sea pickles
-    if (universalBlock.properties.hasOwnProperty('pickle_is_dead')) {
-        bedrockRepresentation.states.dead_bit = universalBlock.properties.pickle_is_dead === true;
-        delete bedrockRepresentation.states.pickle_is_dead;
+function getReverseTranslationMaps() {
+    if (!reverseTranslationMaps) {
+        reverseTranslationMaps = buildReverseTranslationMaps();
+        window.bedrockToUniversalMaps = reverseTranslationMaps.bedrockToUniversalMaps;
+        window.universalToJavaMaps = reverseTranslationMaps.universalToJavaMaps;
     }
-    return bedrockRepresentation;
+    return reverseTranslationMaps;
+}
+
+// Exact state matches win. Otherwise each candidate scores +1 per matching and -1 per conflicting
+// state value (states one side doesn't know, e.g. ones added in newer Bedrock versions, count for
+// neither) and ties go to the earliest candidate, i.e. the first Java values in mappings.js order.
+function findBestStateMatch(candidates, states) {
+    let best = null;
+    let bestScore = -Infinity;
+    for (const candidate of candidates) {
+        const candidateKeys = Object.keys(candidate.states);
+        let score = 0;
+        for (const key of candidateKeys) {
+            if (key in states) score += states[key] === candidate.states[key] ? 1 : -1;
+        }
+        if (score === candidateKeys.length && candidateKeys.length === Object.keys(states).length) return candidate;
+        if (score > bestScore) {
+            best = candidate;
+            bestScore = score;
+        }
+    }
+    return best;
+}
+
+// Older Bedrock blocks keep their variant in a state (stone_type, color, wood_type, ...) while
+// mappings.js only knows the flattened names. Each entry lists the states it consumes and builds
+// the flattened name from them.
+const legacyBedrockColor = states => states.color === 'silver' ? 'light_gray' : states.color;
+const LEGACY_BEDROCK_BLOCK_VARIANTS = {
+    stone: { states: ['stone_type'], name: s => ({ granite_smooth: 'polished_granite', diorite_smooth: 'polished_diorite', andesite_smooth: 'polished_andesite' })[s.stone_type] || s.stone_type },
+    dirt: { states: ['dirt_type'], name: s => s.dirt_type === 'coarse' ? 'coarse_dirt' : 'dirt' },
+    sand: { states: ['sand_type'], name: s => s.sand_type === 'red' ? 'red_sand' : 'sand' },
+    sandstone: { states: ['sand_stone_type'], name: s => ({ heiroglyphs: 'chiseled_sandstone', cut: 'cut_sandstone', smooth: 'smooth_sandstone' })[s.sand_stone_type] || 'sandstone' },
+    red_sandstone: { states: ['sand_stone_type'], name: s => ({ heiroglyphs: 'chiseled_red_sandstone', cut: 'cut_red_sandstone', smooth: 'smooth_red_sandstone' })[s.sand_stone_type] || 'red_sandstone' },
+    prismarine: { states: ['prismarine_block_type'], name: s => ({ dark: 'dark_prismarine', bricks: 'prismarine_bricks' })[s.prismarine_block_type] || 'prismarine' },
+    stonebrick: { states: ['stone_brick_type'], name: s => ['mossy', 'cracked', 'chiseled'].includes(s.stone_brick_type) ? `${s.stone_brick_type}_stone_bricks` : 'stone_bricks' },
+    quartz_block: { states: ['chisel_type'], name: s => ({ chiseled: 'chiseled_quartz_block', lines: 'quartz_pillar', smooth: 'smooth_quartz' })[s.chisel_type] || 'quartz_block' },
+    wool: { states: ['color'], name: s => `${legacyBedrockColor(s)}_wool` },
+    carpet: { states: ['color'], name: s => `${legacyBedrockColor(s)}_carpet` },
+    concrete: { states: ['color'], name: s => `${legacyBedrockColor(s)}_concrete` },
+    concrete_powder: { states: ['color'], name: s => `${legacyBedrockColor(s)}_concrete_powder` },
+    stained_glass: { states: ['color'], name: s => `${legacyBedrockColor(s)}_stained_glass` },
+    stained_glass_pane: { states: ['color'], name: s => `${legacyBedrockColor(s)}_stained_glass_pane` },
+    stained_hardened_clay: { states: ['color'], name: s => `${legacyBedrockColor(s)}_terracotta` },
+    shulker_box: { states: ['color'], name: s => `${legacyBedrockColor(s)}_shulker_box` },
+    planks: { states: ['wood_type'], name: s => `${s.wood_type}_planks` },
+    fence: { states: ['wood_type'], name: s => `${s.wood_type}_fence` },
+    wooden_slab: { states: ['wood_type'], name: s => `${s.wood_type}_slab` },
+    double_wooden_slab: { states: ['wood_type'], name: s => `${s.wood_type}_double_slab` },
+    wood: { states: ['wood_type', 'stripped_bit'], name: s => `${s.stripped_bit === 'true' ? 'stripped_' : ''}${s.wood_type}_wood` },
+    log: { states: ['old_log_type'], name: s => `${s.old_log_type}_log` },
+    log2: { states: ['new_log_type'], name: s => `${s.new_log_type}_log` },
+    leaves: { states: ['old_leaf_type'], name: s => `${s.old_leaf_type}_leaves` },
+    leaves2: { states: ['new_leaf_type'], name: s => `${s.new_leaf_type}_leaves` },
+    sapling: { states: ['sapling_type'], name: s => `${s.sapling_type}_sapling` },
+    red_flower: {
+        states: ['flower_type'],
+        name: s => ({ orchid: 'blue_orchid', houstonia: 'azure_bluet', tulip_red: 'red_tulip', tulip_orange: 'orange_tulip', tulip_white: 'white_tulip', tulip_pink: 'pink_tulip', oxeye: 'oxeye_daisy' })[s.flower_type] || s.flower_type
+    }
+};
+
+// Returns the block's name and normalized states, swapping a legacy variant state for the
+// flattened name when mappings.js has a rule for that name.
+function resolveLegacyBedrockBlock(bedrockBlock, bedrockToUniversalMaps) {
+    const states = normalizeStateValues(bedrockBlock.states);
+    const variant = LEGACY_BEDROCK_BLOCK_VARIANTS[getBaseBlockName(bedrockBlock.name)];
+    if (!variant || !(variant.states[0] in states)) return { name: bedrockBlock.name, states };
+    const name = `minecraft:${variant.name(states)}`;
+    if (!bedrockToUniversalMaps[name]) return { name: bedrockBlock.name, states };
+    const remaining = { ...states };
+    variant.states.forEach(key => delete remaining[key]);
+    return { name, states: remaining };
+}
+
+function bedrockToUniversal(bedrockBlock) {
+    const { bedrockToUniversalMaps } = getReverseTranslationMaps();
+    const { name, states } = resolveLegacyBedrockBlock(bedrockBlock, bedrockToUniversalMaps);
+    const candidates = bedrockToUniversalMaps[name];
+    if (!candidates) return null;
+    return findBestStateMatch(candidates, states).universal;
+}
+
+function universalToJava(universalBlock) {
+    const candidates = getReverseTranslationMaps().universalToJavaMaps[universalBlock.name];
+    if (!candidates) return null;
+    return findBestStateMatch(candidates, normalizeStateValues(universalBlock.properties)).java;
+}
+
+// ========================================================================== //
+//                 STRUCTURE TRANSFORMS (ROTATE / MIRROR)                     //
+// ========================================================================== //
+// Transforms work on Bedrock block states and sit between a loaded palette and the
+// command / .mcstructure writers. The mirror is applied first, then the rotation,
+// which turns the build clockwise when viewed from above (north -> east).
+
+const STRUCTURE_ROTATIONS = [0, 90, 180, 270];
+const STRUCTURE_MIRRORS = ['none', 'x', 'z'];
+
+const CARDINAL_DIRECTIONS_CLOCKWISE = ['north', 'east', 'south', 'west'];
+const CARDINAL_MIRRORS = {
+    x: { east: 'west', west: 'east' },
+    z: { north: 'south', south: 'north' }
+};
+
+// Index -> direction tables for the integer direction states Bedrock uses.
+const FACING_DIRECTION_VALUES = ['down', 'up', 'north', 'south', 'west', 'east'];
+const WEIRDO_DIRECTION_VALUES = ['east', 'west', 'south', 'north'];
+const CORAL_DIRECTION_VALUES = ['west', 'east', 'north', 'south'];
+const DIRECTION_STATE_VALUES = {
+    default: ['south', 'west', 'north', 'east'],
+    door: ['east', 'south', 'west', 'north'],
+    trapdoor: ['east', 'west', 'south', 'north'],
+    decorated_pot: ['north', 'east', 'south', 'west']
+};
+// rail_direction: straight and curved rails connect two sides, ascending rails rise towards one.
+const RAIL_DIRECTION_VALUES = [
+    ['north', 'south'], ['east', 'west'],
+    ['ascending', 'east'], ['ascending', 'west'], ['ascending', 'north'], ['ascending', 'south'],
+    ['south', 'east'], ['south', 'west'], ['north', 'west'], ['north', 'east']
+];
+const VINE_DIRECTION_BITS = { 1: 'south', 2: 'west', 4: 'north', 8: 'east' };
+const MULTI_FACE_DIRECTION_BITS = { 1: 'down', 2: 'up', 4: 'south', 8: 'west', 16: 'north', 32: 'east' };
+// States whose value is a direction name ('north', 'up', ...); other values such as 'top' are kept.
+const NAMED_DIRECTION_STATES = ['minecraft:cardinal_direction', 'minecraft:facing_direction', 'minecraft:block_face', 'torch_facing_direction'];
+
+function normalizeStructureTransform(transform = {}) {
+    const rotation = ((parseInt(transform.rotation, 10) || 0) % 360 + 360) % 360;
+    if (!STRUCTURE_ROTATIONS.includes(rotation)) throw new Error(`Unsupported rotation: ${transform.rotation}. Use 0, 90, 180 or 270.`);
+    const mirror = String(transform.mirror || 'none').toLowerCase();
+    if (!STRUCTURE_MIRRORS.includes(mirror)) throw new Error(`Unsupported mirror axis: ${transform.mirror}. Use none, x or z.`);
+    return { rotation, mirror };
+}
+
+function isIdentityStructureTransform(transform) {
+    return !transform || (transform.rotation === 0 && transform.mirror === 'none');
+}
+
+function describeStructureTransform(transform) {
+    const parts = [];
+    if (transform.mirror !== 'none') parts.push(`mirrored along ${transform.mirror.toUpperCase()}`);
+    if (transform.rotation !== 0) parts.push(`rotated ${transform.rotation}° clockwise`);
+    return parts.length > 0 ? parts.join(', then ') : 'unchanged';
+}
+
+// size is [x, y, z]; quarter turns swap the X and Z extents.
+function getTransformedStructureSize(size, transform) {
+    const [sizeX, sizeY, sizeZ] = size;
+    return transform.rotation === 90 || transform.rotation === 270 ? [sizeZ, sizeY, sizeX] : [sizeX, sizeY, sizeZ];
+}
+
+// Maps a position inside a structure of the given (source) size to its transformed position.
+function transformStructurePosition(x, y, z, size, transform) {
+    const [sizeX, , sizeZ] = size;
+    if (transform.mirror === 'x') x = sizeX - 1 - x;
+    else if (transform.mirror === 'z') z = sizeZ - 1 - z;
+    switch (transform.rotation) {
+        case 90: return [sizeZ - 1 - z, y, x];
+        case 180: return [sizeX - 1 - x, y, sizeZ - 1 - z];
+        case 270: return [z, y, sizeX - 1 - x];
+        default: return [x, y, z];
+    }
+}
+
+function transformCardinalDirection(direction, transform) {
+    let result = CARDINAL_MIRRORS[transform.mirror]?.[direction] || direction;
+    const index = CARDINAL_DIRECTIONS_CLOCKWISE.indexOf(result);
+    if (index !== -1) result = CARDINAL_DIRECTIONS_CLOCKWISE[(index + transform.rotation / 90) % 4];
+    return result;
+}
+
+function transformIndexedDirection(value, table, transform) {
+    const direction = table[value];
+    if (direction === undefined) return value;
+    const transformed = table.indexOf(transformCardinalDirection(direction, transform));
+    return transformed === -1 ? value : transformed;
+}
+
+function transformDirectionBits(value, bitTable, transform) {
+    let result = 0;
+    for (const [bit, direction] of Object.entries(bitTable)) {
+        if ((value & bit) === 0) continue;
+        const transformed = transformCardinalDirection(direction, transform);
+        const transformedBit = Object.keys(bitTable).find(key => bitTable[key] === transformed);
+        result |= Number(transformedBit);
+    }
+    // Keep any bits the table doesn't know about.
+    const knownMask = Object.keys(bitTable).reduce((mask, bit) => mask | Number(bit), 0);
+    return result | (value & ~knownMask);
+}
+
+function transformRailDirection(value, transform) {
+    const sides = RAIL_DIRECTION_VALUES[value];
+    if (!sides) return value;
+    const transformed = sides.map(side => side === 'ascending' ? side : transformCardinalDirection(side, transform));
+    const index = RAIL_DIRECTION_VALUES.findIndex(candidate => candidate[0] === 'ascending'
+        ? transformed[0] === 'ascending' && candidate[1] === transformed[1]
+        : transformed[0] !== 'ascending' && transformed.every(side => candidate.includes(side)));
+    return index === -1 ? value : index;
+}
+
+// Standing signs and banners use 16 steps, 0 = south, increasing clockwise.
+function transformGroundSignDirection(value, transform) {
+    let result = value;
+    if (transform.mirror === 'x') result = (16 - result) % 16;
+    else if (transform.mirror === 'z') result = (24 - result) % 16;
+    return (result + transform.rotation / 90 * 4) % 16;
+}
+
+function getDirectionStateTable(blockName) {
+    const name = String(blockName || '').replace(/^minecraft:/, '');
+    if (/trapdoor$/.test(name)) return DIRECTION_STATE_VALUES.trapdoor;
+    if (/(^|_)door$/.test(name)) return DIRECTION_STATE_VALUES.door;
+    if (name === 'decorated_pot') return DIRECTION_STATE_VALUES.decorated_pot;
+    return DIRECTION_STATE_VALUES.default;
+}
+
+// Palette states are plain values (translated schematics) or typed { type, value } tags (.mcstructure).
+function getRawStateValue(state) {
+    return state && typeof state === 'object' ? state.value : state;
+}
+
+function withRawStateValue(state, value) {
+    return state && typeof state === 'object' ? { ...state, value } : value;
+}
+
+function transformBedrockBlockStates(blockName, states, transform) {
+    if (!states || isIdentityStructureTransform(transform)) return states;
+    const quarterTurn = transform.rotation === 90 || transform.rotation === 270;
+    const result = {};
+    for (const [key, state] of Object.entries(states)) {
+        const value = getRawStateValue(state);
+        let transformed = value;
+        if (key === 'facing_direction') transformed = transformIndexedDirection(value, FACING_DIRECTION_VALUES, transform);
+        else if (key === 'direction') transformed = transformIndexedDirection(value, getDirectionStateTable(blockName), transform);
+        else if (key === 'weirdo_direction') transformed = transformIndexedDirection(value, WEIRDO_DIRECTION_VALUES, transform);
+        else if (key === 'coral_direction') transformed = transformIndexedDirection(value, CORAL_DIRECTION_VALUES, transform);
+        else if (key === 'rail_direction') transformed = transformRailDirection(value, transform);
+        else if (key === 'ground_sign_direction') transformed = transformGroundSignDirection(value, transform);
+        else if (key === 'vine_direction_bits') transformed = transformDirectionBits(value, VINE_DIRECTION_BITS, transform);
+        else if (key === 'multi_face_direction_bits') transformed = transformDirectionBits(value, MULTI_FACE_DIRECTION_BITS, transform);
+        else if (NAMED_DIRECTION_STATES.includes(key)) transformed = transformCardinalDirection(value, transform);
+        else if (key === 'pillar_axis' || key === 'portal_axis') {
+            if (quarterTurn && (value === 'x' || value === 'z')) transformed = value === 'x' ? 'z' : 'x';
+        } else if (key === 'lever_direction') {
+            // Floor and ceiling levers name an axis (up_north_south); wall levers name a side.
+            const axisMatch = /^(up|down)_(north_south|east_west)$/.exec(value);
+            if (axisMatch) {
+                if (quarterTurn) transformed = `${axisMatch[1]}_${axisMatch[2] === 'north_south' ? 'east_west' : 'north_south'}`;
+            } else transformed = transformCardinalDirection(value, transform);
+        } else if (key === 'orientation' && typeof value === 'string') {
+            // Crafters: "<front>_<top>", e.g. north_up or up_east.
+            transformed = value.split('_').map(part => transformCardinalDirection(part, transform)).join('_');
+        } else if (key === 'door_hinge_bit' && transform.mirror !== 'none') {
+            transformed = typeof value === 'boolean' ? !value : (value ? 0 : 1);
+        }
+
+        const wallMatch = /^wall_connection_type_(north|east|south|west)$/.exec(key);
+        const outputKey = wallMatch ? `wall_connection_type_${transformCardinalDirection(wallMatch[1], transform)}` : key;
+        result[outputKey] = transformed === value ? state : withRawStateValue(state, transformed);
+    }
+    return result;
 }
 
+// Returns a transformed copy of a { name, states, ... } block; the input block is left untouched.
+function transformBedrockBlock(block, transform) {
+    if (!block || isIdentityStructureTransform(transform)) return block;
+    return { ...block, states: transformBedrockBlockStates(block.name, block.states, transform) };
+}
 
 // ========================================================================== //
 //                  Schematic to Commands Converter Logic                     //
@@ -1042,9 +3508,85 @@ function formatBedrockBlockString(bedrockBlock, includeStates) {
     return `${bedrockBlock.name}[${stateParts.join(',')}]`;
 }
 
+// Bedrock rejects a /fill covering more than 32768 blocks.
+const BEDROCK_MAX_FILL_VOLUME = 32768;
+// Largest structure a Bedrock structure block can save or load (X, Y, Z).
+const BEDROCK_MAX_STRUCTURE_SIZE = [64, 384, 64];
+
+// Cuts a merged box into sub-boxes of at most maxVolume blocks, keeping whole X rows and
+// Z slices together where possible so the split adds as few commands as it can.
+function splitFillVolume(x1, y1, z1, x2, y2, z2, maxVolume = BEDROCK_MAX_FILL_VOLUME) {
+    const sizeX = x2 - x1 + 1, sizeY = y2 - y1 + 1, sizeZ = z2 - z1 + 1;
+    if (sizeX * sizeY * sizeZ <= maxVolume) return [[x1, y1, z1, x2, y2, z2]];
+
+    const stepX = Math.min(sizeX, maxVolume);
+    const stepZ = Math.min(sizeZ, Math.max(1, Math.floor(maxVolume / stepX)));
+    const stepY = Math.min(sizeY, Math.max(1, Math.floor(maxVolume / (stepX * stepZ))));
+    const boxes = [];
+    for (let y = y1; y <= y2; y += stepY) for (let z = z1; z <= z2; z += stepZ) for (let x = x1; x <= x2; x += stepX) {
+        boxes.push([x, y, z, Math.min(x + stepX - 1, x2), Math.min(y + stepY - 1, y2), Math.min(z + stepZ - 1, z2)]);
+    }
+    return boxes;
+}
+
+// Axis orders the box merger can grow in; 'xzy' is the classic X, then Z, then Y sweep.
+const FILL_AXIS_ORDERS = ['xzy', 'xyz', 'yxz', 'yzx', 'zxy', 'zyx'];
+// Strategies tried per optimization level. The first one is always the classic sweep so its
+// command count can be reported as the "before" figure; the cover with the fewest commands wins.
+const FILL_OPTIMIZATION_STRATEGIES = {
+    0: ['xzy'],
+    1: ['xzy', 'best'],
+    2: ['xzy', 'best', ...FILL_AXIS_ORDERS.slice(1)]
+};
+
+function getFillStrategiesForLevel(level) {
+    return FILL_OPTIMIZATION_STRATEGIES[level] || FILL_OPTIMIZATION_STRATEGIES[0];
+}
+
+function countFillCommands(boxes, maxFillVolume) {
+    return boxes.reduce((count, box) => count + splitFillVolume(box[0], box[1], box[2], box[3], box[4], box[5], maxFillVolume).length, 0);
+}
+
+// Grows a box from the start voxel one axis at a time; each axis expands while the whole new face matches.
+function growFillBox(startX, startY, startZ, dims, isMatch, axisOrder = 'xzy') {
+    const min = [startX, startY, startZ];
+    const max = [startX, startY, startZ];
+    const faceMatches = (lo, hi) => {
+        for (let x = lo[0]; x <= hi[0]; x++) for (let y = lo[1]; y <= hi[1]; y++) for (let z = lo[2]; z <= hi[2]; z++) {
+            if (!isMatch(x, y, z)) return false;
+        }
+        return true;
+    };
+    for (const axisName of axisOrder) {
+        const axis = 'xyz'.indexOf(axisName);
+        while (max[axis] + 1 < dims[axis]) {
+            const lo = [...min], hi = [...max];
+            lo[axis] = hi[axis] = max[axis] + 1;
+            if (!faceMatches(lo, hi)) break;
+            max[axis]++;
+        }
+    }
+    return max;
+}
+
+// 'best' tries every axis order from this seed and keeps the largest box.
+function growFillBoxWithStrategy(startX, startY, startZ, dims, isMatch, strategy = 'xzy') {
+    if (strategy !== 'best') return growFillBox(startX, startY, startZ, dims, isMatch, strategy);
+    let best = null;
+    let bestVolume = 0;
+    for (const axisOrder of FILL_AXIS_ORDERS) {
+        const end = growFillBox(startX, startY, startZ, dims, isMatch, axisOrder);
+        const volume = (end[0] - startX + 1) * (end[1] - startY + 1) * (end[2] - startZ + 1);
+        if (volume > bestVolume) {
+            best = end;
+            bestVolume = volume;
+        }
+    }
+    return best;
+}
+
 function findFillVolume(startX, startY, startZ, context) {
-    const { dims, getIndex, getCommandStringForCoord, processedMask } = context;
-    const [sizeX, sizeY, sizeZ] = dims;
+    const { dims, getIndex, getCommandStringForCoord, processedMask, strategy } = context;
     const targetCmdString = getCommandStringForCoord(startX, startY, startZ);
 
     function isMatch(x, y, z) {
@@ -1053,33 +3595,70 @@ function findFillVolume(startX, startY, startZ, context) {
         return getCommandStringForCoord(x, y, z) === targetCmdString;
     }
 
-    let x2 = startX;
-    while (x2 + 1 < sizeX && isMatch(x2 + 1, startY, startZ)) { x2++; }
-    let z2 = startZ;
-    let canExpandZ = true;
-    while (canExpandZ && z2 + 1 < sizeZ) {
-        for (let xCheck = startX; xCheck <= x2; xCheck++) {
-            if (!isMatch(xCheck, startY, z2 + 1)) { canExpandZ = false; break; }
-        }
-        if (canExpandZ) z2++;
-    }
-    let y2 = startY;
-    let canExpandY = true;
-    while (canExpandY && y2 + 1 < sizeY) {
-        for (let xCheck = startX; xCheck <= x2; xCheck++) {
-            for (let zCheck = startZ; zCheck <= z2; zCheck++) {
-                if (!isMatch(xCheck, y2 + 1, zCheck)) { canExpandY = false; break; }
-            }
-            if (!canExpandY) break;
-        }
-        if (canExpandY) y2++;
-    }
-    return [x2, y2, z2];
+    return growFillBoxWithStrategy(startX, startY, startZ, dims, isMatch, strategy);
+}
+
+// --- Dependency-aware placement order ---
+// Blocks that need a neighbour to survive (torches, rails, carpets...) or that fall (sand, gravel...)
+// must be placed after whatever holds them up, so merged boxes are emitted class by class:
+// full blocks, then gravity blocks bottom-up, then attached blocks, then multi-block parts (doors, beds).
+const BLOCK_PLACEMENT_CLASSES = ['full', 'gravity', 'attached', 'multiblock'];
+const GRAVITY_BLOCK_PATTERN = /^(sand|red_sand|gravel|suspicious_sand|suspicious_gravel|dragon_egg|scaffolding|anvil|chipped_anvil|damaged_anvil)$|(^|_)concrete_powder$/;
+const MULTIBLOCK_BLOCK_PATTERN = /(^|_)door$|^(bed|double_plant|sunflower|lilac|rose_bush|peony|tall_grass|large_fern|pitcher_plant|small_dripleaf_block)$/;
+const ATTACHED_BLOCK_PATTERN = /(^|_)(torch|button|pressure_plate|carpet|sign|banner|sapling|rail|mushroom|fungus|coral|coral_fan|coral_wall_fan|candle|bud|vines|petals|tulip|orchid)$|^colored_torch_|^(lever|ladder|redstone_wire|unpowered_repeater|powered_repeater|unpowered_comparator|powered_comparator|tripwire_hook|trip_wire|vine|glow_lichen|sculk_vein|snow_layer|tallgrass|short_grass|fern|deadbush|dead_bush|yellow_flower|red_flower|dandelion|poppy|allium|azure_bluet|oxeye_daisy|cornflower|lily_of_the_valley|wither_rose|torchflower|chorus_flower|wheat|carrots|potatoes|beetroot|melon_stem|pumpkin_stem|sweet_berry_bush|nether_wart|cactus|reeds|bamboo|kelp|seagrass|waterlily|cocoa|frame|glow_frame|flower_pot|lantern|soul_lantern|bell|amethyst_cluster|pointed_dripstone|sea_pickle|leaf_litter|hanging_roots|spore_blossom|cave_vines_body_with_berries|cave_vines_head_with_berries|big_dripleaf|fire|soul_fire|crimson_roots|warped_roots|nether_sprouts|azalea|flowering_azalea|wildflowers|firefly_bush|bush|short_dry_grass|tall_dry_grass|resin_clump|torchflower_crop|pitcher_crop|cake)$/;
+// Attached blocks that hang from the block above are placed top-down instead of bottom-up.
+const HANGING_BLOCK_PATTERN = /^(vine|weeping_vines|cave_vines|cave_vines_body_with_berries|cave_vines_head_with_berries|hanging_roots)$/;
+
+function getBlockPlacementClass(blockName) {
+    const name = String(blockName || '').replace(/^minecraft:/, '');
+    if (MULTIBLOCK_BLOCK_PATTERN.test(name)) return 'multiblock';
+    if (GRAVITY_BLOCK_PATTERN.test(name)) return 'gravity';
+    if (ATTACHED_BLOCK_PATTERN.test(name)) return 'attached';
+    return 'full';
+}
+
+// Accepts plain state values (schematic translation) and typed { type, value } states (.mcstructure).
+function isBlockStateSet(states, key) {
+    const state = states?.[key];
+    const value = state && typeof state === 'object' ? state.value : state;
+    return value === true || value === 1 || value === 'true';
+}
+
+// Box: [x1, y1, z1, x2, y2, z2, blockString, block]; block may be null for synthetic layers (water).
+// Returns the boxes in a safe placement order and a per-class box count for logging.
+function orderFillBoxesForPlacement(boxes) {
+    const classCounts = Object.fromEntries(BLOCK_PLACEMENT_CLASSES.map(name => [name, 0]));
+    const keyed = boxes.map((box, scanIndex) => {
+        const block = box[7];
+        const placementClass = block ? getBlockPlacementClass(block.name) : 'full';
+        classCounts[placementClass]++;
+        let rank = BLOCK_PLACEMENT_CLASSES.indexOf(placementClass) * 2;
+        // Lower door halves and bed feet go down before the upper halves and heads that rest on them.
+        if (placementClass === 'multiblock' && (isBlockStateSet(block.states, 'upper_block_bit') || isBlockStateSet(block.states, 'head_piece_bit'))) rank++;
+        const hanging = placementClass === 'attached' && HANGING_BLOCK_PATTERN.test(block.name.replace(/^minecraft:/, ''));
+        return { box, rank, height: hanging ? -box[4] : box[1], scanIndex };
+    });
+    keyed.sort((a, b) => (a.rank - b.rank) || (a.height - b.height) || (a.scanIndex - b.scanIndex));
+    return { boxes: keyed.map(entry => entry.box), classCounts };
 }
 
-function generateSchemCommands(schematicData, dims, offset, includeAir, includeBlockStates, processWaterlogging) {
-    const [width, height, length] = dims.map(Math.floor);
+function formatPlacementClassCounts(classCounts) {
+    return BLOCK_PLACEMENT_CLASSES.map(name => `${classCounts[name]} ${name}`).join(', ');
+}
+
+function generateSchemCommands(schematicData, dims, offset, includeAir, includeBlockStates, processWaterlogging, options = {}) {
+    const sourceDims = dims.map(Math.floor);
+    const transform = normalizeStructureTransform(options.transform);
+    const targetDims = getTransformedStructureSize(sourceDims, transform);
+    const [width, height, length] = targetDims;
     const [dx, dy, dz] = offset.map(Math.floor);
+    const maxFillVolume = options.maxFillVolume || BEDROCK_MAX_FILL_VOLUME;
+    const strategies = getFillStrategiesForLevel(options.optimizationLevel);
+
+    if (isLegacySchematic(schematicData)) {
+        console.log("Legacy numeric-ID schematic detected, converting to flattened block states...");
+        schematicData = convertLegacySchematic(schematicData);
+    }
 
     let blockData, paletteNbt;
     if (schematicData.Palette && schematicData.BlockData) {
@@ -1097,85 +3676,106 @@ function generateSchemCommands(schematicData, dims, offset, includeAir, includeB
     const expectedBlockCount = width * height * length;
     const layeredBlockGrid = new Array(expectedBlockCount);
     const iterator = varIntIterator(blockData);
+    const unknownPaletteBlock = { name: 'minecraft:air', states: {} };
+    const getIndex = (x, y, z) => (y * length + z) * width + x;
+    const [sourceWidth, , sourceLength] = sourceDims;
+    const transformedBlocks = new Map();
+    const getTransformedBlock = (block) => {
+        if (!transformedBlocks.has(block)) transformedBlocks.set(block, transformBedrockBlock(block, transform));
+        return transformedBlocks.get(block);
+    };
+    if (!isIdentityStructureTransform(transform)) console.log(`Structure ${describeStructureTransform(transform)}.`);
 
     for (let i = 0; i < expectedBlockCount; i++) {
         const result = iterator.next();
         if (result.done) throw new Error(`Ran out of block data at index ${i}.`);
+        const sourceX = i % sourceWidth, sourceZ = Math.floor(i / sourceWidth) % sourceLength, sourceY = Math.floor(i / (sourceWidth * sourceLength));
+        const [x, y, z] = transformStructurePosition(sourceX, sourceY, sourceZ, sourceDims, transform);
         const paletteEntry = translatedPalette.get(result.value);
         if (paletteEntry) {
-            layeredBlockGrid[i] = { main: paletteEntry.bedrockBlock, water: paletteEntry.isWaterlogged };
+            layeredBlockGrid[getIndex(x, y, z)] = { main: getTransformedBlock(paletteEntry.bedrockBlock), water: paletteEntry.isWaterlogged };
         } else {
-            layeredBlockGrid[i] = { main: { name: 'minecraft:air', states: {} }, water: false };
+            layeredBlockGrid[getIndex(x, y, z)] = { main: unknownPaletteBlock, water: false };
         }
     }
 
     const commands = [];
-    const getIndex = (x, y, z) => (y * length + z) * width + x;
+    let splitFillCount = 0;
+    let unoptimizedCommandCount = 0;
+
+    // Covers every cell accepted by shouldPlace with boxes, once per strategy, and keeps the smallest cover.
+    const coverLayer = (getCommandStringForCoord, shouldPlace, getBlockForCoord = () => null) => {
+        let best = null;
+        for (const strategy of strategies) {
+            const processedMask = new Uint8Array(expectedBlockCount);
+            const context = { dims: targetDims, getIndex, processedMask, getCommandStringForCoord, strategy };
+            const boxes = [];
+            for (let y = 0; y < height; y++) for (let z = 0; z < length; z++) for (let x = 0; x < width; x++) {
+                const index = getIndex(x, y, z);
+                if (processedMask[index] === 1) continue;
+                const commandBlockString = getCommandStringForCoord(x, y, z);
+                if (!shouldPlace(commandBlockString)) {
+                    processedMask[index] = 1;
+                    continue;
+                }
+                const [x2, y2, z2] = findFillVolume(x, y, z, context);
+                boxes.push([x, y, z, x2, y2, z2, commandBlockString, getBlockForCoord(x, y, z)]);
+                for (let fillY = y; fillY <= y2; fillY++) for (let fillZ = z; fillZ <= z2; fillZ++) for (let fillX = x; fillX <= x2; fillX++) {
+                    processedMask[getIndex(fillX, fillY, fillZ)] = 1;
+                }
+            }
+            const commandCount = countFillCommands(boxes, maxFillVolume);
+            if (strategy === strategies[0]) unoptimizedCommandCount += commandCount;
+            if (!best || commandCount < best.commandCount) best = { boxes, commandCount };
+        }
+        const ordered = orderFillBoxesForPlacement(best.boxes);
+        console.log(`Placement order (boxes): ${formatPlacementClassCounts(ordered.classCounts)}.`);
+        return ordered.boxes;
+    };
+
+    const pushBoxCommands = ([x, y, z, x2, y2, z2, blockString]) => {
+        const boxes = splitFillVolume(x, y, z, x2, y2, z2, maxFillVolume);
+        if (boxes.length > 1) splitFillCount++;
+        for (const [bx1, by1, bz1, bx2, by2, bz2] of boxes) {
+            const relX1 = dx + bx1, relY1 = dy + by1, relZ1 = dz + bz1;
+            if (bx1 !== bx2 || by1 !== by2 || bz1 !== bz2) {
+                const relX2 = dx + bx2, relY2 = dy + by2, relZ2 = dz + bz2;
+                commands.push(`fill ~${relX1} ~${relY1} ~${relZ1} ~${relX2} ~${relY2} ~${relZ2} ${blockString}`);
+            } else {
+                commands.push(`setblock ~${relX1} ~${relY1} ~${relZ1} ${blockString}`);
+            }
+        }
+    };
 
     // --- PASS 1: Main Blocks ---
     console.log("Generating commands for main block layer...");
-    let processedMask = new Uint8Array(expectedBlockCount);
     const commandStringCache = new Map();
     const getMainCmdString = (block) => {
-        const key = JSON.stringify(block.main);
-        if (commandStringCache.has(key)) return commandStringCache.get(key);
+        // Cells share their palette entry's block object, so it doubles as the cache key.
+        if (commandStringCache.has(block.main)) return commandStringCache.get(block.main);
         const str = formatBedrockBlockString(block.main, includeBlockStates);
-        commandStringCache.set(key, str);
+        commandStringCache.set(block.main, str);
         return str;
     };
-    const mainContext = { dims, getIndex, processedMask, getCommandStringForCoord: (x, y, z) => getMainCmdString(layeredBlockGrid[getIndex(x, y, z)]) };
-
-    for (let y = 0; y < height; y++) for (let z = 0; z < length; z++) for (let x = 0; x < width; x++) {
-        const index = getIndex(x, y, z);
-        if (processedMask[index] === 1) continue;
-        const commandBlockString = mainContext.getCommandStringForCoord(x, y, z);
-        if (!includeAir && commandBlockString === 'minecraft:air') {
-            processedMask[index] = 1;
-            continue;
-        }
-
-        const [x2, y2, z2] = findFillVolume(x, y, z, mainContext);
-        const relX1 = dx + x, relY1 = dy + y, relZ1 = dz + z;
-        if (x !== x2 || y !== y2 || z !== z2) {
-            const relX2 = dx + x2, relY2 = dy + y2, relZ2 = dz + z2;
-            commands.push(`fill ~${relX1} ~${relY1} ~${relZ1} ~${relX2} ~${relY2} ~${relZ2} ${commandBlockString}`);
-        } else {
-            commands.push(`setblock ~${relX1} ~${relY1} ~${relZ1} ${commandBlockString}`);
-        }
-        for (let fillY = y; fillY <= y2; fillY++) for (let fillZ = z; fillZ <= z2; fillZ++) for (let fillX = x; fillX <= x2; fillX++) {
-            processedMask[getIndex(fillX, fillY, fillZ)] = 1;
-        }
-    }
+    coverLayer(
+        (x, y, z) => getMainCmdString(layeredBlockGrid[getIndex(x, y, z)]),
+        (commandBlockString) => includeAir || commandBlockString !== 'minecraft:air',
+        (x, y, z) => layeredBlockGrid[getIndex(x, y, z)].main
+    ).forEach(pushBoxCommands);
 
     // --- PASS 2: Water Layer ---
     if (processWaterlogging) {
         console.log("Generating commands for water layer...");
-        processedMask = new Uint8Array(expectedBlockCount); // New mask for water pass
-        const waterContext = { dims, getIndex, processedMask, getCommandStringForCoord: (x, y, z) => layeredBlockGrid[getIndex(x, y, z)].water ? 'minecraft:water' : 'not_water' };
-
-        for (let y = 0; y < height; y++) for (let z = 0; z < length; z++) for (let x = 0; x < width; x++) {
-            const index = getIndex(x, y, z);
-            if (processedMask[index] === 1) continue;
-            if (layeredBlockGrid[index].water) {
-                const [x2, y2, z2] = findFillVolume(x, y, z, waterContext);
-                const relX1 = dx + x, relY1 = dy + y, relZ1 = dz + z;
-                if (x !== x2 || y !== y2 || z !== z2) {
-                    const relX2 = dx + x2, relY2 = dy + y2, relZ2 = dz + z2;
-                    commands.push(`fill ~${relX1} ~${relY1} ~${relZ1} ~${relX2} ~${relY2} ~${relZ2} minecraft:water`);
-                } else {
-                    commands.push(`setblock ~${relX1} ~${relY1} ~${relZ1} minecraft:water`);
-                }
-                for (let fillY = y; fillY <= y2; fillY++) for (let fillZ = z; fillZ <= z2; fillZ++) for (let fillX = x; fillX <= x2; fillX++) {
-                    processedMask[getIndex(fillX, fillY, fillZ)] = 1;
-                }
-            } else {
-                processedMask[index] = 1; // Mark non-water blocks as processed for this pass
-            }
-        }
+        coverLayer(
+            (x, y, z) => layeredBlockGrid[getIndex(x, y, z)].water ? 'minecraft:water' : 'not_water',
+            (commandBlockString) => commandBlockString === 'minecraft:water'
+        ).forEach(pushBoxCommands);
     }
 
     console.log(`Generated ${commands.length} optimized commands.`);
-    return { commands, processedBlockCount: expectedBlockCount };
+    if (splitFillCount > 0) console.log(`Split ${splitFillCount} fill volumes larger than ${maxFillVolume} blocks.`);
+    if (strategies.length > 1) console.log(`Optimizer reduced ${unoptimizedCommandCount} commands to ${commands.length}.`);
+    return { commands, processedBlockCount: expectedBlockCount, splitFillCount, unoptimizedCommandCount };
 }
 
 // ========================================================================== //
@@ -1190,153 +3790,11 @@ let mcStructure_GUI_BLOCKS_TO_IGNORE = ["minecraft:air", "minecraft:structure_bl
 let mcStructure_GUI_KEEP_WATERLOG = false;
 const mcStructure_PLACE_AIR_IN_WATERLOG_LAYER_CONST = false; 
 let mcStructure_GUI_INCLUDE_BLOCK_STATES = true;
+let mcStructure_GUI_MAX_FILL_VOLUME = BEDROCK_MAX_FILL_VOLUME;
+let mcStructure_GUI_OPTIMIZATION_LEVEL = 0;
+let mcStructure_GUI_TRANSFORM = { rotation: 0, mirror: 'none' };
 let mcStructure_selectedFile = null;
 
-// --- NBT Parsing Implementation (Adapted for Browser's ArrayBuffer and DataView) ---
-function parseNbtForMcStructure(arrayBuffer) {
-    const dataView = new DataView(arrayBuffer);
-    let offset = 0;
-    const textDecoder = new TextDecoder('utf-8');
-
-    function readTagType() {
-        if (offset >= dataView.byteLength) throw new Error("NBT Parsing Error: Unexpected end of buffer while reading tag type.");
-        const type = dataView.getUint8(offset);
-        offset += 1;
-        return type;
-    }
-
-    function readTagName() {
-        if (offset + 2 > dataView.byteLength) throw new Error("NBT Parsing Error: Unexpected end of buffer while reading tag name length.");
-        const length = dataView.getUint16(offset, true); // true for little-endian
-        offset += 2;
-        if (offset + length > dataView.byteLength) throw new Error(`NBT Parsing Error: Tag name length ${length} exceeds buffer bounds.`);
-        const value = textDecoder.decode(new Uint8Array(arrayBuffer, offset, length));
-        offset += length;
-        return value;
-    }
-
-    function readTagPayload(tagType) {
-        switch (tagType) {
-            case TAG_END:
-                return null;
-            case TAG_BYTE:
-                if (offset >= dataView.byteLength) throw new Error("NBT Parsing Error: Unexpected end of buffer while reading TAG_BYTE.");
-                const byteVal = dataView.getInt8(offset);
-                offset += 1;
-                return { type: TAG_BYTE, value: byteVal };
-            case TAG_SHORT:
-                if (offset + 2 > dataView.byteLength) throw new Error("NBT Parsing Error: Unexpected end of buffer while reading TAG_SHORT.");
-                const shortVal = dataView.getInt16(offset, true);
-                offset += 2;
-                return { type: TAG_SHORT, value: shortVal };
-            case TAG_INT:
-                if (offset + 4 > dataView.byteLength) throw new Error("NBT Parsing Error: Unexpected end of buffer while reading TAG_INT.");
-                const intVal = dataView.getInt32(offset, true);
-                offset += 4;
-                return { type: TAG_INT, value: intVal };
-            case TAG_LONG:
-                if (offset + 8 > dataView.byteLength) throw new Error("NBT Parsing Error: Unexpected end of buffer while reading TAG_LONG.");
-                const longVal = dataView.getBigInt64(offset, true);
-                offset += 8;
-                return { type: TAG_LONG, value: longVal };
-            case TAG_FLOAT:
-                if (offset + 4 > dataView.byteLength) throw new Error("NBT Parsing Error: Unexpected end of buffer while reading TAG_FLOAT.");
-                const floatVal = dataView.getFloat32(offset, true);
-                offset += 4;
-                return { type: TAG_FLOAT, value: floatVal };
-            case TAG_DOUBLE:
-                if (offset + 8 > dataView.byteLength) throw new Error("NBT Parsing Error: Unexpected end of buffer while reading TAG_DOUBLE.");
-                const doubleVal = dataView.getFloat64(offset, true);
-                offset += 8;
-                return { type: TAG_DOUBLE, value: doubleVal };
-            case TAG_BYTE_ARRAY:
-                if (offset + 4 > dataView.byteLength) throw new Error("NBT Parsing Error: Unexpected end of buffer while reading TAG_BYTE_ARRAY length.");
-                const byteArrayLength = dataView.getInt32(offset, true);
-                offset += 4;
-                if (offset + byteArrayLength > dataView.byteLength) throw new Error(`NBT Parsing Error: Byte Array length ${byteArrayLength} exceeds buffer bounds.`);
-                const byteArray = [];
-                for (let i = 0; i < byteArrayLength; i++) {
-                    byteArray.push(dataView.getInt8(offset + i));
-                }
-                offset += byteArrayLength;
-                return { type: TAG_BYTE_ARRAY, value: byteArray };
-            case TAG_STRING:
-                if (offset + 2 > dataView.byteLength) throw new Error("NBT Parsing Error: Unexpected end of buffer while reading TAG_STRING length.");
-                const length = dataView.getUint16(offset, true);
-                offset += 2;
-                if (offset + length > dataView.byteLength) throw new Error(`NBT Parsing Error: String length ${length} exceeds buffer bounds.`);
-                const strValue = textDecoder.decode(new Uint8Array(arrayBuffer, offset, length));
-                offset += length;
-                return { type: TAG_STRING, value: strValue };
-            case TAG_LIST:
-                if (offset + 5 > dataView.byteLength) throw new Error("NBT Parsing Error: Unexpected end of buffer while reading TAG_LIST header.");
-                const listTagType = dataView.getUint8(offset);
-                offset += 1;
-                const listLength = dataView.getInt32(offset, true);
-                offset += 4;
-                const list = [];
-                for (let i = 0; i < listLength; i++) {
-                    if (offset >= dataView.byteLength && i < listLength) {
-                        throw new Error(`NBT Parsing Error: Unexpected end of buffer inside TAG_LIST (index ${i}/${listLength}, type ${listTagType}).`);
-                    }
-                    list.push(readTagPayload(listTagType));
-                }
-                return { type: TAG_LIST, value: list, listType: listTagType };
-            case TAG_COMPOUND:
-                const compound = {};
-                while (true) {
-                    const tagTypeInCompound = readTagType();
-                    if (tagTypeInCompound === TAG_END) {
-                        break;
-                    }
-                    const tagName = readTagName();
-                    if (offset >= dataView.byteLength && tagTypeInCompound !== TAG_END) {
-                        throw new Error(`NBT Parsing Error: Unexpected end of buffer before reading payload for tag "${tagName}" (type ${tagTypeInCompound}) in TAG_COMPOUND.`);
-                    }
-                    compound[tagName] = readTagPayload(tagTypeInCompound);
-                }
-                return { type: TAG_COMPOUND, value: compound };
-            case TAG_INT_ARRAY:
-                if (offset + 4 > dataView.byteLength) throw new Error("NBT Parsing Error: Unexpected end of buffer while reading TAG_INT_ARRAY length.");
-                const intArrayLength = dataView.getInt32(offset, true);
-                offset += 4;
-                if (offset + intArrayLength * 4 > dataView.byteLength) throw new Error(`NBT Parsing Error: Int Array length ${intArrayLength} exceeds buffer bounds.`);
-                const intArray = [];
-                for (let i = 0; i < intArrayLength; i++) {
-                    intArray.push(dataView.getInt32(offset + i * 4, true));
-                }
-                offset += intArrayLength * 4;
-                return { type: TAG_INT_ARRAY, value: intArray };
-            case TAG_LONG_ARRAY:
-                if (offset + 4 > dataView.byteLength) throw new Error("NBT Parsing Error: Unexpected end of buffer while reading TAG_LONG_ARRAY length.");
-                const longArrayLength = dataView.getInt32(offset, true);
-                offset += 4;
-                if (offset + longArrayLength * 8 > dataView.byteLength) throw new Error(`NBT Parsing Error: Long Array length ${longArrayLength} exceeds buffer bounds.`);
-                const longArray = [];
-                for (let i = 0; i < longArrayLength; i++) {
-                    longArray.push(dataView.getBigInt64(offset + i * 8, true));
-                }
-                offset += longArrayLength * 8;
-                return { type: TAG_LONG_ARRAY, value: longArray };
-            default:
-                throw new Error(`NBT Parsing Error: Unknown tag type: ${tagType} at offset ${offset - 1}`);
-        }
-    }
-
-    const rootType = readTagType();
-    if (rootType !== TAG_COMPOUND) {
-        if (rootType === TAG_END && offset === 1 && dataView.byteLength <= 1) {
-            console.warn("Read TAG_END at the beginning. Assuming empty NBT structure.");
-            return { '': { type: TAG_COMPOUND, value: {} } };
-        }
-        throw new Error(`NBT Parsing Error: Expected root tag type TAG_COMPOUND (10), got ${rootType}`);
-    }
-    const rootName = readTagName();
-    const rootCompoundTag = readTagPayload(TAG_COMPOUND);
-
-    return { [rootName]: rootCompoundTag };
-}
-
 // --- Helper Function for Deep Object Copy (Handles BigInt) ---
 function deepCopyForMcStructure(obj) {
     if (obj === null || typeof obj !== 'object') {
@@ -1363,49 +3821,23 @@ function deepCopyForMcStructure(obj) {
         }
     }
     return copiedObj;
-}
-
-// --- Structure Processing Class (Updated for Waterlogging) ---
-class ProcessStructureMcStructure {
-    constructor(nbtArrayBuffer) { // Takes ArrayBuffer directly
-        let parsedNbtRoot = parseNbtForMcStructure(nbtArrayBuffer);
-        let rootCompoundTag = null;
-        const rootKeys = Object.keys(parsedNbtRoot);
-
-        if (rootKeys.length === 1) {
-            rootCompoundTag = parsedNbtRoot[rootKeys[0]];
-            console.log(`Using NBT root with key '${rootKeys[0]}'.`);
-        } else if ("" in parsedNbtRoot && parsedNbtRoot[""].type === TAG_COMPOUND) {
-            console.log("Using NBT root with empty key ''.");
-            rootCompoundTag = parsedNbtRoot[""];
-        } else if (rootKeys.length > 1) {
-            console.warn("NBT Warning: Root contains multiple keys. Attempting to find a primary compound.");
-            for (const key of rootKeys) {
-                const potentialTag = parsedNbtRoot[key];
-                if (potentialTag && potentialTag.type === TAG_COMPOUND && Object.keys(potentialTag.value).length > 0) {
-                    console.log(`Using NBT root with key '${key}'.`);
-                    rootCompoundTag = potentialTag;
-                    break;
-                }
-            }
-            if (!rootCompoundTag && "" in parsedNbtRoot) {
-                rootCompoundTag = parsedNbtRoot[""];
-            }
-        }
+}
 
-        if (!rootCompoundTag || rootCompoundTag.type !== TAG_COMPOUND || !rootCompoundTag.value) {
-            throw new Error(`Could not determine the main root compound or it's invalid. Found keys: ${rootKeys.join(', ')}`);
-        }
-        this.NBTData = rootCompoundTag.value;
+// --- Structure Processing Class (Updated for Waterlogging) ---
+class ProcessStructureMcStructure {
+    constructor(nbtArrayBuffer) { // Takes ArrayBuffer directly
+        const { root } = readNbt(nbtArrayBuffer);
+        if (root.type !== TAG_COMPOUND) throw new Error("The structure's root tag is not a compound.");
+        this.NBTData = root.value;
 
         const requiredKeys = ["size", "structure_world_origin", "structure"];
         for (const key of requiredKeys) {
-            if (!(key in this.NBTData) || !this.NBTData[key] || typeof this.NBTData[key].type === 'undefined') {
+            if (typeof this.NBTData.get(key)?.type === 'undefined') {
                 throw new Error(`NBT data is missing or has invalid required key: '${key}'.`);
             }
         }
 
-        const sizeTag = this.NBTData.size;
+        const sizeTag = this.NBTData.get('size');
         if (!sizeTag || sizeTag.type !== TAG_LIST || sizeTag.listType !== TAG_INT || sizeTag.value?.length !== 3) {
             throw new Error(`NBT 'size' key is not a valid List<Int>[3].`);
         }
@@ -1414,7 +3846,7 @@ class ProcessStructureMcStructure {
             throw new Error(`Invalid structure size: [${this.size.join(', ')}]. Dimensions must be positive integers.`);
         }
 
-        const originTag = this.NBTData.structure_world_origin;
+        const originTag = this.NBTData.get('structure_world_origin');
         if (!originTag || originTag.type !== TAG_LIST || originTag.listType !== TAG_INT || originTag.value?.length !== 3) {
             throw new Error(`NBT 'structure_world_origin' key is not a valid List<Int>[3].`);
         }
@@ -1428,24 +3860,24 @@ class ProcessStructureMcStructure {
             this.mins[2] + this.size[2] - 1,
         ];
 
-        const structureTag = this.NBTData.structure;
+        const structureTag = this.NBTData.get('structure');
         if (!structureTag || structureTag.type !== TAG_COMPOUND || !structureTag.value) {
             throw new Error(`NBT 'structure' key is not a valid Compound tag.`);
         }
         const structureData = structureTag.value;
 
-        const paletteTag = structureData.palette;
+        const paletteTag = structureData.get('palette');
         if (!paletteTag || paletteTag.type !== TAG_COMPOUND || !paletteTag.value) {
             throw new Error(`NBT 'structure.palette' key is not a valid Compound tag.`);
         }
         const paletteContainer = paletteTag.value;
-        const blockPaletteListTag = paletteContainer.default?.value?.block_palette; // Bedrock edition style
+        const blockPaletteListTag = getNbtChild(paletteContainer.get('default'), 'block_palette'); // Bedrock edition style
         if (!blockPaletteListTag || blockPaletteListTag.type !== TAG_LIST || blockPaletteListTag.listType !== TAG_COMPOUND) {
             throw new Error(`Unsupported palette format. Expected 'structure.palette.default.block_palette' as List<Compound>.`);
         }
         this.rawPaletteTags = blockPaletteListTag.value;
 
-        const blockIndicesListTag = structureData.block_indices;
+        const blockIndicesListTag = structureData.get('block_indices');
         if (!blockIndicesListTag || blockIndicesListTag.type !== TAG_LIST || blockIndicesListTag.value?.length === 0) {
             throw new Error(`NBT 'structure.block_indices' is not a valid non-empty List.`);
         }
@@ -1511,17 +3943,18 @@ class ProcessStructureMcStructure {
                 continue;
             }
             const entryData = blockEntryTag.value;
-            const nameTag = entryData.name;
-            const statesTag = entryData.states;
+            const nameTag = entryData.get('name');
+            const statesTag = entryData.get('states');
+            const versionTag = entryData.get('version');
 
             const blockName = (nameTag?.type === TAG_STRING) ? nameTag.value : 'minecraft:air';
             let blockStates = {};
             if (statesTag?.type === TAG_COMPOUND && statesTag.value) {
-                blockStates = statesTag.value;
+                blockStates = Object.fromEntries(statesTag.value);
             }
             const processedEntry = { name: blockName, states: blockStates };
-            if (entryData.version?.type === TAG_INT) {
-                processedEntry.version = entryData.version.value;
+            if (versionTag?.type === TAG_INT) {
+                processedEntry.version = versionTag.value;
             }
             this.palette.push(processedEntry);
 
@@ -1627,6 +4060,28 @@ class ProcessStructureMcStructure {
     getSize() {
         return [...this.size];
     }
+
+    // Rotates and/or mirrors the loaded structure in place: palette states and both block layers.
+    applyTransform(transform) {
+        if (isIdentityStructureTransform(transform)) return;
+        const sourceSize = [...this.size];
+        const [sourceX, sourceY, sourceZ] = sourceSize;
+        this.size = getTransformedStructureSize(sourceSize, transform);
+        this.maxs = this.mins.map((min, axis) => min + this.size[axis] - 1);
+        this.palette = this.palette.map(entry => transformBedrockBlock(entry, transform));
+
+        const remapCube = (cube) => {
+            if (!cube) return cube;
+            const transformedCube = new Int32Array(cube.length);
+            for (let x = 0; x < sourceX; x++) for (let y = 0; y < sourceY; y++) for (let z = 0; z < sourceZ; z++) {
+                const [tx, ty, tz] = transformStructurePosition(x, y, z, sourceSize, transform);
+                transformedCube[this.getIndex(tx, ty, tz)] = cube[x * sourceY * sourceZ + y * sourceZ + z];
+            }
+            return transformedCube;
+        };
+        this.cubeLayer0 = remapCube(this.cubeLayer0);
+        this.cubeLayer1 = remapCube(this.cubeLayer1);
+    }
 }
 
 function formatBlockStatesForMcStructure(statesDict) {
@@ -1670,14 +4125,26 @@ function formatBlockStatesForMcStructure(statesDict) {
 }
 
 
-function findFillVolumeForMcStructure(startX, startY, startZ, processor, processedMask, layerIndex = 0) {
-    const [sizeX, sizeY, sizeZ] = processor.getSize();
+// Palette entries are shared objects, so their command strings are cached per entry
+// (one cache per "include block states" setting, since that changes the string).
+const mcStructure_blockStringCaches = { true: new WeakMap(), false: new WeakMap() };
+function getBlockStringForMcStructure(blockData) {
+    const cache = mcStructure_blockStringCaches[Boolean(mcStructure_GUI_INCLUDE_BLOCK_STATES)];
+    let blockString = cache.get(blockData);
+    if (blockString === undefined) {
+        blockString = `${blockData.name}${formatBlockStatesForMcStructure(blockData.states)}`;
+        cache.set(blockData, blockString);
+    }
+    return blockString;
+}
+
+function findFillVolumeForMcStructure(startX, startY, startZ, processor, processedMask, layerIndex = 0, strategy = 'xzy') {
     const targetBlockData = processor._get_block_unchecked(startX, startY, startZ, layerIndex); // Use unchecked for speed
 
     if (!targetBlockData) { 
         return [startX, startY, startZ];
     }
-    const targetBlockString = `${targetBlockData.name}${formatBlockStatesForMcStructure(targetBlockData.states)}`;
+    const targetBlockString = getBlockStringForMcStructure(targetBlockData);
 
     function isMatch(x, y, z) {
         const idx = processor.getIndex(x,y,z); // Recalculate index for safety
@@ -1685,127 +4152,117 @@ function findFillVolumeForMcStructure(startX, startY, startZ, processor, process
 
         const currentBlockData = processor._get_block_unchecked(x, y, z, layerIndex);
         if (!currentBlockData) return false;
-        const currentBlockString = `${currentBlockData.name}${formatBlockStatesForMcStructure(currentBlockData.states)}`;
-        return currentBlockString === targetBlockString;
-    }
-
-    let x2 = startX;
-    while (x2 + 1 < sizeX && isMatch(x2 + 1, startY, startZ)) {
-        x2 += 1;
-    }
-
-    let z2 = startZ;
-    let canExpandZ = true;
-    while (canExpandZ && z2 + 1 < sizeZ) {
-        for (let xCheck = startX; xCheck <= x2; xCheck++) {
-            if (!isMatch(xCheck, startY, z2 + 1)) {
-                canExpandZ = false;
-                break;
-            }
-        }
-        if (canExpandZ) z2 += 1;
+        return getBlockStringForMcStructure(currentBlockData) === targetBlockString;
     }
 
-    let y2 = startY;
-    let canExpandY = true;
-    while (canExpandY && y2 + 1 < sizeY) {
-        for (let xCheck = startX; xCheck <= x2; xCheck++) {
-            for (let zCheck = startZ; zCheck <= z2; zCheck++) {
-                if (!isMatch(xCheck, y2 + 1, zCheck)) {
-                    canExpandY = false;
-                    break;
-                }
-            }
-            if (!canExpandY) break;
-        }
-        if (canExpandY) y2 += 1;
-    }
-    return [x2, y2, z2];
+    return growFillBoxWithStrategy(startX, startY, startZ, processor.getSize(), isMatch, strategy);
 }
 
 function generateCommandsForLayerMcStructure(layerIndex, processor, processedMask, xOffset, yOffset, zOffset, options) {
-    const { ignoreListEffective, layerName } = options;
+    const { ignoreListEffective, layerName, stats } = options;
+    const maxFillVolume = options.maxFillVolume || BEDROCK_MAX_FILL_VOLUME;
+    const strategies = getFillStrategiesForLevel(options.optimizationLevel);
     console.log(`--- Generating commands for ${layerName} (Layer ${layerIndex}) ---`);
     console.log(`Effective ignore list for this layer: [${ignoreListEffective.join(', ')}]`);
 
     const [sizeX, sizeY, sizeZ] = processor.getSize();
-    const commands = [];
-    let fillCount = 0;
-    let setblockCount = 0;
-    let skippedCount = 0;
-    let errorCount = 0;
     const totalBlocksInLayer = sizeX * sizeY * sizeZ;
 
-    for (let y = 0; y < sizeY; y++) {
-        for (let x = 0; x < sizeX; x++) {
-            for (let z = 0; z < sizeZ; z++) {
-                let currentFlatIndex = -1;
-                try {
-                    currentFlatIndex = processor.getIndex(x, y, z);
-                     if (currentFlatIndex >= processedMask.length || processedMask[currentFlatIndex] === 1) {
-                        continue;
-                    }
-                } catch (rangeError) {
-                    console.error(`(${layerName}) Error calculating index for (${x},${y},${z}): ${rangeError.message}. Skipping.`);
-                    errorCount++;
-                    continue;
-                }
-
-                try {
-                    const blockData = processor.get_block(x, y, z, layerIndex); // Use get_block for safety & deep copy
-                    const blockName = blockData.name || "minecraft:air";
-
-                    if (ignoreListEffective.includes(blockName)) {
-                        processedMask[currentFlatIndex] = 1;
-                        skippedCount += 1;
+    // Covers the layer once with the given strategy on a copy of the mask.
+    const coverLayer = (strategy) => {
+        const mask = processedMask.slice();
+        const boxes = [];
+        let skippedCount = 0;
+        let errorCount = 0;
+        for (let y = 0; y < sizeY; y++) {
+            for (let x = 0; x < sizeX; x++) {
+                for (let z = 0; z < sizeZ; z++) {
+                    let currentFlatIndex = -1;
+                    try {
+                        currentFlatIndex = processor.getIndex(x, y, z);
+                        if (currentFlatIndex >= mask.length || mask[currentFlatIndex] === 1) {
+                            continue;
+                        }
+                    } catch (rangeError) {
+                        console.error(`(${layerName}) Error calculating index for (${x},${y},${z}): ${rangeError.message}. Skipping.`);
+                        errorCount++;
                         continue;
                     }
 
-                    const [x2, y2, z2] = findFillVolumeForMcStructure(x, y, z, processor, processedMask, layerIndex);
-
-                    const relX1 = xOffset + x, relY1 = yOffset + y, relZ1 = zOffset + z;
-                    const relX2 = xOffset + x2, relY2 = yOffset + y2, relZ2 = zOffset + z2;
+                    try {
+                        const blockData = processor._get_block_unchecked(x, y, z, layerIndex);
+                        const blockName = blockData.name || "minecraft:air";
 
-                    const blockStatesStr = formatBlockStatesForMcStructure(blockData.states);
-                    const fullBlockStr = `${blockName}${blockStatesStr}`;
-
-                    const x1Str = `~${relX1}`, y1Str = `~${relY1}`, z1Str = `~${relZ1}`;
+                        if (ignoreListEffective.includes(blockName)) {
+                            mask[currentFlatIndex] = 1;
+                            skippedCount += 1;
+                            continue;
+                        }
 
-                    if (x !== x2 || y !== y2 || z !== z2) { // It's a fill volume
-                        const x2Str = `~${relX2}`, y2Str = `~${relY2}`, z2Str = `~${relZ2}`;
-                        commands.push(`fill ${x1Str} ${y1Str} ${z1Str} ${x2Str} ${y2Str} ${z2Str} ${fullBlockStr}`);
-                        fillCount++;
-                        // Mark all blocks in this fill volume as processed
+                        const [x2, y2, z2] = findFillVolumeForMcStructure(x, y, z, processor, mask, layerIndex, strategy);
+                        boxes.push([x, y, z, x2, y2, z2, getBlockStringForMcStructure(blockData), blockData]);
+                        // Mark all blocks in this volume as processed
                         for (let fillX = x; fillX <= x2; fillX++) {
                             for (let fillY = y; fillY <= y2; fillY++) {
                                 for (let fillZ = z; fillZ <= z2; fillZ++) {
-                                   try {
-                                        const fillIndex = processor.getIndex(fillX, fillY, fillZ);
-                                        if(fillIndex < processedMask.length) processedMask[fillIndex] = 1;
-                                    } catch(e) { /* ignore range error in fill mask, should be caught by outer loops */ }
+                                    mask[processor.getIndex(fillX, fillY, fillZ)] = 1;
                                 }
                             }
                         }
-                    } else { // Single block
-                        commands.push(`setblock ${x1Str} ${y1Str} ${z1Str} ${fullBlockStr}`);
-                        setblockCount++;
-                        processedMask[currentFlatIndex] = 1;
-                    }
-                } catch (e) {
-                    errorCount++;
-                    console.error(`(${layerName}) Error processing at (${x},${y},${z}): ${e.message}. Stack: ${e.stack ? e.stack : '(no stack)'}`);
-                     if (currentFlatIndex !== -1 && currentFlatIndex < processedMask.length && processedMask[currentFlatIndex] === 0) {
-                       processedMask[currentFlatIndex] = 1; // Mark as processed to avoid re-processing an error
+                    } catch (e) {
+                        errorCount++;
+                        console.error(`(${layerName}) Error processing at (${x},${y},${z}): ${e.message}. Stack: ${e.stack ? e.stack : '(no stack)'}`);
+                        if (currentFlatIndex !== -1 && currentFlatIndex < mask.length && mask[currentFlatIndex] === 0) {
+                            mask[currentFlatIndex] = 1; // Mark as processed to avoid re-processing an error
+                        }
                     }
                 }
             }
         }
+        return { boxes, mask, skippedCount, errorCount, commandCount: countFillCommands(boxes, maxFillVolume) };
+    };
+
+    let best = null;
+    let unoptimizedCommandCount = 0;
+    for (const strategy of strategies) {
+        const cover = coverLayer(strategy);
+        if (strategy === strategies[0]) unoptimizedCommandCount = cover.commandCount;
+        if (!best || cover.commandCount < best.commandCount) best = cover;
+    }
+    processedMask.set(best.mask);
+    const ordered = orderFillBoxesForPlacement(best.boxes);
+
+    const commands = [];
+    let fillCount = 0;
+    let setblockCount = 0;
+    let splitCount = 0;
+    for (const [x1, y1, z1, x2, y2, z2, fullBlockStr] of ordered.boxes) {
+        const boxes = splitFillVolume(x1, y1, z1, x2, y2, z2, maxFillVolume);
+        if (boxes.length > 1) splitCount++;
+        for (const [bx1, by1, bz1, bx2, by2, bz2] of boxes) {
+            const x1Str = `~${xOffset + bx1}`, y1Str = `~${yOffset + by1}`, z1Str = `~${zOffset + bz1}`;
+            if (bx1 !== bx2 || by1 !== by2 || bz1 !== bz2) { // It's a fill volume
+                commands.push(`fill ${x1Str} ${y1Str} ${z1Str} ~${xOffset + bx2} ~${yOffset + by2} ~${zOffset + bz2} ${fullBlockStr}`);
+                fillCount++;
+            } else { // Single block
+                commands.push(`setblock ${x1Str} ${y1Str} ${z1Str} ${fullBlockStr}`);
+                setblockCount++;
+            }
+        }
     }
+    if (stats) {
+        stats.splitFillCount = (stats.splitFillCount || 0) + splitCount;
+        stats.unoptimizedCommandCount = (stats.unoptimizedCommandCount || 0) + unoptimizedCommandCount;
+    }
+
     console.log(`--- ${layerName} (Layer ${layerIndex}) Summary ---`);
     console.log(`Total blocks considered in layer: ${totalBlocksInLayer}`);
-    console.log(`Skipped ${skippedCount} ignored blocks.`);
-    if (errorCount > 0) console.log(`Encountered errors for ${errorCount} blocks.`);
+    console.log(`Skipped ${best.skippedCount} ignored blocks.`);
+    if (best.errorCount > 0) console.log(`Encountered errors for ${best.errorCount} blocks.`);
     console.log(`Generated ${fillCount} /fill and ${setblockCount} /setblock commands.`);
+    console.log(`Placement order (boxes): ${formatPlacementClassCounts(ordered.classCounts)}.`);
+    if (splitCount > 0) console.log(`Split ${splitCount} fill volumes larger than ${maxFillVolume} blocks.`);
+    if (strategies.length > 1) console.log(`Optimizer reduced ${unoptimizedCommandCount} commands to ${commands.length}.`);
     let processedMaskCount = 0;
     for(let i=0; i < processedMask.length; i++) if (processedMask[i] === 1) processedMaskCount++;
 
@@ -1817,7 +4274,7 @@ function generateCommandsForLayerMcStructure(layerIndex, processor, processedMas
     return commands;
 }
 
-function structureToRelativeSetblocksMcStructure(nbtArrayBuffer) { // Takes ArrayBuffer
+function structureToRelativeSetblocksMcStructure(nbtArrayBuffer, stats = {}) { // Takes ArrayBuffer; fills stats.splitFillCount
     console.log(`Processing structure from supplied NBT data.`);
     let structProcessor;
     try {
@@ -1827,6 +4284,11 @@ function structureToRelativeSetblocksMcStructure(nbtArrayBuffer) { // Takes Arra
         throw e; // Re-throw to be caught by main handler
     }
 
+    if (!isIdentityStructureTransform(mcStructure_GUI_TRANSFORM)) {
+        structProcessor.applyTransform(mcStructure_GUI_TRANSFORM);
+        console.log(`Structure ${describeStructureTransform(mcStructure_GUI_TRANSFORM)}.`);
+    }
+
     const size = structProcessor.getSize();
     const [sizeX, sizeY, sizeZ] = size;
 
@@ -1845,7 +4307,10 @@ function structureToRelativeSetblocksMcStructure(nbtArrayBuffer) { // Takes Arra
         const processedMaskLayer1 = new Uint8Array(totalBlocks); // Fresh mask for this layer
         const waterlogLayerOptions = {
             ignoreListEffective: mcStructure_PLACE_AIR_IN_WATERLOG_LAYER_CONST ? [] : ["minecraft:air"],
-            layerName: "Waterlog Layer"
+            layerName: "Waterlog Layer",
+            maxFillVolume: mcStructure_GUI_MAX_FILL_VOLUME,
+            optimizationLevel: mcStructure_GUI_OPTIMIZATION_LEVEL,
+            stats
         };
         const waterlogCommands = generateCommandsForLayerMcStructure(1, structProcessor, processedMaskLayer1, mcStructure_GUI_X_OFFSET, mcStructure_GUI_Y_OFFSET, mcStructure_GUI_Z_OFFSET, waterlogLayerOptions);
         allCommands = allCommands.concat(waterlogCommands);
@@ -1861,183 +4326,909 @@ function structureToRelativeSetblocksMcStructure(nbtArrayBuffer) { // Takes Arra
     const processedMaskLayer0 = new Uint8Array(totalBlocks); // Fresh mask for this layer
     const mainLayerOptions = {
         ignoreListEffective: mcStructure_GUI_BLOCKS_TO_IGNORE, // Use the GUI configured ignore list
-        layerName: "Main Block Layer"
+        layerName: "Main Block Layer",
+        maxFillVolume: mcStructure_GUI_MAX_FILL_VOLUME,
+        optimizationLevel: mcStructure_GUI_OPTIMIZATION_LEVEL,
+        stats
     };
     const mainCommands = generateCommandsForLayerMcStructure(0, structProcessor, processedMaskLayer0, mcStructure_GUI_X_OFFSET, mcStructure_GUI_Y_OFFSET, mcStructure_GUI_Z_OFFSET, mainLayerOptions);
     allCommands = allCommands.concat(mainCommands); // Main commands come after waterlog
 
     console.log(`--- Overall Processing Summary ---`);
     console.log(`Total commands generated from all layers: ${allCommands.length}`);
+    stats.splitFillCount = stats.splitFillCount || 0;
     return allCommands;
 }
 
 // ========================================================================== //
-//                 START: SCHEMATIC TO MCSTRUCTURE CONVERTER                  //
+//                      MCStructure to Schematic Converter                    //
 // ========================================================================== //
 
+const MCSTRUCTURE_TO_SCHEM_DATA_VERSION = 3953; // Java Edition 1.21
+
+function translateBedrockPaletteEntryToJava(bedrockBlock, isWaterlogged, log) {
+    let java = null;
+    if (bedrockBlock.name === 'minecraft:air' || bedrockBlock.name === 'minecraft:structure_void') {
+        java = { name: 'minecraft:air', states: {}, canWaterlog: false };
+    } else {
+        const universal = bedrockToUniversal(bedrockBlock);
+        java = universal ? universalToJava(universal) : null;
+        if (!java) {
+            log.push(`WARNING: No Java equivalent found for '${bedrockBlock.name}', replacing it with air.`);
+            java = { name: 'minecraft:air', states: {}, canWaterlog: false };
+        }
+    }
+
+    const states = { ...java.states };
+    if (java.canWaterlog) {
+        states.waterlogged = String(isWaterlogged);
+    } else if (isWaterlogged && java.name === 'minecraft:air') {
+        return 'minecraft:water[level=0]';
+    } else if (isWaterlogged) {
+        log.push(`NOTE: '${java.name}' cannot be waterlogged in Java Edition, dropping its water layer.`);
+    }
+    return makeBlockStateKey(java.name, states);
+}
+
+// Bedrock block entity ids -> Java ids. Block entities Java doesn't have (flower pots, note
+// blocks, cauldrons, piston arms, ...) are left out and get dropped.
+const JAVA_BLOCK_ENTITY_IDS = {
+    Chest: 'chest', EnderChest: 'ender_chest', Barrel: 'barrel', ShulkerBox: 'shulker_box', Furnace: 'furnace',
+    BlastFurnace: 'blast_furnace', Smoker: 'smoker', Hopper: 'hopper', Dispenser: 'dispenser', Dropper: 'dropper',
+    BrewingStand: 'brewing_stand', CommandBlock: 'command_block', MobSpawner: 'mob_spawner', Sign: 'sign', HangingSign: 'hanging_sign',
+    Lectern: 'lectern', Bed: 'bed', Banner: 'banner', Beacon: 'beacon', Jukebox: 'jukebox', EnchantTable: 'enchanting_table',
+    Skull: 'skull', Comparator: 'comparator', DaylightDetector: 'daylight_detector', EndGateway: 'end_gateway', EndPortal: 'end_portal',
+    StructureBlock: 'structure_block', JigsawBlock: 'jigsaw', Campfire: 'campfire', Bell: 'bell', Beehive: 'beehive', Conduit: 'conduit',
+    ChiseledBookshelf: 'chiseled_bookshelf', DecoratedPot: 'decorated_pot', Crafter: 'crafter', BrushableBlock: 'brushable_block',
+    SculkSensor: 'sculk_sensor', CalibratedSculkSensor: 'calibrated_sculk_sensor', SculkCatalyst: 'sculk_catalyst',
+    SculkShrieker: 'sculk_shrieker', TrialSpawner: 'trial_spawner', Vault: 'vault'
+};
+
+// Bedrock command block and spawner fields that Java stores under the same name and type.
+const JAVA_COMMAND_BLOCK_KEYS = ['Command', 'auto', 'powered', 'conditionMet', 'TrackOutput', 'SuccessCount'];
+const JAVA_SPAWNER_KEYS = ['Delay', 'MinSpawnDelay', 'MaxSpawnDelay', 'SpawnCount', 'MaxNearbyEntities', 'RequiredPlayerRange', 'SpawnRange'];
+
+// Java text components render § codes inside literal text, so Bedrock's formatted strings are
+// kept as they are and wrapped in a JSON string component.
+function bedrockTextToJavaComponent(text) {
+    return JSON.stringify(String(text ?? ''));
+}
+
+// Bedrock item compound -> Java 1.20.5+ item stack ({ Slot, id, count }). Book pages move into
+// the writable/written book content component; other item data is Bedrock specific and dropped.
+function convertBedrockItemToJava(itemTag) {
+    const item = Object.fromEntries(itemTag.value || []);
+    const name = item.Name?.value;
+    if (typeof name !== 'string' || name === '' || name === 'minecraft:air') return null;
+    const javaItem = {
+        id: { type: TAG_STRING, value: name },
+        count: { type: TAG_INT, value: Math.max(1, Number(item.Count?.value ?? 1)) }
+    };
+    if (item.Slot) javaItem.Slot = { type: TAG_BYTE, value: Number(item.Slot.value) };
+    const bookTag = item.tag?.type === TAG_COMPOUND ? Object.fromEntries(item.tag.value) : null;
+    const isWrittenBook = name === 'minecraft:written_book';
+    if (bookTag?.pages?.type === TAG_LIST && (isWrittenBook || name === 'minecraft:writable_book')) {
+        const pages = bookTag.pages.value.map(page => {
+            const text = getNbtChild(page, 'text')?.value ?? '';
+            return { type: TAG_STRING, value: isWrittenBook ? bedrockTextToJavaComponent(text) : String(text) };
+        });
+        const content = { pages: { type: TAG_LIST, listType: pages.length ? TAG_STRING : TAG_END, value: pages } };
+        if (isWrittenBook) {
+            Object.assign(content, {
+                title: { type: TAG_STRING, value: String(bookTag.title?.value ?? '') },
+                author: { type: TAG_STRING, value: String(bookTag.author?.value ?? '') },
+                generation: { type: TAG_INT, value: Number(bookTag.generation?.value ?? 0) },
+                resolved: { type: TAG_BYTE, value: 1 }
+            });
+        }
+        const component = isWrittenBook ? 'minecraft:written_book_content' : 'minecraft:writable_book_content';
+        javaItem.components = createNbtCompound({ [component]: createNbtCompound(content) });
+    }
+    return createNbtCompound(javaItem);
+}
+
+// One Bedrock sign side (FrontText/BackText, or the pre-1.19.80 sign compound itself) -> Java
+// front_text/back_text. Java signs have four lines and a dye color name.
+function translateBedrockSignSide(sideTag, label, log) {
+    const side = Object.fromEntries(sideTag?.value || []);
+    const lines = String(side.Text?.value ?? '').split('\n');
+    if (lines.length > 4) log.push(`      ! ${label}: dropped ${lines.length - 4} line(s) past the fourth`);
+    const argb = Number(side.SignTextColor?.value ?? SIGN_TEXT_COLORS.black) | 0;
+    const color = Object.keys(SIGN_TEXT_COLORS).find(name => (SIGN_TEXT_COLORS[name] | 0) === argb) || 'black';
+    return createNbtCompound({
+        messages: { type: TAG_LIST, listType: TAG_STRING, value: [0, 1, 2, 3].map(i => ({ type: TAG_STRING, value: bedrockTextToJavaComponent(lines[i]) })) },
+        color: { type: TAG_STRING, value: color },
+        has_glowing_text: { type: TAG_BYTE, value: side.IgnoreLighting?.value ? 1 : 0 }
+    });
+}
+
 /**
- * @file schem_to_mcstructure.js
- * @description Standalone script to convert Minecraft Java Edition .schem files to Bedrock Edition .mcstructure files.
- * @version 2.3.0 - Corrected the waterlogging logic. The script now checks for and separates the waterlogged
- *              state *before* translation, ensuring the water layer is reliably created for all applicable blocks.
- *
- * @requires pako.js - For Gzip decompression of .schem files. (https://github.com/nodeca/pako)
- * @requires mappings.js - A file that defines `window.javaToUniversalMaps` and `window.universalToBedrockMaps`.
+ * Translates one Bedrock block entity (block_entity_data) into a Java one: item stacks, sign text,
+ * lectern books, command blocks, the spawner's entity and custom names are carried over, the rest
+ * is Bedrock specific. Returns { id, fields } with the typed Java fields (no Pos/Id), or null
+ * when Java has no such block entity.
  */
+function translateBedrockBlockEntityToJava(javaBlockName, dataTag, log) {
+    const data = Object.fromEntries(dataTag.value || []);
+    const bedrockId = data.id?.value;
+    let id = JAVA_BLOCK_ENTITY_IDS[bedrockId];
+    if (!id) return null;
+    if (id === 'chest' && javaBlockName === 'minecraft:trapped_chest') id = 'trapped_chest';
+    const fields = {};
+    if (data.Items?.type === TAG_LIST) {
+        const items = data.Items.value.map(convertBedrockItemToJava).filter(Boolean);
+        fields.Items = { type: TAG_LIST, listType: items.length ? TAG_COMPOUND : TAG_END, value: items };
+    }
+    if (bedrockId === 'Sign' || bedrockId === 'HangingSign') {
+        fields.front_text = translateBedrockSignSide(data.FrontText || dataTag, 'FrontText', log);
+        fields.back_text = translateBedrockSignSide(data.BackText, 'BackText', log);
+        fields.is_waxed = { type: TAG_BYTE, value: data.IsWaxed?.value ? 1 : 0 };
+    }
+    if (bedrockId === 'Lectern' && data.book?.type === TAG_COMPOUND) {
+        const book = convertBedrockItemToJava(data.book);
+        if (book) {
+            book.value.delete('Slot');
+            fields.Book = book;
+            fields.Page = { type: TAG_INT, value: Number(data.page?.value ?? 0) };
+        }
+    }
+    if (bedrockId === 'CommandBlock') {
+        JAVA_COMMAND_BLOCK_KEYS.forEach(key => { if (data[key]) fields[key] = data[key]; });
+    }
+    if (bedrockId === 'MobSpawner') {
+        JAVA_SPAWNER_KEYS.forEach(key => { if (data[key]) fields[key] = data[key]; });
+        const entityId = data.EntityIdentifier?.value;
+        if (entityId) {
+            fields.SpawnData = createNbtCompound({ entity: createNbtCompound({ id: { type: TAG_STRING, value: entityId } }) });
+        }
+    }
+    if (data.CustomName?.value) fields.CustomName = { type: TAG_STRING, value: bedrockTextToJavaComponent(data.CustomName.value) };
+    const keys = Object.keys(fields);
+    log.push(`  ${bedrockId} -> minecraft:${id}${keys.length ? ` with ${keys.join(', ')}` : ''}${fields.Items ? ` (${fields.Items.value.length} item(s))` : ''}`);
+    return { id: `minecraft:${id}`, fields };
+}
 
-// Scope everything to avoid polluting the global namespace
-(() => {
+async function convertMcStructureToSchem(mcstructureArrayBuffer, options = {}) {
+    return new Promise((resolve, reject) => {
+        const log = [];
+        try {
+            const version = Number(options.version) === 3 ? 3 : 2;
+            log.push(`Starting MCStructure to Sponge Schematic v${version} conversion...`);
+            if (typeof pako === 'undefined') throw new Error("Pako.js is not loaded.");
+            log.push("Parsing .mcstructure NBT data...");
+            const processor = new ProcessStructureMcStructure(mcstructureArrayBuffer);
+            const [width, height, length] = processor.size;
+            log.push(`Structure dimensions: ${width}x${height}x${length}`);
+
+            log.push("Building Bedrock -> Java translation tables...");
+            getReverseTranslationMaps();
+
+            const javaPalette = { 'minecraft:air': 0 };
+            const javaPaletteBlocks = [parseJavaBlockString('minecraft:air')];
+            const addJavaPaletteEntry = (javaBlockString) => {
+                if (!(javaBlockString in javaPalette)) {
+                    javaPalette[javaBlockString] = javaPaletteBlocks.length;
+                    javaPaletteBlocks.push(parseJavaBlockString(javaBlockString));
+                }
+                return javaPalette[javaBlockString];
+            };
+            const translatedEntries = new Map();
+            const getJavaPaletteId = (paletteIndex, isWaterlogged) => {
+                const cacheKey = `${paletteIndex}|${isWaterlogged}`;
+                let id = translatedEntries.get(cacheKey);
+                if (id === undefined) {
+                    const bedrockBlock = processor.palette[paletteIndex];
+                    const javaBlockString = translateBedrockPaletteEntryToJava(bedrockBlock, isWaterlogged, log);
+                    if (!(javaBlockString in javaPalette)) {
+                        log.push(`Translated: ${makeBlockStateKey(bedrockBlock.name, normalizeStateValues(bedrockBlock.states))} -> ${javaBlockString}`);
+                    }
+                    id = addJavaPaletteEntry(javaBlockString);
+                    translatedEntries.set(cacheKey, id);
+                }
+                return id;
+            };
+
+            // Sponge order is (y * Length + z) * Width + x.
+            const blockIds = new Array(width * height * length);
+            let spongeIndex = 0;
+            for (let y = 0; y < height; y++) for (let z = 0; z < length; z++) for (let x = 0; x < width; x++) {
+                const flatIndex = x * height * length + y * length + z;
+                const layer1Index = processor.cubeLayer1 ? processor.cubeLayer1[flatIndex] : 0;
+                const layer1Name = processor.palette[layer1Index]?.name;
+                const isWaterlogged = layer1Name === 'minecraft:water' || layer1Name === 'minecraft:flowing_water';
+                blockIds[spongeIndex++] = getJavaPaletteId(processor.cubeLayer0[flatIndex], isWaterlogged);
+            }
+
+            // Bedrock doors keep facing and open on the lower half and the hinge on the upper half,
+            // so each translated half is missing the other's states. Java wants them on both.
+            const layerSize = width * length;
+            let pairedDoors = 0;
+            for (let i = 0; i + layerSize < blockIds.length; i++) {
+                const lower = javaPaletteBlocks[blockIds[i]];
+                const upper = javaPaletteBlocks[blockIds[i + layerSize]];
+                if (!lower.blockId.endsWith('_door') || lower.states.half !== 'lower' || upper.blockId !== lower.blockId || upper.states.half !== 'upper') continue;
+                blockIds[i] = addJavaPaletteEntry(makeBlockStateKey(lower.blockId, { ...lower.states, hinge: upper.states.hinge }));
+                blockIds[i + layerSize] = addJavaPaletteEntry(makeBlockStateKey(upper.blockId, { ...upper.states, facing: lower.states.facing, open: lower.states.open }));
+                pairedDoors++;
+            }
+            if (pairedDoors > 0) {
+                // The door states from before the pairing may be unused now; renumber the palette without them.
+                const usedIds = new Set(blockIds);
+                const newIds = new Map();
+                for (const [javaBlockString, id] of Object.entries(javaPalette)) {
+                    if (id !== 0 && !usedIds.has(id)) delete javaPalette[javaBlockString];
+                    else javaPalette[javaBlockString] = newIds.set(id, newIds.size).get(id);
+                }
+                javaPaletteBlocks.splice(0, javaPaletteBlocks.length, ...[...newIds.keys()].map(id => javaPaletteBlocks[id]));
+                for (let i = 0; i < blockIds.length; i++) blockIds[i] = newIds.get(blockIds[i]);
+                log.push(`Matched the halves of ${pairedDoors} door(s).`);
+            }
+            log.push(`Java palette contains ${Object.keys(javaPalette).length} unique block states.`);
+
+            const paletteTag = createNbtCompound();
+            for (const [javaBlockString, id] of Object.entries(javaPalette)) {
+                paletteTag.value.set(javaBlockString, { type: TAG_INT, value: id });
+            }
+            const blockDataTag = { type: TAG_BYTE_ARRAY, value: encodeVarIntArray(blockIds) };
+            const blockEntitiesTag = { type: TAG_LIST, listType: TAG_COMPOUND, value: [] };
+            const positionDataTag = getNbtChild(getNbtChild(getNbtChild(processor.NBTData.get('structure'), 'palette'), 'default'), 'block_position_data');
+            const positionData = positionDataTag?.value || new Map();
+            const positionDataKeys = [...positionData.keys()].filter(key => getNbtChild(positionData.get(key), 'block_entity_data'));
+            if (positionDataKeys.length > 0) log.push(`Translating ${positionDataKeys.length} block entities...`);
+            for (const key of positionDataKeys) {
+                const flatIndex = Number(key);
+                const x = Math.floor(flatIndex / (height * length)), y = Math.floor(flatIndex / length) % height, z = flatIndex % length;
+                if (x >= width) continue;
+                const javaBlock = javaPaletteBlocks[blockIds[(y * length + z) * width + x]];
+                const blockEntityData = getNbtChild(positionData.get(key), 'block_entity_data');
+                const blockEntity = translateBedrockBlockEntityToJava(javaBlock.blockId, blockEntityData, log);
+                if (!blockEntity) {
+                    log.push(`  NOTE: Java has no block entity for ${getNbtChild(blockEntityData, 'id')?.value || 'an unnamed block entity'} at ${x}, ${y}, ${z}, dropping it.`);
+                    continue;
+                }
+                const entry = { Pos: { type: TAG_INT_ARRAY, value: [x, y, z] }, Id: { type: TAG_STRING, value: blockEntity.id } };
+                if (version === 3) entry.Data = createNbtCompound(blockEntity.fields);
+                else Object.assign(entry, blockEntity.fields);
+                blockEntitiesTag.value.push(createNbtCompound(entry));
+            }
+            if (positionDataKeys.length > 0) log.push(`Carried ${blockEntitiesTag.value.length} of ${positionDataKeys.length} block entities into BlockEntities.`);
+            const schematic = {
+                Version: { type: TAG_INT, value: version },
+                DataVersion: { type: TAG_INT, value: MCSTRUCTURE_TO_SCHEM_DATA_VERSION },
+                Width: { type: TAG_SHORT, value: width },
+                Height: { type: TAG_SHORT, value: height },
+                Length: { type: TAG_SHORT, value: length },
+                Offset: { type: TAG_INT_ARRAY, value: [0, 0, 0] }
+            };
+
+            log.push("Writing gzipped big-endian schematic NBT...");
+            let nbt;
+            if (version === 3) {
+                schematic.Blocks = createNbtCompound({ Palette: paletteTag, Data: blockDataTag, BlockEntities: blockEntitiesTag });
+                nbt = writeNbt(createNbtCompound({ Schematic: createNbtCompound(schematic) }), { compression: 'gzip' });
+            } else {
+                Object.assign(schematic, {
+                    PaletteMax: { type: TAG_INT, value: Object.keys(javaPalette).length },
+                    Palette: paletteTag,
+                    BlockData: blockDataTag,
+                    BlockEntities: blockEntitiesTag
+                });
+                nbt = writeNbt(createNbtCompound(schematic), { name: 'Schematic', compression: 'gzip' });
+            }
+
+            const schemBuffer = new Uint8Array(nbt);
+            log.push("Conversion successful!");
+            resolve({ schemBuffer, log: log.join('\n') });
+        } catch (error) {
+            log.push(`\n--- CONVERSION FAILED ---\nERROR: ${error.message}\nStack: ${error.stack}`);
+            console.error("An error occurred during conversion:", error);
+            reject({ error, log: log.join('\n') });
+        }
+    });
+}
 
 // ========================================================================== //
-//                              NBT Constants                                 //
+//                      Behavior Pack (.mcpack) Export                        //
 // ========================================================================== //
 
-const S2M_TAG_END = 0, S2M_TAG_BYTE = 1, S2M_TAG_SHORT = 2, S2M_TAG_INT = 3, S2M_TAG_LONG = 4, S2M_TAG_FLOAT = 5, S2M_TAG_DOUBLE = 6, S2M_TAG_BYTE_ARRAY = 7, S2M_TAG_STRING = 8, S2M_TAG_LIST = 9, S2M_TAG_COMPOUND = 10, S2M_TAG_INT_ARRAY = 11, S2M_TAG_LONG_ARRAY = 12;
+const MCFUNCTION_MAX_LINES = 10000; // Bedrock refuses to load longer function files
+const BEHAVIOR_PACK_MIN_ENGINE_VERSION = [1, 20, 0];
+// 64x64 placeholder pack_icon.png (dark tile with a purple border)
+const BEHAVIOR_PACK_ICON_BASE64 = 'iVBORw0KGgoAAAANSUhEUgAAAEAAAABACAIAAAAlC+aJAAAAXUlEQVR42u3aMQ0AIAwAwQpgYq4mHCINL4igS8Mlb+D2j71O6wIAoBAwR7YIAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAOAN4NwF+BBwAbP6dQis4D77AAAAAElFTkSuQmCC';
+
+function generateUuid() {
+    if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+        return crypto.randomUUID();
+    }
+    // crypto.randomUUID is only available in secure contexts; build a v4 UUID by hand otherwise.
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    bytes[6] = (bytes[6] & 0x0F) | 0x40;
+    bytes[8] = (bytes[8] & 0x3F) | 0x80;
+    const hex = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+function sanitizeFunctionPathSegment(name, fallback) {
+    const cleaned = String(name || '').trim().toLowerCase().replace(/[^a-z0-9_.-]+/g, '_').replace(/^_+|_+$/g, '');
+    return cleaned || fallback;
+}
+
+function createBehaviorPackManifest(packName, description) {
+    return {
+        format_version: 2,
+        header: {
+            name: packName,
+            description,
+            uuid: generateUuid(),
+            version: [1, 0, 0],
+            min_engine_version: BEHAVIOR_PACK_MIN_ENGINE_VERSION
+        },
+        modules: [{ type: 'data', uuid: generateUuid(), version: [1, 0, 0] }]
+    };
+}
+
+/**
+ * Packs a list of commands into a zipped behavior pack. Lists longer than MCFUNCTION_MAX_LINES are
+ * split into numbered part files which the main function calls in order, so `/function <namespace>/<name>`
+ * always runs the whole build.
+ */
+async function createBehaviorPackFromCommands(commands, options = {}) {
+    if (typeof JSZip === 'undefined') throw new Error("JSZip library is not loaded.");
+    const namespace = sanitizeFunctionPathSegment(options.namespace, 'build');
+    const functionName = sanitizeFunctionPathSegment(options.functionName, 'structure');
+    const functionPath = `${namespace}/${functionName}`;
+    const lines = commands.map(command => command.trim().replace(/^\//, '')).filter(Boolean);
+
+    const zip = new JSZip();
+    const manifest = createBehaviorPackManifest(options.packName || functionPath, `Run /function ${functionPath} to build. Generated by Blacklight NBT Tools.`);
+    zip.file('manifest.json', JSON.stringify(manifest, null, 4));
+    zip.file('pack_icon.png', BEHAVIOR_PACK_ICON_BASE64, { base64: true });
+
+    let functionFileCount = 1;
+    if (lines.length <= MCFUNCTION_MAX_LINES) {
+        zip.file(`functions/${functionPath}.mcfunction`, lines.join('\n'));
+    } else {
+        const partCalls = [];
+        for (let start = 0, part = 1; start < lines.length; start += MCFUNCTION_MAX_LINES, part++) {
+            zip.file(`functions/${functionPath}/part_${part}.mcfunction`, lines.slice(start, start + MCFUNCTION_MAX_LINES).join('\n'));
+            partCalls.push(`function ${functionPath}/part_${part}`);
+        }
+        zip.file(`functions/${functionPath}.mcfunction`, partCalls.join('\n'));
+        functionFileCount += partCalls.length;
+    }
+
+    const content = await zip.generateAsync({ type: 'uint8array', compression: 'DEFLATE' });
+    return { content, functionPath, functionFileCount };
+}
 
 // ========================================================================== //
-//                        NBT Reading Helpers (Big-Endian)                    //
+//                   Command Block Chain (.mcstructure) Export                //
 // ========================================================================== //
 
-class S2M_BinaryReader {
-    constructor(buffer) { this.view = new DataView(buffer); this.position = 0; }
-    ensureReadableBytes(c) { if (this.position + c > this.view.byteLength) throw new Error(`NBT Read Error: Not enough bytes.`); }
-    readByte() { this.ensureReadableBytes(1); const v = this.view.getInt8(this.position); this.position += 1; return v; }
-    readShort() { this.ensureReadableBytes(2); const v = this.view.getInt16(this.position, false); this.position += 2; return v; }
-    readInt() { this.ensureReadableBytes(4); const v = this.view.getInt32(this.position, false); this.position += 4; return v; }
-    readLong() { this.ensureReadableBytes(8); const v = this.view.getBigInt64(this.position, false); this.position += 8; return v; }
-    readFloat() { this.ensureReadableBytes(4); const v = this.view.getFloat32(this.position, false); this.position += 4; return v; }
-    readDouble() { this.ensureReadableBytes(8); const v = this.view.getFloat64(this.position, false); this.position += 8; return v; }
-    readBytes(len) { this.ensureReadableBytes(len); const b = new Uint8Array(this.view.buffer, this.view.byteOffset + this.position, len); this.position += len; return b; }
-    readString() { const len = this.readShort(); if (len < 0) throw new Error(`Invalid string length: ${len}`); return new TextDecoder("utf-8").decode(this.readBytes(len)); }
+const COMMAND_BLOCK_CHAIN_ROW_LENGTH = 16; // Blocks per row; rows snake across a 16x16 layer before stacking upwards
+const COMMAND_BLOCK_VERSION = 42;
+const COMMAND_BLOCK_BLOCK_VERSION = 18163713;
+const FACING_DIRECTION = { down: 0, up: 1, north: 2, south: 3, west: 4, east: 5 };
+const COMMAND_COORDINATE_COUNTS = { setblock: 3, fill: 6, clone: 9 };
+
+// Snakes through a rowLength x rowLength footprint (X rows, then Z, then Y) so every
+// position is adjacent to the next one and the chain never breaks.
+function getCommandBlockChainPositions(count, rowLength) {
+    const positions = [];
+    const perLayer = rowLength * rowLength;
+    for (let i = 0; i < count; i++) {
+        const layer = Math.floor(i / perLayer);
+        const rowInLayer = Math.floor((i % perLayer) / rowLength);
+        const globalRow = layer * rowLength + rowInLayer;
+        const column = i % rowLength;
+        const x = globalRow % 2 === 0 ? column : rowLength - 1 - column;
+        const z = layer % 2 === 0 ? rowInLayer : rowLength - 1 - rowInLayer;
+        positions.push([x, layer, z]);
+    }
+    return positions;
 }
 
-function s2m_readNbtTagPayload(reader, type) {
-    switch (type) {
-        case S2M_TAG_END: return null;
-        case S2M_TAG_BYTE: return reader.readByte();
-        case S2M_TAG_SHORT: return reader.readShort();
-        case S2M_TAG_INT: return reader.readInt();
-        case S2M_TAG_LONG: return reader.readLong();
-        case S2M_TAG_FLOAT: return reader.readFloat();
-        case S2M_TAG_DOUBLE: return reader.readDouble();
-        case S2M_TAG_BYTE_ARRAY: { const len = reader.readInt(); if(len < 0) throw new Error(`Invalid byte array length: ${len}`); return reader.readBytes(len); }
-        case S2M_TAG_STRING: return reader.readString();
-        case S2M_TAG_LIST: {
-            const listType = reader.readByte(); const len = reader.readInt(); if(len < 0) throw new Error(`Invalid list length: ${len}`); const list = [];
-            for (let i = 0; i < len; i++) list.push(s2m_readNbtTagPayload(reader, listType));
-            return { listType: listType, value: list };
+function getFacingDirectionBetween(from, to) {
+    if (to[0] > from[0]) return FACING_DIRECTION.east;
+    if (to[0] < from[0]) return FACING_DIRECTION.west;
+    if (to[2] > from[2]) return FACING_DIRECTION.south;
+    if (to[2] < from[2]) return FACING_DIRECTION.north;
+    return to[1] < from[1] ? FACING_DIRECTION.down : FACING_DIRECTION.up;
+}
+
+// Commands run relative to the block executing them, so the ~ coordinates of each
+// setblock/fill/clone are shifted to stay relative to the impulse block.
+function rebaseRelativeCommand(command, delta) {
+    const parts = command.trim().replace(/^\//, '').split(' ');
+    const coordinateCount = COMMAND_COORDINATE_COUNTS[parts[0]] || 0;
+    for (let i = 1; i <= coordinateCount && i < parts.length; i++) {
+        if (!parts[i].startsWith('~')) continue;
+        const value = parseFloat(parts[i].slice(1) || '0') - delta[(i - 1) % 3];
+        parts[i] = `~${value}`;
+    }
+    return parts.join(' ');
+}
+
+// Lowest relative X reached by the ~ coordinates of any setblock/fill/clone, or null if none.
+function getRelativeCommandMinX(commands) {
+    let minX = null;
+    for (const command of commands) {
+        const parts = command.trim().replace(/^\//, '').split(' ');
+        const coordinateCount = COMMAND_COORDINATE_COUNTS[parts[0]] || 0;
+        for (let i = 1; i <= coordinateCount && i < parts.length; i += 3) {
+            if (!parts[i].startsWith('~')) continue;
+            const x = Math.floor(parseFloat(parts[i].slice(1) || '0'));
+            if (minX === null || x < minX) minX = x;
         }
-        case S2M_TAG_COMPOUND: {
-            const compound = {};
-            while (true) {
-                const tag = s2m_readNamedNbtTag(reader);
-                if (tag === null || tag.type === S2M_TAG_END) break;
-                compound[tag.name] = tag.payload;
-            }
-            return compound;
+    }
+    return minX;
+}
+
+function createCommandBlockEntityData(command, position, isImpulse) {
+    return {
+        id: 'CommandBlock',
+        Command: command,
+        CustomName: '',
+        ExecuteOnFirstTick: false,
+        LPCommandMode: 0,
+        LPCondionalMode: false,
+        LPRedstoneMode: false,
+        LastOutput: '',
+        LastOutputParams: [],
+        SuccessCount: 0,
+        TickDelay: 0,
+        TrackOutput: true,
+        Version: COMMAND_BLOCK_VERSION,
+        auto: !isImpulse, // The impulse block waits for redstone; chain blocks are always active
+        conditionMet: false,
+        conditionalMode: false,
+        isMovable: true,
+        powered: false,
+        x: position[0],
+        y: position[1],
+        z: position[2]
+    };
+}
+
+/**
+ * Lays commands out as an impulse command block followed by a snaking chain of chain command blocks
+ * and serializes it with plainToNbt. Power the impulse block (the structure's origin corner) to run it.
+ * The chain's own footprint starts at the impulse block, so the build is moved along +X until its
+ * ~ coordinates clear the chain; buildOffset reports that shift.
+ */
+function createCommandBlockChainStructure(commands, rowLength = COMMAND_BLOCK_CHAIN_ROW_LENGTH) {
+    const lines = commands.map(command => command.trim()).filter(Boolean);
+    if (lines.length === 0) throw new Error("No commands to place into command blocks.");
+
+    const positions = getCommandBlockChainPositions(lines.length, rowLength);
+    // A loop rather than Math.max(...positions) keeps chains of 100k+ commands off the call stack limit.
+    const size = [1, 1, 1];
+    for (const position of positions) {
+        for (let axis = 0; axis < 3; axis++) size[axis] = Math.max(size[axis], position[axis] + 1);
+    }
+    const [, sizeY, sizeZ] = size;
+    const volume = size[0] * sizeY * sizeZ;
+    const minX = getRelativeCommandMinX(lines);
+    const buildOffset = [minX === null ? 0 : Math.max(0, size[0] - minX), 0, 0];
+    const layer0 = new Array(volume).fill(-1);
+    const layer1 = new Array(volume).fill(-1);
+    const palette = [];
+    const paletteIndices = new Map();
+    const blockPositionData = {};
+
+    lines.forEach((command, i) => {
+        const position = positions[i];
+        const next = positions[i + 1];
+        const previous = positions[i - 1];
+        const facing = next ? getFacingDirectionBetween(position, next) : (previous ? getFacingDirectionBetween(previous, position) : FACING_DIRECTION.east);
+        const isImpulse = i === 0;
+        const name = isImpulse ? 'minecraft:command_block' : 'minecraft:chain_command_block';
+        const paletteKey = `${name}|${facing}`;
+        if (!paletteIndices.has(paletteKey)) {
+            paletteIndices.set(paletteKey, palette.length);
+            palette.push({ name, states: { conditional_bit: false, facing_direction: facing }, version: COMMAND_BLOCK_BLOCK_VERSION });
         }
-        case S2M_TAG_INT_ARRAY: { const len = reader.readInt(); if(len < 0) throw new Error(`Invalid int array length: ${len}`); const arr = new Int32Array(len); for (let i = 0; i < len; i++) arr[i] = reader.readInt(); return arr; }
-        case S2M_TAG_LONG_ARRAY: { const len = reader.readInt(); if(len < 0) throw new Error(`Invalid long array length: ${len}`); const arr = new BigInt64Array(len); for (let i = 0; i < len; i++) arr[i] = reader.readLong(); return arr; }
-        default: throw new Error(`Unsupported NBT tag type: ${type}`);
+
+        const flatIndex = position[0] * sizeY * sizeZ + position[1] * sizeZ + position[2];
+        layer0[flatIndex] = paletteIndices.get(paletteKey);
+        blockPositionData[String(flatIndex)] = {
+            block_entity_data: createCommandBlockEntityData(rebaseRelativeCommand(command, position.map((p, axis) => p - buildOffset[axis])), position, isImpulse)
+        };
+    });
+
+    const structure = {
+        format_version: 1,
+        size,
+        structure: {
+            block_indices: [layer0, layer1],
+            entities: [],
+            palette: { default: { block_palette: palette, block_position_data: blockPositionData } }
+        },
+        structure_world_origin: [0, 0, 0]
+    };
+    return { buffer: writeNbt(plainToNbt(structure), { littleEndian: true }), size, buildOffset, commandBlockCount: lines.length };
+}
+
+// ========================================================================== //
+//                          MCStructure Merger                                //
+// ========================================================================== //
+
+const MERGE_OVERLAP_POLICIES = ['first', 'last', 'non-air'];
+// Each merged cell costs ~10 bytes of working memory; 16M cells (~160 MB) is as far as a tab can go.
+const MERGE_MAX_VOLUME = 16 * 1024 * 1024;
+
+const typedIntList = (values) => ({ type: TAG_LIST, listType: TAG_INT, value: values.map(value => ({ type: TAG_INT, value })) });
+
+// Palette entries are deduplicated on name, version and states (order-insensitive, type-aware).
+function getMcStructurePaletteKey(entryTag) {
+    const states = getNbtChild(entryTag, 'states')?.value || new Map();
+    const stateKey = [...states.keys()].sort().map(key => `${key}:${states.get(key).type}:${states.get(key).value}`).join(',');
+    return `${getNbtChild(entryTag, 'name')?.value || 'minecraft:air'}|${getNbtChild(entryTag, 'version')?.value ?? ''}|${stateKey}`;
+}
+
+// Reads what the merger needs from an .mcstructure, keeping palette entries, block entities
+// and entities as typed tags so they are written back unchanged.
+function readMcStructureForMerge(arrayBuffer, label) {
+    const { root } = readNbt(arrayBuffer);
+    const sizeTag = getNbtChild(root, 'size');
+    const structure = getNbtChild(root, 'structure');
+    const blockIndices = getNbtChild(structure, 'block_indices');
+    const paletteTag = getNbtChild(structure, 'palette');
+    if (!sizeTag || !blockIndices || !paletteTag) {
+        throw new Error(`${label} is not a valid .mcstructure (missing size, block_indices or palette).`);
     }
+    const size = sizeTag.value.map(tag => tag.value);
+    const originTag = getNbtChild(root, 'structure_world_origin');
+    const origin = originTag ? originTag.value.map(tag => tag.value) : [0, 0, 0];
+    const defaultPalette = getNbtChild(paletteTag, 'default');
+    const volume = size[0] * size[1] * size[2];
+    const layers = blockIndices.value.slice(0, 2).map(layerTag => {
+        const layer = new Int32Array(volume).fill(-1);
+        layerTag.value.slice(0, volume).forEach((tag, index) => { layer[index] = tag.value; });
+        return layer;
+    });
+    while (layers.length < 2) layers.push(new Int32Array(volume).fill(-1));
+    return {
+        label,
+        size,
+        origin,
+        layers,
+        palette: getNbtChild(defaultPalette, 'block_palette')?.value || [],
+        blockPositionData: getNbtChild(defaultPalette, 'block_position_data')?.value || new Map(),
+        entities: getNbtChild(structure, 'entities')?.value || []
+    };
+}
+
+// Block entities store absolute coordinates; point them at the block's new world position.
+// Only the touched tags are copied so the source part is left untouched.
+function relocateBlockPositionData(dataTag, worldPosition) {
+    const blockEntityTag = getNbtChild(dataTag, 'block_entity_data');
+    if (blockEntityTag?.type !== TAG_COMPOUND) return dataTag;
+    const blockEntity = new Map(blockEntityTag.value);
+    ['x', 'y', 'z'].forEach((axis, i) => {
+        if (blockEntity.get(axis)?.type === TAG_INT) blockEntity.set(axis, { type: TAG_INT, value: worldPosition[i] });
+    });
+    return { ...dataTag, value: new Map(dataTag.value).set('block_entity_data', { ...blockEntityTag, value: blockEntity }) };
 }
 
-function s2m_readNamedNbtTag(reader) {
-    const type = reader.readByte(); if (type === S2M_TAG_END) return { type: S2M_TAG_END, name: "", payload: null };
-    const name = reader.readString(); const payload = s2m_readNbtTagPayload(reader, type);
-    return { type, name, payload };
+function relocateEntity(entityTag, delta) {
+    const pos = getNbtChild(entityTag, 'Pos');
+    if (pos?.type !== TAG_LIST || delta.every(d => d === 0)) return entityTag;
+    const movedPos = { ...pos, value: pos.value.map((tag, i) => ({ ...tag, value: tag.value + delta[i] })) };
+    return { ...entityTag, value: new Map(entityTag.value).set('Pos', movedPos) };
 }
 
-function s2m_loadSchematicNBT(buffer) {
-    const reader = new S2M_BinaryReader(buffer);
-    const rootTag = s2m_readNamedNbtTag(reader);
-    if (!rootTag || rootTag.type !== S2M_TAG_COMPOUND) throw new Error(`Root tag must be TAG_COMPOUND`);
-    if (rootTag.payload.Schematic && Object.keys(rootTag.payload).length === 1) { return rootTag.payload.Schematic; }
-    return rootTag.payload;
+/**
+ * Merges several parsed structures into one. Each part is placed at its `offset` ([x, y, z]) or,
+ * with `useWorldOrigin`, at its structure_world_origin. Cells claimed by more than one part are
+ * resolved by `overlapPolicy`:
+ *   'first'   - the earliest part that places a block there keeps it
+ *   'last'    - later parts overwrite earlier ones
+ *   'non-air' - a real block beats air/structure void; between two real blocks the later one wins
+ * A cell's waterlog layer and block entity always travel with its main-layer block.
+ */
+function mergeMcStructures(parts, options = {}) {
+    const overlapPolicy = options.overlapPolicy || 'first';
+    if (!MERGE_OVERLAP_POLICIES.includes(overlapPolicy)) throw new Error(`Unknown overlap policy: ${overlapPolicy}`);
+    if (!parts.length) throw new Error("No structures to merge.");
+    const log = [];
+
+    const placements = parts.map(part => (options.useWorldOrigin ? [...part.origin] : (part.offset || [0, 0, 0]).map(v => Math.floor(Number(v) || 0))));
+    const min = [0, 1, 2].map(axis => Math.min(...placements.map(p => p[axis])));
+    const max = [0, 1, 2].map(axis => Math.max(...placements.map((p, i) => p[axis] + parts[i].size[axis] - 1)));
+    const size = max.map((value, axis) => value - min[axis] + 1);
+    const [sizeX, sizeY, sizeZ] = size;
+    const volume = sizeX * sizeY * sizeZ;
+    const boundsText = `[${min.join(', ')}] -> [${max.join(', ')}] (${size.join('x')}, ${volume} blocks)`;
+    if (volume > MERGE_MAX_VOLUME) {
+        throw new Error(`Merged bounds ${boundsText} exceed the ${MERGE_MAX_VOLUME} block limit. Check the offsets or structure_world_origin values; the parts are probably too far apart.`);
+    }
+    log.push(`Merged bounds: ${boundsText}.`);
+    if (size.some((extent, axis) => extent > BEDROCK_MAX_STRUCTURE_SIZE[axis])) {
+        log.push(`WARNING: ${size.join('x')} exceeds the ${BEDROCK_MAX_STRUCTURE_SIZE.join('x')} structure block limit; Bedrock will not load the merged structure with a structure block.`);
+    }
+
+    const palette = [];
+    const paletteIndexByKey = new Map();
+    const layers = [new Int32Array(volume).fill(-1), new Int32Array(volume).fill(-1)];
+    const owner = new Int16Array(volume).fill(-1); // Part index that placed each cell
+    const blockPositionData = new Map(); // Target index -> typed tag
+    const entities = [];
+    let overlapCount = 0;
+    let replacedCount = 0;
+
+    parts.forEach((part, partIndex) => {
+        const remap = part.palette.map(entryTag => {
+            const key = getMcStructurePaletteKey(entryTag);
+            if (!paletteIndexByKey.has(key)) {
+                paletteIndexByKey.set(key, palette.length);
+                palette.push(entryTag);
+            }
+            return paletteIndexByKey.get(key);
+        });
+        const isAirIndex = (index) => index < 0 || getNbtChild(part.palette[index], 'name')?.value === 'minecraft:air';
+        const isMergedAir = (index) => index < 0 || getNbtChild(palette[index], 'name')?.value === 'minecraft:air';
+        const offset = placements[partIndex].map((value, axis) => value - min[axis]);
+        const [partX, partY, partZ] = part.size;
+
+        for (let x = 0; x < partX; x++) for (let y = 0; y < partY; y++) for (let z = 0; z < partZ; z++) {
+            const sourceIndex = x * partY * partZ + y * partZ + z;
+            const main = part.layers[0][sourceIndex];
+            if (main < 0) continue; // Structure void places nothing
+            const targetIndex = (x + offset[0]) * sizeY * sizeZ + (y + offset[1]) * sizeZ + (z + offset[2]);
+            if (owner[targetIndex] !== -1) {
+                overlapCount++;
+                const keepExisting = overlapPolicy === 'first' || (overlapPolicy === 'non-air' && isAirIndex(main) && !isMergedAir(layers[0][targetIndex]));
+                if (keepExisting) continue;
+                replacedCount++;
+                blockPositionData.delete(targetIndex);
+            }
+            owner[targetIndex] = partIndex;
+            layers[0][targetIndex] = remap[main] ?? -1;
+            const water = part.layers[1][sourceIndex];
+            layers[1][targetIndex] = water >= 0 ? (remap[water] ?? -1) : -1;
+            const positionData = part.blockPositionData.get(String(sourceIndex));
+            if (positionData) {
+                const worldPosition = [x + offset[0] + min[0], y + offset[1] + min[1], z + offset[2] + min[2]];
+                blockPositionData.set(targetIndex, relocateBlockPositionData(positionData, worldPosition));
+            }
+        }
+
+        // Entity positions are absolute, so shift them by how far the part moved.
+        const delta = placements[partIndex].map((value, axis) => value - part.origin[axis]);
+        part.entities.forEach(entityTag => entities.push(relocateEntity(entityTag, delta)));
+        log.push(`  - ${part.label}: ${part.size.join('x')} at [${placements[partIndex].join(', ')}], ${part.palette.length} palette entries, ${part.entities.length} entities.`);
+    });
+
+    log.push(`Combined palette: ${palette.length} unique entries.`);
+    log.push(`Overlapping cells: ${overlapCount} (${replacedCount} replaced, policy '${overlapPolicy}').`);
+
+    const sortedPositionData = [...blockPositionData].sort((a, b) => a[0] - b[0]).map(([index, tag]) => [String(index), tag]);
+    const rootTag = createNbtCompound({
+        format_version: { type: TAG_INT, value: 1 },
+        size: typedIntList(size),
+        structure: createNbtCompound({
+            block_indices: { type: TAG_LIST, listType: TAG_LIST, value: layers.map(layer => typedIntList(Array.from(layer))) },
+            entities: { type: TAG_LIST, listType: TAG_COMPOUND, value: entities },
+            palette: createNbtCompound({
+                default: createNbtCompound({
+                    block_palette: { type: TAG_LIST, listType: TAG_COMPOUND, value: palette },
+                    block_position_data: { type: TAG_COMPOUND, value: new Map(sortedPositionData) }
+                })
+            })
+        }),
+        structure_world_origin: typedIntList(min)
+    });
+    return { buffer: writeNbt(rootTag, { littleEndian: true }), size, origin: min, paletteSize: palette.length, overlapCount, replacedCount, log };
 }
 
 // ========================================================================== //
-//                       NBT Writing Helpers (Little-Endian)                  //
+//                              NBT Explorer                                  //
 // ========================================================================== //
+// Paths are arrays of compound keys (strings) and list/array indices (numbers), e.g.
+// ['structure', 'palette', 'default', 'block_palette', 0, 'name'] is shown as
+// structure.palette.default.block_palette[0].name. Elements of byte/int/long arrays are
+// addressed like list entries and surface as scalar tags of the element type.
+
+const isNbtContainerType = (type) => type === TAG_COMPOUND || type === TAG_LIST || type in NBT_ARRAY_ELEMENT_TYPES;
+
+function formatNbtPath(path) {
+    return path.map((key, i) => {
+        if (typeof key === 'number') return `[${key}]`;
+        const name = /^[A-Za-z0-9_\-+]+$/.test(key) ? key : JSON.stringify(key);
+        return i === 0 ? name : `.${name}`;
+    }).join('');
+}
 
-let s2m_nbtWriterCurrentOffset = 0;
-function s2m_writeByte(b, o, v) { b.setInt8(o, v); return o + 1; }
-function s2m_writeUnsignedShort(b, o, v) { b.setUint16(o, v, true); return o + 2; }
-function s2m_writeInt(b, o, v) { b.setInt32(o, v, true); return o + 4; }
-function s2m_writeLong(b, o, v) { b.setBigInt64(o, BigInt(v), true); return o + 8; }
-function s2m_writeFloat(b, o, v) { b.setFloat32(o, v, true); return o + 4; }
-function s2m_writeStringPayload(b, o, t) {
-    const bytes = new TextEncoder().encode(t || "");
-    o = s2m_writeUnsignedShort(b, o, bytes.length);
-    bytes.forEach((byte, i) => b.setUint8(o + i, byte));
-    return o + bytes.length;
-}
-function s2m_getNbtType(v) {
-    if (typeof v === "boolean") return S2M_TAG_BYTE;
-    if (typeof v === "number") return Number.isInteger(v) ? S2M_TAG_INT : S2M_TAG_FLOAT;
-    if (typeof v === "bigint") return S2M_TAG_LONG;
-    if (typeof v === "string") return S2M_TAG_STRING;
-    if (v instanceof Int32Array) return S2M_TAG_LIST;
-    if (Array.isArray(v)) return S2M_TAG_LIST;
-    if (v instanceof Uint8Array || v instanceof Int8Array) return S2M_TAG_BYTE_ARRAY;
-    if (typeof v === "object" && v !== null) return S2M_TAG_COMPOUND;
-    throw new TypeError(`Unsupported JS type for NBT: ${typeof v}`);
-}
-function s2m_writeTagPayload(b, type, v) {
-    switch(type) {
-        case S2M_TAG_BYTE: s2m_nbtWriterCurrentOffset = s2m_writeByte(b, s2m_nbtWriterCurrentOffset, v); break;
-        case S2M_TAG_INT: s2m_nbtWriterCurrentOffset = s2m_writeInt(b, s2m_nbtWriterCurrentOffset, v); break;
-        case S2M_TAG_LONG: s2m_nbtWriterCurrentOffset = s2m_writeLong(b, s2m_nbtWriterCurrentOffset, v); break;
-        case S2M_TAG_FLOAT: s2m_nbtWriterCurrentOffset = s2m_writeFloat(b, s2m_nbtWriterCurrentOffset, v); break;
-        case S2M_TAG_STRING: s2m_nbtWriterCurrentOffset = s2m_writeStringPayload(b, s2m_nbtWriterCurrentOffset, v); break;
-        case S2M_TAG_LIST: s2m_writeList(b, v); break;
-        case S2M_TAG_COMPOUND: s2m_writeCompound(b, v); break;
-        default: throw new Error(`Unsupported payload type for writing: ${type}`);
-    }
-}
-function s2m_writeList(b, list) {
-    if (list instanceof Int32Array) {
-        s2m_nbtWriterCurrentOffset = s2m_writeByte(b, s2m_nbtWriterCurrentOffset, S2M_TAG_INT);
-        s2m_nbtWriterCurrentOffset = s2m_writeInt(b, s2m_nbtWriterCurrentOffset, list.length);
-        for (const item of list) s2m_nbtWriterCurrentOffset = s2m_writeInt(b, s2m_nbtWriterCurrentOffset, item);
-        return;
+// Children of a container tag as [{ key, tag }]; array elements are wrapped as scalar tags.
+function getNbtChildren(tag) {
+    if (tag.type === TAG_COMPOUND) return [...tag.value].map(([key, child]) => ({ key, tag: child }));
+    if (tag.type === TAG_LIST) return tag.value.map((child, key) => ({ key, tag: child }));
+    if (tag.type in NBT_ARRAY_ELEMENT_TYPES) {
+        const type = NBT_ARRAY_ELEMENT_TYPES[tag.type];
+        return tag.value.map((value, key) => ({ key, tag: { type, value } }));
     }
-    if (list.length === 0) {
-        s2m_nbtWriterCurrentOffset = s2m_writeByte(b, s2m_nbtWriterCurrentOffset, S2M_TAG_END);
-        s2m_nbtWriterCurrentOffset = s2m_writeInt(b, s2m_nbtWriterCurrentOffset, 0);
-        return;
+    return [];
+}
+
+function getNbtChildCount(tag) {
+    if (tag.type === TAG_COMPOUND) return tag.value.size;
+    return isNbtContainerType(tag.type) ? tag.value.length : 0;
+}
+
+function getNbtTagAtPath(root, path) {
+    let tag = root;
+    for (const key of path) {
+        if (tag.type === TAG_COMPOUND && typeof key === 'string' && tag.value.has(key)) tag = tag.value.get(key);
+        else if (tag.type === TAG_LIST && typeof key === 'number' && key < tag.value.length) tag = tag.value[key];
+        else if (tag.type in NBT_ARRAY_ELEMENT_TYPES && typeof key === 'number' && key < tag.value.length) tag = { type: NBT_ARRAY_ELEMENT_TYPES[tag.type], value: tag.value[key] };
+        else throw new Error(`No tag at ${formatNbtPath(path)}.`);
+    }
+    return tag;
+}
+
+// One-line summary used by the tree: scalar values, quoted strings and entry counts for containers.
+function formatNbtTagSummary(tag) {
+    if (tag.type === TAG_STRING) return JSON.stringify(tag.value);
+    if (tag.type === TAG_COMPOUND) return `${getNbtChildCount(tag)} entries`;
+    if (tag.type === TAG_LIST) return `${tag.value.length} × ${NBT_TAG_TYPE_NAMES[tag.listType ?? TAG_END]}`;
+    if (tag.type in NBT_ARRAY_ELEMENT_TYPES) return `length ${tag.value.length}`;
+    return String(tag.value);
+}
+
+/**
+ * Parses text typed into the editor as a value of the given scalar tag type.
+ * Integers are range-checked; longs are returned as BigInt.
+ */
+function parseNbtValue(type, text) {
+    if (type === TAG_STRING) return text;
+    const trimmed = String(text).trim();
+    if (type in NBT_INTEGER_RANGES) {
+        if (!/^[-+]?\d+$/.test(trimmed)) throw new Error(`"${text}" is not a whole number.`);
+        const value = BigInt(trimmed);
+        const [min, max] = NBT_INTEGER_RANGES[type];
+        if (value < min || value > max) throw new Error(`${value} is out of range for ${NBT_TAG_TYPE_NAMES[type]} (${min} to ${max}).`);
+        return type === TAG_LONG ? value : Number(value);
+    }
+    if (type === TAG_FLOAT || type === TAG_DOUBLE) {
+        const value = Number(trimmed);
+        if (trimmed === '' || (Number.isNaN(value) && trimmed !== 'NaN')) throw new Error(`"${text}" is not a number.`);
+        return type === TAG_FLOAT ? Math.fround(value) : value;
+    }
+    throw new Error(`${NBT_TAG_TYPE_NAMES[type]} tags have no directly editable value.`);
+}
+
+function setNbtValueAtPath(root, path, text) {
+    if (!path.length) throw new Error('The root tag has no editable value.');
+    const parent = getNbtTagAtPath(root, path.slice(0, -1));
+    const key = path[path.length - 1];
+    const tag = getNbtTagAtPath(parent, [key]);
+    const value = parseNbtValue(tag.type, text);
+    if (parent.type in NBT_ARRAY_ELEMENT_TYPES) parent.value[key] = value;
+    else tag.value = value;
+    return value;
+}
+
+function createDefaultNbtTag(type, listType = TAG_END) {
+    switch (type) {
+        case TAG_LONG: return { type, value: 0n };
+        case TAG_STRING: return { type, value: '' };
+        case TAG_LIST: return { type, listType, value: [] };
+        case TAG_COMPOUND: return { type, value: new Map() };
+        case TAG_BYTE_ARRAY: case TAG_INT_ARRAY: case TAG_LONG_ARRAY: return { type, value: [] };
+        default:
+            if (!NBT_TAG_TYPE_NAMES[type] || type === TAG_END) throw new Error(`Unknown tag type ${type}.`);
+            return { type, value: 0 };
     }
-    const listType = s2m_getNbtType(list[0]);
-    s2m_nbtWriterCurrentOffset = s2m_writeByte(b, s2m_nbtWriterCurrentOffset, listType);
-    s2m_nbtWriterCurrentOffset = s2m_writeInt(b, s2m_nbtWriterCurrentOffset, list.length);
-    for (const item of list) s2m_writeTagPayload(b, listType, item);
 }
-function s2m_writeCompound(b, compound) {
-    for (const key in compound) {
-        if (Object.prototype.hasOwnProperty.call(compound, key)) {
-            const v = compound[key]; const type = s2m_getNbtType(v);
-            s2m_nbtWriterCurrentOffset = s2m_writeByte(b, s2m_nbtWriterCurrentOffset, type);
-            s2m_nbtWriterCurrentOffset = s2m_writeStringPayload(b, s2m_nbtWriterCurrentOffset, key);
-            s2m_writeTagPayload(b, type, v);
+
+/**
+ * Adds a default-valued child to the container at parentPath and returns the new child's path.
+ * Compounds need a new, unused name; lists only take their element type (an empty list adopts
+ * the new type); arrays append a zero element.
+ */
+function addNbtTag(root, parentPath, { name = '', type, listType } = {}) {
+    const parent = getNbtTagAtPath(root, parentPath);
+    if (parent.type === TAG_COMPOUND) {
+        if (!name) throw new Error('A compound entry needs a name.');
+        if (parent.value.has(name)) throw new Error(`"${name}" already exists in ${formatNbtPath(parentPath) || 'the root'}.`);
+        parent.value.set(name, createDefaultNbtTag(type, listType));
+        return [...parentPath, name];
+    }
+    if (parent.type === TAG_LIST) {
+        if (parent.value.length && type !== parent.listType) {
+            throw new Error(`This list holds ${NBT_TAG_TYPE_NAMES[parent.listType]} tags, not ${NBT_TAG_TYPE_NAMES[type]}.`);
         }
+        parent.listType = type;
+        parent.value.push(createDefaultNbtTag(type, listType));
+        return [...parentPath, parent.value.length - 1];
+    }
+    if (parent.type in NBT_ARRAY_ELEMENT_TYPES) {
+        parent.value.push(parent.type === TAG_LONG_ARRAY ? 0n : 0);
+        return [...parentPath, parent.value.length - 1];
     }
-    s2m_nbtWriterCurrentOffset = s2m_writeByte(b, s2m_nbtWriterCurrentOffset, S2M_TAG_END);
+    throw new Error(`${NBT_TAG_TYPE_NAMES[parent.type]} tags cannot hold children.`);
 }
+
+// Removes the tag at path. Emptied lists keep their listType.
+function removeNbtTag(root, path) {
+    if (!path.length) throw new Error('The root tag cannot be removed.');
+    const parent = getNbtTagAtPath(root, path.slice(0, -1));
+    const key = path[path.length - 1];
+    getNbtTagAtPath(parent, [key]);
+    if (parent.type === TAG_COMPOUND) parent.value.delete(key);
+    else parent.value.splice(key, 1);
+}
+
+/**
+ * Finds tags whose path or value contains the query (case-insensitive), in document order.
+ * Stops after `limit` matches so huge block_indices lists stay searchable.
+ * @returns {{matches: Array<Array<string|number>>, truncated: boolean}}
+ */
+function searchNbt(root, query, limit = 200) {
+    const needle = String(query).toLowerCase();
+    const matches = [];
+    if (!needle) return { matches, truncated: false };
+    // Returns false once the limit is hit so the walk stops early.
+    const visit = (tag, path) => {
+        const pathMatch = path.length > 0 && formatNbtPath(path).toLowerCase().includes(needle);
+        const valueMatch = !isNbtContainerType(tag.type) && String(tag.value).toLowerCase().includes(needle);
+        if (pathMatch || valueMatch) {
+            if (matches.length === limit) return false;
+            matches.push(path);
+        }
+        if (!isNbtContainerType(tag.type)) return true;
+        for (const key of tag.value.keys()) {
+            if (!visit(getNbtTagAtPath(tag, [key]), [...path, key])) return false;
+        }
+        return true;
+    };
+    return { matches, truncated: !visit(root, []) };
+}
+
+// ========================================================================== //
+//                 START: SCHEMATIC TO MCSTRUCTURE CONVERTER                  //
+// ========================================================================== //
+
+/**
+ * @file schem_to_mcstructure.js
+ * @description Standalone script to convert Minecraft Java Edition .schem files to Bedrock Edition .mcstructure files.
+ * @version 2.3.0 - Corrected the waterlogging logic. The script now checks for and separates the waterlogged
+ *              state *before* translation, ensuring the water layer is reliably created for all applicable blocks.
+ *
+ * @requires pako.js - For Gzip decompression of .schem files. (https://github.com/nodeca/pako)
+ * @requires mappings.js - A file that defines `window.javaToUniversalMaps` and `window.universalToBedrockMaps`.
+ */
+
+// Scope everything to avoid polluting the global namespace
+(() => {
+
+// NBT is read and written with the shared codec (readNbt / writeNbt) at the top of this file.
+
+// Sponge v3 nests everything in a "Schematic" compound.
+function s2m_unwrapSchematic(rootTag) {
+    const schematic = getNbtChild(rootTag, 'Schematic');
+    if (schematic?.type === TAG_COMPOUND && rootTag.value.size === 1) return schematic;
+    return rootTag;
+}
+
+// Everything but block_position_data is plain data; its entries are typed tags so block entity
+// fields keep their exact Java-derived types (bytes, shorts, longs) instead of inferred ints.
 function s2m_createNbtBuffer(data) {
-    const estSize = JSON.stringify(data).length * 2.5 + 4096;
-    const arrayBuffer = new ArrayBuffer(estSize);
-    const b = new DataView(arrayBuffer);
-    s2m_nbtWriterCurrentOffset = 0;
-    s2m_nbtWriterCurrentOffset = s2m_writeByte(b, s2m_nbtWriterCurrentOffset, S2M_TAG_COMPOUND);
-    s2m_nbtWriterCurrentOffset = s2m_writeStringPayload(b, s2m_nbtWriterCurrentOffset, "");
-    s2m_writeCompound(b, data);
-    return arrayBuffer.slice(0, s2m_nbtWriterCurrentOffset);
+    const paletteData = data.structure.palette.default;
+    const root = plainToNbt({ ...data, structure: { ...data.structure, palette: { default: { ...paletteData, block_position_data: {} } } } });
+    const defaultPalette = getNbtChild(getNbtChild(getNbtChild(root, 'structure'), 'palette'), 'default');
+    defaultPalette.value.set('block_position_data', { type: TAG_COMPOUND, value: new Map(Object.entries(paletteData.block_position_data)) });
+    return writeNbt(root, { littleEndian: true });
 }
 
 // ========================================================================== //
 //                 Block Translation & Logging Logic                          //
 // ========================================================================== //
 
+// Mapping `code` hooks whose work s2m_translateBlockEntity does itself from the Java data.
+const S2M_CONVERTER_CODE_FUNCTIONS = ['bedrock_sign_fu_120', 'bedrock_cmd_custom_name_fu'];
+
 function s2m_getBaseBlockName(b) { if (!b) return ''; return b.includes(':') ? b.split(':')[1] : b; }
 function s2m_parseJsonStringValue(v) {
     if (typeof v !== 'string') return v;
@@ -2065,7 +5256,8 @@ function s2m_javaToUniversal(p, log) {
     const rules = window.javaToUniversalMaps[baseName];
     const defaultUni = { name: `universal_minecraft:${baseName}`, properties: p.states || {}, nbt: p.nbt };
     if (!rules) return defaultUni;
-    const universal = { name: `universal_minecraft:${baseName}`, properties: {}, nbt: p.nbt };
+    const nbtContext = p.nbt ? createNbtMappingContext(p.nbt) : null;
+    const universal = { name: `universal_minecraft:${baseName}`, properties: {}, nbt: nbtContext?.output ?? null };
     try {
         for (const r of rules) { if (r.function === 'new_block') { universal.name = r.options; break; } }
         for (const r of rules) {
@@ -2089,12 +5281,18 @@ function s2m_javaToUniversal(p, log) {
                             if (mapForVal?.[0]?.function === 'new_properties') {
                                 Object.assign(universal.properties, mapForVal[0].options);
                             }
+                            if (nbtContext) applyNbtMappingRules(mapForVal, nbtContext);
                         }
                     }
                     break;
+                case 'walk_input_nbt': case 'carry_nbt': case 'new_nbt': case 'map_nbt': case 'code':
+                    if (nbtContext) applyNbtMappingRules([r], nbtContext);
+                    break;
             }
         }
     } catch (e) { console.error(`Error in Java->Universal for ${baseName}:`, e); return defaultUni; }
+    nbtContext?.skippedCode.filter(name => !S2M_CONVERTER_CODE_FUNCTIONS.includes(name))
+        .forEach(name => log.push(`    - Skipped Java->Universal NBT code function '${name}' (not supported).`));
     if (baseName === 'sea_pickle') {
         universal.properties.pickle_is_dead = p.states.waterlogged === 'false';
         delete p.states.waterlogged;
@@ -2107,10 +5305,12 @@ function s2m_universalToBedrock(u, log) {
     const baseName = s2m_getBaseBlockName(u.name);
     const rules = window.universalToBedrockMaps[baseName];
     const bedrock = { name: `minecraft:${baseName}`, states: {}, version: 18163713 };
+    const nbtContext = u.nbt ? createNbtMappingContext(u.nbt) : null;
     log.push(`  [3] Universal to Bedrock: ${u.name}`);
     if (!rules) {
         log.push(`    - No rules found. Direct conversion.`);
         Object.assign(bedrock.states, u.properties);
+        if (nbtContext) nbtContext.output = u.nbt;
     } else {
         try {
             const apply = (nestedRules, currentRep, universalProps) => {
@@ -2140,6 +5340,9 @@ function s2m_universalToBedrock(u, log) {
                                 }
                             }
                             break;
+                        case 'walk_input_nbt': case 'carry_nbt': case 'new_nbt': case 'map_nbt': case 'code':
+                            if (nbtContext) applyNbtMappingRules([r], nbtContext);
+                            break;
                     }
                 }
             };
@@ -2148,6 +5351,13 @@ function s2m_universalToBedrock(u, log) {
             apply(rules.filter(r => r.function !== 'new_block'), bedrock, u.properties);
         } catch (e) { log.push(`    - ✗ ERROR during rule application: ${e.message}`); }
     }
+    if (nbtContext) {
+        nbtContext.skippedCode.filter(name => !S2M_CONVERTER_CODE_FUNCTIONS.includes(name))
+            .forEach(name => log.push(`    - Skipped Universal->Bedrock NBT code function '${name}' (not supported).`));
+        // Universal-only tags the Bedrock rules did not pick up have no meaning in Bedrock.
+        nbtContext.output.value.delete('utags');
+        bedrock.nbt = nbtContext.output;
+    }
     if (u.properties.hasOwnProperty('pickle_is_dead')) {
         bedrock.states.dead_bit = u.properties.pickle_is_dead === true;
         delete bedrock.states.pickle_is_dead;
@@ -2161,8 +5371,31 @@ function s2m_universalToBedrock(u, log) {
 //                           Core Conversion Logic                            //
 // ========================================================================== //
 
-function s2m_normalizeSchematicData(schemNbt, log) {
+// Takes the typed (unwrapped) schematic root; block entities are read from it directly so their
+// tag types survive, everything else from its plain form.
+function s2m_normalizeSchematicData(schemTag, log, options = {}) {
     log.push("Normalizing schematic data structure...");
+    let schemNbt = nbtToPlain(schemTag);
+    let readBlockEntities = (size) => readSchematicBlockEntities(schemTag, size);
+    if (isLitematic(schemNbt)) {
+        log.push(`Detected Litematica file with regions: ${listLitematicRegions(schemNbt).join(', ')}`);
+        schemNbt = convertLitematic(schemNbt, options.region || null);
+        log.push(options.region ? `  - Using region '${options.region}'.` : `  - Merged ${schemNbt.regionNames.length} region(s) into one structure.`);
+        const { regionOffsets } = schemNbt;
+        readBlockEntities = (size) => readLitematicBlockEntities(schemTag, regionOffsets, size);
+    } else if (isJavaStructureNbt(schemNbt)) {
+        log.push(`Detected vanilla Java structure .nbt file with ${schemNbt.blocks.value.length} block entries.`);
+        schemNbt = convertJavaStructureNbt(schemNbt);
+        if (schemNbt.droppedEntityCount > 0) log.push(`  - Dropped ${schemNbt.droppedEntityCount} entities from the structure's entities list; only blocks and block entities are converted.`);
+        readBlockEntities = (size) => readJavaStructureBlockEntities(schemTag, size);
+    }
+    if (isLegacySchematic(schemNbt)) {
+        log.push("Detected legacy MCEdit/WorldEdit schematic (numeric block IDs). Converting to flattened block states...");
+        schemNbt = convertLegacySchematic(schemNbt);
+        if (schemNbt.unknownLegacyIds.length > 0) {
+            log.push(`  - Unknown legacy block IDs replaced with air: ${schemNbt.unknownLegacyIds.join(', ')}`);
+        }
+    }
     let width, height, length, palette, blockData;
     if (typeof schemNbt.Width === 'number') { width = schemNbt.Width; height = schemNbt.Height; length = schemNbt.Length; }
     else if (schemNbt.Blocks?.Size?.value) { [width, height, length] = schemNbt.Blocks.Size.value; }
@@ -2171,8 +5404,10 @@ function s2m_normalizeSchematicData(schemNbt, log) {
     if (schemNbt.BlockData instanceof Uint8Array) { blockData = schemNbt.BlockData; }
     else if (schemNbt.Blocks?.Data instanceof Uint8Array) { blockData = schemNbt.Blocks.Data; }
     if (width === undefined || !palette || !blockData) { throw new Error("Could not find all required schematic data in any known format."); }
+    const blockEntities = readBlockEntities([width, height, length]);
+    if (blockEntities.size > 0) log.push(`Found ${blockEntities.size} block entities.`);
     log.push("Successfully normalized schematic data.");
-    return { width, height, length, palette, blockData };
+    return { width, height, length, palette, blockData, blockEntities };
 }
 
 function s2m_translateSchemPalette(schemPaletteNbt, log) {
@@ -2211,6 +5446,197 @@ function s2m_translateSchemPalette(schemPaletteNbt, log) {
     return translatedMap;
 }
 
+// Java block entity ids (lower case, no namespace; pre-1.11 ids included) -> Bedrock ids.
+// Legacy ids missing here (Chest, Furnace, MobSpawner, ...) already match Bedrock.
+const S2M_BEDROCK_BLOCK_ENTITY_IDS = {
+    chest: 'Chest', trapped_chest: 'Chest', ender_chest: 'EnderChest', barrel: 'Barrel', shulker_box: 'ShulkerBox',
+    furnace: 'Furnace', blast_furnace: 'BlastFurnace', smoker: 'Smoker', hopper: 'Hopper', dispenser: 'Dispenser', dropper: 'Dropper',
+    brewing_stand: 'BrewingStand', command_block: 'CommandBlock', mob_spawner: 'MobSpawner', spawner: 'MobSpawner',
+    sign: 'Sign', hanging_sign: 'HangingSign', lectern: 'Lectern', bed: 'Bed', banner: 'Banner', beacon: 'Beacon',
+    jukebox: 'Jukebox', note_block: 'Music', enchanting_table: 'EnchantTable', skull: 'Skull', head: 'Skull', flower_pot: 'FlowerPot',
+    comparator: 'Comparator', daylight_detector: 'DaylightDetector', end_gateway: 'EndGateway', end_portal: 'EndPortal',
+    structure_block: 'StructureBlock', jigsaw: 'JigsawBlock', campfire: 'Campfire', bell: 'Bell', beehive: 'Beehive', conduit: 'Conduit',
+    piston: 'PistonArm', chiseled_bookshelf: 'ChiseledBookshelf', decorated_pot: 'DecoratedPot', crafter: 'Crafter',
+    brushable_block: 'BrushableBlock', sculk_sensor: 'SculkSensor', calibrated_sculk_sensor: 'CalibratedSculkSensor',
+    sculk_catalyst: 'SculkCatalyst', sculk_shrieker: 'SculkShrieker', trial_spawner: 'TrialSpawner', vault: 'Vault',
+    control: 'CommandBlock', trap: 'Dispenser', cauldron: 'BrewingStand', recordplayer: 'Jukebox', airportal: 'EndPortal', dldetector: 'DaylightDetector'
+};
+
+// Uses the block entity's own id, or the block name when the schematic left it out
+// (e.g. red_bed -> Bed, oak_wall_hanging_sign -> HangingSign by the longest matching suffix).
+function s2m_getBedrockBlockEntityId(javaId, javaBlockId) {
+    if (javaId) {
+        const key = s2m_getBaseBlockName(javaId).toLowerCase();
+        return S2M_BEDROCK_BLOCK_ENTITY_IDS[key] || (javaId.includes(':') ? key.replace(/(^|_)([a-z])/g, (_, __, c) => c.toUpperCase()) : javaId);
+    }
+    const blockName = s2m_getBaseBlockName(javaBlockId);
+    const suffix = Object.keys(S2M_BEDROCK_BLOCK_ENTITY_IDS)
+        .filter(key => blockName === key || blockName.endsWith(`_${key}`))
+        .sort((a, b) => b.length - a.length)[0];
+    return suffix ? S2M_BEDROCK_BLOCK_ENTITY_IDS[suffix] : blockName.replace(/(^|_)([a-z])/g, (_, __, c) => c.toUpperCase());
+}
+
+// Java item stack ({ Slot, id, Count } or 1.20.5+ { Slot, id, count }) -> Bedrock item compound.
+// Item names are kept as they are; pre-1.8 numeric ids have no name to carry and return null.
+function s2m_convertItemStack(itemTag) {
+    const item = Object.fromEntries(itemTag.value || []);
+    const id = item.id?.value;
+    if (typeof id !== 'string' || id === '') return null;
+    const bedrockItem = {
+        Count: { type: TAG_BYTE, value: Math.min(127, Number((item.Count || item.count)?.value ?? 1)) },
+        Damage: { type: TAG_SHORT, value: Number(item.Damage?.value ?? 0) },
+        Name: { type: TAG_STRING, value: id.includes(':') ? id : `minecraft:${id}` },
+        WasPickedUp: { type: TAG_BYTE, value: 0 }
+    };
+    if (item.Slot) bedrockItem.Slot = { type: TAG_BYTE, value: Number(item.Slot.value) };
+    return createNbtCompound(bedrockItem);
+}
+
+function s2m_logTextNotes(notes, log) {
+    notes.forEach(note => log.push(`      ! ${note}`));
+}
+
+// Java sign fields that the default carry rules pass through untranslated.
+const S2M_JAVA_SIGN_KEYS = ['front_text', 'back_text', 'Text1', 'Text2', 'Text3', 'Text4', 'Color', 'GlowingText'];
+
+// Both sides of a Java sign: 1.20+ front_text/back_text, or the older Text1-4, Color and GlowingText.
+function s2m_readJavaSignSides(fields) {
+    const readSide = (tag) => ({ messages: getNbtChild(tag, 'messages')?.value || [], color: getNbtChild(tag, 'color')?.value, glowing: !!getNbtChild(tag, 'has_glowing_text')?.value });
+    if (fields.front_text || fields.back_text) return { FrontText: readSide(fields.front_text), BackText: readSide(fields.back_text) };
+    return {
+        FrontText: { messages: ['Text1', 'Text2', 'Text3', 'Text4'].map(key => fields[key]).filter(Boolean), color: fields.Color?.value, glowing: !!fields.GlowingText?.value },
+        BackText: readSide(null)
+    };
+}
+
+// One sign side -> Bedrock FrontText/BackText. Glowing text is Bedrock's IgnoreLighting flag.
+function s2m_translateSignSide(side, label, log) {
+    const notes = [];
+    let previousStyled = false;
+    const lines = side.messages.map(tag => {
+        let line = textComponentToBedrockText(readTextComponentTag(tag), notes);
+        // PersistFormatting carries a styled line's codes into the next line unless it is reset.
+        if (previousStyled && line) line = `§r${line}`;
+        if (line) previousStyled = line.includes('§');
+        return line;
+    });
+    const text = lines.join('\n').replace(/\n+$/, '');
+    const color = side.color in SIGN_TEXT_COLORS ? side.color : 'black';
+    if (text) log.push(`    - ${label}: ${JSON.stringify(text)} (${color}${side.glowing ? ', glowing' : ''})`);
+    s2m_logTextNotes(notes, log);
+    return createNbtCompound({
+        HideGlowOutline: { type: TAG_BYTE, value: 0 },
+        IgnoreLighting: { type: TAG_BYTE, value: side.glowing ? 1 : 0 },
+        PersistFormatting: { type: TAG_BYTE, value: 1 },
+        SignTextColor: { type: TAG_INT, value: SIGN_TEXT_COLORS[color] | 0 },
+        Text: { type: TAG_STRING, value: text },
+        TextOwner: { type: TAG_STRING, value: '' }
+    });
+}
+
+// Page text of a Java book item: tag.pages before 1.20.5, the *_book_content component after.
+// Pages may be filterable ({ raw, filtered }); written book pages are text components.
+function s2m_readJavaBookPages(item, isWrittenBook, notes) {
+    const content = getNbtChild(item.components, 'minecraft:written_book_content') || getNbtChild(item.components, 'minecraft:writable_book_content');
+    const pageTags = getNbtChild(content, 'pages')?.value ?? getNbtChild(item.tag, 'pages')?.value ?? [];
+    return pageTags.map(tag => {
+        const page = getNbtChild(tag, 'raw') || tag;
+        if (isWrittenBook) return textComponentToBedrockText(readTextComponentTag(page), notes);
+        return page.type === TAG_STRING ? page.value : '';
+    });
+}
+
+// Java book item -> Bedrock book item with its pages, title and author in tag.
+function s2m_convertBookItem(itemTag, log) {
+    const bedrockItem = s2m_convertItemStack(itemTag);
+    if (!bedrockItem) return null;
+    const item = Object.fromEntries(itemTag.value);
+    const isWrittenBook = bedrockItem.value.get('Name').value === 'minecraft:written_book';
+    const notes = [];
+    const pages = s2m_readJavaBookPages(item, isWrittenBook, notes);
+    const tag = {
+        pages: {
+            type: TAG_LIST, listType: pages.length ? TAG_COMPOUND : TAG_END,
+            value: pages.map(text => createNbtCompound({ photoname: { type: TAG_STRING, value: '' }, text: { type: TAG_STRING, value: text } }))
+        }
+    };
+    if (isWrittenBook) {
+        const content = getNbtChild(item.components, 'minecraft:written_book_content') || item.tag;
+        const title = getNbtChild(content, 'title');
+        tag.title = { type: TAG_STRING, value: String((getNbtChild(title, 'raw') || title)?.value ?? '') };
+        tag.author = { type: TAG_STRING, value: String(getNbtChild(content, 'author')?.value ?? '') };
+        tag.generation = { type: TAG_INT, value: Number(getNbtChild(content, 'generation')?.value ?? 0) };
+        tag.xuid = { type: TAG_LONG, value: 0n };
+    }
+    bedrockItem.value.set('tag', createNbtCompound(tag));
+    log.push(`    - Book: ${bedrockItem.value.get('Name').value}${tag.title ? ` "${tag.title.value}"` : ''} with ${pages.length} page(s)`);
+    s2m_logTextNotes(notes, log);
+    return { bedrockItem, pageCount: pages.length };
+}
+
+/**
+ * Translates one Java block entity with the block's mapping rules and fills in what the rules
+ * leave to custom code: the Bedrock id and position, Bedrock item stacks, the spawner's entity
+ * (1.18+ keeps it in SpawnData.entity), the command block version, sign text, lectern books and
+ * custom names, whose text components become § formatted strings. Returns the typed
+ * block_entity_data compound.
+ */
+function s2m_translateBlockEntity(javaBlockString, blockEntity, position, log) {
+    const parsedJava = s2m_parseJavaBlockString(javaBlockString);
+    delete parsedJava.states.waterlogged;
+    parsedJava.nbt = blockEntity.nbt;
+    log.push(`\nBlock entity at ${position.join(', ')}: ${javaBlockString} (${blockEntity.id || 'no id'})`);
+    const universal = s2m_javaToUniversal(parsedJava, log);
+    const { nbt } = s2m_universalToBedrock(universal, log);
+    const data = Object.fromEntries(nbt.value);
+
+    const id = s2m_getBedrockBlockEntityId(blockEntity.id, parsedJava.blockId);
+    if (data.Items?.type === TAG_LIST) {
+        const items = data.Items.value.map(s2m_convertItemStack).filter(Boolean);
+        if (items.length < data.Items.value.length) log.push(`    - Dropped ${data.Items.value.length - items.length} item(s) without a named id.`);
+        data.Items = { type: TAG_LIST, listType: items.length ? TAG_COMPOUND : TAG_END, value: items };
+    }
+    if (id === 'MobSpawner' && !data.EntityIdentifier) {
+        const spawnData = getNbtChild(blockEntity.nbt, 'SpawnData');
+        const entityId = getNbtChild(getNbtChild(spawnData, 'entity'), 'id')?.value ?? getNbtChild(spawnData, 'id')?.value ?? getNbtChild(blockEntity.nbt, 'EntityId')?.value;
+        if (typeof entityId === 'string') data.EntityIdentifier = { type: TAG_STRING, value: entityId.includes(':') ? entityId : `minecraft:${entityId.toLowerCase()}` };
+    }
+    if (id === 'CommandBlock' && !data.Version) data.Version = { type: TAG_INT, value: COMMAND_BLOCK_VERSION };
+    if (id === 'Sign' || id === 'HangingSign') {
+        S2M_JAVA_SIGN_KEYS.forEach(key => delete data[key]);
+        for (const [key, side] of Object.entries(s2m_readJavaSignSides(Object.fromEntries(blockEntity.nbt.value)))) {
+            data[key] = s2m_translateSignSide(side, key, log);
+        }
+    }
+    if (id === 'Lectern' && data.book?.type === TAG_COMPOUND) {
+        const book = s2m_convertBookItem(data.book, log);
+        if (book) {
+            data.book = book.bedrockItem;
+            data.hasBook = { type: TAG_BYTE, value: 1 };
+            data.totalPages = { type: TAG_INT, value: book.pageCount };
+        } else {
+            delete data.book;
+        }
+    }
+    // Bedrock has no CustomName rule for most blocks; containers, command blocks etc. all take it.
+    const customName = getNbtChild(blockEntity.nbt, 'CustomName');
+    if (customName) {
+        const notes = [];
+        data.CustomName = { type: TAG_STRING, value: textComponentToBedrockText(readTextComponentTag(customName), notes) };
+        log.push(`    - Custom name: ${JSON.stringify(data.CustomName.value)}`);
+        s2m_logTextNotes(notes, log);
+    }
+    Object.assign(data, {
+        id: { type: TAG_STRING, value: id },
+        x: { type: TAG_INT, value: position[0] },
+        y: { type: TAG_INT, value: position[1] },
+        z: { type: TAG_INT, value: position[2] }
+    });
+    const keys = Object.keys(data).filter(key => !['id', 'x', 'y', 'z'].includes(key));
+    log.push(`  [✓] Bedrock block entity: ${id}${keys.length ? ` with ${keys.join(', ')}` : ''}${data.Items ? ` (${data.Items.value.length} item(s))` : ''}`);
+    return createNbtCompound(data);
+}
+
 function* s2m_varIntIterator(byteArray) {
     let index = 0;
     while (index < byteArray.length) {
@@ -2225,35 +5651,125 @@ function* s2m_varIntIterator(byteArray) {
     }
 }
 
-async function convertSchemToMcStructure(schemArrayBuffer) {
+// Resolves an optional { min: [x, y, z], max: [x, y, z] } crop (inclusive, source coordinates,
+// null/undefined entries mean "no limit") against the schematic size.
+function s2m_resolveCropBox(crop, size, log) {
+    const min = size.map((_, axis) => {
+        const value = crop?.min?.[axis];
+        return value === null || value === undefined || value === '' ? 0 : Math.max(0, Math.floor(Number(value)));
+    });
+    const max = size.map((extent, axis) => {
+        const value = crop?.max?.[axis];
+        return value === null || value === undefined || value === '' ? extent - 1 : Math.min(extent - 1, Math.floor(Number(value)));
+    });
+    if (min.some(isNaN) || max.some(isNaN)) throw new Error("Crop bounds must be whole numbers.");
+    if (min.some((value, axis) => value > max[axis])) {
+        throw new Error(`Crop box [${min.join(', ')}] -> [${max.join(', ')}] is empty for a ${size.join('x')} schematic.`);
+    }
+    const isFullBox = min.every(value => value === 0) && max.every((value, axis) => value === size[axis] - 1);
+    if (!isFullBox) log.push(`Cropping to [${min.join(', ')}] -> [${max.join(', ')}] (${max.map((value, axis) => value - min[axis] + 1).join('x')}).`);
+    return { min, max };
+}
+
+function s2m_getTileOrigins(size, tileSize) {
+    const origins = [];
+    for (let y = 0; y < size[1]; y += tileSize[1]) for (let z = 0; z < size[2]; z += tileSize[2]) for (let x = 0; x < size[0]; x += tileSize[0]) {
+        origins.push([x, y, z]);
+    }
+    return origins;
+}
+
+// Copies one tile out of a built structure object, giving it its own compact palette.
+// Returns null when the tile holds nothing but air.
+function s2m_extractTile(mcstructure, size, origin, tileSize) {
+    const [, height, length] = size;
+    const tileDims = origin.map((start, axis) => Math.min(tileSize[axis], size[axis] - start));
+    const [tileWidth, tileHeight, tileLength] = tileDims;
+    const sourcePalette = mcstructure.structure.palette.default.block_palette;
+    const sourcePositionData = mcstructure.structure.palette.default.block_position_data;
+    const tile = {
+        format_version: 1, size: new Int32Array(tileDims), structure_world_origin: new Int32Array([0, 0, 0]),
+        structure: {
+            block_indices: [new Int32Array(tileWidth * tileHeight * tileLength).fill(-1), new Int32Array(tileWidth * tileHeight * tileLength).fill(-1)],
+            entities: [], palette: { default: { block_palette: [], block_position_data: {} } }
+        }
+    };
+    const paletteRemap = new Map();
+    let blockCount = 0;
+    for (let x = 0; x < tileWidth; x++) for (let y = 0; y < tileHeight; y++) for (let z = 0; z < tileLength; z++) {
+        const sourceIndex = ((origin[0] + x) * height * length) + ((origin[1] + y) * length) + (origin[2] + z);
+        const tileIndex = (x * tileHeight * tileLength) + (y * tileLength) + z;
+        for (let layer = 0; layer < 2; layer++) {
+            const paletteIndex = mcstructure.structure.block_indices[layer][sourceIndex];
+            if (paletteIndex < 0) continue;
+            if (!paletteRemap.has(paletteIndex)) {
+                paletteRemap.set(paletteIndex, tile.structure.palette.default.block_palette.length);
+                tile.structure.palette.default.block_palette.push(sourcePalette[paletteIndex]);
+            }
+            tile.structure.block_indices[layer][tileIndex] = paletteRemap.get(paletteIndex);
+            blockCount++;
+        }
+        if (sourcePositionData[sourceIndex] !== undefined) {
+            tile.structure.palette.default.block_position_data[tileIndex] = relocateBlockPositionData(sourcePositionData[sourceIndex], [x, y, z]);
+        }
+    }
+    return blockCount > 0 ? { tile, size: tileDims } : null;
+}
+
+// Bundles tiles as a behavior pack layout: structures/<namespace>/<tile>.mcstructure plus a
+// functions/<namespace>/load.mcfunction that places every tile at its offset.
+async function s2m_createTileBundle(tiles, namespace, log) {
+    if (typeof JSZip === 'undefined') throw new Error("JSZip library is not loaded.");
+    const zip = new JSZip();
+    const loadCommands = [];
+    for (const { name, origin, buffer } of tiles) {
+        zip.file(`structures/${namespace}/${name}.mcstructure`, buffer);
+        loadCommands.push(`structure load ${namespace}:${name} ~${origin[0]} ~${origin[1]} ~${origin[2]}`);
+    }
+    zip.file(`functions/${namespace}/load.mcfunction`, loadCommands.join('\n'));
+    const manifest = createBehaviorPackManifest(`${namespace} tiles`, `Run /function ${namespace}/load to place all ${tiles.length} tiles. Generated by Blacklight NBT Tools.`);
+    zip.file('manifest.json', JSON.stringify(manifest, null, 4));
+    zip.file('pack_icon.png', BEHAVIOR_PACK_ICON_BASE64, { base64: true });
+    log.push(`Bundled ${tiles.length} tiles with functions/${namespace}/load.mcfunction.`);
+    return zip.generateAsync({ type: 'uint8array', compression: 'DEFLATE' });
+}
+
+async function convertSchemToMcStructure(schemArrayBuffer, options = {}) {
     return new Promise((resolve, reject) => {
         const log = [];
         try {
             log.push("Starting Schematic to MCStructure conversion...");
             if (typeof pako === 'undefined') throw new Error("Pako.js is not loaded.");
-            let nbtBuffer;
-            const fileData = new Uint8Array(schemArrayBuffer);
-            if (fileData[0] === 0x1f && fileData[1] === 0x8b) {
-                log.push("Decompressing Gzipped schematic...");
-                nbtBuffer = pako.inflate(fileData).buffer;
-            } else { log.push("Processing uncompressed schematic..."); nbtBuffer = schemArrayBuffer; }
-            
             log.push("Parsing schematic NBT data...");
-            const schemNbt = s2m_loadSchematicNBT(nbtBuffer);
-            const { width, height, length, palette: schemPalette, blockData } = s2m_normalizeSchematicData(schemNbt, log);
+            const parsedNbt = readNbt(schemArrayBuffer);
+            log.push(`Read ${parsedNbt.compression === 'none' ? 'uncompressed' : parsedNbt.compression} ${parsedNbt.littleEndian ? 'little' : 'big'}-endian NBT.`);
+            const schemTag = s2m_unwrapSchematic(parsedNbt.root);
+            const { width, height, length, palette: schemPalette, blockData, blockEntities } = s2m_normalizeSchematicData(schemTag, log, options);
             log.push(`Schematic dimensions: ${width}x${height}x${length}`);
 
             const translatedPaletteMap = s2m_translateSchemPalette(schemPalette, log);
+            const cropBox = s2m_resolveCropBox(options.crop, [width, height, length], log);
+            const transform = normalizeStructureTransform(options.transform);
+            const sourceSize = cropBox.max.map((value, axis) => value - cropBox.min[axis] + 1);
+            const [outWidth, outHeight, outLength] = getTransformedStructureSize(sourceSize, transform);
+            if (!isIdentityStructureTransform(transform)) {
+                log.push(`\nApplying transform: structure ${describeStructureTransform(transform)} (${outWidth}x${outHeight}x${outLength}).`);
+                for (const paletteEntry of translatedPaletteMap.values()) {
+                    paletteEntry.bedrockBlock = transformBedrockBlock(paletteEntry.bedrockBlock, transform);
+                }
+            }
             
             log.push("\nBuilding new Bedrock structure object...");
             const mcstructure = {
-                format_version: 1, size: new Int32Array([width, height, length]), structure_world_origin: new Int32Array([0, 0, 0]),
+                format_version: 1, size: new Int32Array([outWidth, outHeight, outLength]), structure_world_origin: new Int32Array([0, 0, 0]),
                 structure: {
-                    block_indices: [new Int32Array(width * height * length).fill(-1), new Int32Array(width * height * length).fill(-1)],
+                    block_indices: [new Int32Array(outWidth * outHeight * outLength).fill(-1), new Int32Array(outWidth * outHeight * outLength).fill(-1)],
                     entities: [], palette: { default: { block_palette: [], block_position_data: {} } }
                 }
             };
             const bedrockPalette = mcstructure.structure.palette.default.block_palette;
+            const blockPositionData = mcstructure.structure.palette.default.block_position_data;
+            const javaBlockStrings = new Map(Object.entries(schemPalette).map(([blockString, index]) => [index, blockString]));
             const uniqueBlocksMap = new Map();
             const iterator = s2m_varIntIterator(blockData);
 
@@ -2262,8 +5778,11 @@ async function convertSchemToMcStructure(schemArrayBuffer) {
                 const paletteEntry = translatedPaletteMap.get(schemPaletteIndex);
                 if (!paletteEntry) continue;
 
+                if (x < cropBox.min[0] || y < cropBox.min[1] || z < cropBox.min[2] || x > cropBox.max[0] || y > cropBox.max[1] || z > cropBox.max[2]) continue;
+
                 const { bedrockBlock, isWaterlogged } = paletteEntry;
-                const destIndex = (x * height * length) + (y * length) + z;
+                const [tx, ty, tz] = transformStructurePosition(x - cropBox.min[0], y - cropBox.min[1], z - cropBox.min[2], sourceSize, transform);
+                const destIndex = (tx * outHeight * outLength) + (ty * outLength) + tz;
 
                 if (bedrockBlock && bedrockBlock.name !== 'minecraft:air') {
                     const blockKey = JSON.stringify({ name: bedrockBlock.name, states: bedrockBlock.states });
@@ -2274,6 +5793,16 @@ async function convertSchemToMcStructure(schemArrayBuffer) {
                         uniqueBlocksMap.set(blockKey, bedrockPaletteIndex);
                     }
                     mcstructure.structure.block_indices[0][destIndex] = bedrockPaletteIndex;
+
+                    const blockEntity = blockEntities.get((y * length + z) * width + x);
+                    if (blockEntity) {
+                        try {
+                            const blockEntityData = s2m_translateBlockEntity(javaBlockStrings.get(schemPaletteIndex), blockEntity, [tx, ty, tz], log);
+                            blockPositionData[destIndex] = createNbtCompound({ block_entity_data: blockEntityData });
+                        } catch (error) {
+                            log.push(`  [!] Block entity at ${tx}, ${ty}, ${tz} FAILED with error: ${error.message}`);
+                        }
+                    }
                 }
 
                 if (isWaterlogged) {
@@ -2288,6 +5817,35 @@ async function convertSchemToMcStructure(schemArrayBuffer) {
                 }
             }
             log.push(`Structure built with a new palette of ${bedrockPalette.length} unique blocks.`);
+            const blockEntityCount = Object.keys(blockPositionData).length;
+            if (blockEntities.size > 0) log.push(`Carried ${blockEntityCount} of ${blockEntities.size} block entities into block_position_data.`);
+
+            const outputSize = [outWidth, outHeight, outLength];
+            const exceedsLimit = outputSize.some((extent, axis) => extent > BEDROCK_MAX_STRUCTURE_SIZE[axis]);
+            if (options.tile && exceedsLimit) {
+                log.push(`\n${outputSize.join('x')} exceeds the ${BEDROCK_MAX_STRUCTURE_SIZE.join('x')} structure block limit, splitting into tiles...`);
+                const namespace = sanitizeFunctionPathSegment(options.bundleName, 'structure');
+                const tiles = [];
+                let emptyTileCount = 0;
+                for (const origin of s2m_getTileOrigins(outputSize, BEDROCK_MAX_STRUCTURE_SIZE)) {
+                    const extracted = s2m_extractTile(mcstructure, outputSize, origin, BEDROCK_MAX_STRUCTURE_SIZE);
+                    if (!extracted) { emptyTileCount++; continue; }
+                    const name = `tile_${origin.join('_')}`;
+                    tiles.push({ name, origin, buffer: s2m_createNbtBuffer(extracted.tile) });
+                    log.push(`  - ${name}: ${extracted.size.join('x')} at offset ~${origin.join(' ~')}`);
+                }
+                if (emptyTileCount > 0) log.push(`  - Skipped ${emptyTileCount} tiles containing only air.`);
+                s2m_createTileBundle(tiles, namespace, log).then(zipBuffer => {
+                    log.push("Conversion successful!");
+                    resolve({ zipBuffer, tileCount: tiles.length, log: log.join('\n') });
+                }).catch(error => {
+                    log.push(`\n--- CONVERSION FAILED ---\nERROR: ${error.message}`);
+                    reject({ error, log: log.join('\n') });
+                });
+                return;
+            }
+            if (exceedsLimit) log.push(`WARNING: ${outputSize.join('x')} exceeds the ${BEDROCK_MAX_STRUCTURE_SIZE.join('x')} structure block limit; enable tiling to get loadable pieces.`);
+
             log.push("Serializing to Little-Endian NBT for .mcstructure file...");
             const mcstructureBuffer = s2m_createNbtBuffer(mcstructure);
             log.push("Conversion successful!");
@@ -2329,6 +5887,9 @@ document.addEventListener('DOMContentLoaded', function() {
     const cmdStructPreviewText = document.getElementById('cmd-struct-preview-text');
     const cmdStructDownloadButton = document.getElementById('cmd-struct-download-button');
     const cmdStructValidationMessage = document.getElementById('cmd-struct-validation-message');
+    const cmdStructDiagnostics = document.getElementById('cmd-struct-diagnostics');
+    const cmdStructDiagnosticsPreview = document.getElementById('cmd-struct-diagnostics-preview');
+    const cmdStructFollowCalls = document.getElementById('cmd-struct-followCalls');
     const cmdStructFileNameDisplay = cmdStructDropArea ? cmdStructDropArea.querySelector('span.file-name-display') : null;
 
     // NBT to Raw
@@ -2355,6 +5916,16 @@ document.addEventListener('DOMContentLoaded', function() {
     const schemOffsetYInput = document.getElementById('schem-offsetY');
     const schemOffsetZInput = document.getElementById('schem-offsetZ');
     const schemStatusDiv = document.getElementById('schem-status');
+    const schemRegionContainer = document.getElementById('schem-region-container');
+    const schemRegionSelect = document.getElementById('schem-region');
+    const schemMaxFillVolumeInput = document.getElementById('schem-maxFillVolume');
+    const schemOptimizationLevelSelect = document.getElementById('schem-optimizationLevel');
+    const schemRotationSelect = document.getElementById('schem-rotation');
+    const schemMirrorSelect = document.getElementById('schem-mirror');
+    const schemOutputFormatSelect = document.getElementById('schem-outputFormat');
+    const schemPackOptionsContainer = document.getElementById('schem-pack-options');
+    const schemPackNamespaceInput = document.getElementById('schem-packNamespace');
+    const schemPackFunctionInput = document.getElementById('schem-packFunction');
 
     // MCStructure to Commands
     const mcstructureDropArea = document.getElementById('mcstructure-drop-area');
@@ -2369,6 +5940,14 @@ document.addEventListener('DOMContentLoaded', function() {
     const mcstructureOffsetXInput = document.getElementById('mcstructure-offsetX');
     const mcstructureOffsetYInput = document.getElementById('mcstructure-offsetY');
     const mcstructureOffsetZInput = document.getElementById('mcstructure-offsetZ');
+    const mcstructureMaxFillVolumeInput = document.getElementById('mcstructure-maxFillVolume');
+    const mcstructureOptimizationLevelSelect = document.getElementById('mcstructure-optimizationLevel');
+    const mcstructureRotationSelect = document.getElementById('mcstructure-rotation');
+    const mcstructureMirrorSelect = document.getElementById('mcstructure-mirror');
+    const mcstructureOutputFormatSelect = document.getElementById('mcstructure-outputFormat');
+    const mcstructurePackOptionsContainer = document.getElementById('mcstructure-pack-options');
+    const mcstructurePackNamespaceInput = document.getElementById('mcstructure-packNamespace');
+    const mcstructurePackFunctionInput = document.getElementById('mcstructure-packFunction');
 
     // Schematic to MCStructure
     const schemMcstructureDropArea = document.getElementById('schem-mcstructure-drop-area');
@@ -2379,8 +5958,66 @@ document.addEventListener('DOMContentLoaded', function() {
     const schemMcstructureLogViewer = document.getElementById('schem-mcstructure-log-viewer');
     const schemMcstructureLogPreview = document.getElementById('schem-mcstructure-log-preview');
     const schemMcstructureDownloadLogButton = document.getElementById('schem-mcstructure-download-log-button');
+    const schemMcstructureRegionContainer = document.getElementById('schem-mcstructure-region-container');
+    const schemMcstructureRegionSelect = document.getElementById('schem-mcstructure-region');
+    const schemMcstructureRotationSelect = document.getElementById('schem-mcstructure-rotation');
+    const schemMcstructureMirrorSelect = document.getElementById('schem-mcstructure-mirror');
+    const schemMcstructureCropMinInputs = ['X', 'Y', 'Z'].map(axis => document.getElementById(`schem-mcstructure-cropMin${axis}`));
+    const schemMcstructureCropMaxInputs = ['X', 'Y', 'Z'].map(axis => document.getElementById(`schem-mcstructure-cropMax${axis}`));
+    const schemMcstructureTileCheckbox = document.getElementById('schem-mcstructure-tile');
     let schemMcstructureFileObject = null;
 
+    // MCStructure to Schematic
+    const mcstructureSchemDropArea = document.getElementById('mcstructure-schem-drop-area');
+    const mcstructureSchemInputFile = document.getElementById('mcstructure-schem-input-file');
+    const mcstructureSchemFileNameDisplay = document.getElementById('mcstructure-schem-file-name');
+    const mcstructureSchemVersionSelect = document.getElementById('mcstructure-schem-version');
+    const mcstructureSchemConvertButton = document.getElementById('mcstructure-schem-convert-button');
+    const mcstructureSchemStatusDiv = document.getElementById('mcstructure-schem-status');
+    const mcstructureSchemLogViewer = document.getElementById('mcstructure-schem-log-viewer');
+    const mcstructureSchemLogPreview = document.getElementById('mcstructure-schem-log-preview');
+    const mcstructureSchemDownloadLogButton = document.getElementById('mcstructure-schem-download-log-button');
+    let mcstructureSchemFileObject = null;
+
+    // Merge Structures Elements
+    const mergeStructuresDropArea = document.getElementById('merge-structures-drop-area');
+    const mergeStructuresInputFile = document.getElementById('merge-structures-input-file');
+    const mergeStructuresFileNameDisplay = document.getElementById('merge-structures-file-name');
+    const mergeStructuresFileList = document.getElementById('merge-structures-file-list');
+    const mergeStructuresOverlapSelect = document.getElementById('merge-structures-overlap');
+    const mergeStructuresUseWorldOriginCheckbox = document.getElementById('merge-structures-useWorldOrigin');
+    const mergeStructuresMergeButton = document.getElementById('merge-structures-merge-button');
+    const mergeStructuresStatusDiv = document.getElementById('merge-structures-status');
+    const mergeStructuresLogViewer = document.getElementById('merge-structures-log-viewer');
+    const mergeStructuresLogPreview = document.getElementById('merge-structures-log-preview');
+    const mergeStructuresEntries = []; // { file, offset: [x, y, z] }
+
+    // NBT Explorer Elements
+    const nbtExplorerDropArea = document.getElementById('nbt-explorer-drop-area');
+    const nbtExplorerInputFile = document.getElementById('nbt-explorer-input-file');
+    const nbtExplorerFileNameDisplay = document.getElementById('nbt-explorer-file-name');
+    const nbtExplorerStatusDiv = document.getElementById('nbt-explorer-status');
+    const nbtExplorerViewer = document.getElementById('nbt-explorer-viewer');
+    const nbtExplorerFileInfo = document.getElementById('nbt-explorer-file-info');
+    const nbtExplorerSearchInput = document.getElementById('nbt-explorer-search');
+    const nbtExplorerSearchButton = document.getElementById('nbt-explorer-search-button');
+    const nbtExplorerSearchResults = document.getElementById('nbt-explorer-search-results');
+    const nbtExplorerAddForm = document.getElementById('nbt-explorer-add-form');
+    const nbtExplorerAddTarget = document.getElementById('nbt-explorer-add-target');
+    const nbtExplorerAddNameInput = document.getElementById('nbt-explorer-add-name');
+    const nbtExplorerAddTypeSelect = document.getElementById('nbt-explorer-add-type');
+    const nbtExplorerAddListTypeSelect = document.getElementById('nbt-explorer-add-list-type');
+    const nbtExplorerAddConfirmButton = document.getElementById('nbt-explorer-add-confirm-button');
+    const nbtExplorerAddCancelButton = document.getElementById('nbt-explorer-add-cancel-button');
+    const nbtExplorerTree = document.getElementById('nbt-explorer-tree');
+    const nbtExplorerSaveButton = document.getElementById('nbt-explorer-save-button');
+    let nbtExplorerDocument = null; // readNbt result plus fileName
+    let nbtExplorerDirty = false;
+    let nbtExplorerAddPath = null;
+    let nbtExplorerHighlightKey = null;
+    const nbtExplorerExpanded = new Set(); // JSON path keys of open containers
+    const nbtExplorerShownCounts = new Map(); // JSON path key -> children rendered so far
+
 
     // --- Helper Functions ---
     function showValidationMessage(element, message, type = 'error') {
@@ -2509,6 +6146,46 @@ document.addEventListener('DOMContentLoaded', function() {
         reader.onerror = function(e) { console.error(`Error reading file ${file.name}:`, e); contentSetter(''); };
         reader.readAsText(file);
     }
+    async function readCmdStructSourceFile(file, functionsSetter) {
+        const lowerName = file.name.toLowerCase();
+        try {
+            if (lowerName.endsWith('.mcpack') || lowerName.endsWith('.zip')) {
+                const functions = await readCmdStructFunctionPack(await file.arrayBuffer());
+                if (functions.size === 0) {
+                    showValidationMessage(cmdStructValidationMessage, `No .mcfunction files found in ${file.name}.`, 'error');
+                    functionsSetter(null); return;
+                }
+                console.log(`${file.name} read successfully (${functions.size} functions).`);
+                showValidationMessage(cmdStructValidationMessage, `Loaded ${functions.size} function file(s) from ${file.name}.`, 'success');
+                functionsSetter(functions);
+            } else {
+                const text = await file.text();
+                console.log(`${file.name} read successfully (Text).`);
+                functionsSetter(new Map([[file.name.replace(/\.(txt|mcfunction)$/i, ''), text]]));
+            }
+        } catch (e) {
+            console.error(`Error reading file ${file.name}:`, e);
+            showValidationMessage(cmdStructValidationMessage, `Could not read ${file.name}: ${e.message}`, 'error');
+            functionsSetter(null);
+        }
+    }
+    async function populateLitematicRegionSelect(file, selectElement, containerElement) {
+        if (!selectElement) return;
+        selectElement.innerHTML = '<option value="">All regions (merged)</option>';
+        if (containerElement) containerElement.style.display = 'none';
+        if (!file || !file.name.toLowerCase().endsWith('.litematic')) return;
+        try {
+            const regionNames = listLitematicRegions(nbtToPlain(readNbt(await file.arrayBuffer()).root));
+            regionNames.forEach(name => {
+                const option = document.createElement('option');
+                option.value = name; option.textContent = name;
+                selectElement.appendChild(option);
+            });
+            if (containerElement) containerElement.style.display = '';
+        } catch (e) {
+            console.error(`Could not read Litematica regions from ${file.name}:`, e);
+        }
+    }
     function downloadFile(content, fileName, contentType) {
         const a = document.createElement('a'); const file = new Blob([content], { type: contentType });
         a.href = URL.createObjectURL(file); a.download = fileName;
@@ -2516,6 +6193,40 @@ document.addEventListener('DOMContentLoaded', function() {
         URL.revokeObjectURL(a.href); document.body.removeChild(a);
     }
 
+    function setupOutputFormatSelect(selectElement, packOptionsContainer) {
+        if (!selectElement || !packOptionsContainer) return;
+        const update = () => { packOptionsContainer.style.display = selectElement.value === 'mcpack' ? '' : 'none'; };
+        selectElement.addEventListener('change', update);
+        update();
+    }
+
+    // Downloads commands as a plain .txt list, a .mcpack or a command block chain, depending on the selected output format.
+    async function downloadGeneratedCommands(commands, outputBaseName, defaultFunctionName, formatSelect, namespaceInput, functionInput) {
+        if (formatSelect && formatSelect.value === 'mcpack') {
+            const { content, functionPath, functionFileCount } = await createBehaviorPackFromCommands(commands, {
+                namespace: namespaceInput ? namespaceInput.value : '',
+                functionName: (functionInput && functionInput.value.trim()) || defaultFunctionName,
+                packName: defaultFunctionName
+            });
+            const fileName = `${outputBaseName}.mcpack`;
+            downloadFile(content, fileName, 'application/zip');
+            return `Behavior pack '${fileName}' (${functionFileCount} function file${functionFileCount === 1 ? '' : 's'}) download started. Run /function ${functionPath} in-game.`;
+        }
+        if (formatSelect && formatSelect.value === 'cmdchain') {
+            const { buffer, size, buildOffset, commandBlockCount } = createCommandBlockChainStructure(commands);
+            const fileName = `${outputBaseName}_chain.mcstructure`;
+            downloadFile(buffer, fileName, 'application/octet-stream');
+            const shiftText = buildOffset[0] > 0 ? ` The build is moved ${buildOffset[0]} block${buildOffset[0] === 1 ? '' : 's'} east (+X) so it stays clear of the chain.` : '';
+            const limitText = size.some((extent, axis) => extent > BEDROCK_MAX_STRUCTURE_SIZE[axis])
+                ? ` WARNING: ${size.join('x')} exceeds the ${BEDROCK_MAX_STRUCTURE_SIZE.join('x')} structure limit, so /structure load cannot place it; split the commands into smaller batches.`
+                : '';
+            return `Command block chain '${fileName}' (${commandBlockCount} blocks, ${size.join('x')}) download started. Load it with /structure load and power the impulse block at its origin corner; commands are relative to that block.${shiftText}${limitText}`;
+        }
+        const fileName = `${outputBaseName}.txt`;
+        downloadFile(commands.join('\n'), fileName, 'text/plain;charset=utf-8');
+        return `Download started as '${fileName}'.`;
+    }
+
     // --- Raw to NBT Listeners (Updated) ---
     const rawToNbtDropArea = document.getElementById('raw-to-nbt-drop-area');
     const rawToNbtInputFile = document.getElementById('raw-to-nbt-input-file');
@@ -2527,6 +6238,57 @@ document.addEventListener('DOMContentLoaded', function() {
     const rawToNbtDownloadBtn = document.getElementById('raw-to-nbt-download-button');
     const rawToNbtValidationMsg = document.getElementById('raw-to-nbt-validation-message');
     const rawToNbtFileNameDisplay = rawToNbtDropArea ? rawToNbtDropArea.querySelector('span.file-name-display') : null;
+    const rawToNbtTemplateSelect = document.getElementById('raw-to-nbt-template');
+    const rawToNbtTemplateDescription = document.getElementById('raw-to-nbt-template-description');
+    const rawToNbtTemplateEditButton = document.getElementById('raw-to-nbt-template-edit-button');
+    const rawToNbtTemplateImportButton = document.getElementById('raw-to-nbt-template-import-button');
+    const rawToNbtTemplateExportButton = document.getElementById('raw-to-nbt-template-export-button');
+    const rawToNbtTemplateImportFile = document.getElementById('raw-to-nbt-template-import-file');
+    const rawToNbtTemplateEditorContainer = document.getElementById('raw-to-nbt-template-editor-container');
+    const rawToNbtTemplateEditor = document.getElementById('raw-to-nbt-template-editor');
+    const rawToNbtTemplateSaveButton = document.getElementById('raw-to-nbt-template-save-button');
+    const rawToNbtTemplateDeleteButton = document.getElementById('raw-to-nbt-template-delete-button');
+    const rawToNbtOutputFormatSelect = document.getElementById('raw-to-nbt-output-format');
+    const rawToNbtSpatialSort = document.getElementById('raw-to-nbt-spatial-sort');
+    const rawToNbtTemplateRow = document.getElementById('raw-to-nbt-template-row');
+    const rawToNbtLintRulesButton = document.getElementById('raw-to-nbt-lint-rules-button');
+    const rawToNbtLintRulesContainer = document.getElementById('raw-to-nbt-lint-rules-container');
+    const rawToNbtLintRulesList = document.getElementById('raw-to-nbt-lint-rules');
+    const rawToNbtLintPanel = document.getElementById('raw-to-nbt-lint');
+    const rawToNbtLintPreview = document.getElementById('raw-to-nbt-lint-preview');
+    const rawToNbtLintConfirmButton = document.getElementById('raw-to-nbt-lint-confirm-button');
+    const rawToNbtLintCancelButton = document.getElementById('raw-to-nbt-lint-cancel-button');
+    let rawToNbtGeneratedFileName = null;
+    let rawToNbtGeneratedStructure = null;
+
+    function getSelectedRawToNbtTemplate() {
+        return findRawToNbtTemplate(rawToNbtTemplateSelect ? rawToNbtTemplateSelect.value : DEFAULT_RAW_TO_NBT_TEMPLATE_ID);
+    }
+
+    function renderRawToNbtTemplateOptions(selectedId) {
+        if (!rawToNbtTemplateSelect) return;
+        const templates = getRawToNbtTemplates();
+        rawToNbtTemplateSelect.innerHTML = '';
+        templates.forEach(template => {
+            const option = document.createElement('option');
+            option.value = template.id;
+            option.textContent = template.custom ? `${template.name} (custom)` : template.name;
+            rawToNbtTemplateSelect.appendChild(option);
+        });
+        rawToNbtTemplateSelect.value = templates.some(template => template.id === selectedId) ? selectedId : DEFAULT_RAW_TO_NBT_TEMPLATE_ID;
+        updateRawToNbtTemplateDetails();
+    }
+
+    function updateRawToNbtTemplateDetails() {
+        const template = getSelectedRawToNbtTemplate();
+        localStorage.setItem(RAW_TO_NBT_SELECTED_TEMPLATE_STORAGE_KEY, template.id);
+        if (rawToNbtTemplateDescription) rawToNbtTemplateDescription.textContent = template.description || '';
+        if (rawToNbtTemplateEditor) {
+            const { custom, ...editable } = template;
+            rawToNbtTemplateEditor.value = JSON.stringify(editable, null, 2);
+        }
+        if (rawToNbtTemplateDeleteButton) rawToNbtTemplateDeleteButton.disabled = !template.custom;
+    }
 
     function rawToNbtReadFile(file, contentSetter) {
       const reader = new FileReader();
@@ -2542,11 +6304,143 @@ document.addEventListener('DOMContentLoaded', function() {
 
     if(rawToNbtDropArea) {
         setupDropAreaListeners(rawToNbtDropArea, rawToNbtInputFile, rawToNbtFileNameDisplay);
-        setupFileInputHandler(rawToNbtInputFile, (content) => { rawToNbtFileContent = content; }, rawToNbtFileNameDisplay, rawToNbtValidationMsg, ['.txt'], rawToNbtReadFile);
+        setupFileInputHandler(rawToNbtInputFile, (content) => {
+            rawToNbtFileContent = content;
+            if (rawToNbtLintPanel) rawToNbtLintPanel.style.display = 'none';
+        }, rawToNbtFileNameDisplay, rawToNbtValidationMsg, ['.txt'], rawToNbtReadFile);
+    }
+
+    if (rawToNbtTemplateSelect) {
+        renderRawToNbtTemplateOptions(localStorage.getItem(RAW_TO_NBT_SELECTED_TEMPLATE_STORAGE_KEY) || DEFAULT_RAW_TO_NBT_TEMPLATE_ID);
+        rawToNbtTemplateSelect.addEventListener('change', updateRawToNbtTemplateDetails);
+    }
+    if (rawToNbtOutputFormatSelect) {
+        rawToNbtOutputFormatSelect.addEventListener('change', () => {
+            const isStructure = rawToNbtOutputFormatSelect.value === 'mcstructure';
+            if (rawToNbtTemplateRow) rawToNbtTemplateRow.style.display = isStructure ? 'none' : '';
+            if (rawToNbtTemplateEditorContainer && isStructure) rawToNbtTemplateEditorContainer.style.display = 'none';
+            rawToNbtPreviewArea.style.display = 'none'; rawToNbtDownloadBtn.disabled = true;
+        });
+    }
+    if (rawToNbtTemplateEditButton && rawToNbtTemplateEditorContainer) {
+        rawToNbtTemplateEditButton.addEventListener('click', () => {
+            rawToNbtTemplateEditorContainer.style.display = rawToNbtTemplateEditorContainer.style.display === 'none' ? 'block' : 'none';
+        });
+    }
+    if (rawToNbtTemplateSaveButton) {
+        rawToNbtTemplateSaveButton.addEventListener('click', () => {
+            try {
+                const edited = JSON.parse(rawToNbtTemplateEditor.value);
+                const stored = upsertRawToNbtCustomTemplate(edited);
+                renderRawToNbtTemplateOptions(stored.id);
+                showValidationMessage(rawToNbtValidationMsg, `Template "${stored.name}" saved.`, 'success');
+            } catch (e) {
+                showValidationMessage(rawToNbtValidationMsg, `Could not save template: ${e.message}`, 'error');
+            }
+        });
+    }
+    if (rawToNbtTemplateDeleteButton) {
+        rawToNbtTemplateDeleteButton.addEventListener('click', () => {
+            const template = getSelectedRawToNbtTemplate();
+            if (!template.custom) return;
+            deleteRawToNbtCustomTemplate(template.id);
+            renderRawToNbtTemplateOptions(DEFAULT_RAW_TO_NBT_TEMPLATE_ID);
+            showValidationMessage(rawToNbtValidationMsg, `Template "${template.name}" deleted.`, 'success');
+        });
+    }
+    if (rawToNbtTemplateImportButton && rawToNbtTemplateImportFile) {
+        rawToNbtTemplateImportButton.addEventListener('click', () => rawToNbtTemplateImportFile.click());
+        rawToNbtTemplateImportFile.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            try {
+                const imported = importRawToNbtTemplates(await file.text());
+                renderRawToNbtTemplateOptions(imported[imported.length - 1]?.id);
+                showValidationMessage(rawToNbtValidationMsg, `Imported ${imported.length} template(s) from ${file.name}.`, 'success');
+            } catch (err) {
+                showValidationMessage(rawToNbtValidationMsg, `Could not import templates: ${err.message}`, 'error');
+            } finally {
+                rawToNbtTemplateImportFile.value = '';
+            }
+        });
+    }
+    if (rawToNbtTemplateExportButton) {
+        rawToNbtTemplateExportButton.addEventListener('click', () => {
+            const template = getSelectedRawToNbtTemplate();
+            const safeName = template.name.replace(/[^\w\-]+/g, '_');
+            downloadFile(exportRawToNbtTemplates([template]), `${safeName}.template.json`, 'application/json');
+        });
+    }
+
+    // One row per lint rule: on/off, severity and (for counting rules) the limit. Changes are saved immediately.
+    function renderRawToNbtLintRules() {
+        if (!rawToNbtLintRulesList) return;
+        const config = loadRawToNbtLintConfig();
+        rawToNbtLintRulesList.innerHTML = '';
+        getRawToNbtLintRules(config).forEach(rule => {
+            const update = (changes) => {
+                const latest = loadRawToNbtLintConfig();
+                latest[rule.id] = { ...latest[rule.id], ...changes };
+                saveRawToNbtLintConfig(latest);
+            };
+            const row = document.createElement('div');
+            row.className = 'd-flex align-items-center gap-2 mb-2 flex-wrap';
+            const toggle = document.createElement('div');
+            toggle.className = 'form-check form-switch mb-0 flex-grow-1';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'form-check-input';
+            checkbox.id = `raw-to-nbt-lint-rule-${rule.id}`;
+            checkbox.checked = rule.enabled;
+            checkbox.addEventListener('change', () => update({ enabled: checkbox.checked }));
+            const label = document.createElement('label');
+            label.className = 'form-check-label';
+            label.htmlFor = checkbox.id;
+            label.textContent = rule.label;
+            toggle.append(checkbox, label);
+            const severity = document.createElement('select');
+            severity.className = 'form-select form-select-sm w-auto';
+            RAW_TO_NBT_LINT_SEVERITIES.forEach(value => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = value;
+                severity.appendChild(option);
+            });
+            severity.value = rule.severity;
+            severity.addEventListener('change', () => update({ severity: severity.value }));
+            row.append(toggle, severity);
+            if (rule.limit !== undefined) {
+                const limit = document.createElement('input');
+                limit.type = 'number';
+                limit.min = '0';
+                limit.className = 'form-control form-control-sm w-auto';
+                limit.title = 'Limit';
+                limit.value = rule.limit;
+                limit.addEventListener('change', () => {
+                    const value = parseInt(limit.value, 10);
+                    if (Number.isInteger(value) && value >= 0) update({ limit: value });
+                });
+                row.appendChild(limit);
+            }
+            rawToNbtLintRulesList.appendChild(row);
+        });
+    }
+    renderRawToNbtLintRules();
+    if (rawToNbtLintRulesButton && rawToNbtLintRulesContainer) {
+        rawToNbtLintRulesButton.addEventListener('click', () => {
+            rawToNbtLintRulesContainer.style.display = rawToNbtLintRulesContainer.style.display === 'none' ? 'block' : 'none';
+        });
+    }
+    if (rawToNbtLintCancelButton) {
+        rawToNbtLintCancelButton.addEventListener('click', () => {
+            rawToNbtLintPanel.style.display = 'none';
+            hideValidationMessage(rawToNbtValidationMsg);
+        });
     }
 
     if(rawToNbtGenerateButton) {
-      rawToNbtGenerateButton.addEventListener('click', () => {
+      // Lints the commands first; findings that need confirmation stop here until "Generate Anyway".
+      const generateRawToNbt = (lintConfirmed) => {
         if (!rawToNbtFileContent) { showValidationMessage(rawToNbtValidationMsg, 'Please select a file.'); return; }
         const nbtTitle = rawToNbtNbtTitleInput.value.trim();
         const maxBytesInput = rawToNbtBytesInput.value.trim(); let maxBytes;
@@ -2557,30 +6451,42 @@ document.addEventListener('DOMContentLoaded', function() {
             showValidationMessage(rawToNbtValidationMsg, 'Please enter a valid positive integer (> 500) for Max Bytes per NPC.');
             return;
         }
+        if (!lintConfirmed && rawToNbtLintPanel) {
+            const lint = lintRawToNbtCommands(rawToNbtFileContent);
+            rawToNbtLintPreview.textContent = formatRawToNbtLintFindings(lint.findings);
+            rawToNbtLintPanel.style.display = lint.findings.length > 0 ? 'block' : 'none';
+            rawToNbtLintConfirmButton.style.display = lint.blocking ? '' : 'none';
+            if (lint.blocking) {
+                rawToNbtPreviewArea.style.display = 'none';
+                rawToNbtDownloadBtn.disabled = true;
+                showValidationMessage(rawToNbtValidationMsg, `Safety check found ${lint.findings.length} issue(s). Review them below, then choose Generate Anyway to continue.`, 'error');
+                return;
+            }
+        } else if (rawToNbtLintConfirmButton) {
+            rawToNbtLintConfirmButton.style.display = 'none';
+        }
         hideValidationMessage(rawToNbtValidationMsg);
         try {
             showValidationMessage(rawToNbtValidationMsg, 'Generating NBT...', 'info');
-             const commands = getUsefulCommands(rawToNbtFileContent);
-             const { normalCommands, equalsCommands } = separateCommands(commands);
              const nbtName = nbtTitle || 'Blacklight NBT';
-             let nbtData = getBlockOpener(nbtName); let curSec = 1; let combinedNpcData = [];
-
-             if (normalCommands.length > 0) {
-                 const result = processNpcCommandsByBytes(normalCommands, maxBytes, nbtName, curSec, commandJoinerNormal, false);
-                 if (result.npcData) combinedNpcData.push(result.npcData);
-                 curSec += result.count;
-             }
-             if (equalsCommands.length > 0) {
-                 const result = processNpcCommandsByBytes(equalsCommands, maxBytes, nbtName, curSec, commandJoinerEquals, true);
-                  if (result.npcData) combinedNpcData.push(result.npcData);
+             let output;
+             if (rawToNbtOutputFormatSelect && rawToNbtOutputFormatSelect.value === 'mcstructure') {
+                 output = generateRawToNbtMcStructure(rawToNbtFileContent, { maxBytes, nbtName, spatialSort: rawToNbtSpatialSort.checked });
+                 rawToNbtGeneratedStructure = output.buffer;
+                 rawToNbtPreviewTextarea.value = [
+                     `// .mcstructure with ${output.npcCount} NPC entities (${output.buffer.byteLength} bytes). Load it with a structure block and talk to the NPC tagged ${getNpcTag(nbtName, 1)}.`,
+                     ...output.sections.map(entry => `// Build Part ${entry.section} [tag=${getNpcTag(nbtName, entry.section)}]: ${entry.commands.length} commands`)
+                 ].join('\n');
+             } else {
+                 output = generateRawToNbtOutput(rawToNbtFileContent, { maxBytes, nbtName, template: getSelectedRawToNbtTemplate(), spatialSort: rawToNbtSpatialSort.checked });
+                 rawToNbtGeneratedStructure = null;
+                 rawToNbtPreviewTextarea.value = output.text;
              }
-             nbtData += combinedNpcData.join(',');
-             nbtData += getBlockCloser();
-             rawToNbtPreviewTextarea.value = nbtData;
+             rawToNbtGeneratedFileName = output.fileName;
              rawToNbtPreviewArea.style.display = 'block';
              rawToNbtDownloadBtn.disabled = false;
              hideValidationMessage(rawToNbtValidationMsg);
-             showValidationMessage(rawToNbtValidationMsg, 'NBT generated successfully!', 'success');
+             showValidationMessage(rawToNbtValidationMsg, `NBT generated successfully (${output.npcCount} NPCs).`, 'success');
         } catch (e) {
              console.error("RawToNBT Generation Error:", e);
              hideValidationMessage(rawToNbtValidationMsg);
@@ -2588,7 +6494,9 @@ document.addEventListener('DOMContentLoaded', function() {
              rawToNbtPreviewArea.style.display = 'none';
              rawToNbtDownloadBtn.disabled = true;
          }
-      });
+      };
+      rawToNbtGenerateButton.addEventListener('click', () => generateRawToNbt(false));
+      if (rawToNbtLintConfirmButton) rawToNbtLintConfirmButton.addEventListener('click', () => generateRawToNbt(true));
     }
 
     if(rawToNbtDownloadBtn) {
@@ -2597,8 +6505,9 @@ document.addEventListener('DOMContentLoaded', function() {
         if (!nbtText) { showValidationMessage(rawToNbtValidationMsg, 'No NBT data generated to download.'); return; }
         const nbtTitle = rawToNbtNbtTitleInput.value.trim();
         const nbtName = nbtTitle || 'Blacklight_NBT';
-        const fileName = `Horion ${nbtName} Build.txt`;
-        downloadFile(nbtText, fileName, 'text/plain;charset=utf-8');
+        const fileName = rawToNbtGeneratedFileName || `Horion ${nbtName} Build.txt`;
+        if (rawToNbtGeneratedStructure) downloadFile(rawToNbtGeneratedStructure, fileName, 'application/octet-stream');
+        else downloadFile(nbtText, fileName, 'text/plain;charset=utf-8');
         showValidationMessage(rawToNbtValidationMsg, 'NBT file download started.', 'success');
       });
     }
@@ -2606,18 +6515,24 @@ document.addEventListener('DOMContentLoaded', function() {
     // --- Commands to Structure Setup (Updated) ---
     if(cmdStructDropArea) {
         setupDropAreaListeners(cmdStructDropArea, cmdStructInputFile, cmdStructFileNameDisplay);
-        setupFileInputHandler(cmdStructInputFile, (content) => { cmdStructFileContent = content; }, cmdStructFileNameDisplay, cmdStructValidationMessage, ['.txt'], readFileAsText);
+        setupFileInputHandler(cmdStructInputFile, (functions) => { cmdStructFunctions = functions; }, cmdStructFileNameDisplay, cmdStructValidationMessage, ['.txt', '.mcfunction', '.mcpack', '.zip'], readCmdStructSourceFile);
     }
     if (cmdStructConvertButton) {
         cmdStructConvertButton.addEventListener('click', () => {
-            if (!cmdStructFileContent) { showValidationMessage(cmdStructValidationMessage, 'Please select a commands text file first.', 'error'); return; }
+            if (!cmdStructFunctions || cmdStructFunctions.size === 0) { showValidationMessage(cmdStructValidationMessage, 'Please select a commands file, .mcfunction or behavior pack first.', 'error'); return; }
             hideValidationMessage(cmdStructValidationMessage); showValidationMessage(cmdStructValidationMessage, 'Processing commands and converting...', 'info');
             cmdStructConvertButton.disabled = true;
+            if (cmdStructDiagnostics) cmdStructDiagnostics.style.display = 'none';
             setTimeout(() => {
                 try {
-                    const processResult = processCmdStructCommands(cmdStructFileContent);
+                    const processResult = processCmdStructFunctions(cmdStructFunctions, { followCalls: cmdStructFollowCalls ? cmdStructFollowCalls.checked : false });
+                    if (cmdStructDiagnostics && processResult.diagnostics.length > 0) {
+                        cmdStructDiagnosticsPreview.textContent = formatCmdStructDiagnostics(processResult.diagnostics);
+                        cmdStructDiagnostics.style.display = 'block';
+                    }
+                    const problemSummary = processResult.diagnostics.length > 0 ? ` ${processResult.errorCount} error(s), ${processResult.warningCount} warning(s) — see the list below.` : '';
                     if (!processResult.blocksFound) {
-                        hideValidationMessage(cmdStructValidationMessage); showValidationMessage(cmdStructValidationMessage, 'No valid blocks found in commands. Check file format or content.', 'error');
+                        hideValidationMessage(cmdStructValidationMessage); showValidationMessage(cmdStructValidationMessage, `No valid blocks found in commands.${problemSummary || ' Check file format or content.'}`, 'error');
                         cmdStructOutputPreview.style.display = 'none'; commandsToStructureData = null; return;
                     }
                     const result = convertToStructureData();
@@ -2632,7 +6547,7 @@ document.addEventListener('DOMContentLoaded', function() {
                     const statsHtml = `<div class="alert alert-info mt-3 mb-3"><p class="mb-1"><strong>Structure Dimensions:</strong> ${result.dimensions.width}×${result.dimensions.height}×${result.dimensions.depth}</p><p class="mb-1"><strong>World Origin Offset:</strong> [${result.origin.join(', ')}]</p><p class="mb-1"><strong>Actual Solid Blocks:</strong> ${result.solidBlockCount}</p><p class="mb-1"><strong>Actual Liquid Blocks (e.g., Water):</strong> ${result.liquidBlockCount}</p><p class="mb-0"><strong>Unique Block Types (Palette Size):</strong> ${result.paletteCount}</p></div>`;
                     cmdStructPreviewText.insertAdjacentHTML('beforebegin', statsHtml);
                     cmdStructOutputPreview.style.display = 'block'; cmdStructDownloadButton.disabled = false;
-                    hideValidationMessage(cmdStructValidationMessage); showValidationMessage(cmdStructValidationMessage, `Conversion successful. Found ${result.solidBlockCount} solid and ${result.liquidBlockCount} liquid blocks.`, 'success');
+                    hideValidationMessage(cmdStructValidationMessage); showValidationMessage(cmdStructValidationMessage, `Conversion successful. Found ${result.solidBlockCount} solid and ${result.liquidBlockCount} liquid blocks.${problemSummary}`, processResult.diagnostics.length > 0 ? 'info' : 'success');
                 } catch (e) {
                     console.error("CmdStruct Conversion Error:", e); hideValidationMessage(cmdStructValidationMessage);
                     showValidationMessage(cmdStructValidationMessage, `Error during conversion: ${e.message}`, 'error');
@@ -2650,7 +6565,7 @@ document.addEventListener('DOMContentLoaded', function() {
             cmdStructDownloadButton.disabled = true;
             setTimeout(() => {
                 try {
-                    const nbtBuffer = createNbtBuffer(commandsToStructureData);
+                    const nbtBuffer = writeNbt(plainToNbt(commandsToStructureData), { littleEndian: true });
                     console.log(`CmdStruct: NBT buffer created, size: ${nbtBuffer.byteLength} bytes.`);
                     downloadFile(nbtBuffer, 'converted_structure.mcstructure', 'application/octet-stream');
                     hideValidationMessage(cmdStructValidationMessage); showValidationMessage(cmdStructValidationMessage, '.mcstructure file download started!', 'success');
@@ -2667,16 +6582,15 @@ document.addEventListener('DOMContentLoaded', function() {
         setupDropAreaListeners(nbtToRawDropArea, nbtToRawInputFile, nbtToRawFileNameDisplay);
         setupFileInputHandler(
             nbtToRawInputFile,
-            (content) => { nbtToRawFileContent = content; },
+            (file) => { nbtToRawFileObject = file; },
             nbtToRawFileNameDisplay,
             nbtToRawValidationMessage,
-            ['.nbt', '.mcstructure', '.txt'],
-            readFileAsText
+            ['.nbt', '.mcstructure', '.txt']
         );
     }
      if (nbtToRawExtractButton) {
         nbtToRawExtractButton.addEventListener('click', () => {
-            if (!nbtToRawFileContent) {
+            if (!nbtToRawFileObject) {
                 showValidationMessage(nbtToRawValidationMessage, 'Please select or drop a file first.', 'error');
                 return;
             }
@@ -2686,26 +6600,25 @@ document.addEventListener('DOMContentLoaded', function() {
             nbtToRawExtractButton.disabled = true;
 
             const filterEnabled = nbtToRawFilterCheckbox.checked;
-            showValidationMessage(nbtToRawValidationMessage, 'Extracting commands from text...', 'info');
+            const commandKind = filterEnabled ? 'fill/setblock' : '';
+            showValidationMessage(nbtToRawValidationMessage, 'Extracting commands...', 'info');
 
-             setTimeout(() => {
+             setTimeout(async () => {
                  try {
-                    let finalCommands = extractFillSetblockCommandsFromHorionText(nbtToRawFileContent);
-
-                    // The checkbox is now redundant as the function only gets fill/setblock, but we keep the UI interaction
-                    if (!filterEnabled) {
-                        // In the future, if the extraction logic changes to get ALL commands, this branch would be useful.
-                        // For now, it does nothing extra.
-                    }
+                    const extraction = extractNbtToRawCommands(await nbtToRawFileObject.arrayBuffer(), { buildCommandsOnly: filterEnabled });
+                    const finalCommands = extraction.commands;
+                    const filteredNote = filterEnabled && extraction.totalCount > finalCommands.length ? ` (${extraction.totalCount - finalCommands.length} other commands hidden by the filter)` : '';
 
                     if (finalCommands.length > 0) {
                         nbtToRawPreviewText.value = finalCommands.join('\n');
                         hideValidationMessage(nbtToRawValidationMessage);
-                        showValidationMessage(nbtToRawValidationMessage, `Extracted ${finalCommands.length} fill/setblock commands.`, 'success');
+                        showValidationMessage(nbtToRawValidationMessage, `Extracted ${finalCommands.length} ${commandKind ? commandKind + ' ' : ''}commands from ${extraction.summary}${filteredNote}.`, 'success');
                     } else {
-                        nbtToRawPreviewText.value = `// No fill/setblock commands found in the "Actions" blocks of the text file.`;
+                        nbtToRawPreviewText.value = `// No ${commandKind ? commandKind + ' ' : ''}commands found in ${extraction.summary}.`;
                         hideValidationMessage(nbtToRawValidationMessage);
-                        showValidationMessage(nbtToRawValidationMessage, `No matching commands found in "Actions" blocks. This tool specifically targets formats like Horion NBT output.`, 'info');
+                        showValidationMessage(nbtToRawValidationMessage, extraction.format === 'mcstructure'
+                            ? `No matching commands found in command blocks or NPCs${filteredNote}.`
+                            : `No matching commands found in "Actions" blocks${filteredNote}. Text input targets formats like Horion NBT output.`, 'info');
                     }
                     nbtToRawOutputPreview.style.display = 'block';
                     nbtToRawDownloadButton.disabled = (finalCommands.length === 0);
@@ -2724,7 +6637,7 @@ document.addEventListener('DOMContentLoaded', function() {
      if (nbtToRawDownloadButton) {
         nbtToRawDownloadButton.addEventListener('click', () => {
             const textToSave = nbtToRawPreviewText.value;
-            if (!textToSave || textToSave.startsWith("// No fill/setblock commands")) {
+            if (!textToSave || textToSave.startsWith("// No ")) {
                 showValidationMessage(nbtToRawValidationMessage, "No valid command content to download.", 'error');
                 return;
             }
@@ -2740,9 +6653,13 @@ document.addEventListener('DOMContentLoaded', function() {
         if (!schemStatusDiv) return;
         showValidationMessage(schemStatusDiv, message, type);
     }
+     setupOutputFormatSelect(schemOutputFormatSelect, schemPackOptionsContainer);
      if (schemDropArea && schemInputFile && schemFileNameDisplay) {
          setupDropAreaListeners(schemDropArea, schemInputFile, schemFileNameDisplay);
-         setupFileInputHandler(schemInputFile, (file) => { schemFileObject = file; }, schemFileNameDisplay, schemStatusDiv, ['.schem', '.schematic']);
+         setupFileInputHandler(schemInputFile, (file) => {
+             schemFileObject = file;
+             populateLitematicRegionSelect(file, schemRegionSelect, schemRegionContainer);
+         }, schemFileNameDisplay, schemStatusDiv, ['.schem', '.schematic', '.litematic', '.nbt']);
      }
      if (schemGenerateButton) {
         schemGenerateButton.addEventListener('click', () => {
@@ -2754,30 +6671,30 @@ document.addEventListener('DOMContentLoaded', function() {
             const offsetX = parseInt(schemOffsetXInput.value, 10) || 0;
             const offsetY = parseInt(schemOffsetYInput.value, 10) || 0;
             const offsetZ = parseInt(schemOffsetZInput.value, 10) || 0;
+            const maxFillVolume = Math.min(BEDROCK_MAX_FILL_VOLUME, Math.max(1, parseInt(schemMaxFillVolumeInput?.value, 10) || BEDROCK_MAX_FILL_VOLUME));
+            const optimizationLevel = parseInt(schemOptimizationLevelSelect?.value, 10) || 0;
+            const transform = { rotation: schemRotationSelect?.value || 0, mirror: schemMirrorSelect?.value || 'none' };
 
-            if (!file) { displaySchemStatus('Please select a .schem or .schematic file first!', 'error'); return; }
+            if (!file) { displaySchemStatus('Please select a .schem, .schematic, .litematic or .nbt file first!', 'error'); return; }
             displaySchemStatus('Reading schematic file...', 'info');
             schemGenerateButton.disabled = true;
 
             const reader = new FileReader();
-            reader.onload = function(event) {
+            reader.onload = async function(event) {
                 try {
                     displaySchemStatus('Decompressing and parsing NBT...', 'info');
-                    const fileData = new Uint8Array(event.target.result);
-                    let nbtDataBuffer;
-                    if (fileData.length >= 2 && fileData[0] === 0x1f && fileData[1] === 0x8b) {
-                        if (typeof pako === 'undefined') throw new Error("Pako library is not loaded.");
-                        const decompressedData = pako.inflate(fileData);
-                        nbtDataBuffer = decompressedData.buffer;
-                    } else {
-                        nbtDataBuffer = fileData.buffer.slice(fileData.byteOffset, fileData.byteOffset + fileData.byteLength);
-                    }
-                     if (!nbtDataBuffer || nbtDataBuffer.byteLength === 0) throw new Error("Failed to get valid data buffer.");
-
-                    const schematicNbt = loadSchematicNBT(nbtDataBuffer);
+                    if (event.target.result.byteLength === 0) throw new Error("The file is empty.");
+                    const schematicNbt = nbtToPlain(readNbt(event.target.result).root);
                     let width, height, length, dataContainerNbt;
 
-                    if (typeof schematicNbt.Width === 'number' && typeof schematicNbt.Height === 'number' && typeof schematicNbt.Length === 'number') {
+                    if (isLitematic(schematicNbt)) {
+                        const region = schemRegionSelect ? schemRegionSelect.value : '';
+                        dataContainerNbt = convertLitematic(schematicNbt, region || null);
+                        width = dataContainerNbt.Width; height = dataContainerNbt.Height; length = dataContainerNbt.Length;
+                    } else if (isJavaStructureNbt(schematicNbt)) {
+                        dataContainerNbt = convertJavaStructureNbt(schematicNbt);
+                        width = dataContainerNbt.Width; height = dataContainerNbt.Height; length = dataContainerNbt.Length;
+                    } else if (typeof schematicNbt.Width === 'number' && typeof schematicNbt.Height === 'number' && typeof schematicNbt.Length === 'number') {
                         width = schematicNbt.Width; height = schematicNbt.Height; length = schematicNbt.Length; dataContainerNbt = schematicNbt;
                     } else if (schematicNbt.Schematic && typeof schematicNbt.Schematic.Width === 'number') {
                          width = schematicNbt.Schematic.Width; height = schematicNbt.Schematic.Height; length = schematicNbt.Schematic.Length; dataContainerNbt = schematicNbt.Schematic;
@@ -2788,7 +6705,7 @@ document.addEventListener('DOMContentLoaded', function() {
                     const offsetArr = [offsetX, offsetY, offsetZ];
 
                     displaySchemStatus(`Generating commands for ${width}x${height}x${length} structure...`, 'info');
-                    const {commands, processedBlockCount} = generateSchemCommands(dataContainerNbt, dims, offsetArr, includeAir, includeBlockStates, processWaterlogging);
+                    const {commands, processedBlockCount, splitFillCount, unoptimizedCommandCount} = generateSchemCommands(dataContainerNbt, dims, offsetArr, includeAir, includeBlockStates, processWaterlogging, { maxFillVolume, optimizationLevel, transform });
 
                     if (commands.length === 0 && processedBlockCount > 0) {
                         displaySchemStatus('Warning: Schematic processed, but no commands generated (possibly only air).', 'info');
@@ -2801,8 +6718,11 @@ document.addEventListener('DOMContentLoaded', function() {
 
                     const now = new Date();
                     const timestamp = `${now.getFullYear()}${(now.getMonth() + 1).toString().padStart(2, '0')}${now.getDate().toString().padStart(2, '0')}_${now.getHours().toString().padStart(2, '0')}${now.getMinutes().toString().padStart(2, '0')}${now.getSeconds().toString().padStart(2, '0')}`;
-                    downloadFile(commands.join('\n'), `${outputNameBase}_${timestamp}.txt`, 'text/plain;charset=utf-8');
-                    displaySchemStatus(`Success! ${commands.length} commands generated and download started.`, 'success');
+                    const downloadMessage = await downloadGeneratedCommands(commands, `${outputNameBase}_${timestamp}`, outputNameBase, schemOutputFormatSelect, schemPackNamespaceInput, schemPackFunctionInput);
+                    const splitMessage = splitFillCount > 0 ? ` ${splitFillCount} oversized fill${splitFillCount === 1 ? ' was' : 's were'} split to stay within ${maxFillVolume} blocks.` : '';
+                    const optimizationMessage = optimizationLevel > 0 ? ` Optimizer: ${unoptimizedCommandCount} → ${commands.length} commands.` : '';
+                    const entityMessage = dataContainerNbt.droppedEntityCount > 0 ? ` ${dataContainerNbt.droppedEntityCount} entit${dataContainerNbt.droppedEntityCount === 1 ? 'y' : 'ies'} from the structure were not converted.` : '';
+                    displaySchemStatus(`Success! ${commands.length} commands generated.${optimizationMessage}${splitMessage}${entityMessage} ${downloadMessage}`, 'success');
                 } catch (e) {
                     console.error("Schematic Processing Error:", e);
                     displaySchemStatus(`Error: ${e.message}`, 'error');
@@ -2823,6 +6743,7 @@ document.addEventListener('DOMContentLoaded', function() {
         if (!mcstructureStatusDiv) return;
         showValidationMessage(mcstructureStatusDiv, message, type);
     }
+    setupOutputFormatSelect(mcstructureOutputFormatSelect, mcstructurePackOptionsContainer);
     if (mcstructureDropArea && mcstructureFileInput && mcstructureFileNameDisplay) {
         setupDropAreaListeners(mcstructureDropArea, mcstructureFileInput, mcstructureFileNameDisplay);
         setupFileInputHandler(mcstructureFileInput, (file) => { mcStructure_selectedFile = file; }, mcstructureFileNameDisplay, mcstructureStatusDiv, ['.mcstructure']);
@@ -2838,29 +6759,25 @@ document.addEventListener('DOMContentLoaded', function() {
             else { mcStructure_GUI_BLOCKS_TO_IGNORE = ["minecraft:air", ...baseIgnore]; }
             mcStructure_GUI_KEEP_WATERLOG = mcstructureProcessWaterlogLayerCheckbox.checked;
             mcStructure_GUI_INCLUDE_BLOCK_STATES = mcstructureIncludeBlockStatesCheckbox.checked;
+            mcStructure_GUI_MAX_FILL_VOLUME = Math.min(BEDROCK_MAX_FILL_VOLUME, Math.max(1, parseInt(mcstructureMaxFillVolumeInput?.value, 10) || BEDROCK_MAX_FILL_VOLUME));
+            mcStructure_GUI_OPTIMIZATION_LEVEL = parseInt(mcstructureOptimizationLevelSelect?.value, 10) || 0;
+            mcStructure_GUI_TRANSFORM = normalizeStructureTransform({ rotation: mcstructureRotationSelect?.value || 0, mirror: mcstructureMirrorSelect?.value || 'none' });
             const outputBaseName = mcstructureOutputNameInput.value.trim() || "Generated_Structure";
-            const outputFileName = `${outputBaseName}_commands.txt`;
             displayMcStructureStatus('Processing .mcstructure file... This may take a moment.', 'info');
             mcstructureGenerateButton.disabled = true;
             try {
-                const fileBuffer = await mcStructure_selectedFile.arrayBuffer(); let nbtDataBuffer;
-                try {
-                    const decompressed = pako.inflate(new Uint8Array(fileBuffer)); nbtDataBuffer = decompressed.buffer;
-                    console.log("MCStructure: Successfully decompressed Gzipped NBT data with Pako.");
-                    displayMcStructureStatus('Decompressed Gzipped NBT data. Parsing structure...', 'info');
-                } catch (e) {
-                    console.log("MCStructure: File does not appear to be Gzipped (Pako inflate failed), processing as raw NBT.");
-                    nbtDataBuffer = fileBuffer;
-                    displayMcStructureStatus('Processing as raw NBT data (not Gzipped). Parsing structure...', 'info');
-                }
-                const generatedCommands = structureToRelativeSetblocksMcStructure(nbtDataBuffer);
+                const fileBuffer = await mcStructure_selectedFile.arrayBuffer();
+                const generationStats = {};
+                const generatedCommands = structureToRelativeSetblocksMcStructure(fileBuffer, generationStats);
                 if (generatedCommands === null || typeof generatedCommands === 'undefined') {
                     displayMcStructureStatus("Command generation failed due to critical errors during structure processing.", 'error');
                 } else if (generatedCommands.length === 0) {
                     displayMcStructureStatus('No commands were generated. The structure might be empty or only contain ignored blocks.', 'info');
                 } else {
-                    downloadFile(generatedCommands.join('\n'), outputFileName, 'text/plain;charset=utf-8');
-                    displayMcStructureStatus(`Successfully generated ${generatedCommands.length} commands. Download started as '${outputFileName}'.`, 'success_long');
+                    const downloadMessage = await downloadGeneratedCommands(generatedCommands, `${outputBaseName}_commands`, outputBaseName, mcstructureOutputFormatSelect, mcstructurePackNamespaceInput, mcstructurePackFunctionInput);
+                    const splitMessage = generationStats.splitFillCount > 0 ? ` ${generationStats.splitFillCount} oversized fill${generationStats.splitFillCount === 1 ? ' was' : 's were'} split to stay within ${mcStructure_GUI_MAX_FILL_VOLUME} blocks.` : '';
+                    const optimizationMessage = mcStructure_GUI_OPTIMIZATION_LEVEL > 0 ? ` Optimizer: ${generationStats.unoptimizedCommandCount} → ${generatedCommands.length} commands.` : '';
+                    displayMcStructureStatus(`Successfully generated ${generatedCommands.length} commands.${optimizationMessage}${splitMessage} ${downloadMessage}`, 'success_long');
                 }
             } catch (error) {
                 console.error("--- MCStructure CRITICAL ERROR ---", error);
@@ -2893,13 +6810,14 @@ document.addEventListener('DOMContentLoaded', function() {
         setupFileInputHandler(schemMcstructureInputFile, (file) => {
             schemMcstructureFileObject = file;
             resetSchemMcstructureUI();
-        }, schemMcstructureFileNameDisplay, schemMcstructureStatusDiv, ['.schem', '.schematic']);
+            populateLitematicRegionSelect(file, schemMcstructureRegionSelect, schemMcstructureRegionContainer);
+        }, schemMcstructureFileNameDisplay, schemMcstructureStatusDiv, ['.schem', '.schematic', '.litematic', '.nbt']);
     }
 
     if (schemMcstructureDownloadLogButton) {
         schemMcstructureDownloadLogButton.addEventListener('click', () => {
             if (schemMcstructureLogPreview.textContent && schemMcstructureFileObject) {
-                const outputFileName = schemMcstructureFileObject.name.replace(/\.schem(atic)?$/i, '_translation_log.txt');
+                const outputFileName = schemMcstructureFileObject.name.replace(/\.(schem(atic)?|litematic|nbt)$/i, '_translation_log.txt');
                 downloadFile(schemMcstructureLogPreview.textContent, outputFileName, 'text/plain;charset=utf-8');
             }
         });
@@ -2908,7 +6826,7 @@ document.addEventListener('DOMContentLoaded', function() {
     if (schemMcstructureConvertButton) {
         schemMcstructureConvertButton.addEventListener('click', async () => {
             if (!schemMcstructureFileObject) {
-                showSchemMcstructureStatus('Please select a .schem or .schematic file first!', 'error');
+                showSchemMcstructureStatus('Please select a .schem, .schematic, .litematic or .nbt file first!', 'error');
                 return;
             }
             if (typeof window.convertSchemToMcStructure !== 'function') {
@@ -2923,12 +6841,28 @@ document.addEventListener('DOMContentLoaded', function() {
 
             try {
                 const schemBuffer = await schemMcstructureFileObject.arrayBuffer();
-                const { mcstructureBuffer, log } = await window.convertSchemToMcStructure(schemBuffer);
-
-                const outputFileName = schemMcstructureFileObject.name.replace(/\.schem(atic)?$/i, '.mcstructure');
-                downloadFile(mcstructureBuffer, outputFileName, 'application/octet-stream');
-                
-                showSchemMcstructureStatus(`Success! Conversion complete. Downloading ${outputFileName}.`, 'success');
+                const region = schemMcstructureRegionSelect ? schemMcstructureRegionSelect.value : '';
+                const baseName = schemMcstructureFileObject.name.replace(/\.(schem(atic)?|litematic|nbt)$/i, '');
+                const { mcstructureBuffer, zipBuffer, tileCount, log } = await window.convertSchemToMcStructure(schemBuffer, {
+                    region: region || null,
+                    transform: { rotation: schemMcstructureRotationSelect?.value || 0, mirror: schemMcstructureMirrorSelect?.value || 'none' },
+                    crop: {
+                        min: schemMcstructureCropMinInputs.map(input => input?.value ?? ''),
+                        max: schemMcstructureCropMaxInputs.map(input => input?.value ?? '')
+                    },
+                    tile: schemMcstructureTileCheckbox ? schemMcstructureTileCheckbox.checked : false,
+                    bundleName: baseName
+                });
+
+                if (zipBuffer) {
+                    const outputFileName = `${baseName}_tiles.zip`;
+                    downloadFile(zipBuffer, outputFileName, 'application/zip');
+                    showSchemMcstructureStatus(`Success! Split into ${tileCount} tiles. Downloading ${outputFileName}.`, 'success');
+                } else {
+                    const outputFileName = `${baseName}.mcstructure`;
+                    downloadFile(mcstructureBuffer, outputFileName, 'application/octet-stream');
+                    showSchemMcstructureStatus(`Success! Conversion complete. Downloading ${outputFileName}.`, 'success');
+                }
                 schemMcstructureLogPreview.textContent = log;
                 schemMcstructureLogViewer.style.display = 'block';
 
@@ -2945,5 +6879,466 @@ document.addEventListener('DOMContentLoaded', function() {
         });
     }
 
+    // --- MCStructure to Schematic Setup ---
+    function showMcstructureSchemStatus(message, type) {
+        if (!mcstructureSchemStatusDiv) return;
+        mcstructureSchemStatusDiv.textContent = message;
+        mcstructureSchemStatusDiv.className = 'status-message';
+        mcstructureSchemStatusDiv.classList.add(type);
+        mcstructureSchemStatusDiv.style.display = 'block';
+    }
+
+    function resetMcstructureSchemUI() {
+        if(mcstructureSchemStatusDiv) mcstructureSchemStatusDiv.style.display = 'none';
+        if(mcstructureSchemLogViewer) mcstructureSchemLogViewer.style.display = 'none';
+        if(mcstructureSchemLogPreview) mcstructureSchemLogPreview.textContent = '';
+        if(mcstructureSchemConvertButton) {
+            mcstructureSchemConvertButton.disabled = false;
+            mcstructureSchemConvertButton.innerHTML = '<i class="fas fa-cogs"></i> Convert to .schem';
+        }
+    }
+
+    if (mcstructureSchemDropArea) {
+        setupDropAreaListeners(mcstructureSchemDropArea, mcstructureSchemInputFile, mcstructureSchemFileNameDisplay);
+        setupFileInputHandler(mcstructureSchemInputFile, (file) => {
+            mcstructureSchemFileObject = file;
+            resetMcstructureSchemUI();
+        }, mcstructureSchemFileNameDisplay, mcstructureSchemStatusDiv, ['.mcstructure']);
+    }
+
+    if (mcstructureSchemDownloadLogButton) {
+        mcstructureSchemDownloadLogButton.addEventListener('click', () => {
+            if (mcstructureSchemLogPreview.textContent && mcstructureSchemFileObject) {
+                const outputFileName = mcstructureSchemFileObject.name.replace(/\.mcstructure$/i, '_translation_log.txt');
+                downloadFile(mcstructureSchemLogPreview.textContent, outputFileName, 'text/plain;charset=utf-8');
+            }
+        });
+    }
+
+    if (mcstructureSchemConvertButton) {
+        mcstructureSchemConvertButton.addEventListener('click', async () => {
+            if (!mcstructureSchemFileObject) {
+                showMcstructureSchemStatus('Please select a .mcstructure file first!', 'error');
+                return;
+            }
+
+            resetMcstructureSchemUI();
+            showMcstructureSchemStatus('Starting conversion... Building translation tables may take a moment.', 'info');
+            mcstructureSchemConvertButton.disabled = true;
+            mcstructureSchemConvertButton.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Converting...';
+
+            try {
+                const mcstructureBuffer = await mcstructureSchemFileObject.arrayBuffer();
+                const version = mcstructureSchemVersionSelect ? mcstructureSchemVersionSelect.value : '2';
+                const { schemBuffer, log } = await convertMcStructureToSchem(mcstructureBuffer, { version });
+
+                const outputFileName = mcstructureSchemFileObject.name.replace(/\.mcstructure$/i, '') + '.schem';
+                downloadFile(schemBuffer, outputFileName, 'application/octet-stream');
+
+                showMcstructureSchemStatus(`Success! Conversion complete. Downloading ${outputFileName}.`, 'success');
+                mcstructureSchemLogPreview.textContent = log;
+                mcstructureSchemLogViewer.style.display = 'block';
+            } catch (result) {
+                const { error, log } = result;
+                console.error("MCStructure to Schem Conversion Failed:", error);
+                showMcstructureSchemStatus(`ERROR: ${error.message}. Check log below for details.`, 'error');
+                mcstructureSchemLogPreview.textContent = log || "Log could not be generated.";
+                mcstructureSchemLogViewer.style.display = 'block';
+            } finally {
+                mcstructureSchemConvertButton.disabled = false;
+                mcstructureSchemConvertButton.innerHTML = '<i class="fas fa-cogs"></i> Convert to .schem';
+            }
+        });
+    }
+
+    // --- Merge Structures Setup ---
+    function showMergeStructuresStatus(message, type) {
+        if (!mergeStructuresStatusDiv) return;
+        mergeStructuresStatusDiv.textContent = message;
+        mergeStructuresStatusDiv.className = 'status-message';
+        mergeStructuresStatusDiv.classList.add(type);
+        mergeStructuresStatusDiv.style.display = 'block';
+    }
+
+    function renderMergeStructuresFileList() {
+        if (!mergeStructuresFileList) return;
+        mergeStructuresFileList.innerHTML = '';
+        mergeStructuresFileNameDisplay.textContent = mergeStructuresEntries.length
+            ? `${mergeStructuresEntries.length} file(s) selected.`
+            : 'No files selected';
+        mergeStructuresEntries.forEach((entry, index) => {
+            const row = document.createElement('div');
+            row.className = 'row align-items-center mb-2';
+
+            const nameCol = document.createElement('div');
+            nameCol.className = 'col-md-4 mb-2 text-truncate';
+            nameCol.textContent = `${index + 1}. ${entry.file.name}`;
+            nameCol.title = entry.file.name;
+            row.appendChild(nameCol);
+
+            ['X', 'Y', 'Z'].forEach((axis, axisIndex) => {
+                const col = document.createElement('div');
+                col.className = 'col-md-2 mb-2';
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.className = 'form-control';
+                input.placeholder = `${axis} Offset`;
+                input.title = `${axis} offset for ${entry.file.name}`;
+                input.value = entry.offset[axisIndex];
+                input.addEventListener('input', () => { entry.offset[axisIndex] = parseInt(input.value, 10) || 0; });
+                col.appendChild(input);
+                row.appendChild(col);
+            });
+
+            const removeCol = document.createElement('div');
+            removeCol.className = 'col-md-2 mb-2 text-end';
+            const removeButton = document.createElement('button');
+            removeButton.className = 'btn btn-sm btn-outline-danger';
+            removeButton.title = 'Remove from merge';
+            removeButton.innerHTML = '<i class="fas fa-times"></i>';
+            removeButton.addEventListener('click', () => {
+                mergeStructuresEntries.splice(index, 1);
+                renderMergeStructuresFileList();
+            });
+            removeCol.appendChild(removeButton);
+            row.appendChild(removeCol);
+
+            mergeStructuresFileList.appendChild(row);
+        });
+    }
+
+    if (mergeStructuresDropArea && mergeStructuresInputFile) {
+        setupDropAreaListeners(mergeStructuresDropArea, mergeStructuresInputFile, mergeStructuresFileNameDisplay);
+        mergeStructuresInputFile.addEventListener('change', (e) => {
+            const files = Array.from(e.target.files || []);
+            const rejected = files.filter(file => !file.name.toLowerCase().endsWith('.mcstructure'));
+            files.filter(file => !rejected.includes(file)).forEach(file => mergeStructuresEntries.push({ file, offset: [0, 0, 0] }));
+            if (rejected.length) showMergeStructuresStatus(`Ignored non-.mcstructure files: ${rejected.map(file => file.name).join(', ')}`, 'error');
+            else if (mergeStructuresStatusDiv) mergeStructuresStatusDiv.style.display = 'none';
+            mergeStructuresInputFile.value = '';
+            renderMergeStructuresFileList();
+        });
+    }
+
+    if (mergeStructuresMergeButton) {
+        mergeStructuresMergeButton.addEventListener('click', async () => {
+            if (mergeStructuresEntries.length < 2) {
+                showMergeStructuresStatus('Please add at least two .mcstructure files to merge!', 'error');
+                return;
+            }
+            if (mergeStructuresLogViewer) mergeStructuresLogViewer.style.display = 'none';
+            showMergeStructuresStatus('Merging structures...', 'info');
+            mergeStructuresMergeButton.disabled = true;
+            mergeStructuresMergeButton.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Merging...';
+
+            try {
+                const parts = [];
+                for (const entry of mergeStructuresEntries) {
+                    const part = readMcStructureForMerge(await entry.file.arrayBuffer(), entry.file.name);
+                    part.offset = entry.offset;
+                    parts.push(part);
+                }
+                const { buffer, size, paletteSize, overlapCount, log } = mergeMcStructures(parts, {
+                    overlapPolicy: mergeStructuresOverlapSelect ? mergeStructuresOverlapSelect.value : 'first',
+                    useWorldOrigin: mergeStructuresUseWorldOriginCheckbox ? mergeStructuresUseWorldOriginCheckbox.checked : false
+                });
+                downloadFile(buffer, 'merged.mcstructure', 'application/octet-stream');
+                showMergeStructuresStatus(`Success! Merged ${parts.length} structures into ${size.join('x')} with ${paletteSize} palette entries (${overlapCount} overlapping blocks). Downloading merged.mcstructure.`, 'success');
+                mergeStructuresLogPreview.textContent = log.join('\n');
+                mergeStructuresLogViewer.style.display = 'block';
+            } catch (error) {
+                console.error("Structure merge failed:", error);
+                showMergeStructuresStatus(`ERROR: ${error.message}`, 'error');
+            } finally {
+                mergeStructuresMergeButton.disabled = false;
+                mergeStructuresMergeButton.innerHTML = '<i class="fas fa-object-group"></i> Merge Structures';
+            }
+        });
+    }
+
+    // --- NBT Explorer Setup ---
+    const NBT_EXPLORER_PAGE_SIZE = 100;
+
+    function showNbtExplorerStatus(message, type) {
+        if (!nbtExplorerStatusDiv) return;
+        nbtExplorerStatusDiv.textContent = message;
+        nbtExplorerStatusDiv.className = 'status-message';
+        nbtExplorerStatusDiv.classList.add(type);
+        nbtExplorerStatusDiv.style.display = 'block';
+    }
+
+    function updateNbtExplorerFileInfo() {
+        if (!nbtExplorerFileInfo || !nbtExplorerDocument) return;
+        const { fileName, name, littleEndian, compression, bedrockHeaderVersion } = nbtExplorerDocument;
+        const header = bedrockHeaderVersion !== null ? `, level.dat header (version ${bedrockHeaderVersion})` : '';
+        nbtExplorerFileInfo.textContent = `${fileName} — root "${name}", ${littleEndian ? 'little-endian (Bedrock)' : 'big-endian (Java)'}${header}, compression: ${compression}${nbtExplorerDirty ? ' — unsaved changes' : ''}`;
+    }
+
+    function markNbtExplorerDirty() {
+        nbtExplorerDirty = true;
+        updateNbtExplorerFileInfo();
+    }
+
+    function renderNbtExplorerNode(tag, name, path, depth, container) {
+        const pathKey = JSON.stringify(path);
+        const isContainer = isNbtContainerType(tag.type);
+        const expanded = isContainer && nbtExplorerExpanded.has(pathKey);
+
+        const row = document.createElement('div');
+        row.className = 'nbt-explorer-node';
+        if (pathKey === nbtExplorerHighlightKey) row.classList.add('highlight');
+        row.dataset.path = pathKey;
+        row.style.paddingLeft = `${depth * 1.25}em`;
+        row.title = formatNbtPath(path) || '(root)';
+
+        const toggle = document.createElement('span');
+        toggle.className = 'nbt-explorer-toggle';
+        if (isContainer) {
+            toggle.innerHTML = `<i class="fas fa-caret-${expanded ? 'down' : 'right'}"></i>`;
+            toggle.addEventListener('click', () => {
+                if (expanded) nbtExplorerExpanded.delete(pathKey);
+                else nbtExplorerExpanded.add(pathKey);
+                renderNbtExplorerTree();
+            });
+        }
+        const typeLabel = document.createElement('span');
+        typeLabel.className = 'nbt-explorer-type';
+        typeLabel.textContent = NBT_TAG_TYPE_NAMES[tag.type];
+        const nameLabel = document.createElement('span');
+        nameLabel.className = 'nbt-explorer-name';
+        nameLabel.textContent = typeof name === 'number' ? `[${name}]` : `${name || '(unnamed)'}:`;
+        row.append(toggle, typeLabel, nameLabel);
+
+        if (isContainer) {
+            const summary = document.createElement('span');
+            summary.className = 'nbt-explorer-summary';
+            summary.textContent = formatNbtTagSummary(tag);
+            const addButton = document.createElement('button');
+            addButton.type = 'button';
+            addButton.className = 'btn btn-sm btn-outline-info';
+            addButton.title = 'Add a tag here';
+            addButton.innerHTML = '<i class="fas fa-plus"></i>';
+            addButton.addEventListener('click', () => openNbtExplorerAddForm(path, tag));
+            row.append(summary, addButton);
+        } else {
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'form-control form-control-sm';
+            input.value = String(tag.value);
+            input.addEventListener('change', () => {
+                try {
+                    input.value = String(setNbtValueAtPath(nbtExplorerDocument.root, path, input.value));
+                    markNbtExplorerDirty();
+                } catch (error) {
+                    showNbtExplorerStatus(`ERROR: ${error.message}`, 'error');
+                    input.value = String(getNbtTagAtPath(nbtExplorerDocument.root, path).value);
+                }
+            });
+            row.appendChild(input);
+        }
+        if (path.length) {
+            const removeButton = document.createElement('button');
+            removeButton.type = 'button';
+            removeButton.className = 'btn btn-sm btn-outline-danger';
+            removeButton.title = 'Remove this tag';
+            removeButton.innerHTML = '<i class="fas fa-times"></i>';
+            removeButton.addEventListener('click', () => {
+                removeNbtTag(nbtExplorerDocument.root, path);
+                // Later list entries shift down one index, so forget which of the parent's entries were open.
+                if (typeof path[path.length - 1] === 'number') {
+                    const parentPrefix = path.length > 1 ? `${JSON.stringify(path.slice(0, -1)).slice(0, -1)},` : '[';
+                    [...nbtExplorerExpanded].filter(key => key !== '[]' && key.startsWith(parentPrefix)).forEach(key => nbtExplorerExpanded.delete(key));
+                }
+                markNbtExplorerDirty();
+                renderNbtExplorerTree();
+            });
+            row.appendChild(removeButton);
+        }
+        container.appendChild(row);
+
+        if (!expanded) return;
+        const childCount = getNbtChildCount(tag);
+        const shown = Math.min(childCount, nbtExplorerShownCounts.get(pathKey) || NBT_EXPLORER_PAGE_SIZE);
+        const keys = tag.type === TAG_COMPOUND ? [...tag.value.keys()].slice(0, shown) : [...Array(shown).keys()];
+        keys.forEach(key => renderNbtExplorerNode(getNbtTagAtPath(tag, [key]), key, [...path, key], depth + 1, container));
+        if (shown < childCount) {
+            const more = document.createElement('div');
+            more.className = 'nbt-explorer-more';
+            more.style.paddingLeft = `${(depth + 1) * 1.25}em`;
+            more.textContent = `Show ${Math.min(NBT_EXPLORER_PAGE_SIZE, childCount - shown)} more of ${childCount - shown} remaining...`;
+            more.addEventListener('click', () => {
+                nbtExplorerShownCounts.set(pathKey, shown + NBT_EXPLORER_PAGE_SIZE);
+                renderNbtExplorerTree();
+            });
+            container.appendChild(more);
+        }
+    }
+
+    function renderNbtExplorerTree() {
+        if (!nbtExplorerTree || !nbtExplorerDocument) return;
+        const scrollTop = nbtExplorerTree.scrollTop;
+        nbtExplorerTree.innerHTML = '';
+        renderNbtExplorerNode(nbtExplorerDocument.root, nbtExplorerDocument.name, [], 0, nbtExplorerTree);
+        nbtExplorerTree.scrollTop = scrollTop;
+    }
+
+    // Opens every ancestor of path (paging far enough to include it) and scrolls to its row.
+    function revealNbtExplorerPath(path) {
+        for (let i = 0; i < path.length; i++) {
+            const parentKey = JSON.stringify(path.slice(0, i));
+            nbtExplorerExpanded.add(parentKey);
+            const parent = getNbtTagAtPath(nbtExplorerDocument.root, path.slice(0, i));
+            const index = typeof path[i] === 'number' ? path[i] : [...parent.value.keys()].indexOf(path[i]);
+            if (index >= (nbtExplorerShownCounts.get(parentKey) || NBT_EXPLORER_PAGE_SIZE)) {
+                nbtExplorerShownCounts.set(parentKey, (Math.floor(index / NBT_EXPLORER_PAGE_SIZE) + 1) * NBT_EXPLORER_PAGE_SIZE);
+            }
+        }
+        nbtExplorerHighlightKey = JSON.stringify(path);
+        renderNbtExplorerTree();
+        const row = [...nbtExplorerTree.querySelectorAll('.nbt-explorer-node')].find(node => node.dataset.path === nbtExplorerHighlightKey);
+        if (row) row.scrollIntoView({ block: 'center' });
+    }
+
+    function runNbtExplorerSearch() {
+        if (!nbtExplorerDocument || !nbtExplorerSearchResults) return;
+        nbtExplorerSearchResults.innerHTML = '';
+        const query = nbtExplorerSearchInput.value.trim();
+        if (!query) return;
+        const { matches, truncated } = searchNbt(nbtExplorerDocument.root, query);
+        const header = document.createElement('div');
+        header.style.color = 'var(--text-muted)';
+        header.textContent = matches.length
+            ? `${matches.length}${truncated ? '+' : ''} match(es)${truncated ? ' (showing the first ' + matches.length + ')' : ''}:`
+            : 'No matches.';
+        nbtExplorerSearchResults.appendChild(header);
+        matches.forEach(path => {
+            const link = document.createElement('a');
+            link.href = '#';
+            const tag = getNbtTagAtPath(nbtExplorerDocument.root, path);
+            link.textContent = `${formatNbtPath(path) || '(root)'} = ${formatNbtTagSummary(tag)}`;
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                revealNbtExplorerPath(path);
+            });
+            nbtExplorerSearchResults.appendChild(link);
+        });
+    }
+
+    function fillNbtExplorerTypeSelect(select, types) {
+        select.innerHTML = '';
+        types.forEach(type => {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = NBT_TAG_TYPE_NAMES[type];
+            select.appendChild(option);
+        });
+    }
+
+    const nbtExplorerTagTypes = NBT_TAG_TYPE_NAMES.map((name, type) => type).filter(type => type !== TAG_END);
+
+    // Lists only accept their element type once they have entries; arrays only take a new zero element.
+    function openNbtExplorerAddForm(path, tag) {
+        if (tag.type in NBT_ARRAY_ELEMENT_TYPES) {
+            revealNbtExplorerPath(addNbtTag(nbtExplorerDocument.root, path));
+            markNbtExplorerDirty();
+            return;
+        }
+        nbtExplorerAddPath = path;
+        nbtExplorerAddTarget.textContent = formatNbtPath(path) || '(root)';
+        nbtExplorerAddNameInput.value = '';
+        nbtExplorerAddNameInput.disabled = tag.type !== TAG_COMPOUND;
+        fillNbtExplorerTypeSelect(nbtExplorerAddTypeSelect, tag.type === TAG_LIST && tag.value.length ? [tag.listType] : nbtExplorerTagTypes);
+        nbtExplorerAddListTypeSelect.disabled = Number(nbtExplorerAddTypeSelect.value) !== TAG_LIST;
+        nbtExplorerAddForm.style.display = 'flex';
+        (tag.type === TAG_COMPOUND ? nbtExplorerAddNameInput : nbtExplorerAddTypeSelect).focus();
+    }
+
+    if (nbtExplorerAddListTypeSelect) fillNbtExplorerTypeSelect(nbtExplorerAddListTypeSelect, nbtExplorerTagTypes);
+
+    if (nbtExplorerAddTypeSelect) {
+        nbtExplorerAddTypeSelect.addEventListener('change', () => {
+            nbtExplorerAddListTypeSelect.disabled = Number(nbtExplorerAddTypeSelect.value) !== TAG_LIST;
+        });
+    }
+
+    if (nbtExplorerAddConfirmButton) {
+        nbtExplorerAddConfirmButton.addEventListener('click', () => {
+            if (!nbtExplorerDocument || !nbtExplorerAddPath) return;
+            try {
+                const newPath = addNbtTag(nbtExplorerDocument.root, nbtExplorerAddPath, {
+                    name: nbtExplorerAddNameInput.value,
+                    type: Number(nbtExplorerAddTypeSelect.value),
+                    listType: Number(nbtExplorerAddListTypeSelect.value)
+                });
+                nbtExplorerAddForm.style.display = 'none';
+                nbtExplorerAddPath = null;
+                markNbtExplorerDirty();
+                revealNbtExplorerPath(newPath);
+            } catch (error) {
+                showNbtExplorerStatus(`ERROR: ${error.message}`, 'error');
+            }
+        });
+    }
+
+    if (nbtExplorerAddCancelButton) {
+        nbtExplorerAddCancelButton.addEventListener('click', () => {
+            nbtExplorerAddForm.style.display = 'none';
+            nbtExplorerAddPath = null;
+        });
+    }
+
+    async function loadNbtExplorerFile(file) {
+        if (!file) return;
+        if (nbtExplorerViewer) nbtExplorerViewer.style.display = 'none';
+        try {
+            nbtExplorerDocument = { ...readNbt(await file.arrayBuffer()), fileName: file.name };
+            nbtExplorerDirty = false;
+            nbtExplorerAddPath = null;
+            nbtExplorerHighlightKey = null;
+            nbtExplorerExpanded.clear();
+            nbtExplorerShownCounts.clear();
+            nbtExplorerExpanded.add(JSON.stringify([]));
+            nbtExplorerAddForm.style.display = 'none';
+            nbtExplorerSearchResults.innerHTML = '';
+            updateNbtExplorerFileInfo();
+            renderNbtExplorerTree();
+            nbtExplorerViewer.style.display = 'block';
+            if (nbtExplorerStatusDiv) nbtExplorerStatusDiv.style.display = 'none';
+        } catch (error) {
+            console.error("NBT Explorer failed to read file:", error);
+            nbtExplorerDocument = null;
+            showNbtExplorerStatus(`ERROR: ${error.message}`, 'error');
+        }
+    }
+
+    if (nbtExplorerDropArea) {
+        setupDropAreaListeners(nbtExplorerDropArea, nbtExplorerInputFile, nbtExplorerFileNameDisplay);
+        setupFileInputHandler(nbtExplorerInputFile, loadNbtExplorerFile, nbtExplorerFileNameDisplay, nbtExplorerStatusDiv,
+            ['.mcstructure', '.schem', '.schematic', '.litematic', '.nbt', '.dat']);
+    }
+
+    if (nbtExplorerSearchButton) nbtExplorerSearchButton.addEventListener('click', runNbtExplorerSearch);
+    if (nbtExplorerSearchInput) {
+        nbtExplorerSearchInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') runNbtExplorerSearch();
+        });
+    }
+
+    if (nbtExplorerSaveButton) {
+        nbtExplorerSaveButton.addEventListener('click', () => {
+            if (!nbtExplorerDocument) return;
+            try {
+                const { root, name, littleEndian, compression, bedrockHeaderVersion, fileName } = nbtExplorerDocument;
+                downloadFile(writeNbt(root, { name, littleEndian, compression, bedrockHeaderVersion }), fileName, 'application/octet-stream');
+                nbtExplorerDirty = false;
+                updateNbtExplorerFileInfo();
+                showNbtExplorerStatus(`Saved ${fileName} (${littleEndian ? 'little' : 'big'}-endian, ${compression}).`, 'success');
+            } catch (error) {
+                console.error("NBT Explorer save failed:", error);
+                showNbtExplorerStatus(`ERROR: ${error.message}`, 'error');
+            }
+        });
+    }
+
     console.log("Blacklight NBT script initialized successfully.");
 });
\ No newline at end of file